@@ -14,6 +14,8 @@ LOG_DIR="/var/log/nginx"
 CHROME_LOG_DIR="/var/log/chrome-debug"
 PID_DIR="/var/run/chrome-debug"
 HEALTH_LOG="/var/log/chrome-proxy-health.log"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+CDP_PROBE="${CDP_PROBE:-$(dirname "$SCRIPT_DIR")/test/cdp-probe.js}"
 
 # Colors for output
 RED='\033[0;31m'
@@ -111,8 +113,14 @@ check_http_endpoint() {
     local expected_status="${2:-200}"
     local timeout="${3:-10}"
     
+    # Bearer token for proxies behind the auth sidecar
+    local auth_args=()
+    if [[ -n "${CHROME_PROXY_TOKEN:-}" ]]; then
+        auth_args=(-H "Authorization: Bearer $CHROME_PROXY_TOKEN")
+    fi
+    
     local response
-    response=$(curl -s -w "%{http_code}" -m "$timeout" "$url" 2>/dev/null || echo "000")
+    response=$(curl -s ${auth_args[@]+"${auth_args[@]}"} -w "%{http_code}" -m "$timeout" "$url" 2>/dev/null || echo "000")
     local http_code="${response: -3}"
     
     if [[ "$http_code" == "$expected_status" ]]; then
@@ -122,58 +130,28 @@ check_http_endpoint() {
     fi
 }
 
-# Check WebSocket endpoint
+# Check WebSocket endpoint with a CDP round trip through the proxy
+# Returns the cdp-probe exit code: 2 DNS, 3 connect, 4 handshake, 5 timeout, 6 protocol, 7 no target, 8 auth
+# cdp-probe picks up CHROME_PROXY_TOKEN / CHROME_PROXY_AUTH_SECRET from the environment
 check_websocket_endpoint() {
-    local ws_url="$1"
+    local port="$1"
     local timeout="${2:-10}"
     
-    # Use a simple Node.js script to test WebSocket connection
-    local test_script="/tmp/ws_test_$$.js"
+    if ! command -v node >/dev/null 2>&1; then
+        log "WARNING" "Node.js not available for WebSocket testing"
+        return 1
+    fi
     
-    cat > "$test_script" << 'EOF'
-const WebSocket = require('ws');
-const url = process.argv[2];
-const timeout = parseInt(process.argv[3]) * 1000;
-
-const ws = new WebSocket(url);
-let success = false;
-
-const timeoutId = setTimeout(() => {
-    if (!success) {
-        console.log('TIMEOUT');
-        process.exit(1);
-    }
-}, timeout);
-
-ws.on('open', () => {
-    success = true;
-    clearTimeout(timeoutId);
-    console.log('SUCCESS');
-    ws.close();
-    process.exit(0);
-});
-
-ws.on('error', (error) => {
-    clearTimeout(timeoutId);
-    console.log('ERROR:', error.message);
-    process.exit(1);
-});
-EOF
+    local result
+    local status=0
+    result=$(node "$CDP_PROBE" --host localhost --port "$port" --timeout "$timeout" 2>&1) || status=$?
     
-    if command -v node >/dev/null 2>&1; then
-        local result
-        result=$(node "$test_script" "$ws_url" "$timeout" 2>&1)
-        rm -f "$test_script"
-        
-        if [[ "$result" == "SUCCESS" ]]; then
-            return 0
-        else
-            return 1
-        fi
+    if [[ $status -eq 0 ]]; then
+        log "SUCCESS" "DevTools WebSocket on port $port answered a CDP probe"
+        return 0
     else
-        rm -f "$test_script"
-        log "WARNING" "Node.js not available for WebSocket testing"
-        return 1
+        log "FAILURE" "DevTools WebSocket on port $port failed: $result"
+        return $status
     fi
 }
 
@@ -263,6 +241,11 @@ check_nginx_proxy() {
         fi
     done
     
+    # DevTools WebSocket upgrade and a Runtime.evaluate through the proxy
+    if ! check_websocket_endpoint "$port" 5; then
+        return 1
+    fi
+    
     return 0
 }
 
@@ -15,6 +15,7 @@ LOG_DIR="/var/log/nginx"
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PROJECT_DIR="$(dirname "$SCRIPT_DIR")"
 BACKUP_DIR="/tmp/nginx-backup-$(date +%Y%m%d-%H%M%S)"
+TLS_DIR="${CHROME_PROXY_TLS_DIR:-$NGINX_CONF_DIR/tls}"
 
 # Colors for output
 RED='\033[0;31m'
@@ -189,6 +190,28 @@ setup_directories() {
     fi
 }
 
+# Create a private CA and a server certificate for the TLS server blocks; start-chrome.sh
+# renders HTTPS/WSS configs once they exist. Clients trust $TLS_DIR/ca.pem
+generate_tls_certificates() {
+    local hosts=("$@")
+    local host_args=()
+    
+    if [[ ${#hosts[@]} -eq 0 ]]; then
+        hosts=(localhost 127.0.0.1 "$(hostname -f 2>/dev/null || hostname)")
+    fi
+    for host in "${hosts[@]}"; do
+        host_args+=(--host "$host")
+    done
+    
+    log "Generating TLS certificates in $TLS_DIR for ${hosts[*]}..."
+    if ! node "$PROJECT_DIR/test/tls-certs.js" --dir "$TLS_DIR" "${host_args[@]}"; then
+        error "Failed to generate TLS certificates"
+        exit 1
+    fi
+    log "Copy $TLS_DIR/ca.pem to clients and pass it as --ca to the test tools"
+    log "Regenerate the per-port configs with: $PROJECT_DIR/scripts/start-chrome.sh generate-config PORT"
+}
+
 # Test nginx configuration
 test_nginx_config() {
     log "Testing nginx configuration..."
@@ -416,11 +439,15 @@ Options:
     --backup-only       Only backup existing configuration
     --restore           Restore from backup (requires backup directory)
     --test-only         Only test configuration, don't install
+    --generate-certs [HOST...]
+                        Create a private CA and a server certificate in $TLS_DIR for HOST
+                        (default: localhost, 127.0.0.1 and this machine's name)
 
 Examples:
     sudo $0                    # Full setup
     sudo $0 --backup-only      # Backup only
     sudo $0 --test-only        # Test configuration only
+    sudo $0 --generate-certs chrome-proxy.internal 10.0.1.25
 
 EOF
         exit 0
@@ -450,6 +477,11 @@ EOF
         log "Configuration test completed"
         exit 0
         ;;
+    --generate-certs)
+        check_root
+        generate_tls_certificates "${@:2}"
+        exit 0
+        ;;
     "")
         # Default: run full setup
         main
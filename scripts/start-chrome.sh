@@ -14,6 +14,12 @@ CHROME_LOG_DIR="/var/log/chrome-debug"
 PID_DIR="/var/run/chrome-debug"
 MAX_INSTANCES=50
 CHROME_BINARY=""
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+NGINX_CONFIG_TOOL="${NGINX_CONFIG_TOOL:-$(dirname "$SCRIPT_DIR")/test/nginx-config.js}"
+# Ports serve HTTPS/WSS once setup-nginx.sh --generate-certs has written a certificate here
+TLS_DIR="${CHROME_PROXY_TLS_DIR:-/etc/nginx/tls}"
+# Empty serves every DNS name in the certificate, as written by setup-nginx.sh --generate-certs
+TLS_SERVER_NAME="${CHROME_PROXY_SERVER_NAME:-}"
 
 # Logging setup
 mkdir -p "$CHROME_LOG_DIR" "$PID_DIR"
@@ -254,26 +260,29 @@ health_check() {
 }
 
 # Generate nginx configuration for a port
+# nginx-config.js renders the template and refuses to write a config that breaks the proxy's invariants
 generate_nginx_config() {
     local port=$1
-    local template_file="/root/repo/nginx/templates/proxy-template.conf"
     local output_file="/etc/nginx/conf.d/chrome-proxy-$port.conf"
+    local tls_args=(--tls-dir "$TLS_DIR")
     
-    if [[ -f "$template_file" ]]; then
-        sed "s/{{PORT}}/$port/g" "$template_file" > "$output_file"
-        log "Generated nginx config for port $port: $output_file"
-        
-        # Test nginx configuration
-        if nginx -t 2>/dev/null; then
-            systemctl reload nginx || service nginx reload
-            log "Reloaded nginx configuration"
-        else
-            error "nginx configuration test failed"
-            rm -f "$output_file"
-            return 1
-        fi
+    if [[ -n "$TLS_SERVER_NAME" ]]; then
+        tls_args+=(--server-name "$TLS_SERVER_NAME")
+    fi
+    
+    if ! node "$NGINX_CONFIG_TOOL" --port "$port" "${tls_args[@]}" --output "$output_file"; then
+        error "Generated nginx config for port $port failed validation, see the violations above"
+        return 1
+    fi
+    log "Generated nginx config for port $port: $output_file"
+    
+    # Test nginx configuration
+    if nginx -t 2>/dev/null; then
+        systemctl reload nginx || service nginx reload
+        log "Reloaded nginx configuration"
     else
-        error "Template file not found: $template_file"
+        error "nginx configuration test failed"
+        rm -f "$output_file"
         return 1
     fi
 }
@@ -327,7 +336,12 @@ main() {
             if start_chrome "$port" "${@:3}"; then
                 generate_nginx_config "$port"
                 echo "Chrome started successfully on port $port"
-                echo "Access debugger at: http://localhost:$port"
+                if [[ -f "$TLS_DIR/server.pem" ]]; then
+                    tls_name="${TLS_SERVER_NAME%% *}"
+                    echo "Access debugger at: https://${tls_name:-$(hostname -f 2>/dev/null || hostname)}:$port (trust $TLS_DIR/ca.pem)"
+                else
+                    echo "Access debugger at: http://localhost:$port"
+                fi
             else
                 exit 1
             fi
@@ -11,6 +11,7 @@ PROJECT_DIR="/root/repo"
 LOG_DIR="/var/log/chrome-debug"
 RUN_DIR="/var/run/chrome-debug"
 DATA_DIR="/tmp/chrome-debug-data"
+AUTH_DIR="/etc/chrome-debug"
 
 # Colors
 RED='\033[0;31m'
@@ -64,6 +65,20 @@ setup_directories() {
     chown -R chrome:chrome "$LOG_DIR" "$RUN_DIR" "$DATA_DIR"
     chmod 755 "$LOG_DIR" "$RUN_DIR" "$DATA_DIR"
     
+    # Auth sidecar credentials: an empty tokens file and a random URL signing secret
+    mkdir -p "$AUTH_DIR"
+    if [[ ! -f "$AUTH_DIR/tokens.json" ]]; then
+        echo '{ "tokens": [] }' > "$AUTH_DIR/tokens.json"
+        log "Created empty $AUTH_DIR/tokens.json, add tokens before enabling clients"
+    fi
+    if [[ ! -f "$AUTH_DIR/auth.secret" ]]; then
+        head -c 32 /dev/urandom | base64 > "$AUTH_DIR/auth.secret"
+        log "Generated URL signing secret in $AUTH_DIR/auth.secret"
+    fi
+    chown -R root:chrome "$AUTH_DIR"
+    chmod 750 "$AUTH_DIR"
+    chmod 640 "$AUTH_DIR/tokens.json" "$AUTH_DIR/auth.secret"
+    
     # Ensure nginx can read proxy configurations
     if [[ -d "/etc/nginx/conf.d" ]]; then
         chmod 755 /etc/nginx/conf.d
@@ -80,6 +95,10 @@ install_service_files() {
         "chrome-debugger.service"
         "nginx-proxy.service"
         "chrome-proxy-manager.service"
+        "chrome-proxy-metrics.service"
+        "chrome-proxy-auth.service"
+        "chrome-proxy-json.service"
+        "chrome-proxy-gateway.service"
     )
     
     for service_file in "${service_files[@]}"; do
@@ -105,9 +124,13 @@ enable_services() {
     log "Enabling services..."
     
     # Enable individual services
-    systemctl enable chrome-debugger.service
+    # chrome-debugger.service (start-chrome.sh) is installed but left disabled, the pool manager launches Chrome
     systemctl enable nginx-proxy.service
     systemctl enable chrome-proxy-manager.service
+    systemctl enable chrome-proxy-metrics.service
+    systemctl enable chrome-proxy-auth.service
+    systemctl enable chrome-proxy-json.service
+    systemctl enable chrome-proxy-gateway.service
     
     log "Services enabled"
 }
@@ -120,6 +143,10 @@ validate_services() {
         "chrome-debugger"
         "nginx-proxy"
         "chrome-proxy-manager"
+        "chrome-proxy-metrics"
+        "chrome-proxy-auth"
+        "chrome-proxy-json"
+        "chrome-proxy-gateway"
     )
     
     for service in "${services[@]}"; do
@@ -142,18 +169,26 @@ create_management_scripts() {
 #!/bin/bash
 # Chrome Debugger Proxy Service Controller
 
-SERVICES=("chrome-debugger" "nginx-proxy" "chrome-proxy-manager")
+SERVICES=("nginx-proxy" "chrome-proxy-manager" "chrome-proxy-metrics" "chrome-proxy-auth" "chrome-proxy-json" "chrome-proxy-gateway")
 
 case "$1" in
     start)
         echo "Starting Chrome Debugger Proxy services..."
+        systemctl start chrome-proxy-auth
+        systemctl start chrome-proxy-json
+        systemctl start chrome-proxy-gateway
         systemctl start chrome-proxy-manager
+        systemctl start chrome-proxy-metrics
         ;;
     stop)
         echo "Stopping Chrome Debugger Proxy services..."
+        systemctl stop chrome-proxy-gateway
+        systemctl stop chrome-proxy-metrics
         systemctl stop chrome-proxy-manager
         systemctl stop nginx-proxy
         systemctl stop chrome-debugger
+        systemctl stop chrome-proxy-auth
+        systemctl stop chrome-proxy-json
         ;;
     restart)
         echo "Restarting Chrome Debugger Proxy services..."
@@ -182,7 +217,7 @@ case "$1" in
         /root/repo/scripts/health-check.sh quick
         ;;
     logs)
-        service="${2:-chrome-debugger}"
+        service="${2:-chrome-proxy-manager}"
         echo "Showing logs for $service..."
         journalctl -u "$service" -f --no-pager
         ;;
@@ -254,7 +289,7 @@ setup_logrotate() {
     notifempty
     create 644 chrome chrome
     postrotate
-        systemctl reload chrome-debugger >/dev/null 2>&1 || true
+        systemctl reload chrome-proxy-manager >/dev/null 2>&1 || true
     endscript
 }
 
@@ -326,13 +361,24 @@ print_instructions() {
     echo "  chrome-proxy-service logs     # View logs"
     echo
     echo "Individual service management:"
-    echo "  systemctl start chrome-debugger"
     echo "  systemctl start nginx-proxy"
     echo "  systemctl start chrome-proxy-manager"
     echo
+    echo "Chrome pool:"
+    echo "  curl -s -X POST -d '{\"ttl\": 300}' http://127.0.0.1:9467/leases"
+    echo "  curl -s http://127.0.0.1:9467/instances"
+    echo
     echo "Health monitoring:"
     echo "  /root/repo/scripts/health-check.sh"
     echo "  systemctl status chrome-proxy-health.timer"
+    echo "  curl http://localhost:9464/metrics"
+    echo
+    echo "Single-port gateway:"
+    echo "  curl http://localhost:9470/instances"
+    echo
+    echo "Authentication:"
+    echo "  Add bearer tokens to $AUTH_DIR/tokens.json, then: systemctl reload chrome-proxy-auth"
+    echo "  node /root/repo/test/auth-sidecar.js --secret-file $AUTH_DIR/auth.secret --sign URL --ttl 300"
     echo
     echo "Next steps:"
     echo "1. Start services: chrome-proxy-service start"
@@ -346,13 +392,17 @@ uninstall_services() {
     log "Uninstalling Chrome Debugger Proxy services..."
     
     # Stop and disable services
-    systemctl stop chrome-proxy-manager nginx-proxy chrome-debugger chrome-proxy-health.timer 2>/dev/null || true
-    systemctl disable chrome-proxy-manager nginx-proxy chrome-debugger chrome-proxy-health.timer 2>/dev/null || true
+    systemctl stop chrome-proxy-gateway chrome-proxy-metrics chrome-proxy-manager nginx-proxy chrome-debugger chrome-proxy-auth chrome-proxy-json chrome-proxy-health.timer 2>/dev/null || true
+    systemctl disable chrome-proxy-gateway chrome-proxy-metrics chrome-proxy-manager nginx-proxy chrome-debugger chrome-proxy-auth chrome-proxy-json chrome-proxy-health.timer 2>/dev/null || true
     
     # Remove service files
     rm -f "$SYSTEMD_DIR"/chrome-debugger.service
     rm -f "$SYSTEMD_DIR"/nginx-proxy.service
     rm -f "$SYSTEMD_DIR"/chrome-proxy-manager.service
+    rm -f "$SYSTEMD_DIR"/chrome-proxy-metrics.service
+    rm -f "$SYSTEMD_DIR"/chrome-proxy-auth.service
+    rm -f "$SYSTEMD_DIR"/chrome-proxy-json.service
+    rm -f "$SYSTEMD_DIR"/chrome-proxy-gateway.service
     rm -f "$SYSTEMD_DIR"/chrome-proxy-health.service
     rm -f "$SYSTEMD_DIR"/chrome-proxy-health.timer
     
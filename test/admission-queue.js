@@ -0,0 +1,227 @@
+/**
+ * DevTools Admission Queue
+ * Holds DevTools sessions beyond an instance's capacity in a queue instead of refusing them
+ * Serves higher priorities first and takes turns between clients within a priority
+ */
+
+// In the order they are served
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Why a session was not admitted: queue-full (refused before queueing), timeout or cancelled
+class AdmissionError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'AdmissionError';
+        this.reason = reason;
+    }
+}
+
+class AdmissionQueue {
+    constructor(config = {}) {
+        this.config = {
+            capacity: 10, // sessions per instance, like limit_conn chrome_conn 10
+            maxQueue: 100, // waiting sessions before more are refused
+            maxWait: 30000, // ms a session may wait before it is turned away
+            ...config
+        };
+        this.active = new Map(); // port -> admitted sessions
+        this.waiting = []; // in arrival order
+        this.served = new Map(); // client -> turn it was last admitted on, while it has sessions waiting
+        this.turn = 0;
+        this.nextId = 1;
+        this.stats = {
+            admitted: 0,
+            queued: 0,
+            timedOut: 0,
+            cancelled: 0,
+            refused: 0,
+            waitMs: 0 // summed over queued sessions that were admitted
+        };
+    }
+
+    // Unknown or missing priorities queue as normal
+    static priority(value) {
+        return PRIORITIES.includes(value) ? value : 'normal';
+    }
+
+    hasRoom(port) {
+        return (this.active.get(port) || 0) < this.config.capacity;
+    }
+
+    // A slot on port; release() gives it back once, however often it is called
+    take(port) {
+        this.active.set(port, (this.active.get(port) || 0) + 1);
+        this.stats.admitted++;
+
+        let released = false;
+        return {
+            port,
+            release: () => {
+                if (!released) {
+                    released = true;
+                    this.release(port);
+                }
+            }
+        };
+    }
+
+    // A slot on the first of ports with room, or null when all are full. Waiting sessions
+    // never have room on their ports, so taking a free slot here does not jump the queue
+    tryAcquire(ports) {
+        const port = ports.find(candidate => this.hasRoom(candidate));
+        return port === undefined ? null : this.take(port);
+    }
+
+    // Wait for a slot on any of ports. Returns a ticket whose admitted promise resolves with
+    // { port, waitedMs, release } or rejects with an AdmissionError; onPosition(position, waiting)
+    // is called with the 1-based place in line whenever it changes
+    enqueue({ client = 'anonymous', priority = 'normal', ports, onPosition = null }) {
+        if (this.waiting.length >= this.config.maxQueue) {
+            this.stats.refused++;
+            throw new AdmissionError('queue-full', `Admission queue is full with ${this.waiting.length} sessions waiting`);
+        }
+
+        const entry = {
+            id: this.nextId++,
+            client,
+            priority: AdmissionQueue.priority(priority),
+            ports,
+            onPosition,
+            queuedAt: Date.now(),
+            position: null
+        };
+        entry.admitted = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        entry.timer = setTimeout(() => {
+            this.stats.timedOut++;
+            this.remove(entry, new AdmissionError('timeout', `Not admitted within ${this.config.maxWait}ms`));
+        }, this.config.maxWait);
+
+        this.waiting.push(entry);
+        this.stats.queued++;
+        this.notify();
+
+        return {
+            id: entry.id,
+            position: entry.position,
+            admitted: entry.admitted,
+            cancel: () => {
+                if (this.waiting.includes(entry)) {
+                    this.stats.cancelled++;
+                    this.remove(entry, new AdmissionError('cancelled', 'Left the admission queue'));
+                }
+            }
+        };
+    }
+
+    // Waiting sessions in the order they will be served: by priority, then one per client
+    // in turn, so a client with many sessions waiting cannot hold back everyone else.
+    // Within a round the client served longest ago goes first
+    ordered() {
+        const order = [];
+        PRIORITIES.forEach(priority => {
+            const lanes = new Map();
+            this.waiting.filter(entry => entry.priority === priority).forEach(entry => {
+                if (!lanes.has(entry.client)) {
+                    lanes.set(entry.client, []);
+                }
+                lanes.get(entry.client).push(entry);
+            });
+
+            const lastServed = queue => this.served.get(queue[0].client) || 0;
+            const queues = [...lanes.values()].sort((a, b) => lastServed(a) - lastServed(b));
+            for (let round = 0; queues.some(queue => queue.length > round); round++) {
+                queues.forEach(queue => {
+                    if (queue[round]) {
+                        order.push(queue[round]);
+                    }
+                });
+            }
+        });
+        return order;
+    }
+
+    release(port) {
+        this.active.set(port, Math.max(0, (this.active.get(port) || 0) - 1));
+        this.dispatch();
+    }
+
+    // Hand free slots to waiting sessions in line order; a session waiting for a full
+    // instance does not hold up one behind it that another instance can take
+    dispatch() {
+        let admitted = false;
+        this.ordered().forEach(entry => {
+            const port = entry.ports.find(candidate => this.hasRoom(candidate));
+            if (port === undefined) {
+                return;
+            }
+
+            this.waiting.splice(this.waiting.indexOf(entry), 1);
+            clearTimeout(entry.timer);
+            const waitedMs = Date.now() - entry.queuedAt;
+            this.stats.waitMs += waitedMs;
+            this.served.set(entry.client, ++this.turn);
+            entry.resolve({ ...this.take(port), waitedMs });
+            admitted = true;
+        });
+
+        if (admitted) {
+            this.forgetIdleClients();
+            this.notify();
+        }
+    }
+
+    remove(entry, error) {
+        const index = this.waiting.indexOf(entry);
+        if (index === -1) {
+            return;
+        }
+        this.waiting.splice(index, 1);
+        clearTimeout(entry.timer);
+        entry.reject(error);
+        this.forgetIdleClients();
+        this.notify();
+    }
+
+    // Turns only matter between clients that are waiting
+    forgetIdleClients() {
+        this.served.forEach((turn, client) => {
+            if (!this.waiting.some(entry => entry.client === client)) {
+                this.served.delete(client);
+            }
+        });
+    }
+
+    notify() {
+        this.ordered().forEach((entry, index) => {
+            if (entry.position !== index + 1) {
+                entry.position = index + 1;
+                if (entry.onPosition) {
+                    entry.onPosition(entry.position, this.waiting.length);
+                }
+            }
+        });
+    }
+
+    // For the gateway's /health
+    snapshot() {
+        return {
+            capacity: Number.isFinite(this.config.capacity) ? this.config.capacity : null,
+            sessions: Object.fromEntries(this.active),
+            waiting: this.waiting.length,
+            ...this.stats
+        };
+    }
+
+    // Turn every waiting session away, e.g. on shutdown
+    clear(reason = 'cancelled', message = 'Admission queue closed') {
+        [...this.waiting].forEach(entry => this.remove(entry, new AdmissionError(reason, message)));
+    }
+}
+
+AdmissionQueue.PRIORITIES = PRIORITIES;
+AdmissionQueue.AdmissionError = AdmissionError;
+
+module.exports = AdmissionQueue;
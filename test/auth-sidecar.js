@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome Debugger Proxy Auth Sidecar
+ * Answers nginx auth_request subrequests for the /json endpoints and /devtools WebSocket upgrades
+ * Accepts bearer tokens from a tokens file or HMAC-signed URLs with an expiry and a port or target scope
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const ProxyAuth = require('./proxy-auth');
+
+class AuthSidecar {
+    constructor(config = {}) {
+        this.config = {
+            listenHost: '127.0.0.1',
+            listenPort: 9465,
+            tokensFile: null, // JSON: { "tokens": [{ "name", "token" or "sha256", "ports" }] }
+            secret: process.env.CHROME_PROXY_AUTH_SECRET || null,
+            secretFile: null,
+            maxTtl: 3600, // reject signed URLs that expire further out than this
+            clockSkew: 30, // seconds of leeway on expiry checks
+            quiet: false,
+            ...config
+        };
+
+        this.tokens = [];
+        this.secret = null;
+        this.server = null;
+        this.port = null;
+        this.stats = { allowed: 0, unauthorized: 0, forbidden: 0 };
+
+        this.loadCredentials();
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // Ports a token may reach: omitted for all, or a list of ports and START-END ranges
+    static parsePorts(ports) {
+        if (ports === undefined || ports === null || ports === '*') {
+            return null;
+        }
+
+        const ranges = (Array.isArray(ports) ? ports : String(ports).split(',')).map(entry => {
+            const [start, end] = String(entry).trim().split('-').map(n => parseInt(n));
+            if (isNaN(start)) {
+                throw new Error(`Invalid port "${entry}" in tokens file`);
+            }
+            return { start, end: isNaN(end) ? start : end };
+        });
+
+        return port => ranges.some(range => port >= range.start && port <= range.end);
+    }
+
+    loadCredentials() {
+        const tokens = [];
+
+        if (this.config.tokensFile) {
+            const spec = JSON.parse(fs.readFileSync(this.config.tokensFile, 'utf8'));
+            (spec.tokens || []).forEach((entry, index) => {
+                const sha256 = entry.sha256 || (entry.token && ProxyAuth.hashToken(entry.token));
+                if (!sha256) {
+                    throw new Error(`Token ${index} in ${this.config.tokensFile} needs a "token" or "sha256"`);
+                }
+                tokens.push({
+                    name: entry.name || `token-${index}`,
+                    digest: Buffer.from(sha256, 'hex'),
+                    allowsPort: AuthSidecar.parsePorts(entry.ports)
+                });
+            });
+        }
+
+        let secret = this.config.secret;
+        if (this.config.secretFile) {
+            secret = ProxyAuth.readSecret(this.config.secretFile);
+        }
+
+        this.tokens = tokens;
+        this.secret = secret || null;
+        this.log(`Loaded ${tokens.length} tokens, signed URLs ${this.secret ? 'enabled' : 'disabled'}`);
+    }
+
+    findToken(token) {
+        const digest = Buffer.from(ProxyAuth.hashToken(token), 'hex');
+        return this.tokens.find(entry =>
+            entry.digest.length === digest.length && crypto.timingSafeEqual(entry.digest, digest));
+    }
+
+    checkToken(token, port) {
+        const entry = this.findToken(token);
+        if (!entry) {
+            return { status: 401, reason: 'invalid token' };
+        }
+        if (entry.allowsPort && !entry.allowsPort(port)) {
+            return { status: 403, reason: `token ${entry.name} is not allowed on port ${port}` };
+        }
+        return { status: 204, subject: entry.name };
+    }
+
+    checkSignature(url, port) {
+        if (!this.secret) {
+            return { status: 401, reason: 'signed URLs are not enabled' };
+        }
+
+        const expires = url.searchParams.get('expires') || '';
+        const scope = url.searchParams.get('scope') || '';
+        const signature = Buffer.from(url.searchParams.get('signature') || '');
+        const expected = Buffer.from(ProxyAuth.sign(this.secret, scope, expires));
+
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+            return { status: 401, reason: 'invalid signature' };
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const expiry = parseInt(expires);
+        if (isNaN(expiry) || expiry < now - this.config.clockSkew) {
+            return { status: 401, reason: 'signed URL expired' };
+        }
+        if (expiry > now + this.config.maxTtl + this.config.clockSkew) {
+            return { status: 401, reason: 'signed URL lifetime exceeds the maximum' };
+        }
+
+        const [kind, value] = scope.split(/:(.*)/);
+        if (kind === 'port' && parseInt(value) === port) {
+            return { status: 204, subject: scope };
+        }
+        if (kind === 'target' && value && ProxyAuth.targetIdFromPath(url.pathname) === value) {
+            return { status: 204, subject: scope };
+        }
+        return { status: 403, reason: `signed URL scope ${scope} does not cover ${url.pathname} on port ${port}` };
+    }
+
+    // Decide one request from the original URI, port and Authorization header forwarded by nginx
+    authorize({ uri, port, authorization }) {
+        const url = new URL(uri || '/', 'http://localhost');
+        const bearer = (authorization || '').match(/^Bearer\s+(\S+)$/i);
+        const token = bearer ? bearer[1] : url.searchParams.get('access_token');
+
+        if (token) {
+            return this.checkToken(token, port);
+        }
+        if (url.searchParams.has('signature')) {
+            return this.checkSignature(url, port);
+        }
+        return { status: 401, reason: 'missing credentials' };
+    }
+
+    handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+
+        if (path === '/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok', tokens: this.tokens.length, signedUrls: Boolean(this.secret), ...this.stats }) + '\n');
+            return;
+        }
+
+        if (path !== '/auth') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        const uri = req.headers['x-original-uri'];
+        const port = parseInt(req.headers['x-original-port']);
+        const result = this.authorize({ uri, port, authorization: req.headers.authorization });
+
+        if (result.status === 204) {
+            this.stats.allowed++;
+            res.writeHead(204, { 'X-Auth-Subject': result.subject });
+            res.end();
+            return;
+        }
+
+        // Log the path only, signed URLs and access tokens live in the query string
+        const logPath = (uri || '').split('?')[0];
+        if (result.status === 401) {
+            this.stats.unauthorized++;
+            this.log(`Denied ${req.headers['x-original-method'] || 'GET'} ${logPath} on port ${port}: ${result.reason}`, 'WARN');
+            res.writeHead(401, { 'WWW-Authenticate': `Bearer realm="chrome-debug", error="invalid_token", error_description="${result.reason}"` });
+        } else {
+            this.stats.forbidden++;
+            this.log(`Forbidden ${req.headers['x-original-method'] || 'GET'} ${logPath}: ${result.reason}`, 'WARN');
+            res.writeHead(403);
+        }
+        res.end();
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`Auth sidecar listening on ${this.config.listenHost}:${this.port}`);
+        return this.port;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+    let signUrl = null;
+    let hashToken = null;
+    let ttl = 300;
+    let scope = 'port';
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'listen-host':
+                config.listenHost = value;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                break;
+            case 'tokens':
+                config.tokensFile = value;
+                break;
+            case 'secret-file':
+                config.secretFile = value;
+                break;
+            case 'max-ttl':
+                config.maxTtl = parseInt(value);
+                break;
+            case 'sign':
+                signUrl = value;
+                break;
+            case 'ttl':
+                ttl = parseInt(value);
+                break;
+            case 'scope':
+                scope = value;
+                break;
+            case 'hash-token':
+                hashToken = value;
+                break;
+            case 'help':
+                console.log(`
+Usage: node auth-sidecar.js [options]
+
+Options:
+  --listen-host HOST   Address to listen on (default: 127.0.0.1)
+  --listen-port N      Port to listen on (default: 9465)
+  --tokens FILE        JSON file of accepted bearer tokens
+  --secret-file FILE   HMAC secret for signed URLs (default: $CHROME_PROXY_AUTH_SECRET)
+  --max-ttl N          Longest accepted signed URL lifetime in seconds (default: 3600)
+  --sign URL           Print URL signed with the secret and exit
+  --ttl N              Lifetime of the URL printed by --sign in seconds (default: 300)
+  --scope port|target  Scope of the URL printed by --sign (default: port)
+  --hash-token TOKEN   Print the sha256 of TOKEN for the tokens file and exit
+  --help               Show this help message
+
+Tokens file:
+  { "tokens": [{ "name": "ci", "sha256": "<hex>", "ports": "48000-48100" },
+               { "name": "dev", "token": "plain-text-token" }] }
+
+Sending SIGHUP reloads the tokens and secret files.
+
+Examples:
+  node auth-sidecar.js --tokens /etc/chrome-debug/tokens.json --secret-file /etc/chrome-debug/auth.secret
+  node auth-sidecar.js --secret-file auth.secret --sign ws://proxy:48333/devtools/page/ABC --scope target --ttl 60
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (hashToken) {
+        console.log(ProxyAuth.hashToken(hashToken));
+        process.exit(0);
+    }
+
+    if (signUrl) {
+        const secret = config.secretFile ? ProxyAuth.readSecret(config.secretFile) : process.env.CHROME_PROXY_AUTH_SECRET;
+        if (!secret) {
+            console.error('--sign needs --secret-file or CHROME_PROXY_AUTH_SECRET');
+            process.exit(1);
+        }
+        try {
+            console.log(ProxyAuth.signUrl(signUrl, secret, { ttl, scope }));
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        process.exit(0);
+    }
+
+    let sidecar;
+    try {
+        sidecar = new AuthSidecar(config);
+        await sidecar.start();
+    } catch (error) {
+        console.error('Failed to start auth sidecar:', error);
+        process.exit(1);
+    }
+
+    process.on('SIGHUP', () => {
+        try {
+            sidecar.loadCredentials();
+        } catch (error) {
+            sidecar.log(`Reload failed, keeping previous credentials: ${error.message}`, 'ERROR');
+        }
+    });
+
+    const shutdown = async () => {
+        await sidecar.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = AuthSidecar;
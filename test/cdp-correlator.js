@@ -0,0 +1,90 @@
+/**
+ * CDP Request/Response Correlator
+ * Tracks in-flight DevTools Protocol requests by id with a per-request timeout
+ * Classifies every incoming frame as a response, error, event, late or unmatched reply
+ */
+
+const { performance } = require('perf_hooks');
+
+class CdpCorrelator {
+    constructor(config = {}) {
+        this.config = {
+            timeout: 10000,
+            onTimeout: null, // called with the request entry when it expires
+            ...config
+        };
+
+        this.inFlight = new Map();
+        this.expired = new Map();
+    }
+
+    get pending() {
+        return this.inFlight.size;
+    }
+
+    track(id, method) {
+        const entry = {
+            id,
+            method,
+            sentAt: performance.now(),
+            timer: null
+        };
+
+        entry.timer = setTimeout(() => {
+            this.inFlight.delete(id);
+            this.expired.set(id, entry);
+            if (this.config.onTimeout) {
+                this.config.onTimeout(entry);
+            }
+        }, this.config.timeout);
+
+        this.inFlight.set(id, entry);
+        return entry;
+    }
+
+    // Classify a parsed CDP frame; latency is in milliseconds
+    handle(message) {
+        const now = performance.now();
+
+        if (message.id === undefined) {
+            return { type: 'event', method: message.method };
+        }
+
+        const entry = this.inFlight.get(message.id);
+
+        if (!entry) {
+            const expired = this.expired.get(message.id);
+            if (expired) {
+                this.expired.delete(message.id);
+                return { type: 'late', id: message.id, method: expired.method, latency: now - expired.sentAt };
+            }
+            return { type: 'unmatched', id: message.id };
+        }
+
+        clearTimeout(entry.timer);
+        this.inFlight.delete(message.id);
+
+        const result = {
+            id: message.id,
+            method: entry.method,
+            latency: now - entry.sentAt
+        };
+
+        if (message.error) {
+            return { ...result, type: 'error', error: message.error };
+        }
+
+        return { ...result, type: 'response', result: message.result };
+    }
+
+    // Stop all timers and return the requests that never got an answer
+    clear() {
+        const abandoned = [...this.inFlight.values()];
+        abandoned.forEach(entry => clearTimeout(entry.timer));
+        this.inFlight.clear();
+        this.expired.clear();
+        return abandoned;
+    }
+}
+
+module.exports = CdpCorrelator;
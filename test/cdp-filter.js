@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+
+/**
+ * CDP Method Filter
+ * WebSocket relay in front of a Chrome debugger port that checks every command against a CDP policy
+ * Blocked commands get a CDP error instead of reaching Chrome, and are written to an audit log
+ */
+
+const fs = require('fs');
+const http = require('http');
+const WebSocket = require('ws');
+const CdpPolicy = require('./cdp-policy');
+
+// Request headers passed on to Chrome; Chrome checks Origin and Host, the auth sidecar Authorization
+const FORWARDED_HEADERS = ['origin', 'authorization', 'user-agent'];
+
+// JSON-RPC error codes used by Chrome's DevTools handler
+const CDP_ERRORS = {
+    parseError: -32700,
+    invalidRequest: -32600,
+    serverError: -32000
+};
+
+// Blocked commands are answered with serverError and a message starting with this
+const BLOCKED_MESSAGE = 'Blocked by proxy policy';
+
+// /json endpoints that act on targets, judged as the Target command they stand for;
+// Chrome reads the raw query of /json/new as the URL
+const HTTP_COMMANDS = [
+    { pattern: /^\/json\/new$/, method: 'Target.createTarget', params: (match, query) => ({ url: query || 'about:blank' }) },
+    { pattern: /^\/json\/close\/([^/]+)$/, method: 'Target.closeTarget', params: match => ({ targetId: match[1] }) },
+    { pattern: /^\/json\/activate\/([^/]+)$/, method: 'Target.activateTarget', params: match => ({ targetId: match[1] }) }
+];
+
+// '::ffff:127.0.0.1' -> '127.0.0.1'
+function plainAddress(address) {
+    return String(address || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+// 1005 and 1006 describe a missing close frame and cannot be sent
+function sendableCloseCode(code) {
+    return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999) ? code : 1000;
+}
+
+class CdpFilter {
+    constructor(config = {}) {
+        this.config = {
+            listenHost: '127.0.0.1',
+            listenPort: 9469,
+            upstreamHost: '127.0.0.1',
+            upstreamPort: 48333,
+            policyFile: null, // JSON/YAML policy, see cdp-policy.js
+            policy: null, // or the policy object itself
+            clientHeader: 'x-auth-subject', // names the client; nginx sets it from the auth sidecar's answer
+            trustedProxies: ['127.0.0.1', '::1'], // addresses whose clientHeader is believed, i.e. nginx's
+            auditLog: 'cdp-audit.jsonl', // blocked commands, appended to (null = log only)
+            quiet: false,
+            ...config
+        };
+
+        this.server = null;
+        this.wss = null;
+        this.audit = null;
+        this.port = null;
+        this.policy = null;
+        this.sessions = new Set();
+        this.stats = { sessions: 0, allowed: 0, blocked: 0, upstreamErrors: 0 };
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // True for an error response the filter sent in place of Chrome
+    static isBlocked(error) {
+        return Boolean(error) && error.code === CDP_ERRORS.serverError && String(error.message).startsWith(BLOCKED_MESSAGE);
+    }
+
+    // Read the policy again, e.g. on SIGHUP; a broken file keeps the policy in force
+    loadPolicy() {
+        this.policy = this.config.policyFile
+            ? CdpPolicy.load(this.config.policyFile)
+            : new CdpPolicy(this.config.policy || {});
+        return this.policy;
+    }
+
+    // The client clientHeader names, when a trusted proxy sent it; anyone else is anonymous
+    clientOf(req) {
+        const trusted = this.config.trustedProxies.includes(plainAddress(req.socket.remoteAddress));
+        return (trusted && req.headers[this.config.clientHeader]) || null;
+    }
+
+    // The Target command a /json request stands for, or null for read-only endpoints
+    static httpCommand(url) {
+        const [pathname, query = ''] = url.split(/\?(.*)/s);
+        for (const { pattern, method, params } of HTTP_COMMANDS) {
+            const match = pathname.match(pattern);
+            if (match) {
+                return { method, params: params(match, query) };
+            }
+        }
+        return null;
+    }
+
+    // Plain HTTP (/json and friends) passes through, except target commands the policy denies;
+    // Host is kept so Chrome's URLs name the filter
+    handleRequest(req, res) {
+        const command = CdpFilter.httpCommand(req.url);
+        if (command) {
+            const client = this.clientOf(req);
+            const decision = this.policy.check(client, command.method, command.params);
+            if (!decision.allowed) {
+                this.stats.blocked++;
+                const session = { client, address: req.headers['x-real-ip'] || req.socket.remoteAddress, path: req.url.split('?')[0] };
+                this.record(session, { id: null, method: command.method }, decision);
+                res.writeHead(403, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `${BLOCKED_MESSAGE}: ${decision.reason}`, status: 403 }) + '\n');
+                return;
+            }
+            this.stats.allowed++;
+        }
+
+        const upstream = http.request({
+            host: this.config.upstreamHost,
+            port: this.config.upstreamPort,
+            method: req.method,
+            path: req.url,
+            headers: req.headers
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+
+        upstream.on('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`Chrome on port ${this.config.upstreamPort} failed for ${req.method} ${req.url.split('?')[0]}: ${error.message}`, 'WARN');
+            if (!res.headersSent) {
+                res.writeHead(502, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `Chrome debugger not available on port ${this.config.upstreamPort}`, status: 502 }) + '\n');
+            }
+        });
+        req.pipe(upstream);
+    }
+
+    // Chrome's side is opened first so a refused upgrade reaches the client with Chrome's status
+    handleUpgrade(req, socket, head) {
+        const headers = {};
+        FORWARDED_HEADERS.forEach(name => {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        });
+
+        const upstream = new WebSocket(`ws://${this.config.upstreamHost}:${this.config.upstreamPort}${req.url}`, {
+            headers,
+            perMessageDeflate: false,
+            maxPayload: 256 * 1024 * 1024 // screenshots of large pages
+        });
+
+        const refuse = (status) => {
+            socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+        };
+
+        upstream.once('unexpected-response', (upstreamReq, res) => {
+            upstreamReq.destroy();
+            refuse(res.statusCode);
+        });
+        upstream.once('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`WebSocket to Chrome for ${req.url.split('?')[0]} failed: ${error.message}`, 'WARN');
+            refuse(502);
+        });
+
+        upstream.once('open', () => {
+            upstream.removeAllListeners('error');
+            this.wss.handleUpgrade(req, socket, head, client => this.relay(req, client, upstream));
+        });
+    }
+
+    relay(req, client, upstream) {
+        const session = {
+            client: this.clientOf(req),
+            address: req.headers['x-real-ip'] || req.socket.remoteAddress,
+            // The path only, signed URLs and access tokens live in the query string
+            path: req.url.split('?')[0],
+            ws: client,
+            upstream
+        };
+        this.sessions.add(session);
+        this.stats.sessions++;
+        this.log(`Session for ${session.client || 'anonymous client'} opened on ${session.path}`);
+
+        client.on('message', (data, isBinary) => this.filter(session, data, isBinary));
+        upstream.on('message', (data, isBinary) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(data, { binary: isBinary });
+            }
+        });
+
+        // Whichever side closes first closes the other with the same code
+        const onClose = other => (code, reason) => {
+            this.sessions.delete(session);
+            if (other.readyState === WebSocket.OPEN) {
+                other.close(sendableCloseCode(code), reason);
+            }
+        };
+        client.on('close', onClose(upstream));
+        upstream.on('close', onClose(client));
+
+        client.on('error', error => this.log(`Client error on ${session.path}: ${error.message}`, 'WARN'));
+        upstream.on('error', error => this.log(`Chrome error on ${session.path}: ${error.message}`, 'WARN'));
+    }
+
+    reply(session, message) {
+        if (session.ws.readyState === WebSocket.OPEN) {
+            session.ws.send(JSON.stringify(message));
+        }
+    }
+
+    // Commands the policy cannot judge are not passed on either
+    filter(session, data, isBinary) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.reply(session, { error: { code: CDP_ERRORS.parseError, message: 'Message must be a valid JSON' } });
+            return;
+        }
+        // JSON.parse also accepts null, numbers and strings, which have no id to answer to
+        if (message === null || typeof message !== 'object') {
+            message = {};
+        }
+        if (isBinary || !Number.isInteger(message.id) || typeof message.method !== 'string') {
+            this.reply(session, { id: message.id, error: { code: CDP_ERRORS.invalidRequest, message: "Message must have integer 'id' and string 'method' properties" } });
+            return;
+        }
+
+        const decision = this.policy.check(session.client, message.method, message.params);
+        if (decision.allowed) {
+            this.stats.allowed++;
+            if (session.upstream.readyState === WebSocket.OPEN) {
+                session.upstream.send(data.toString());
+            }
+            return;
+        }
+
+        this.stats.blocked++;
+        this.record(session, message, decision);
+        const response = { id: message.id, error: { code: CDP_ERRORS.serverError, message: `${BLOCKED_MESSAGE}: ${decision.reason}` } };
+        if (message.sessionId) {
+            response.sessionId = message.sessionId;
+        }
+        this.reply(session, response);
+    }
+
+    // Parameters are left out of the audit log, expressions and URLs may carry secrets
+    record(session, message, decision) {
+        this.log(`Blocked ${message.method} from ${session.client || 'anonymous client'} at ${session.address} on ${session.path}: ${decision.reason}`, 'WARN');
+        if (!this.audit) {
+            return;
+        }
+        this.audit.write(JSON.stringify({
+            time: new Date().toISOString(),
+            client: session.client,
+            address: session.address,
+            path: session.path,
+            id: message.id,
+            sessionId: message.sessionId,
+            method: message.method,
+            rule: decision.rule,
+            reason: decision.reason
+        }) + '\n');
+    }
+
+    async start() {
+        this.loadPolicy();
+        if (this.config.auditLog) {
+            this.audit = fs.createWriteStream(this.config.auditLog, { flags: 'a' });
+        }
+        this.wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false, maxPayload: 256 * 1024 * 1024 });
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`Filtering ${this.config.upstreamHost}:${this.config.upstreamPort} via ${this.config.listenHost}:${this.port}, ${this.policy.clients.size} clients with their own policy`);
+        return this.port;
+    }
+
+    async stop() {
+        this.sessions.forEach((session) => {
+            session.ws.terminate();
+            session.upstream.terminate();
+        });
+        this.sessions.clear();
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+        if (this.wss) {
+            this.wss.close();
+        }
+        if (this.audit) {
+            await new Promise(resolve => this.audit.end(resolve));
+            this.audit = null;
+        }
+    }
+}
+
+CdpFilter.BLOCKED_MESSAGE = BLOCKED_MESSAGE;
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'listen-host':
+                config.listenHost = value;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                break;
+            case 'upstream-host':
+                config.upstreamHost = value;
+                break;
+            case 'upstream-port':
+                config.upstreamPort = parseInt(value);
+                break;
+            case 'policy':
+                config.policyFile = value;
+                break;
+            case 'client-header':
+                config.clientHeader = value.toLowerCase();
+                break;
+            case 'trusted-proxy':
+                config.trustedProxies = (config.trustedProxies || []).concat(value.split(','));
+                break;
+            case 'audit-log':
+                config.auditLog = value === 'off' ? null : value;
+                break;
+            case 'help':
+                console.log(`
+Usage: node cdp-filter.js [options]
+
+Options:
+  --listen-host HOST    Address to listen on (default: 127.0.0.1)
+  --listen-port N       Port clients connect to instead of Chrome's (default: 9469)
+  --upstream-host HOST  Chrome's address (default: 127.0.0.1)
+  --upstream-port N     Chrome's debugger port (default: 48333)
+  --policy FILE         JSON/YAML allow and deny lists (default: allow everything)
+  --client-header NAME  Request header naming the client, set by nginx from the auth sidecar's
+                        answer (default: X-Auth-Subject)
+  --trusted-proxy ADDR  Believe --client-header only from this address; repeatable. Clients
+                        connecting from anywhere else get the default policy
+                        (default: 127.0.0.1 and ::1, nginx on the same host)
+  --audit-log FILE      JSONL log of blocked commands, or off (default: cdp-audit.jsonl)
+  --help                Show this help message
+
+Policy file:
+  default:                      # clients without an entry of their own
+    deny: [Browser.close, Browser.crash, Target.closeTarget]
+  clients:
+    dashboard:                  # replaces the default for this client
+      allow: [Page, DOM, Network, Runtime.evaluate]
+      params:
+        Runtime.evaluate:
+          expression: { maxLength: 500, deny: ["fetch\\\\(", "XMLHttpRequest"] }
+        Page.navigate:
+          url: { match: "^https://" }
+
+Send SIGHUP to read the policy file again.
+
+Examples:
+  node cdp-filter.js --upstream-port 48333 --listen-port 48533 --policy cdp-policy.yaml
+  node connection-test.js --range 48533-48533 --policy-checks policy-checks.yaml
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    const filter = new CdpFilter(config);
+
+    try {
+        await filter.start();
+    } catch (error) {
+        console.error('Failed to start CDP filter:', error);
+        process.exit(1);
+    }
+
+    process.on('SIGHUP', () => {
+        try {
+            filter.loadPolicy();
+            filter.log(`Reloaded ${filter.config.policyFile}`);
+        } catch (error) {
+            filter.log(`Keeping the current policy: ${error.message}`, 'ERROR');
+        }
+    });
+
+    const shutdown = async () => {
+        await filter.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = CdpFilter;
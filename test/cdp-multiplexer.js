@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+
+/**
+ * CDP Multiplexer
+ * Shares one WebSocket to each Chrome page target between any number of DevTools clients
+ * Remaps request ids per client and routes events to the clients that enabled their domain
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+
+// Request headers passed on to Chrome; Chrome checks Origin and Host, the auth sidecar Authorization
+const FORWARDED_HEADERS = ['origin', 'authorization', 'user-agent'];
+
+// Domains Chrome sends events for without an enable, e.g. Inspector.detached; every client gets these
+const UNSOLICITED_DOMAINS = ['Inspector', 'Target'];
+
+// JSON-RPC error codes used by Chrome's DevTools handler
+const CDP_ERRORS = {
+    parseError: -32700,
+    invalidRequest: -32600
+};
+
+// 1005 and 1006 describe a missing close frame and cannot be sent
+function sendableCloseCode(code) {
+    return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999) ? code : 1000;
+}
+
+// 'Network.enable' -> ['Network', 'enable']
+function splitMethod(method) {
+    const dot = method.lastIndexOf('.');
+    return [method.slice(0, dot), method.slice(dot + 1)];
+}
+
+class CdpMultiplexer {
+    constructor(config = {}) {
+        this.config = {
+            listenHost: '127.0.0.1',
+            listenPort: 9471,
+            upstreamHost: '127.0.0.1',
+            upstreamPort: 48333,
+            share: /^\/devtools\/page\//, // sessions whose path matches share one upstream, others get their own
+            quiet: false,
+            ...config
+        };
+
+        this.server = null;
+        this.wss = null;
+        this.port = null;
+        this.channels = new Map(); // path -> upstream shared by its clients
+        this.nextChannelId = 1;
+        this.nextClientId = 1;
+        this.stats = { channels: 0, clients: 0, requests: 0, responses: 0, events: 0, eventsDropped: 0, upstreamErrors: 0 };
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // Plain HTTP (/json and friends) passes straight through; Host is kept so Chrome's URLs name the multiplexer
+    handleRequest(req, res) {
+        const upstream = http.request({
+            host: this.config.upstreamHost,
+            port: this.config.upstreamPort,
+            method: req.method,
+            path: req.url,
+            headers: req.headers
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+
+        upstream.on('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`Chrome on port ${this.config.upstreamPort} failed for ${req.method} ${req.url.split('?')[0]}: ${error.message}`, 'WARN');
+            if (!res.headersSent) {
+                res.writeHead(502, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `Chrome debugger not available on port ${this.config.upstreamPort}`, status: 502 }) + '\n');
+            }
+        });
+        req.pipe(upstream);
+    }
+
+    // The first client of a target opens Chrome's side, so a refused upgrade reaches it with Chrome's status.
+    // Clients arriving while that is under way join once it is open
+    handleUpgrade(req, socket, head) {
+        const path = req.url.split('?')[0];
+        const shared = this.config.share.test(path);
+        const key = shared ? path : `${path}#${this.nextChannelId++}`;
+
+        let channel = this.channels.get(key);
+        if (!channel) {
+            channel = this.openChannel(key, path, req, shared);
+        }
+
+        channel.ready.then(() => {
+            this.wss.handleUpgrade(req, socket, head, client => this.attach(channel, client));
+        }, (status) => {
+            socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+        });
+    }
+
+    openChannel(key, path, req, shared) {
+        const headers = {};
+        FORWARDED_HEADERS.forEach(name => {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        });
+
+        const upstream = new WebSocket(`ws://${this.config.upstreamHost}:${this.config.upstreamPort}${req.url}`, {
+            headers,
+            perMessageDeflate: false,
+            maxPayload: 256 * 1024 * 1024 // screenshots of large pages
+        });
+
+        const channel = {
+            key,
+            path,
+            shared,
+            upstream,
+            clients: new Set(),
+            nextId: 1,
+            pending: new Map(), // upstream id -> { client, id, method }
+            domains: new Map(), // domain -> clients that enabled it
+            sessions: new Map() // flattened Target session id -> client that attached
+        };
+        this.channels.set(key, channel);
+
+        channel.ready = new Promise((resolve, reject) => {
+            upstream.once('unexpected-response', (upstreamReq, res) => {
+                upstreamReq.destroy();
+                this.channels.delete(key);
+                reject(res.statusCode);
+            });
+            upstream.once('error', (error) => {
+                this.stats.upstreamErrors++;
+                this.channels.delete(key);
+                this.log(`WebSocket to Chrome for ${path} failed: ${error.message}`, 'WARN');
+                reject(502);
+            });
+            upstream.once('open', () => {
+                upstream.removeAllListeners('error');
+                upstream.on('error', error => this.log(`Chrome error on ${path}: ${error.message}`, 'WARN'));
+                this.stats.channels++;
+                this.log(`Opened ${path} on port ${this.config.upstreamPort}`);
+                resolve();
+            });
+        });
+        // Joiners see the rejection through their own then()
+        channel.ready.catch(() => {});
+
+        upstream.on('message', data => this.fromChrome(channel, data));
+        upstream.on('close', (code, reason) => {
+            this.channels.delete(key);
+            this.log(`Chrome closed ${path} with code ${code}, closing ${channel.clients.size} clients`);
+            channel.clients.forEach(client => client.close(sendableCloseCode(code), reason));
+        });
+
+        return channel;
+    }
+
+    attach(channel, client) {
+        if (channel.upstream.readyState !== WebSocket.OPEN) {
+            client.close(1011, 'Chrome closed the target');
+            return;
+        }
+
+        client.id = this.nextClientId++;
+        client.domains = new Set();
+        channel.clients.add(client);
+        this.stats.clients++;
+        this.log(`Client ${client.id} joined ${channel.path} (${channel.clients.size} sharing)`);
+
+        client.on('message', (data, isBinary) => this.fromClient(channel, client, data, isBinary));
+        client.on('close', () => this.detach(channel, client));
+        client.on('error', error => this.log(`Client ${client.id} error: ${error.message}`, 'WARN'));
+    }
+
+    reply(client, message) {
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify(message));
+        }
+    }
+
+    // Forward a command under a channel-wide id; owner null means the multiplexer sent it for itself
+    forward(channel, owner, message) {
+        const id = channel.nextId++;
+        channel.pending.set(id, { client: owner, id: message.id, method: message.method });
+        channel.upstream.send(JSON.stringify({ ...message, id }));
+        this.stats.requests++;
+    }
+
+    fromClient(channel, client, data, isBinary) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.reply(client, { error: { code: CDP_ERRORS.parseError, message: 'Message must be a valid JSON' } });
+            return;
+        }
+        // JSON.parse also accepts null, numbers and strings, which have no id to answer to
+        if (message === null || typeof message !== 'object') {
+            message = {};
+        }
+        if (isBinary || !Number.isInteger(message.id) || typeof message.method !== 'string') {
+            this.reply(client, { id: message.id, error: { code: CDP_ERRORS.invalidRequest, message: "Message must have integer 'id' and string 'method' properties" } });
+            return;
+        }
+
+        // Domain state is per target in Chrome: enables always go through so Chrome replays the
+        // domain's current state, disables only once no other client still has the domain enabled
+        const [domain, command] = splitMethod(message.method);
+        if (!message.sessionId && command === 'enable') {
+            this.subscribe(channel, client, domain);
+        } else if (!message.sessionId && command === 'disable') {
+            this.unsubscribe(channel, client, domain);
+            if (channel.domains.has(domain)) {
+                this.reply(client, { id: message.id, result: {} });
+                return;
+            }
+        }
+
+        this.forward(channel, client, message);
+    }
+
+    subscribe(channel, client, domain) {
+        if (!channel.domains.has(domain)) {
+            channel.domains.set(domain, new Set());
+        }
+        channel.domains.get(domain).add(client);
+        client.domains.add(domain);
+    }
+
+    unsubscribe(channel, client, domain) {
+        const clients = channel.domains.get(domain);
+        if (clients) {
+            clients.delete(client);
+            if (clients.size === 0) {
+                channel.domains.delete(domain);
+            }
+        }
+        client.domains.delete(domain);
+    }
+
+    fromChrome(channel, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.log(`Unparseable message from Chrome on ${channel.path}: ${error.message}`, 'WARN');
+            return;
+        }
+
+        if (message.id !== undefined) {
+            const request = channel.pending.get(message.id);
+            if (!request) {
+                return;
+            }
+            channel.pending.delete(message.id);
+            this.stats.responses++;
+
+            if (!request.client) {
+                return;
+            }
+            // An enable Chrome refused does not subscribe the client
+            const [domain, command] = splitMethod(request.method);
+            if (message.error && command === 'enable') {
+                this.unsubscribe(channel, request.client, domain);
+            }
+            if (message.result && message.result.sessionId) {
+                channel.sessions.set(message.result.sessionId, request.client);
+            }
+            this.reply(request.client, { ...message, id: request.id });
+            return;
+        }
+
+        this.stats.events++;
+        const recipients = this.recipients(channel, message);
+        if (recipients.length === 0) {
+            this.stats.eventsDropped++;
+        }
+        const text = data.toString();
+        recipients.forEach(client => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(text);
+            }
+        });
+    }
+
+    // Events of an attached session go to the client that attached, the rest to the clients that
+    // enabled the event's domain. Domains nobody enabled reach everyone, as they would unshared
+    recipients(channel, message) {
+        if (!channel.shared) {
+            return [...channel.clients];
+        }
+        if (message.sessionId) {
+            const client = channel.sessions.get(message.sessionId);
+            if (message.method === 'Target.detachedFromTarget') {
+                channel.sessions.delete(message.sessionId);
+            }
+            return client ? [client] : [];
+        }
+
+        const [domain] = splitMethod(message.method || '');
+        const subscribed = channel.domains.get(domain);
+        if (subscribed) {
+            return [...subscribed];
+        }
+        return UNSOLICITED_DOMAINS.includes(domain) ? [...channel.clients] : [];
+    }
+
+    // Domains only the leaving client had enabled are disabled in Chrome; the last client closes the target's socket
+    detach(channel, client) {
+        channel.clients.delete(client);
+        channel.pending.forEach((request) => {
+            if (request.client === client) {
+                request.client = null;
+            }
+        });
+        channel.sessions.forEach((owner, sessionId) => {
+            if (owner === client) {
+                channel.sessions.delete(sessionId);
+            }
+        });
+
+        if (channel.upstream.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        if (channel.clients.size === 0) {
+            this.channels.delete(channel.key);
+            this.log(`Last client left ${channel.path}, closing it`);
+            channel.upstream.close();
+            return;
+        }
+
+        [...client.domains].forEach(domain => {
+            this.unsubscribe(channel, client, domain);
+            if (!channel.domains.has(domain)) {
+                this.forward(channel, null, { method: `${domain}.disable`, params: {} });
+            }
+        });
+        this.log(`Client ${client.id} left ${channel.path} (${channel.clients.size} sharing)`);
+    }
+
+    async start() {
+        this.wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false, maxPayload: 256 * 1024 * 1024 });
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`Multiplexing ${this.config.upstreamHost}:${this.config.upstreamPort} via ${this.config.listenHost}:${this.port}`);
+        return this.port;
+    }
+
+    async stop() {
+        this.channels.forEach((channel) => {
+            channel.clients.forEach(client => client.terminate());
+            channel.upstream.terminate();
+        });
+        this.channels.clear();
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+        if (this.wss) {
+            this.wss.close();
+        }
+    }
+}
+
+CdpMultiplexer.UNSOLICITED_DOMAINS = UNSOLICITED_DOMAINS;
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'listen-host':
+                config.listenHost = value;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                break;
+            case 'upstream-host':
+                config.upstreamHost = value;
+                break;
+            case 'upstream-port':
+                config.upstreamPort = parseInt(value);
+                break;
+            case 'help':
+                console.log(`
+Usage: node cdp-multiplexer.js [options]
+
+Options:
+  --listen-host HOST    Address to listen on (default: 127.0.0.1)
+  --listen-port N       Port clients connect to instead of Chrome's (default: 9471)
+  --upstream-host HOST  Chrome's address (default: 127.0.0.1)
+  --upstream-port N     Chrome's debugger port or its proxy port (default: 48333)
+  --help                Show this help message
+
+Clients of the same /devtools/page/<id> share one WebSocket to Chrome. Each client
+keeps its own request ids, and gets the events of the domains it enabled. Other
+WebSockets, such as /devtools/browser/, get a socket of their own.
+
+Examples:
+  node cdp-multiplexer.js --upstream-port 48333 --listen-port 48433
+  node load-test.js --port 48433 --target first --connections 20
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    const multiplexer = new CdpMultiplexer(config);
+
+    try {
+        await multiplexer.start();
+    } catch (error) {
+        console.error('Failed to start CDP multiplexer:', error);
+        process.exit(1);
+    }
+
+    const shutdown = async () => {
+        await multiplexer.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = CdpMultiplexer;
@@ -0,0 +1,179 @@
+/**
+ * CDP Method Policy
+ * Allow and deny lists of CDP methods and domains per client, with rules on the parameters of risky calls
+ * Policies come from a JSON/YAML file; clients without an entry of their own get the default policy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Conditions a parameter rule may set
+const PARAM_CONDITIONS = ['required', 'match', 'deny', 'maxLength', 'oneOf'];
+
+// Carries a whole CDP command for another target as a JSON string in params.message
+const NESTED_COMMAND = 'Target.sendMessageToTarget';
+
+class PolicyError extends Error {
+    constructor(message) {
+        super(`Invalid CDP policy: ${message}`);
+        this.name = 'PolicyError';
+    }
+}
+
+// '*' matches every method, 'Page' and 'Page.*' every Page method, 'Page.navigate' only itself
+function matches(pattern, method) {
+    if (pattern === '*' || pattern === method) {
+        return true;
+    }
+    const domain = pattern.endsWith('.*') ? pattern.slice(0, -2) : pattern;
+    return !domain.includes('.') && method.startsWith(`${domain}.`);
+}
+
+// Value at a dot path such as 'options.url'
+function valueAt(params, field) {
+    return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), params);
+}
+
+function compileRule(method, field, rule) {
+    if (!rule || typeof rule !== 'object') {
+        throw new PolicyError(`params.${method}.${field} must be an object`);
+    }
+    Object.keys(rule).forEach(key => {
+        if (!PARAM_CONDITIONS.includes(key)) {
+            throw new PolicyError(`params.${method}.${field} has unknown condition "${key}" (expected ${PARAM_CONDITIONS.join(', ')})`);
+        }
+    });
+
+    // The pattern is kept as written for messages, RegExp.source escapes slashes
+    const regex = (pattern) => {
+        try {
+            return { pattern, regex: new RegExp(pattern) };
+        } catch (error) {
+            throw new PolicyError(`params.${method}.${field}: ${error.message}`);
+        }
+    };
+
+    return {
+        field,
+        required: Boolean(rule.required),
+        match: rule.match !== undefined ? regex(rule.match) : null,
+        deny: [].concat(rule.deny || []).map(regex),
+        maxLength: rule.maxLength !== undefined ? rule.maxLength : null,
+        oneOf: rule.oneOf !== undefined ? [].concat(rule.oneOf) : null
+    };
+}
+
+function compileEntry(name, entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new PolicyError(`${name} must be an object with allow, deny and params`);
+    }
+
+    const list = (key, fallback) => {
+        const value = entry[key] === undefined ? fallback : entry[key];
+        if (!Array.isArray(value) || !value.every(pattern => typeof pattern === 'string' && pattern)) {
+            throw new PolicyError(`${name}.${key} must be a list of methods or domains`);
+        }
+        return value;
+    };
+
+    const params = {};
+    Object.entries(entry.params || {}).forEach(([method, fields]) => {
+        params[method] = Object.entries(fields || {}).map(([field, rule]) => compileRule(method, field, rule));
+    });
+
+    return { allow: list('allow', ['*']), deny: list('deny', []), params };
+}
+
+// Why a parameter breaks its rule, or null when it does not
+function violation(rule, params) {
+    const value = valueAt(params || {}, rule.field);
+    if (value === undefined) {
+        return rule.required ? `${rule.field} is required` : null;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return `${rule.field} must be one of ${rule.oneOf.map(choice => JSON.stringify(choice)).join(', ')}`;
+    }
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (rule.maxLength !== null && text.length > rule.maxLength) {
+        return `${rule.field} is longer than ${rule.maxLength} characters`;
+    }
+    if (rule.match && !rule.match.regex.test(text)) {
+        return `${rule.field} does not match ${rule.match.pattern}`;
+    }
+    const denied = rule.deny.find(deny => deny.regex.test(text));
+    if (denied) {
+        return `${rule.field} matches ${denied.pattern}`;
+    }
+    return null;
+}
+
+class CdpPolicy {
+    constructor(spec = {}) {
+        if (!spec || typeof spec !== 'object') {
+            throw new PolicyError('expected an object with default and clients');
+        }
+        this.default = compileEntry('default', spec.default || {});
+        this.clients = new Map(Object.entries(spec.clients || {}).map(([name, entry]) => [name, compileEntry(`clients.${name}`, entry)]));
+    }
+
+    static load(file) {
+        const content = fs.readFileSync(file, 'utf8');
+        let spec;
+        try {
+            spec = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+        } catch (error) {
+            throw new PolicyError(`cannot parse ${file}: ${error.message}`);
+        }
+        return new CdpPolicy(spec);
+    }
+
+    // Clients listed under clients get their entry instead of the default, not on top of it
+    entryFor(client) {
+        return (client && this.clients.get(client)) || this.default;
+    }
+
+    // { allowed, rule, reason }: rule is the pattern or parameter that decided a blocked call
+    check(client, method, params) {
+        const entry = this.entryFor(client);
+        const who = client || 'anonymous clients';
+
+        const denied = entry.deny.find(pattern => matches(pattern, method));
+        if (denied) {
+            return { allowed: false, rule: `deny ${denied}`, reason: `${method} is denied for ${who}` };
+        }
+        if (!entry.allow.some(pattern => matches(pattern, method))) {
+            return { allowed: false, rule: 'allow', reason: `${method} is not allowed for ${who}` };
+        }
+
+        for (const rule of entry.params[method] || []) {
+            const reason = violation(rule, params);
+            if (reason) {
+                return { allowed: false, rule: `params ${rule.field}`, reason: `${method}: ${reason}` };
+            }
+        }
+
+        // The command inside is judged like one sent directly, otherwise it would reach around the lists
+        if (method === NESTED_COMMAND) {
+            let inner;
+            try {
+                inner = JSON.parse((params || {}).message);
+            } catch (error) {
+                inner = null;
+            }
+            if (!inner || typeof inner !== 'object' || typeof inner.method !== 'string') {
+                return { allowed: false, rule: 'params message', reason: `${method}: message is not a CDP command` };
+            }
+            const decision = this.check(client, inner.method, inner.params);
+            if (!decision.allowed) {
+                return { allowed: false, rule: `message ${decision.rule}`, reason: `${method}: ${decision.reason}` };
+            }
+        }
+        return { allowed: true };
+    }
+}
+
+CdpPolicy.PolicyError = PolicyError;
+
+module.exports = CdpPolicy;
@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome DevTools Protocol Probe
+ * Resolves, connects and runs Runtime.evaluate probes against a DevTools WebSocket
+ * Classifies failures as dns, connect, handshake, timeout, protocol or auth, each with its own exit code
+ */
+
+const dns = require('dns');
+const net = require('net');
+const WebSocket = require('ws');
+const fetch = require('node-fetch');
+const { performance } = require('perf_hooks');
+const PortDiscovery = require('./port-discovery');
+const ProxyAuth = require('./proxy-auth');
+const ProxyTls = require('./proxy-tls');
+
+// Exit code per failure class; 1 is left for usage errors
+const EXIT_CODES = {
+    ok: 0,
+    usage: 1,
+    dns: 2,
+    connect: 3,
+    handshake: 4,
+    timeout: 5,
+    protocol: 6,
+    'no-target': 7,
+    auth: 8
+};
+
+const DEFAULT_PROBES = [
+    { expression: '1 + 1', expect: 2 }
+];
+
+// The browser endpoint has no Runtime domain
+const BROWSER_PROBES = [
+    { method: 'Browser.getVersion' }
+];
+
+// Carries the failure class through the probe phases
+class ProbeError extends Error {
+    constructor(failure, message, details = {}) {
+        super(message);
+        this.name = 'ProbeError';
+        this.failure = failure;
+        Object.assign(this, details);
+    }
+}
+
+class CdpProbe {
+    constructor(config = {}) {
+        this.config = {
+            host: 'localhost',
+            port: 48333,
+            url: null, // WebSocket URL to probe; discovered from /json/list when unset
+            browser: false, // probe the browser endpoint from /json/version instead of a page
+            timeout: 10000, // per phase, in ms
+            probes: null, // [{ expression, expect }] or [{ method, params }]
+            auth: null, // { token } or { secret, ttl, scope } for the auth sidecar
+            tls: null, // { enabled, ca, servername } for https and wss
+            ...config
+        };
+        this.auth = new ProxyAuth(this.config.auth || {});
+        this.tls = new ProxyTls(this.config.tls || {});
+
+        if (!this.config.probes) {
+            this.config.probes = this.config.browser ? BROWSER_PROBES : DEFAULT_PROBES;
+        }
+    }
+
+    async resolveHost(host) {
+        if (net.isIP(host)) {
+            return host;
+        }
+
+        try {
+            const { address } = await dns.promises.lookup(host);
+            return address;
+        } catch (error) {
+            throw new ProbeError('dns', `Cannot resolve ${host}: ${error.code || error.message}`);
+        }
+    }
+
+    tcpConnect(host, port) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect({ host, port });
+
+            const fail = (message) => {
+                socket.destroy();
+                reject(new ProbeError('connect', message));
+            };
+
+            socket.setTimeout(this.config.timeout);
+            socket.once('connect', () => {
+                socket.destroy();
+                resolve();
+            });
+            socket.once('timeout', () => fail(`TCP connect to ${host}:${port} timed out after ${this.config.timeout}ms`));
+            socket.once('error', (error) => fail(`TCP connect to ${host}:${port} failed: ${error.code || error.message}`));
+        });
+    }
+
+    // WebSocket URL of the first page target, or of the browser with config.browser
+    async discoverUrl(host, port) {
+        const endpoint = this.config.browser ? '/json/version' : '/json/list';
+        let response;
+
+        try {
+            response = await fetch(this.auth.authorizeUrl(this.tls.url(host, port, endpoint)), {
+                ...this.tls.fetchOptions(),
+                timeout: this.config.timeout,
+                headers: {
+                    'User-Agent': 'Chrome-Proxy-Test/1.0',
+                    ...this.auth.headers()
+                }
+            });
+        } catch (error) {
+            const failure = error.type === 'request-timeout' ? 'timeout' : 'connect';
+            throw new ProbeError(failure, `GET ${endpoint} failed: ${error.message}`);
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new ProbeError('auth', `GET ${endpoint} was refused with HTTP ${response.status}`, { status: response.status });
+        }
+
+        if (!response.ok) {
+            throw new ProbeError('handshake', `GET ${endpoint} returned HTTP ${response.status}`, { status: response.status });
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new ProbeError('protocol', `GET ${endpoint} returned invalid JSON`);
+        }
+
+        const wsUrl = this.config.browser
+            ? data.webSocketDebuggerUrl
+            : (data.find(t => t.type === 'page' && t.webSocketDebuggerUrl) || {}).webSocketDebuggerUrl;
+
+        if (!wsUrl) {
+            throw new ProbeError('no-target', `No ${this.config.browser ? 'browser' : 'page'} WebSocket URL in ${endpoint}`);
+        }
+
+        return wsUrl;
+    }
+
+    openSocket(url) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.auth.authorizeUrl(url), {
+                ...this.tls.socketOptions(),
+                handshakeTimeout: this.config.timeout,
+                headers: this.auth.headers()
+            });
+
+            ws.once('unexpected-response', (req, res) => {
+                req.destroy();
+                if (res.statusCode === 401 || res.statusCode === 403) {
+                    reject(new ProbeError('auth', `WebSocket upgrade refused with HTTP ${res.statusCode}`, { status: res.statusCode }));
+                    return;
+                }
+                reject(new ProbeError('handshake', `WebSocket upgrade rejected with HTTP ${res.statusCode}`, { status: res.statusCode }));
+            });
+            ws.once('open', () => resolve(ws));
+            ws.once('error', (error) => {
+                const failure = /handshake has timed out/i.test(error.message) ? 'timeout' : 'handshake';
+                reject(new ProbeError(failure, `WebSocket handshake failed: ${error.message}`));
+            });
+        });
+    }
+
+    // Send one Runtime.evaluate (or raw method) and check the reply
+    evaluate(ws, id, probe) {
+        const method = probe.method || 'Runtime.evaluate';
+        const params = probe.method
+            ? probe.params || {}
+            : { expression: probe.expression, returnByValue: true };
+
+        return new Promise((resolve, reject) => {
+            const start = performance.now();
+
+            const finish = (error, value) => {
+                clearTimeout(timer);
+                ws.off('message', onMessage);
+                ws.off('close', onClose);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve({ expression: probe.expression || method, value, durationMs: performance.now() - start });
+                }
+            };
+
+            const onMessage = (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data.toString());
+                } catch (error) {
+                    finish(new ProbeError('protocol', 'Invalid JSON frame from DevTools'));
+                    return;
+                }
+
+                // Events and replies to other requests are not ours
+                if (message.id !== id) {
+                    return;
+                }
+
+                if (message.error) {
+                    finish(new ProbeError('protocol', `CDP error ${message.error.code}: ${message.error.message}`, { cdpError: message.error }));
+                } else if (message.result?.exceptionDetails) {
+                    const details = message.result.exceptionDetails;
+                    const description = details.exception?.description || details.text;
+                    finish(new ProbeError('protocol', `Expression threw: ${description.split('\n')[0]}`));
+                } else {
+                    const value = probe.method ? message.result : message.result?.result?.value;
+                    if (probe.expect !== undefined && JSON.stringify(value) !== JSON.stringify(probe.expect)) {
+                        finish(new ProbeError('protocol', `Expected ${probe.expression} to be ${JSON.stringify(probe.expect)}, got ${JSON.stringify(value)}`));
+                    } else {
+                        finish(null, value);
+                    }
+                }
+            };
+
+            const onClose = (code, reason) => {
+                finish(new ProbeError('protocol', `WebSocket closed with code ${code} before replying${reason.length ? `: ${reason}` : ''}`, { closeCode: code }));
+            };
+
+            const timer = setTimeout(() => {
+                finish(new ProbeError('timeout', `No reply to ${method} within ${this.config.timeout}ms`));
+            }, this.config.timeout);
+
+            ws.on('message', onMessage);
+            ws.on('close', onClose);
+            ws.send(JSON.stringify({ id, method, params }));
+        });
+    }
+
+    // Run every phase; always resolves with a result object, never throws
+    async run() {
+        const started = performance.now();
+        const timings = {};
+        const result = {
+            success: false,
+            failure: null,
+            exitCode: EXIT_CODES.ok,
+            error: null,
+            url: this.config.url,
+            probes: [],
+            timings
+        };
+
+        const phase = async (name, fn) => {
+            const start = performance.now();
+            try {
+                return await fn();
+            } finally {
+                timings[name] = performance.now() - start;
+            }
+        };
+
+        let ws = null;
+        try {
+            let host = this.config.host;
+            let port = this.config.port;
+
+            if (this.config.url) {
+                const parsed = new URL(this.config.url);
+                host = parsed.hostname;
+                port = parseInt(parsed.port) || (parsed.protocol === 'wss:' ? 443 : 80);
+            }
+
+            const address = await phase('dns', () => this.resolveHost(host));
+            await phase('connect', () => this.tcpConnect(address, port));
+
+            if (!result.url) {
+                result.url = await phase('discovery', () => this.discoverUrl(host, port));
+            }
+
+            ws = await phase('handshake', () => this.openSocket(result.url));
+
+            for (const [index, probe] of this.config.probes.entries()) {
+                result.probes.push(await phase(`probe${index + 1}`, () => this.evaluate(ws, index + 1, probe)));
+            }
+
+            result.success = true;
+        } catch (error) {
+            result.failure = error.failure || 'protocol';
+            result.exitCode = EXIT_CODES[result.failure];
+            result.error = error.message;
+            if (error.status) {
+                result.status = error.status;
+            }
+            if (error.closeCode) {
+                result.closeCode = error.closeCode;
+            }
+        } finally {
+            if (ws) {
+                ws.terminate();
+            }
+        }
+
+        result.durationMs = performance.now() - started;
+        return result;
+    }
+}
+
+function formatResult(result) {
+    if (result.success) {
+        const probes = result.probes.map(p => `${p.expression} = ${JSON.stringify(p.value)}`).join(', ');
+        return `OK ${result.url} ${probes} (${result.durationMs.toFixed(1)}ms)`;
+    }
+    return `FAIL [${result.failure}] ${result.url || ''} ${result.error}`.replace(/\s+/g, ' ');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = { probes: [] };
+    const discovery = {};
+    const auth = ProxyAuth.fromEnvironment();
+    const tls = {};
+    let json = false;
+
+    // Parse command line arguments; --json and --browser take no value
+    for (let i = 0; i < args.length; i++) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'host':
+                config.host = value;
+                i++;
+                break;
+            case 'port':
+                config.port = parseInt(value);
+                i++;
+                break;
+            case 'url':
+                config.url = value;
+                i++;
+                break;
+            case 'timeout':
+                config.timeout = parseFloat(value) * 1000;
+                i++;
+                break;
+            case 'expression':
+                config.probes.push({ expression: value });
+                i++;
+                break;
+            case 'expect': {
+                // Applies to the preceding --expression; parsed as JSON when possible
+                const probe = config.probes[config.probes.length - 1];
+                if (!probe) {
+                    console.error('--expect must follow an --expression');
+                    process.exit(EXIT_CODES.usage);
+                }
+                try {
+                    probe.expect = JSON.parse(value);
+                } catch (error) {
+                    probe.expect = value;
+                }
+                i++;
+                break;
+            }
+            case 'range': {
+                const [start, end] = value.split('-').map(n => parseInt(n));
+                discovery.portRange = { start, end: end || start };
+                i++;
+                break;
+            }
+            case 'pid-dir':
+                discovery.pidDir = value;
+                discovery.usePidFiles = true;
+                i++;
+                break;
+            case 'token':
+                auth.token = value;
+                i++;
+                break;
+            case 'auth-secret-file':
+                auth.secret = ProxyAuth.readSecret(value);
+                i++;
+                break;
+            case 'scheme':
+                tls.enabled = value === 'https';
+                i++;
+                break;
+            case 'ca':
+                tls.enabled = true;
+                tls.ca = value;
+                i++;
+                break;
+            case 'servername':
+                tls.servername = value;
+                i++;
+                break;
+            case 'browser':
+                config.browser = true;
+                break;
+            case 'json':
+                json = true;
+                break;
+            case 'help':
+                console.log(`
+Usage: node cdp-probe.js [options]
+
+Options:
+  --host HOST          Proxy host (default: localhost)
+  --port N             Proxy port (default: 48333)
+  --url URL            Probe this DevTools WebSocket URL instead of discovering one
+  --browser            Probe the browser endpoint from /json/version instead of a page
+  --range START-END    Probe every Chrome instance found in this port range
+  --pid-dir DIR        Probe every port with a start-chrome.sh PID file in DIR
+  --expression EXPR    Runtime.evaluate expression to run; repeat for several (default: 1 + 1)
+  --expect VALUE       Expected result of the preceding --expression (JSON or string)
+  --timeout N          Timeout per phase in seconds (default: 10)
+  --token TOKEN        Bearer token for the auth sidecar (default: $CHROME_PROXY_TOKEN)
+  --auth-secret-file FILE  Sign URLs with this secret instead (default: $CHROME_PROXY_AUTH_SECRET)
+  --scheme http|https  Reach the proxy over https and wss (default: http)
+  --ca FILE            Trust this CA, such as ca.pem from tls-certs.js; implies https
+  --servername NAME    SNI and certificate name when --host is an address
+  --json               Print the result as JSON
+  --help               Show this help message
+
+Exit codes:
+  0  probe succeeded
+  1  usage error
+  2  DNS resolution failed
+  3  TCP connection failed
+  4  HTTP or WebSocket handshake rejected
+  5  timed out waiting for the handshake or a CDP reply
+  6  CDP protocol error, exception or unexpected value
+  7  no target to probe
+  8  credentials missing or refused by the auth sidecar (HTTP 401/403)
+
+Examples:
+  node cdp-probe.js --port 48333
+  node cdp-probe.js --port 48333 --expression 'document.readyState' --expect complete --json
+  node cdp-probe.js --pid-dir /var/run/chrome-debug
+  node cdp-probe.js --host 10.0.1.25 --port 48333 --ca tls/ca.pem --servername chrome-proxy.internal
+`);
+                process.exit(0);
+                break;
+            default:
+                console.error(`Unknown option: ${args[i]}`);
+                process.exit(EXIT_CODES.usage);
+        }
+    }
+
+    if (config.probes.length === 0) {
+        config.probes = null;
+    }
+
+    if (auth.token || auth.secret) {
+        config.auth = auth;
+    }
+
+    // A wss:// --url needs the TLS options as much as --scheme https does
+    if (tls.enabled || (config.url && config.url.startsWith('wss:'))) {
+        config.tls = { ...tls, enabled: true };
+    }
+
+    try {
+        // Several ports when a range or PID directory is given, otherwise just --port
+        let ports = [config.port || 48333];
+        if (discovery.portRange || discovery.usePidFiles) {
+            const instances = await new PortDiscovery({ host: config.host || 'localhost', auth: config.auth, tls: config.tls, ...discovery }).discover();
+            ports = instances.map(instance => instance.port);
+            if (ports.length === 0) {
+                const result = { success: false, failure: 'no-target', exitCode: EXIT_CODES['no-target'], error: 'No Chrome instances found' };
+                console.log(json ? JSON.stringify(result, null, 2) : formatResult(result));
+                process.exit(result.exitCode);
+            }
+        }
+
+        const results = [];
+        for (const port of ports) {
+            results.push(await new CdpProbe({ ...config, port }).run());
+        }
+
+        if (json) {
+            console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+        } else {
+            results.forEach(result => console.log(formatResult(result)));
+        }
+
+        // The first failure decides the exit code
+        const failed = results.find(result => !result.success);
+        process.exit(failed ? failed.exitCode : EXIT_CODES.ok);
+    } catch (error) {
+        console.error('Fatal error running the probe:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+CdpProbe.EXIT_CODES = EXIT_CODES;
+CdpProbe.ProbeError = ProbeError;
+
+module.exports = CdpProbe;
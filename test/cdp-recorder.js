@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+
+/**
+ * CDP Session Recorder
+ * Transparent WebSocket relay in front of a Chrome debugger port
+ * Writes both directions of every /devtools/page/ session to a JSONL recording with timestamps
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const WebSocket = require('ws');
+
+const DIRECTIONS = {
+    client: 'client-to-chrome',
+    chrome: 'chrome-to-client'
+};
+
+// Request headers passed on to Chrome; Chrome checks Origin and Host, the auth sidecar Authorization
+const FORWARDED_HEADERS = ['origin', 'authorization', 'user-agent'];
+
+// 1005 and 1006 describe a missing close frame and cannot be sent
+function sendableCloseCode(code) {
+    return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999) ? code : 1000;
+}
+
+class CdpRecorder {
+    constructor(config = {}) {
+        this.config = {
+            listenHost: '127.0.0.1',
+            listenPort: 9468,
+            upstreamHost: '127.0.0.1',
+            upstreamPort: 48333,
+            output: 'cdp-recording.jsonl',
+            record: /^\/devtools\/page\//, // sessions whose path matches are recorded, others only relayed
+            quiet: false,
+            ...config
+        };
+
+        this.server = null;
+        this.wss = null;
+        this.stream = null;
+        this.port = null;
+        this.sessions = new Set();
+        this.stats = { sessions: 0, recorded: 0, messages: 0, bytes: 0, upstreamErrors: 0 };
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // Sessions of a recording in the order they opened, each with its messages
+    static readRecording(file) {
+        const sessions = new Map();
+
+        fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid recording ${file}: line ${index + 1} is not JSON`);
+            }
+
+            if (!sessions.has(entry.session)) {
+                sessions.set(entry.session, { id: entry.session, path: null, startedAt: entry.time, messages: [], close: null });
+            }
+            const session = sessions.get(entry.session);
+
+            if (entry.event === 'open') {
+                session.path = entry.path;
+            } else if (entry.event === 'message') {
+                session.messages.push(entry);
+            } else if (entry.event === 'close') {
+                session.close = entry;
+            }
+        });
+
+        return [...sessions.values()];
+    }
+
+    write(entry) {
+        this.stream.write(JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+    }
+
+    recordMessage(session, direction, data, isBinary) {
+        this.stats.messages++;
+        this.stats.bytes += data.length;
+        if (!session.recorded) {
+            return;
+        }
+
+        const entry = {
+            elapsed: Number((performance.now() - session.openedAt).toFixed(3)),
+            session: session.id,
+            event: 'message',
+            direction
+        };
+
+        if (isBinary) {
+            entry.binary = data.toString('base64');
+        } else {
+            const text = data.toString('utf8');
+            try {
+                entry.message = JSON.parse(text);
+            } catch (error) {
+                entry.raw = text;
+            }
+        }
+
+        this.write(entry);
+    }
+
+    // Plain HTTP (/json and friends) passes straight through; Host is kept so Chrome's URLs name the relay
+    handleRequest(req, res) {
+        const upstream = http.request({
+            host: this.config.upstreamHost,
+            port: this.config.upstreamPort,
+            method: req.method,
+            path: req.url,
+            headers: req.headers
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+
+        upstream.on('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`Chrome on port ${this.config.upstreamPort} failed for ${req.method} ${req.url.split('?')[0]}: ${error.message}`, 'WARN');
+            if (!res.headersSent) {
+                res.writeHead(502, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `Chrome debugger not available on port ${this.config.upstreamPort}`, status: 502 }) + '\n');
+            }
+        });
+        req.pipe(upstream);
+    }
+
+    // Chrome's side is opened first so a refused upgrade reaches the client with Chrome's status
+    handleUpgrade(req, socket, head) {
+        const path = req.url.split('?')[0];
+        const headers = {};
+        FORWARDED_HEADERS.forEach(name => {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        });
+
+        const upstream = new WebSocket(`ws://${this.config.upstreamHost}:${this.config.upstreamPort}${req.url}`, {
+            headers,
+            perMessageDeflate: false
+        });
+
+        const refuse = (status) => {
+            socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+        };
+
+        upstream.once('unexpected-response', (upstreamReq, res) => {
+            upstreamReq.destroy();
+            refuse(res.statusCode);
+        });
+        upstream.once('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`WebSocket to Chrome for ${path} failed: ${error.message}`, 'WARN');
+            refuse(502);
+        });
+
+        upstream.once('open', () => {
+            upstream.removeAllListeners('error');
+            this.wss.handleUpgrade(req, socket, head, (client) => this.relay(client, upstream, path));
+        });
+    }
+
+    relay(client, upstream, path) {
+        const session = {
+            id: crypto.randomUUID().slice(0, 8),
+            openedAt: performance.now(),
+            recorded: this.config.record.test(path),
+            client,
+            upstream
+        };
+        this.sessions.add(session);
+        this.stats.sessions++;
+
+        if (session.recorded) {
+            this.stats.recorded++;
+            // The path only, signed URLs and access tokens live in the query string
+            this.write({
+                elapsed: 0,
+                session: session.id,
+                event: 'open',
+                path,
+                upstream: `${this.config.upstreamHost}:${this.config.upstreamPort}`
+            });
+        }
+        this.log(`Session ${session.id} opened for ${path}${session.recorded ? '' : ' (not recorded)'}`);
+
+        const forward = (from, to, direction) => {
+            from.on('message', (data, isBinary) => {
+                this.recordMessage(session, direction, data, isBinary);
+                if (to.readyState === WebSocket.OPEN) {
+                    to.send(data, { binary: isBinary });
+                }
+            });
+        };
+        forward(client, upstream, DIRECTIONS.client);
+        forward(upstream, client, DIRECTIONS.chrome);
+
+        // Whichever side closes first closes the other with the same code
+        let closed = false;
+        const onClose = (other, direction) => (code, reason) => {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            this.sessions.delete(session);
+
+            if (session.recorded) {
+                this.write({
+                    elapsed: Number((performance.now() - session.openedAt).toFixed(3)),
+                    session: session.id,
+                    event: 'close',
+                    direction,
+                    code,
+                    reason: reason.toString()
+                });
+            }
+            this.log(`Session ${session.id} closed by ${direction === DIRECTIONS.client ? 'client' : 'Chrome'} with code ${code}`);
+
+            if (other.readyState === WebSocket.OPEN) {
+                other.close(sendableCloseCode(code), reason);
+            }
+        };
+        client.on('close', onClose(upstream, DIRECTIONS.client));
+        upstream.on('close', onClose(client, DIRECTIONS.chrome));
+
+        client.on('error', error => this.log(`Session ${session.id} client error: ${error.message}`, 'WARN'));
+        upstream.on('error', error => this.log(`Session ${session.id} Chrome error: ${error.message}`, 'WARN'));
+    }
+
+    async start() {
+        this.stream = fs.createWriteStream(this.config.output, { flags: 'a' });
+        this.wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false });
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`Recording ${this.config.upstreamHost}:${this.config.upstreamPort} via ${this.config.listenHost}:${this.port} to ${this.config.output}`);
+        return this.port;
+    }
+
+    async stop() {
+        // Open sessions write their close entry before the recording ends
+        const closed = [...this.sessions].map(session => new Promise(resolve => session.client.once('close', resolve)));
+        this.sessions.forEach(session => {
+            session.client.terminate();
+            session.upstream.terminate();
+        });
+        await Promise.all(closed);
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+        if (this.wss) {
+            this.wss.close();
+        }
+        if (this.stream) {
+            await new Promise(resolve => this.stream.end(resolve));
+            this.stream = null;
+        }
+    }
+}
+
+CdpRecorder.DIRECTIONS = DIRECTIONS;
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    // Parse command line arguments; --all takes no value
+    for (let i = 0; i < args.length; i++) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'listen-host':
+                config.listenHost = value;
+                i++;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                i++;
+                break;
+            case 'upstream-host':
+                config.upstreamHost = value;
+                i++;
+                break;
+            case 'upstream-port':
+                config.upstreamPort = parseInt(value);
+                i++;
+                break;
+            case 'output':
+                config.output = value;
+                i++;
+                break;
+            case 'all':
+                config.record = /^\/devtools\//;
+                break;
+            case 'help':
+                console.log(`
+Usage: node cdp-recorder.js [options]
+
+Options:
+  --listen-host HOST    Address to listen on (default: 127.0.0.1)
+  --listen-port N       Port clients connect to instead of Chrome's (default: 9468)
+  --upstream-host HOST  Chrome's address (default: 127.0.0.1)
+  --upstream-port N     Chrome's debugger port (default: 48333)
+  --output FILE         JSONL recording, appended to (default: cdp-recording.jsonl)
+  --all                 Record /devtools/browser/ sessions too, not only pages
+  --help                Show this help message
+
+Every line is one JSON object with time, elapsed (ms since the session opened),
+session and event: "open" (path), "message" (direction and message) or "close"
+(direction, code and reason). Direction is client-to-chrome or chrome-to-client.
+
+Examples:
+  node cdp-recorder.js --upstream-port 48333 --listen-port 48433 --output session.jsonl
+  node cdp-replay.js --recording session.jsonl --port 48333
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    const recorder = new CdpRecorder(config);
+
+    try {
+        await recorder.start();
+    } catch (error) {
+        console.error('Failed to start CDP recorder:', error);
+        process.exit(1);
+    }
+
+    const shutdown = async () => {
+        await recorder.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = CdpRecorder;
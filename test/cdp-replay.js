@@ -0,0 +1,502 @@
+#!/usr/bin/env node
+
+/**
+ * CDP Session Replay
+ * Plays the client side of a cdp-recorder.js recording against the mock or a real Chrome
+ * Diffs every reply with the recorded one and reports matching, differing and missing replies
+ */
+
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const { performance } = require('perf_hooks');
+const CdpRecorder = require('./cdp-recorder');
+const ProxyAuth = require('./proxy-auth');
+const ReportFormatter = require('./report-formatter');
+
+const COMPARE_MODES = ['shape', 'exact'];
+
+// Keys that name protocol objects; ids Chrome hands out differ between runs
+const ID_KEY = /Id$/;
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Differences between a recorded and a replayed value as "path: explanation" strings.
+// shape compares keys and types, with arrays compared by their first item; exact compares values too
+function diffValues(expected, actual, mode, path = '') {
+    const at = path || '(root)';
+    const expectedType = typeOf(expected);
+    const actualType = typeOf(actual);
+
+    if (expectedType !== actualType) {
+        return [`${at}: ${expectedType} recorded, ${actualType} replayed`];
+    }
+
+    if (expectedType === 'array') {
+        if (mode === 'exact') {
+            if (expected.length !== actual.length) {
+                return [`${at}: ${expected.length} items recorded, ${actual.length} replayed`];
+            }
+            return expected.flatMap((item, index) => diffValues(item, actual[index], mode, `${path}[${index}]`));
+        }
+        if (expected.length > 0 && actual.length === 0) {
+            return [`${at}: ${expected.length} items recorded, none replayed`];
+        }
+        return expected.length > 0 ? diffValues(expected[0], actual[0], mode, `${path}[0]`) : [];
+    }
+
+    if (expectedType === 'object') {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        return [...keys].flatMap(key => {
+            const child = path ? `${path}.${key}` : key;
+            if (!(key in actual)) {
+                return [`${child}: missing`];
+            }
+            if (!(key in expected)) {
+                return [`${child}: not recorded`];
+            }
+            return diffValues(expected[key], actual[key], mode, child);
+        });
+    }
+
+    if (mode === 'exact' && expected !== actual) {
+        return [`${at}: ${JSON.stringify(expected)} recorded, ${JSON.stringify(actual)} replayed`];
+    }
+    return [];
+}
+
+// Remember which replayed id stands for each recorded one, from values at the same *Id key
+function learnIds(expected, actual, ids) {
+    if (typeOf(expected) !== typeOf(actual) || !expected || typeof expected !== 'object') {
+        return;
+    }
+
+    Object.keys(expected).forEach(key => {
+        const value = expected[key];
+        if (ID_KEY.test(key) && (typeof value === 'string' || typeof value === 'number') && actual[key] !== undefined) {
+            ids.set(value, actual[key]);
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => learnIds(item, (actual[key] || [])[index], ids));
+        } else {
+            learnIds(value, actual[key], ids);
+        }
+    });
+}
+
+// Copy of a value with recorded ids at *Id keys swapped for the replayed ones
+function translateIds(value, ids) {
+    if (Array.isArray(value)) {
+        return value.map(item => translateIds(item, ids));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+        copy[key] = ID_KEY.test(key) && ids.has(item) ? ids.get(item) : translateIds(item, ids);
+    });
+    return copy;
+}
+
+function countMethods(messages) {
+    return messages.reduce((counts, message) => {
+        counts[message.method] = (counts[message.method] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+class CdpReplay {
+    constructor(config = {}) {
+        this.config = {
+            host: 'localhost',
+            port: 48333,
+            recording: null,
+            newTarget: false, // replay page sessions on a fresh target instead of the first page
+            compare: 'shape',
+            ignore: [], // paths left out of the diff, e.g. result.result.value; [] matches any index
+            pace: 'fast', // 'fast' sends each request once the previous one is answered, 'recorded' keeps the gaps
+            timeout: 10000,
+            auth: null, // { token } or { secret, ttl, scope } for the auth sidecar
+            logToStderr: false,
+            quiet: false,
+            ...config
+        };
+        this.auth = new ProxyAuth(this.config.auth || {});
+
+        if (!COMPARE_MODES.includes(this.config.compare)) {
+            throw new Error(`Unknown compare mode "${this.config.compare}" (expected ${COMPARE_MODES.join(' or ')})`);
+        }
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        const write = this.config.logToStderr ? console.error : console.log;
+        write(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    ignored(path) {
+        const normalized = path.replace(/\[\d+\]/g, '[]');
+        return this.config.ignore.some(prefix => normalized === prefix || normalized.startsWith(`${prefix}.`) || normalized.startsWith(`${prefix}[`));
+    }
+
+    async fetchJson(path, method = 'GET') {
+        const url = this.auth.authorizeUrl(`http://${this.config.host}:${this.config.port}${path}`);
+        const response = await fetch(url, {
+            method,
+            timeout: this.config.timeout,
+            headers: this.auth.headers()
+        });
+        if (!response.ok) {
+            throw new Error(`${method} ${path} returned HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // WebSocket URL to replay a recorded session on, and a cleanup for targets created for it
+    async resolveTarget(session) {
+        if (/^\/devtools\/browser\//.test(session.path || '')) {
+            const version = await this.fetchJson('/json/version');
+            return { url: version.webSocketDebuggerUrl, cleanup: async () => {} };
+        }
+
+        if (this.config.newTarget) {
+            const target = await this.fetchJson('/json/new?about:blank', 'PUT');
+            return {
+                url: target.webSocketDebuggerUrl,
+                cleanup: () => fetch(this.auth.authorizeUrl(`http://${this.config.host}:${this.config.port}/json/close/${target.id}`), {
+                    timeout: this.config.timeout,
+                    headers: this.auth.headers()
+                }).catch(() => {})
+            };
+        }
+
+        const targets = await this.fetchJson('/json/list');
+        const page = targets.find(target => target.type === 'page' && target.webSocketDebuggerUrl);
+        if (!page) {
+            throw new Error(`No page target on ${this.config.host}:${this.config.port}`);
+        }
+        return { url: page.webSocketDebuggerUrl, cleanup: async () => {} };
+    }
+
+    openSocket(url) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.auth.authorizeUrl(url), {
+                handshakeTimeout: this.config.timeout,
+                headers: this.auth.headers()
+            });
+
+            ws.pending = new Map();
+            ws.events = [];
+            ws.on('message', (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data.toString());
+                } catch (error) {
+                    return;
+                }
+
+                if (message.id === undefined) {
+                    ws.events.push(message);
+                } else if (ws.pending.has(message.id)) {
+                    ws.pending.get(message.id)(message);
+                }
+            });
+
+            ws.once('unexpected-response', (req, res) => {
+                req.destroy();
+                reject(new Error(`WebSocket upgrade to ${url} rejected with HTTP ${res.statusCode}`));
+            });
+            ws.once('open', () => resolve(ws));
+            ws.once('error', reject);
+        });
+    }
+
+    // Resolves to the reply, or null when none arrives in time
+    send(ws, message) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                ws.pending.delete(message.id);
+                resolve(null);
+            }, this.config.timeout);
+
+            ws.pending.set(message.id, (reply) => {
+                clearTimeout(timer);
+                ws.pending.delete(message.id);
+                resolve(reply);
+            });
+            ws.send(JSON.stringify(message));
+        });
+    }
+
+    compare(expected, actual, ids) {
+        const pick = message => (message.error ? { error: message.error } : { result: message.result });
+        learnIds(pick(expected), pick(actual), ids);
+
+        const recorded = this.config.compare === 'exact' ? translateIds(pick(expected), ids) : pick(expected);
+        return diffValues(recorded, pick(actual), this.config.compare)
+            .filter(difference => !this.ignored(difference.split(':')[0]));
+    }
+
+    async replaySession(session) {
+        const { client, chrome } = CdpRecorder.DIRECTIONS;
+        const requests = session.messages.filter(entry =>
+            entry.direction === client && entry.message && typeof entry.message.id === 'number' && entry.message.method);
+        const replies = new Map();
+        const recordedEvents = [];
+        session.messages.filter(entry => entry.direction === chrome && entry.message).forEach(entry => {
+            if (entry.message.id === undefined) {
+                recordedEvents.push(entry.message);
+            } else {
+                replies.set(entry.message.id, entry.message);
+            }
+        });
+
+        const target = await this.resolveTarget(session);
+        const ws = await this.openSocket(target.url);
+        const ids = new Map();
+
+        // The recorded page stands for the target replayed on
+        const recordedTarget = ProxyAuth.targetIdFromPath(session.path || '');
+        const replayTarget = ProxyAuth.targetIdFromPath(new URL(target.url).pathname);
+        if (recordedTarget && replayTarget) {
+            ids.set(recordedTarget, replayTarget);
+        }
+
+        this.log(`Replaying session ${session.id} (${session.path}, ${requests.length} requests) on ${target.url}`);
+
+        const testcases = [];
+        const startedAt = performance.now();
+
+        try {
+            for (const entry of requests) {
+                if (this.config.pace === 'recorded') {
+                    const wait = entry.elapsed - (performance.now() - startedAt);
+                    if (wait > 0) {
+                        await new Promise(resolve => setTimeout(resolve, wait));
+                    }
+                }
+
+                const name = `#${entry.message.id} ${entry.message.method}`;
+                const sentAt = performance.now();
+                const reply = await this.send(ws, translateIds(entry.message, ids));
+                const durationMs = performance.now() - sentAt;
+                const recorded = replies.get(entry.message.id);
+
+                if (!reply) {
+                    testcases.push({ name, status: 'failed', message: `no reply within ${this.config.timeout}ms`, durationMs });
+                } else if (!recorded) {
+                    testcases.push({ name, status: 'skipped', message: 'no reply in the recording', durationMs });
+                } else {
+                    const differences = this.compare(recorded, reply, ids);
+                    if (differences.length > 0) {
+                        this.log(`Session ${session.id} ${name}: ${differences.join('; ')}`, 'WARN');
+                    }
+                    testcases.push({
+                        name,
+                        status: differences.length > 0 ? 'failed' : 'passed',
+                        message: differences.length > 0 ? `${differences[0]}${differences.length > 1 ? ` (+${differences.length - 1} more)` : ''}` : undefined,
+                        details: differences.length > 0 ? differences.join('\n') : undefined,
+                        durationMs
+                    });
+                }
+            }
+        } finally {
+            ws.close();
+            await target.cleanup();
+        }
+
+        return {
+            id: session.id,
+            path: session.path,
+            replayedOn: target.url,
+            events: {
+                recorded: countMethods(recordedEvents),
+                replayed: countMethods(ws.events)
+            },
+            testcases
+        };
+    }
+
+    async run() {
+        const startedAt = new Date();
+        const sessions = CdpRecorder.readRecording(this.config.recording).filter(session => session.path);
+        if (sessions.length === 0) {
+            throw new Error(`No sessions in ${this.config.recording}`);
+        }
+
+        const results = [];
+        for (const session of sessions) {
+            results.push(await this.replaySession(session));
+        }
+
+        const testcases = results.flatMap(result => result.testcases);
+        const count = status => testcases.filter(testcase => testcase.status === status).length;
+        const summary = {
+            sessions: results.length,
+            requests: testcases.length,
+            matched: count('passed'),
+            differing: testcases.filter(testcase => testcase.status === 'failed' && !testcase.message.startsWith('no reply')).length,
+            missing: testcases.filter(testcase => testcase.status === 'failed' && testcase.message.startsWith('no reply')).length,
+            unrecorded: count('skipped')
+        };
+        const success = count('failed') === 0;
+
+        this.log(`${summary.matched}/${summary.requests} replies match the recording (${this.config.compare}), ${summary.differing} differ, ${summary.missing} missing`, success ? 'INFO' : 'WARN');
+
+        return {
+            name: 'cdp-replay',
+            timestamp: startedAt.toISOString(),
+            durationMs: Date.now() - startedAt.getTime(),
+            success,
+            recording: this.config.recording,
+            target: `${this.config.host}:${this.config.port}`,
+            compare: this.config.compare,
+            summary,
+            sessions: results.map(({ id, path, replayedOn, events }) => ({ id, path, replayedOn, events })),
+            testsuites: results.map(result => ({
+                name: `session ${result.id} (${result.path})`,
+                testcases: result.testcases
+            }))
+        };
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = { ignore: [] };
+    const auth = ProxyAuth.fromEnvironment();
+    let format = 'text';
+    let output = null;
+
+    // Parse command line arguments; --new-target takes no value
+    for (let i = 0; i < args.length; i++) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'recording':
+                config.recording = value;
+                i++;
+                break;
+            case 'host':
+                config.host = value;
+                i++;
+                break;
+            case 'port':
+                config.port = parseInt(value);
+                i++;
+                break;
+            case 'compare':
+                config.compare = value;
+                i++;
+                break;
+            case 'ignore':
+                config.ignore.push(value);
+                i++;
+                break;
+            case 'pace':
+                config.pace = value;
+                i++;
+                break;
+            case 'timeout':
+                config.timeout = parseFloat(value) * 1000;
+                i++;
+                break;
+            case 'token':
+                auth.token = value;
+                i++;
+                break;
+            case 'auth-secret-file':
+                auth.secret = ProxyAuth.readSecret(value);
+                i++;
+                break;
+            case 'format':
+                format = value;
+                i++;
+                break;
+            case 'output':
+                output = value;
+                i++;
+                break;
+            case 'new-target':
+                config.newTarget = true;
+                break;
+            case 'help':
+                console.log(`
+Usage: node cdp-replay.js --recording FILE [options]
+
+Options:
+  --recording FILE     JSONL recording from cdp-recorder.js
+  --host HOST          Chrome or proxy host to replay against (default: localhost)
+  --port N             Chrome or proxy port (default: 48333)
+  --new-target         Replay page sessions on a new target instead of the first page
+  --compare MODE       shape: same keys and types; exact: same values too (default: shape)
+  --ignore PATH        Leave PATH out of the diff, e.g. result.result.value; repeat for more
+  --pace MODE          fast, or recorded to keep the recorded gaps between requests (default: fast)
+  --timeout N          Seconds to wait for each reply (default: 10)
+  --token TOKEN        Bearer token for the auth sidecar (default: $CHROME_PROXY_TOKEN)
+  --auth-secret-file FILE  Sign URLs with this secret instead (default: $CHROME_PROXY_AUTH_SECRET)
+  --format FORMAT      Report format: text, json or junit (default: text)
+  --output FILE        Write the report to FILE instead of stdout
+  --help               Show this help message
+
+Ids Chrome hands out (targetId, sessionId, frameId, ...) are mapped from the
+recording to the replay, so later requests refer to the replayed objects.
+Exits 0 when every reply matches the recording, 1 otherwise.
+
+Examples:
+  node cdp-replay.js --recording session.jsonl --port 48333
+  node cdp-replay.js --recording session.jsonl --port 48333 --compare exact --ignore result.result.value
+  node cdp-replay.js --recording session.jsonl --format junit --output replay.xml
+`);
+                process.exit(0);
+                break;
+            default:
+                console.error(`Unknown option: ${args[i]}`);
+                process.exit(1);
+        }
+    }
+
+    if (!config.recording) {
+        console.error('--recording is required');
+        process.exit(1);
+    }
+    if (auth.token || auth.secret) {
+        config.auth = auth;
+    }
+
+    let formatter;
+    try {
+        formatter = new ReportFormatter({ format, output });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    // Machine-readable reports on stdout push the log lines to stderr
+    config.logToStderr = format !== 'text' && !output;
+
+    try {
+        const replay = new CdpReplay(config);
+        const report = await replay.run();
+        formatter.write(report);
+        process.exit(report.success ? 0 : 1);
+    } catch (error) {
+        console.error(`Replay failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = CdpReplay;
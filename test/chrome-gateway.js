@@ -0,0 +1,745 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome Debugger Single-Port Gateway
+ * Routes /chrome/<port-or-name>/json/* and /chrome/<port-or-name>/devtools/* to any Chrome instance from one port
+ * Lists every live instance on /instances, with discovery URLs rewritten to point back through the gateway
+ * Queues DevTools sessions over an instance's limit and hands them to the first instance with room
+ */
+
+const fs = require('fs');
+const http = require('http');
+const WebSocket = require('ws');
+const PortDiscovery = require('./port-discovery');
+const JsonRewriter = require('./json-rewriter');
+const ProxyAuth = require('./proxy-auth');
+const AdmissionQueue = require('./admission-queue');
+
+// /chrome/<key>/<rest of the path>?<query>
+const ROUTE = /^\/chrome\/([^/?]+)(\/[^?]*)?(\?.*)?$/;
+
+// /chrome/any/devtools/browser goes to the browser session of the first instance with room
+const ANY_INSTANCE = 'any';
+
+// Queue priority, from the X-DevTools-Priority header or ?priority= for clients that cannot set headers
+const PRIORITY_HEADER = 'x-devtools-priority';
+const PRIORITY_PARAM = 'priority';
+
+// Close codes a relay may not send on: no status, abnormal closure and TLS failure
+const RESERVED_CLOSE_CODES = [1005, 1006, 1015];
+
+// Request headers a queued session's relay passes on to Chrome, as the tunnel does for the rest;
+// Chrome checks Origin, an auth sidecar in front of it Authorization
+const FORWARDED_HEADERS = ['origin', 'authorization', 'user-agent'];
+
+function stripPriority(query) {
+    const rest = query.replace(/^\?/, '').split('&').filter(part => part && part.split('=')[0] !== PRIORITY_PARAM);
+    return rest.length > 0 ? `?${rest.join('&')}` : '';
+}
+
+// '::ffff:127.0.0.1' -> '127.0.0.1'
+function plainAddress(address) {
+    return String(address || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+// Clients take turns in the queue by address. Forwarding headers only count when a trusted
+// proxy such as nginx sent them; anyone else could pick a fresh address for every session
+function clientAddress(req, trustedProxies) {
+    const remote = plainAddress(req.socket.remoteAddress);
+    if (!trustedProxies.includes(remote)) {
+        return remote;
+    }
+    const forwarded = req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.headers['x-real-ip'] || remote;
+}
+
+class ChromeGateway {
+    constructor(config = {}) {
+        this.config = {
+            listenHost: '0.0.0.0',
+            listenPort: 9470,
+            upstreamHost: '127.0.0.1',
+            portRange: {
+                start: 48000,
+                end: 49000
+            },
+            pidDir: '/var/run/chrome-debug',
+            usePidFiles: false,
+            names: {}, // instance name -> Chrome port
+            discoveryTtl: 5000, // ms an /instances discovery is reused
+            timeout: 10000,
+            authUrl: null, // auth sidecar checked before every request, like nginx auth_request
+            maxSessions: 0, // DevTools sessions per instance before upgrades queue (0 = no limit)
+            queueSize: 100, // sessions waiting before further upgrades get 503
+            queueTimeout: 30000, // ms a session may wait for room before it is closed with 1013
+            trustedProxies: [], // addresses whose X-Forwarded-For and X-Real-IP name the client
+            priorities: {}, // auth subject or client address -> the highest priority it may ask for
+            quiet: false,
+            ...config
+        };
+
+        this.portNames = new Map(Object.entries(this.config.names).map(([name, port]) => [parseInt(port), name]));
+        this.discovery = null;
+        this.tunnels = new Set();
+        this.relays = new Set();
+        this.admission = new AdmissionQueue({
+            capacity: this.config.maxSessions || Infinity,
+            maxQueue: this.config.queueSize,
+            maxWait: this.config.queueTimeout
+        });
+        // Queued sessions are accepted by the gateway itself, and learn their place in line from this header
+        this.wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false });
+        this.wss.on('headers', (headers, req) => {
+            if (req.admissionPosition) {
+                headers.push(`X-Admission-Queue-Position: ${req.admissionPosition}`);
+            }
+        });
+        this.server = null;
+        this.port = null;
+        this.stats = { requests: 0, upgrades: 0, upstreamErrors: 0, authDenied: 0 };
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    static loadNames(file) {
+        const names = JSON.parse(fs.readFileSync(file, 'utf8'));
+        Object.entries(names).forEach(([name, port]) => {
+            if (/^\d+$/.test(name) || name === ANY_INSTANCE || isNaN(parseInt(port))) {
+                throw new Error(`Invalid entry "${name}": ${port} in ${file} (expected "name": port)`);
+            }
+        });
+        return names;
+    }
+
+    // Same format as --names: { "ci-nightly": "high", "10.0.1.40": "low" }
+    static loadPriorities(file) {
+        const priorities = JSON.parse(fs.readFileSync(file, 'utf8'));
+        Object.entries(priorities).forEach(([client, priority]) => {
+            if (!AdmissionQueue.PRIORITIES.includes(priority)) {
+                throw new Error(`Invalid entry "${client}": ${priority} in ${file} (expected ${AdmissionQueue.PRIORITIES.join(', ')})`);
+            }
+        });
+        return priorities;
+    }
+
+    // The priority a session asked for, capped at what its auth subject or address is allowed;
+    // asking for less is always fine, asking for more than normal needs an entry in priorities
+    priorityFor(req, query, client) {
+        const param = new URLSearchParams(query).get(PRIORITY_PARAM);
+        const requested = AdmissionQueue.priority(req.headers[PRIORITY_HEADER] || param);
+        const allowed = AdmissionQueue.priority((req.authSubject && this.config.priorities[req.authSubject]) || this.config.priorities[client]);
+        const { PRIORITIES } = AdmissionQueue;
+        return PRIORITIES[Math.max(PRIORITIES.indexOf(requested), PRIORITIES.indexOf(allowed))];
+    }
+
+    // Chrome port for a /chrome/<key> prefix, or null when the key names nothing we route to
+    resolve(key) {
+        const port = /^\d+$/.test(key) ? parseInt(key) : parseInt(this.config.names[key]);
+        const { start, end } = this.config.portRange;
+        return port >= start && port <= end ? port : null;
+    }
+
+    route(url) {
+        const match = url.match(ROUTE);
+        if (!match) {
+            return null;
+        }
+
+        // A malformed escape like /chrome/%E0/ names nothing; callers answer 400
+        let key;
+        try {
+            key = decodeURIComponent(match[1]);
+        } catch (error) {
+            return { key: match[1], port: null, invalid: true };
+        }
+        let path = match[2] || '/';
+        // Same as the nginx server blocks: /health asks Chrome for /json
+        if (path === '/health') {
+            path = '/json';
+        }
+
+        return {
+            key,
+            port: this.resolve(key),
+            path,
+            query: match[3] || ''
+        };
+    }
+
+    // Live instances, rediscovered at most every discoveryTtl ms
+    discover() {
+        const now = Date.now();
+        if (!this.discovery || now - this.discovery.at > this.config.discoveryTtl) {
+            const discovery = new PortDiscovery({
+                host: this.config.upstreamHost,
+                portRange: this.config.portRange,
+                pidDir: this.config.pidDir,
+                usePidFiles: this.config.usePidFiles,
+                timeout: this.config.timeout,
+                quiet: this.config.quiet
+            });
+            this.discovery = { at: now, instances: discovery.discover() };
+            // A failed discovery is not cached
+            this.discovery.instances.catch(() => {
+                this.discovery = null;
+            });
+        }
+        return this.discovery.instances;
+    }
+
+    async listInstances(origin) {
+        const instances = await this.discover();
+
+        return instances.map(instance => {
+            const name = this.portNames.get(instance.port) || String(instance.port);
+            const prefix = `/chrome/${encodeURIComponent(name)}`;
+            return {
+                name,
+                port: instance.port,
+                path: `${prefix}/`,
+                browser: instance.browser,
+                protocolVersion: instance.protocolVersion,
+                userAgent: instance.userAgent,
+                targetCount: instance.targetCount,
+                webSocketDebuggerUrl: instance.webSocketDebuggerUrl
+                    ? JsonRewriter.rewriteSocketUrl(instance.webSocketDebuggerUrl, { ...origin, prefix })
+                    : null
+            };
+        });
+    }
+
+    // Resolves to 200 when the request may go through, otherwise the status to answer with
+    async authorize(req, uri, port) {
+        if (!this.config.authUrl || req.method === 'OPTIONS') {
+            return 200;
+        }
+
+        const { status, subject } = await ProxyAuth.verify(this.config.authUrl, {
+            uri,
+            method: req.method,
+            port,
+            authorization: req.headers.authorization
+        });
+        if (status >= 200 && status < 300) {
+            req.authSubject = subject;
+            return 200;
+        }
+
+        this.stats.authDenied++;
+        return status === 401 || status === 403 ? status : 500;
+    }
+
+    sendJson(res, status, body) {
+        const payload = JSON.stringify(body, null, 3) + '\n';
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=UTF-8',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+
+    sendError(res, status, message) {
+        this.sendJson(res, status, { error: message, status });
+    }
+
+    async handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+
+        if (path === '/health') {
+            return this.sendJson(res, 200, {
+                status: 'ok',
+                ...this.stats,
+                tunnels: this.tunnels.size + this.relays.size,
+                admission: this.admission.snapshot()
+            });
+        }
+
+        if (path === '/instances') {
+            // Credentials for the gateway's own port see every instance, others only the instances they
+            // reach; without valid credentials there is nothing to discover
+            const gatewayStatus = await this.authorize(req, req.url, this.port);
+            if (gatewayStatus !== 200 && gatewayStatus !== 403) {
+                return this.sendError(res, gatewayStatus, http.STATUS_CODES[gatewayStatus]);
+            }
+
+            let instances;
+            try {
+                instances = await this.listInstances(JsonRewriter.publicOrigin(req.headers));
+            } catch (error) {
+                return this.sendError(res, 500, `Discovery failed: ${error.message}`);
+            }
+
+            if (gatewayStatus === 200) {
+                return this.sendJson(res, 200, instances);
+            }
+            const query = req.url.slice(path.length);
+            const statuses = await Promise.all(instances.map(instance => this.authorize(req, `/json/version${query}`, instance.port)));
+            const allowed = instances.filter((instance, index) => statuses[index] === 200);
+
+            if (allowed.length === 0 && instances.length > 0) {
+                const status = statuses.includes(403) ? 403 : statuses[0];
+                return this.sendError(res, status, http.STATUS_CODES[status]);
+            }
+            return this.sendJson(res, 200, allowed);
+        }
+
+        const route = this.route(req.url);
+        if (route && route.invalid) {
+            return this.sendError(res, 400, `Malformed instance name "${route.key}"`);
+        }
+        if (!route) {
+            return this.sendError(res, 404, 'Not found, instances are served under /chrome/<port-or-name>/ and listed on /instances');
+        }
+        if (!route.port) {
+            return this.sendError(res, 404, `Unknown Chrome instance "${route.key}"`);
+        }
+
+        const status = await this.authorize(req, route.path + route.query, route.port);
+        if (status !== 200) {
+            return this.sendError(res, status, http.STATUS_CODES[status]);
+        }
+
+        this.proxyHttp(req, res, route);
+    }
+
+    proxyHttp(req, res, route) {
+        this.stats.requests++;
+
+        const origin = { ...JsonRewriter.publicOrigin(req.headers), prefix: `/chrome/${encodeURIComponent(route.key)}` };
+        const upstream = http.request({
+            host: this.config.upstreamHost,
+            port: route.port,
+            method: req.method,
+            path: JsonRewriter.stripAuthParams(route.path + route.query),
+            headers: { Host: `${this.config.upstreamHost}:${route.port}` },
+            timeout: this.config.timeout
+        }, (upstreamRes) => {
+            const type = upstreamRes.headers['content-type'] || '';
+
+            // Anything but JSON (DevTools frontend files, /json/close) streams through untouched
+            if (!type.includes('application/json')) {
+                res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+                upstreamRes.pipe(res);
+                return;
+            }
+
+            const chunks = [];
+            upstreamRes.on('data', chunk => chunks.push(chunk));
+            upstreamRes.on('end', () => {
+                let payload = Buffer.concat(chunks);
+                try {
+                    const body = JsonRewriter.rewriteBody(JSON.parse(payload.toString('utf8')), origin);
+                    payload = Buffer.from(JSON.stringify(body, null, 3));
+                } catch (error) {
+                    this.log(`Passing through unparseable JSON from port ${route.port}${route.path}: ${error.message}`, 'WARN');
+                }
+
+                res.writeHead(upstreamRes.statusCode, {
+                    'Content-Type': type,
+                    'Content-Length': payload.length
+                });
+                res.end(payload);
+            });
+        });
+
+        upstream.on('timeout', () => upstream.destroy(new Error(`no response within ${this.config.timeout}ms`)));
+        upstream.on('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`Chrome on port ${route.port} failed for ${req.method} ${route.path}: ${error.message}`, 'WARN');
+            if (!res.headersSent) {
+                this.sendError(res, 502, `Chrome debugger not available on port ${route.port}`);
+            }
+        });
+        req.pipe(upstream);
+    }
+
+    async handleUpgrade(req, socket, head) {
+        socket.on('error', () => socket.destroy());
+
+        const route = this.route(req.url);
+        if (route && route.invalid) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const anyInstance = route && route.key === ANY_INSTANCE && /^\/devtools\/browser\/?$/.test(route.path);
+        if (!route || !(route.port || anyInstance)) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+
+        // A session on whichever instance is free needs credentials for the gateway's own port
+        const status = await this.authorize(req, route.path + route.query, route.port || this.port);
+        if (status !== 200) {
+            socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+            return;
+        }
+
+        let ports = [route.port];
+        if (anyInstance) {
+            ports = (await this.discover().catch(() => [])).map(instance => instance.port);
+            if (ports.length === 0) {
+                socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+                return;
+            }
+        }
+
+        const lease = this.admission.tryAcquire(ports);
+        if (!lease) {
+            this.queue(req, socket, head, route, ports);
+            return;
+        }
+
+        let path;
+        try {
+            path = await this.upstreamPath(route, lease.port);
+        } catch (error) {
+            lease.release();
+            this.log(`No browser session on port ${lease.port}: ${error.message}`, 'WARN');
+            socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+            return;
+        }
+        this.tunnel(req, socket, head, lease, path);
+    }
+
+    // Path to ask Chrome for; the any route takes the browser session from the instance's /json/version
+    async upstreamPath(route, port) {
+        if (route.port) {
+            return JsonRewriter.stripAuthParams(route.path + stripPriority(route.query));
+        }
+        const instance = (await this.discover()).find(candidate => candidate.port === port);
+        if (!instance || !instance.webSocketDebuggerUrl) {
+            throw new Error(`port ${port} did not report a webSocketDebuggerUrl`);
+        }
+        return new URL(instance.webSocketDebuggerUrl).pathname;
+    }
+
+    // Splice the client's socket to Chrome's, holding the admission lease until either side closes
+    tunnel(req, socket, head, lease, path) {
+        const upstream = http.request({
+            host: this.config.upstreamHost,
+            port: lease.port,
+            method: req.method,
+            path,
+            headers: { ...req.headers, host: `${this.config.upstreamHost}:${lease.port}` },
+            timeout: this.config.timeout
+        });
+
+        upstream.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+            this.stats.upgrades++;
+            upstream.setTimeout(0);
+            upstreamSocket.setTimeout(0);
+
+            // Relay Chrome's 101 response, then splice the two sockets together
+            const lines = ['HTTP/1.1 101 Switching Protocols'];
+            for (let i = 0; i < upstreamRes.rawHeaders.length; i += 2) {
+                lines.push(`${upstreamRes.rawHeaders[i]}: ${upstreamRes.rawHeaders[i + 1]}`);
+            }
+            socket.write(lines.join('\r\n') + '\r\n\r\n');
+
+            if (upstreamHead && upstreamHead.length) {
+                socket.write(upstreamHead);
+            }
+            if (head && head.length) {
+                upstreamSocket.write(head);
+            }
+
+            const tunnel = { socket, upstreamSocket };
+            this.tunnels.add(tunnel);
+            const close = () => {
+                this.tunnels.delete(tunnel);
+                lease.release();
+                socket.destroy();
+                upstreamSocket.destroy();
+            };
+
+            upstreamSocket.on('error', close);
+            upstreamSocket.on('close', close);
+            socket.on('close', close);
+            upstreamSocket.pipe(socket);
+            socket.pipe(upstreamSocket);
+        });
+
+        // Chrome answered without upgrading, e.g. 400 for an unknown target
+        upstream.on('response', (upstreamRes) => {
+            upstreamRes.resume();
+            lease.release();
+            socket.end(`HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}\r\n\r\n`);
+        });
+
+        upstream.on('timeout', () => upstream.destroy(new Error(`no handshake within ${this.config.timeout}ms`)));
+        upstream.on('error', (error) => {
+            this.stats.upstreamErrors++;
+            lease.release();
+            this.log(`WebSocket upgrade to port ${lease.port} failed: ${error.message}`, 'WARN');
+            socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+        });
+        upstream.end();
+    }
+
+    // Every instance the session may use is full: accept the upgrade here, report the place in
+    // line as Admission.queued events and relay to Chrome once admitted. Messages the client
+    // sends while it waits are held back until then
+    queue(req, socket, head, route, ports) {
+        let client = null;
+        const held = [];
+        const send = (method, params) => {
+            if (client && client.readyState === WebSocket.OPEN) {
+                client.send(JSON.stringify({ method, params }));
+            }
+        };
+
+        const address = clientAddress(req, this.config.trustedProxies);
+        let ticket;
+        try {
+            ticket = this.admission.enqueue({
+                client: address,
+                priority: this.priorityFor(req, route.query, address),
+                ports,
+                onPosition: (position, waiting) => send('Admission.queued', { position, waiting })
+            });
+        } catch (error) {
+            this.log(`Refused a session for ${route.key}: ${error.message}`, 'WARN');
+            socket.end(`HTTP/1.1 503 Service Unavailable\r\nRetry-After: ${Math.ceil(this.config.queueTimeout / 1000)}\r\n\r\n`);
+            return;
+        }
+
+        socket.on('close', () => ticket.cancel());
+        req.admissionPosition = ticket.position;
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            client = ws;
+            client.on('message', (data, isBinary) => held.push({ data, isBinary }));
+            send('Admission.queued', { position: ticket.position, waiting: this.admission.waiting.length });
+        });
+
+        ticket.admitted.then(
+            lease => this.relay(req, client, held, route, lease),
+            (error) => {
+                if (client && client.readyState === WebSocket.OPEN) {
+                    // 1013 Try Again Later
+                    client.close(1013, error.message);
+                }
+            }
+        );
+    }
+
+    async relay(req, client, held, route, lease) {
+        if (!client || client.readyState !== WebSocket.OPEN) {
+            lease.release();
+            return;
+        }
+
+        let path;
+        try {
+            path = await this.upstreamPath(route, lease.port);
+        } catch (error) {
+            lease.release();
+            client.close(1011, `No browser session on port ${lease.port}`);
+            return;
+        }
+
+        const headers = {};
+        FORWARDED_HEADERS.forEach(name => {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        });
+        const upstream = new WebSocket(`ws://${this.config.upstreamHost}:${lease.port}${path}`, {
+            headers,
+            perMessageDeflate: false,
+            handshakeTimeout: this.config.timeout
+        });
+        const relay = { client, upstream };
+        this.relays.add(relay);
+
+        upstream.on('open', () => {
+            this.stats.upgrades++;
+            client.send(JSON.stringify({ method: 'Admission.admitted', params: { port: lease.port, waitedMs: lease.waitedMs } }));
+            held.forEach(({ data, isBinary }) => upstream.send(data, { binary: isBinary }));
+            client.removeAllListeners('message');
+            client.on('message', (data, isBinary) => upstream.send(data, { binary: isBinary }));
+        });
+        upstream.on('message', (data, isBinary) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(data, { binary: isBinary });
+            }
+        });
+        upstream.on('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`WebSocket relay to port ${lease.port} failed: ${error.message}`, 'WARN');
+        });
+        upstream.on('close', (code, reason) => {
+            this.relays.delete(relay);
+            lease.release();
+            if (client.readyState === WebSocket.OPEN) {
+                client.close(RESERVED_CLOSE_CODES.includes(code) ? 1011 : code, reason);
+            }
+        });
+        client.on('close', () => {
+            this.relays.delete(relay);
+            lease.release();
+            upstream.terminate();
+        });
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`Chrome gateway listening on ${this.config.listenHost}:${this.port} for ports ${this.config.portRange.start}-${this.config.portRange.end}`);
+        return this.port;
+    }
+
+    async stop() {
+        this.tunnels.forEach(({ socket, upstreamSocket }) => {
+            socket.destroy();
+            upstreamSocket.destroy();
+        });
+        this.tunnels.clear();
+        this.relays.forEach(({ client, upstream }) => {
+            client.terminate();
+            upstream.terminate();
+        });
+        this.relays.clear();
+        this.admission.clear();
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'listen-host':
+                config.listenHost = value;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                break;
+            case 'upstream-host':
+                config.upstreamHost = value;
+                break;
+            case 'range': {
+                const [start, end] = value.split('-').map(n => parseInt(n));
+                config.portRange = { start, end: end || start };
+                break;
+            }
+            case 'pid-dir':
+                config.pidDir = value;
+                config.usePidFiles = true;
+                break;
+            case 'names':
+                config.namesFile = value;
+                break;
+            case 'auth-url':
+                config.authUrl = value;
+                break;
+            case 'timeout':
+                config.timeout = parseFloat(value) * 1000;
+                break;
+            case 'max-sessions':
+                config.maxSessions = parseInt(value);
+                break;
+            case 'queue-size':
+                config.queueSize = parseInt(value);
+                break;
+            case 'queue-timeout':
+                config.queueTimeout = parseFloat(value) * 1000;
+                break;
+            case 'trusted-proxy':
+                config.trustedProxies = (config.trustedProxies || []).concat(value.split(','));
+                break;
+            case 'priorities':
+                config.prioritiesFile = value;
+                break;
+            case 'help':
+                console.log(`
+Usage: node chrome-gateway.js [options]
+
+Options:
+  --listen-host HOST    Address to listen on (default: 0.0.0.0)
+  --listen-port N       Port to listen on (default: 9470)
+  --upstream-host HOST  Address Chrome listens on (default: 127.0.0.1)
+  --range START-END     Chrome ports to route to (default: 48000-49000)
+  --pid-dir DIR         List only ports with a start-chrome.sh PID file in DIR on /instances
+  --names FILE          JSON map of instance names to ports, e.g. { "checkout": 48333 }
+  --auth-url URL        Check every request with the auth sidecar, e.g. http://127.0.0.1:9465/auth
+  --timeout N           Timeout for Chrome's answer in seconds (default: 10)
+  --max-sessions N      DevTools sessions per instance before new ones queue (default: no limit)
+  --queue-size N        Sessions that may wait before new ones get 503 (default: 100)
+  --queue-timeout N     Seconds a session may wait before it is closed with 1013 (default: 30)
+  --trusted-proxy ADDR  Believe X-Forwarded-For from this address, e.g. 127.0.0.1 behind nginx;
+                        repeatable (default: none, clients queue by their own address)
+  --priorities FILE     JSON map of auth subjects or client addresses to the highest queue
+                        priority they may ask for, e.g. { "ci-nightly": "high" } (default: normal)
+  --help                Show this help message
+
+Routes:
+  /instances                          Every live instance with its /json/version
+  /chrome/<port-or-name>/json/...     Chrome's /json endpoints, URLs rewritten to the gateway
+  /chrome/<port-or-name>/devtools/... DevTools WebSocket
+  /chrome/any/devtools/browser        Browser session on the first instance with room
+  /chrome/<port-or-name>/health       Chrome liveness
+
+Examples:
+  node chrome-gateway.js
+  node chrome-gateway.js --listen-port 9470 --names /etc/chrome-debug/names.json
+  node chrome-gateway.js --pid-dir /var/run/chrome-debug --auth-url http://127.0.0.1:9465/auth
+  node chrome-gateway.js --max-sessions 10 --queue-timeout 60
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    let gateway;
+    try {
+        if (config.namesFile) {
+            config.names = ChromeGateway.loadNames(config.namesFile);
+            delete config.namesFile;
+        }
+        if (config.prioritiesFile) {
+            config.priorities = ChromeGateway.loadPriorities(config.prioritiesFile);
+            delete config.prioritiesFile;
+        }
+        gateway = new ChromeGateway(config);
+        await gateway.start();
+    } catch (error) {
+        console.error('Failed to start Chrome gateway:', error);
+        process.exit(1);
+    }
+
+    const shutdown = async () => {
+        await gateway.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = ChromeGateway;
@@ -0,0 +1,366 @@
+/**
+ * Chrome Proxy Client
+ * Finds the Chrome instances behind the proxy, opens and closes targets, and connects chrome-remote-interface through it
+ * Credentials, TLS and the gateway prefix go on every request; transient failures are retried with backoff
+ */
+
+const CDP = require('chrome-remote-interface');
+const WebSocket = require('ws');
+const fetch = require('node-fetch');
+const PortDiscovery = require('./port-discovery');
+const ProxyAuth = require('./proxy-auth');
+const ProxyTls = require('./proxy-tls');
+
+// Statuses that say "not now" rather than "no": limit_req/limit_conn shedding and @chrome_unavailable
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+// Socket errors worth another attempt; certificate and DNS failures are not
+const RETRY_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every failure the client throws; status is the HTTP status when there was a response,
+// attempts how many tries it took, code the underlying socket error code if any
+class ProxyClientError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = null;
+        this.port = null;
+        this.code = null;
+        this.attempts = 1;
+        this.retryable = false;
+        Object.assign(this, details);
+    }
+}
+
+// Nothing answered, or the connection or TLS handshake broke
+class ConnectionError extends ProxyClientError {}
+
+// No response within the timeout
+class TimeoutError extends ProxyClientError {}
+
+// The proxy answered with a status the call does not accept
+class HttpError extends ProxyClientError {}
+
+// 401/403 from the auth sidecar
+class AuthError extends HttpError {}
+
+// 429/502/503/504: the request was shed or Chrome is down behind the proxy
+class UnavailableError extends HttpError {}
+
+// No such instance name or target id
+class NotFoundError extends ProxyClientError {}
+
+// A reply that is not the JSON the endpoint should return, or a DevTools connection that failed after connecting
+class ProtocolError extends ProxyClientError {}
+
+function httpError(response, message, details) {
+    const { status } = response;
+    if (status === 401 || status === 403) {
+        return new AuthError(message, details);
+    }
+    if (status === 404) {
+        return new NotFoundError(message, details);
+    }
+    if (RETRY_STATUSES.includes(status)) {
+        return new UnavailableError(message, { ...details, retryable: true });
+    }
+    return new HttpError(message, details);
+}
+
+// Delay before retry n (0-based): exponential, capped, with up to half of it as jitter
+// so clients shed by the same limit do not come back in lockstep
+function backoff(retry, { retryDelay, maxRetryDelay }) {
+    const delay = Math.min(maxRetryDelay, retryDelay * 2 ** retry);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// node-fetch and ws errors as client errors; timeouts are only retried for requests safe to repeat
+function transportError(error, details, idempotent = true) {
+    if (error instanceof ProxyClientError) {
+        return error;
+    }
+    if (error.type === 'request-timeout' || /timed? ?out/i.test(error.message)) {
+        return new TimeoutError(error.message, { ...details, retryable: idempotent });
+    }
+    return new ConnectionError(error.message, {
+        ...details,
+        code: error.code || null,
+        retryable: RETRY_CODES.includes(error.code)
+    });
+}
+
+// HTTP status in a chrome-remote-interface error: a failed upgrade is "Unexpected server response: N",
+// a failed /json request an Error holding the body, such as @chrome_unavailable's JSON or an error page
+function criStatus(message) {
+    const upgrade = message.match(/^Unexpected server response: (\d{3})/);
+    if (upgrade) {
+        return parseInt(upgrade[1]);
+    }
+    try {
+        const body = JSON.parse(message);
+        if (Number.isInteger(body.status)) {
+            return body.status;
+        }
+    } catch (error) {
+        // Not JSON; look for a status line in a text or HTML page
+    }
+    const page = message.match(/^(\d{3}) [A-Z]|<title>(\d{3}) /);
+    return page ? parseInt(page[1] || page[2]) : null;
+}
+
+class ChromeProxyClient {
+    constructor(config = {}) {
+        this.config = {
+            host: 'localhost',
+            port: null, // instance used when a call names none
+            portRange: {
+                start: 48000,
+                end: 49000
+            },
+            gateway: null, // port of a chrome-gateway.js listener; instances are then reached as /chrome/<port>/
+            concurrency: 50, // port discovery probes in flight
+            connectTimeout: 500,
+            pidDir: '/var/run/chrome-debug',
+            usePidFiles: false,
+            timeout: 10000,
+            maxRetries: 3, // further attempts after a retryable failure
+            retryDelay: 250, // ms before the first retry, doubled for each one after
+            maxRetryDelay: 4000,
+            userAgent: 'Chrome-Proxy-Test/1.0',
+            auth: null, // { token } or { secret, ttl, scope } when the proxy runs the auth sidecar
+            tls: null, // { enabled, ca, servername } when the proxy serves https and wss
+            quiet: false, // discovery warnings, such as falling back from PID files to a range scan
+            ...config
+        };
+        this.auth = new ProxyAuth(this.config.auth || {});
+        this.tls = new ProxyTls({ timeout: this.config.timeout, ...this.config.tls });
+        this.instances = null; // the last discoverInstances() result, for names
+        this.refusedPorts = [];
+    }
+
+    // Run operation until it succeeds, fails for good, or runs out of retries
+    async withRetries(operation, retries = this.config.maxRetries) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                if (error instanceof ProxyClientError) {
+                    error.attempts = attempt;
+                }
+                if (!error.retryable || attempt > retries) {
+                    throw error;
+                }
+                await sleep(backoff(attempt - 1, this.config));
+            }
+        }
+    }
+
+    // Where an instance's endpoints live: its own port, or its prefix on the gateway
+    instanceUrl(port, path) {
+        if (this.config.gateway) {
+            return this.tls.url(this.config.host, this.config.gateway, `/chrome/${port}${path}`);
+        }
+        return this.tls.url(this.config.host, port, path);
+    }
+
+    // The port behind { port } or { name }; names come from the gateway's /instances
+    async resolve({ port, name } = {}) {
+        if (port) {
+            return port;
+        }
+        if (name) {
+            if (!this.instances || !this.instances.some(instance => instance.name === name)) {
+                await this.discoverInstances();
+            }
+            const instance = this.instances.find(candidate => candidate.name === name);
+            if (!instance) {
+                throw new NotFoundError(this.config.gateway
+                    ? `No instance named ${name} behind the gateway`
+                    : `Cannot resolve instance ${name}: names are served by the gateway`);
+            }
+            return instance.port;
+        }
+        if (this.config.port) {
+            return this.config.port;
+        }
+        throw new ProxyClientError('No instance given: pass { port } or { name }, or configure a default port');
+    }
+
+    // One request with credentials, returning the response whatever its status unless it is retryable.
+    // retries: 0 turns retrying off, for callers that measure shedding themselves
+    async request(url, { method = 'GET', timeout = this.config.timeout, retries, port = null } = {}) {
+        const idempotent = method !== 'PUT' && method !== 'POST';
+
+        return this.withRetries(async () => {
+            let response;
+            try {
+                // Signed URLs are minted per attempt so retries never send an expired one
+                response = await fetch(this.auth.authorizeUrl(url), {
+                    ...this.tls.fetchOptions(),
+                    method,
+                    timeout,
+                    headers: {
+                        'User-Agent': this.config.userAgent,
+                        ...this.auth.headers()
+                    }
+                });
+            } catch (error) {
+                throw transportError(error, { port }, idempotent);
+            }
+
+            if (retries !== 0 && RETRY_STATUSES.includes(response.status)) {
+                await response.text().catch(() => {});
+                throw httpError(response, `HTTP ${response.status}: ${response.statusText}`, { status: response.status, port });
+            }
+            return response;
+        }, retries);
+    }
+
+    async fetchText(port, path, options = {}) {
+        const response = await this.request(this.instanceUrl(port, path), { ...options, port });
+        if (!response.ok) {
+            await response.text().catch(() => {});
+            throw httpError(response, `HTTP ${response.status}: ${response.statusText}`, { status: response.status, port });
+        }
+        return response.text();
+    }
+
+    async fetchJson(port, path, options = {}) {
+        const body = await this.fetchText(port, path, options);
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            throw new ProtocolError(`${path} on port ${port} returned invalid JSON: ${error.message}`, { port });
+        }
+    }
+
+    // Every live instance: the gateway's /instances, or a scan of the port range (or PID files)
+    async discoverInstances() {
+        if (this.config.gateway) {
+            const url = this.tls.url(this.config.host, this.config.gateway, '/instances');
+            const response = await this.request(url, { port: this.config.gateway });
+            if (!response.ok) {
+                throw httpError(response, `GET /instances failed with HTTP ${response.status}`, { status: response.status, port: this.config.gateway });
+            }
+            this.instances = await response.json();
+            return this.instances;
+        }
+
+        const discovery = new PortDiscovery({
+            host: this.config.host,
+            portRange: this.config.portRange,
+            concurrency: this.config.concurrency,
+            connectTimeout: this.config.connectTimeout,
+            timeout: this.config.timeout,
+            pidDir: this.config.pidDir,
+            usePidFiles: this.config.usePidFiles,
+            auth: this.config.auth,
+            tls: this.config.tls,
+            quiet: this.config.quiet
+        });
+        this.instances = await discovery.discover();
+        this.refusedPorts = discovery.refusedPorts;
+        return this.instances;
+    }
+
+    async version(instance = {}) {
+        return this.fetchJson(await this.resolve(instance), '/json/version');
+    }
+
+    async listTargets(instance = {}) {
+        return this.fetchJson(await this.resolve(instance), '/json/list');
+    }
+
+    // Chrome only accepts PUT on /json/new since M111; a timed-out PUT may have created the target, so it is not retried
+    async newTarget(url = 'about:blank', instance = {}) {
+        return this.fetchJson(await this.resolve(instance), `/json/new?${url}`, { method: 'PUT' });
+    }
+
+    async closeTarget(id, instance = {}) {
+        await this.fetchText(await this.resolve(instance), `/json/close/${encodeURIComponent(id)}`);
+    }
+
+    // A chrome-remote-interface client routed through the proxy. target is a target id, a
+    // function picking one from /json/list, or omitted for the first page
+    async connect({ port, name, target } = {}) {
+        port = await this.resolve({ port, name });
+
+        const options = {
+            host: this.config.host,
+            port: this.config.gateway || port,
+            secure: this.tls.enabled
+        };
+
+        // The /json paths get the gateway prefix; the WebSocket URL from /json/list already has it
+        const prefix = this.config.gateway ? `/chrome/${port}` : '';
+        if (prefix || this.auth.enabled) {
+            options.alterPath = path => path.startsWith('/json')
+                ? this.auth.authorizePath(prefix + path, port, { headerless: true })
+                : path;
+        }
+
+        // chrome-remote-interface cannot send headers, so credentials travel in the query string
+        options.target = targets => {
+            let picked;
+            if (typeof target === 'function') {
+                picked = target(targets);
+            } else if (target) {
+                picked = targets.find(t => t.id === target);
+            } else {
+                picked = targets.find(t => t.type === 'page' && t.webSocketDebuggerUrl) || targets[0];
+            }
+            if (!picked || !picked.webSocketDebuggerUrl) {
+                throw new NotFoundError(target && typeof target !== 'function'
+                    ? `No target ${target} on port ${port}`
+                    : `No debuggable target on port ${port}`, { port });
+            }
+            return this.auth.enabled
+                ? { ...picked, webSocketDebuggerUrl: this.auth.authorizeUrl(picked.webSocketDebuggerUrl, { headerless: true }) }
+                : picked;
+        };
+
+        return this.withRetries(async () => {
+            try {
+                return await CDP(options);
+            } catch (error) {
+                if (error instanceof ProxyClientError) {
+                    throw error;
+                }
+                const status = criStatus(error.message);
+                if (status) {
+                    const message = error.message.startsWith('Unexpected') ? error.message : `HTTP ${status} from /json: ${error.message.trim()}`;
+                    throw httpError({ status }, message, { status, port });
+                }
+                if (error.code) {
+                    throw transportError(error, { port });
+                }
+                throw new ProtocolError(error.message, { port });
+            }
+        });
+    }
+
+    // A raw ws socket to a debugger URL from /json/list, with credentials and TLS options.
+    // Not retried: load generation wants to see every refused upgrade
+    openSocket(wsUrl, options = {}) {
+        return new WebSocket(this.auth.authorizeUrl(wsUrl), {
+            ...this.tls.socketOptions(),
+            ...options,
+            headers: { ...options.headers, ...this.auth.headers() }
+        });
+    }
+}
+
+ChromeProxyClient.RETRY_STATUSES = RETRY_STATUSES;
+ChromeProxyClient.backoff = backoff;
+ChromeProxyClient.ProxyClientError = ProxyClientError;
+ChromeProxyClient.ConnectionError = ConnectionError;
+ChromeProxyClient.TimeoutError = TimeoutError;
+ChromeProxyClient.HttpError = HttpError;
+ChromeProxyClient.AuthError = AuthError;
+ChromeProxyClient.UnavailableError = UnavailableError;
+ChromeProxyClient.NotFoundError = NotFoundError;
+ChromeProxyClient.ProtocolError = ProtocolError;
+
+module.exports = ChromeProxyClient;
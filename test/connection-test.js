@@ -6,9 +6,111 @@
  * Validates DevTools protocol communication through nginx reverse proxy
  */
 
-const CDP = require('chrome-remote-interface');
-const WebSocket = require('ws');
-const fetch = require('node-fetch');
+const fs = require('fs');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const YAML = require('yaml');
+const ChromeProxyClient = require('./chrome-proxy-client');
+const CdpProbe = require('./cdp-probe');
+const CdpFilter = require('./cdp-filter');
+const KeepaliveProbe = require('./keepalive-probe');
+const ProxyComparison = require('./proxy-comparison');
+const ProxyAuth = require('./proxy-auth');
+const ReportFormatter = require('./report-formatter');
+
+const { AuthError, ConnectionError, TimeoutError, UnavailableError } = ChromeProxyClient;
+
+// Why a check failed. The transient classes are what a restarting Chrome or a reloading
+// nginx looks like from outside, so checks retry them; the others fail at once
+const FAILURE_CLASSES = {
+    refused: 'nothing accepted the connection, or it was reset',
+    timeout: 'no answer within the timeout',
+    unavailable: 'HTTP 5xx or 429 from the proxy, such as @chrome_unavailable while Chrome is down',
+    handshake: 'the TLS handshake, the WebSocket upgrade or the credentials were rejected',
+    'cdp-error': 'DevTools answered a command with an error',
+    unexpected: 'an answer that is not what the check expects'
+};
+
+const TRANSIENT_FAILURES = ['refused', 'timeout', 'unavailable'];
+
+// The optional health check is not worth waiting for
+const DEFAULT_RETRY_POLICIES = {
+    health: { retries: 0 }
+};
+
+// Socket errors that mean the other end is not there (yet), in error codes and messages
+const REFUSED = /ECONNREFUSED|ECONNRESET|EPIPE|EHOSTUNREACH|ENETUNREACH|ENOTFOUND|EAI_AGAIN|socket hang up|WebSocket connection closed/;
+
+// OpenSSL codes of a TLS alert from the server; ssl_reject_handshake sends unrecognized_name
+const TLS_ALERT = /ERR_SSL_\w*(ALERT|UNRECOGNIZED_NAME)/;
+
+const POLICY_EXPECTATIONS = ['allowed', 'blocked'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls for the policy checks from a JSON/YAML list of { method, params, expect: allowed | blocked }
+function loadPolicyChecks(file) {
+    const checks = YAML.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(checks)) {
+        throw new Error(`${file} must contain a list of policy checks`);
+    }
+    checks.forEach((check, index) => {
+        if (!check || typeof check.method !== 'string' || !POLICY_EXPECTATIONS.includes(check.expect)) {
+            throw new Error(`Policy check ${index + 1} in ${file} needs a method and expect: ${POLICY_EXPECTATIONS.join(' or ')}`);
+        }
+    });
+    return checks;
+}
+
+// Failure class of an error from the client library or chrome-remote-interface
+function classifyError(error) {
+    if (error instanceof TimeoutError) {
+        return 'timeout';
+    }
+    if (error instanceof UnavailableError) {
+        return 'unavailable';
+    }
+    if (error instanceof AuthError) {
+        return 'handshake';
+    }
+    // chrome-remote-interface rejects failed commands with the request and the CDP error response
+    if (error.request && error.response) {
+        return 'cdp-error';
+    }
+    if (REFUSED.test(`${error.code} ${error.message}`)) {
+        return 'refused';
+    }
+    return error instanceof ConnectionError ? 'handshake' : 'unexpected';
+}
+
+// Failure class of a ProxyTls.inspect() rejection
+function handshakeFailure(error) {
+    if (REFUSED.test(error.message)) {
+        return 'refused';
+    }
+    return /timed out/.test(error.message) ? 'timeout' : 'handshake';
+}
+
+// Failure class of a cdp-probe result, which has its own finer classes
+function classifyProbeFailure({ failure, error, status }) {
+    if (status === 429 || status >= 500) {
+        return 'unavailable';
+    }
+    switch (failure) {
+        case 'timeout':
+            return 'timeout';
+        case 'dns':
+        case 'connect':
+            return 'refused';
+        case 'handshake':
+        case 'auth':
+            return REFUSED.test(error) ? 'refused' : 'handshake';
+        case 'protocol':
+            return /^CDP error/.test(error) ? 'cdp-error' : 'unexpected';
+        default:
+            return 'unexpected';
+    }
+}
 
 // Test configuration
 const TEST_CONFIG = {
@@ -18,122 +120,188 @@ const TEST_CONFIG = {
         end: 49000
     },
     timeout: 10000,
-    maxRetries: 3
+    maxRetries: 3, // further attempts per check after a transient failure (refused, timeout, unavailable)
+    retryDelay: 500, // ms before a check's first retry, doubled for each one after
+    maxRetryDelay: 5000,
+    retryPolicies: {}, // per check, e.g. { websocket: { retries: 5 }, cdp: { retries: 0 } } or { on: [...failure classes] }
+    discoveryConcurrency: 50,
+    connectTimeout: 500,
+    pidDir: '/var/run/chrome-debug',
+    usePidFiles: false,
+    logToStderr: false,
+    quiet: false,
+    auth: null, // { token } or { secret, ttl, scope } when the proxy runs the auth sidecar
+    tls: null, // { enabled, ca, servername } when the proxy serves https and wss
+    certificateMinDays: 14, // the certificate check fails when it expires sooner
+    gateway: null, // port of a chrome-gateway.js listener; instances are then reached as /chrome/<port>/
+    idleWindows: [], // long-connection mode: ms each idle session is held open, none = mode off
+    idleTimeout: 60000, // proxy_read_timeout the proxy is expected to enforce on quiet sessions
+    idleTolerance: 5000,
+    pingInterval: 20000, // ms between pings in the keepalive session
+    reloadCommand: KeepaliveProbe.DEFAULT_RELOAD_COMMAND, // null skips the reload check
+    reloadSettle: 2000,
+    // Commands sent through cdp-filter.js with the outcome its policy should give them. Blocked ones
+    // are really sent, so a missing filter lets them through: { method, params, expect: allowed | blocked }
+    policyChecks: [],
+    // Comparison mode: the same CDP script run on Chrome's own port and through the proxy, null = off.
+    // { host, port, script, iterations }; Chrome's port defaults to the proxied one, as nginx forwards to loopback
+    compare: null
 };
 
 class ChromeProxyTester {
-    constructor(config = TEST_CONFIG) {
-        this.config = config;
+    constructor(config = {}) {
+        this.config = {
+            ...TEST_CONFIG,
+            ...config
+        };
         this.results = {
             passed: 0,
             failed: 0,
+            flaky: 0,
             errors: []
         };
+        this.portResults = [];
+        this.startedAt = null;
+        this.success = false;
+        this.client = new ChromeProxyClient({
+            host: this.config.host,
+            portRange: this.config.portRange,
+            gateway: this.config.gateway,
+            concurrency: this.config.discoveryConcurrency,
+            connectTimeout: this.config.connectTimeout,
+            pidDir: this.config.pidDir,
+            usePidFiles: this.config.usePidFiles,
+            timeout: this.config.timeout,
+            maxRetries: 0, // checks retry under their own policies, so the client does not retry underneath them
+            auth: this.config.auth,
+            tls: this.config.tls,
+            quiet: this.config.quiet
+        });
+        this.tls = this.client.tls;
+        this.refusedPorts = [];
     }
 
     log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
         const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] [${level}] ${message}`);
+        // Keep stdout clean when a machine-readable report is written there
+        const write = this.config.logToStderr ? console.error : console.log;
+        write(`[${timestamp}] [${level}] ${message}`);
     }
 
     error(message, error = null) {
         this.log(message, 'ERROR');
-        if (error) {
+        if (error && !this.config.quiet) {
             console.error(error);
         }
         this.results.errors.push({ message, error: error?.message || error });
     }
 
-    async testHttpEndpoint(port, endpoint) {
-        const url = `http://${this.config.host}:${port}${endpoint}`;
-        
-        try {
-            const response = await fetch(url, {
-                timeout: this.config.timeout,
-                headers: {
-                    'User-Agent': 'Chrome-Proxy-Test/1.0'
-                }
-            });
+    // Count a finished test and log it; describe turns its data into the success line
+    record(portResults, name, test, describe) {
+        portResults.tests[name] = test;
+        if (test.success) {
+            this.log(`✓ ${describe(test.data)}${this.describeAttempts(test)}`);
+            this.results.passed++;
+        } else {
+            this.error(`✗ ${name} failed${this.describeAttempts(test)}: ${test.error}`);
+            this.results.failed++;
+            portResults.overall = false;
+        }
+    }
+
+    // Await a check and record how long it took
+    async timed(check) {
+        const start = performance.now();
+        const result = await check;
+        result.durationMs = performance.now() - start;
+        return result;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    retryPolicy(name) {
+        return {
+            retries: this.config.maxRetries,
+            on: TRANSIENT_FAILURES,
+            ...DEFAULT_RETRY_POLICIES[name],
+            ...this.config.retryPolicies[name]
+        };
+    }
+
+    // Run a check under its retry policy. A check that passes after failing is flaky; one that
+    // fails for a class its policy does not retry, or on every attempt, is a hard failure.
+    // durationMs is the last attempt's, and retries lists the attempts before it
+    async attempt(name, check) {
+        const policy = this.retryPolicy(name);
+        const retries = [];
+        
+        for (let attempt = 1; ; attempt++) {
+            const result = await this.timed(check());
+            result.attempts = attempt;
+            result.retries = retries;
+            result.flaky = result.success && retries.length > 0;
+            
+            if (result.success || !policy.on.includes(result.failure) || attempt > policy.retries) {
+                return result;
             }
+            
+            const delay = ChromeProxyClient.backoff(attempt - 1, this.config);
+            this.log(`${name} attempt ${attempt} failed (${result.failure}): ${result.error}; retrying in ${delay}ms`, 'WARN');
+            retries.push({ attempt, failure: result.failure, error: result.error });
+            await sleep(delay);
+        }
+    }
 
-            const data = await response.json();
+    // Suffix for a check's log line: what it took to pass, or why it failed for good
+    describeAttempts(test) {
+        if (test.flaky) {
+            return ` (flaky: passed on attempt ${test.attempts} after ${test.retries.map(retry => retry.failure).join(', ')})`;
+        }
+        if (!test.success && test.failure) {
+            return ` [${test.failure}${test.attempts > 1 ? `, ${test.attempts} attempts` : ''}]`;
+        }
+        return '';
+    }
+
+    async testHttpEndpoint(port, endpoint) {
+        try {
+            const data = await this.client.fetchJson(port, endpoint);
             return { success: true, data };
         } catch (error) {
-            return { success: false, error: error.message };
+            return { success: false, failure: classifyError(error), error: error.message, data: error.status ? { status: error.status } : undefined };
         }
     }
 
+    // Full DevTools round trip through the proxy; failures keep the finer cdp-probe class as probeFailure
     async testWebSocketConnection(port, wsUrl) {
-        return new Promise((resolve) => {
-            const timeout = setTimeout(() => {
-                resolve({ success: false, error: 'Connection timeout' });
-            }, this.config.timeout);
-
-            try {
-                const ws = new WebSocket(wsUrl);
-                
-                ws.on('open', () => {
-                    clearTimeout(timeout);
-                    
-                    // Send a simple DevTools Protocol message
-                    const message = JSON.stringify({
-                        id: 1,
-                        method: 'Runtime.evaluate',
-                        params: {
-                            expression: '1 + 1'
-                        }
-                    });
-                    
-                    ws.send(message);
-                });
-
-                ws.on('message', (data) => {
-                    try {
-                        const response = JSON.parse(data.toString());
-                        
-                        if (response.id === 1 && response.result?.result?.value === 2) {
-                            ws.close();
-                            resolve({ success: true, data: response });
-                        } else {
-                            ws.close();
-                            resolve({ success: false, error: 'Unexpected response', data: response });
-                        }
-                    } catch (error) {
-                        ws.close();
-                        resolve({ success: false, error: 'Invalid JSON response' });
-                    }
-                });
-
-                ws.on('error', (error) => {
-                    clearTimeout(timeout);
-                    resolve({ success: false, error: error.message });
-                });
-
-                ws.on('close', (code, reason) => {
-                    if (code !== 1000) {
-                        clearTimeout(timeout);
-                        resolve({ success: false, error: `WebSocket closed with code ${code}: ${reason}` });
-                    }
-                });
-
-            } catch (error) {
-                clearTimeout(timeout);
-                resolve({ success: false, error: error.message });
-            }
+        const probe = new CdpProbe({
+            url: wsUrl,
+            timeout: this.config.timeout,
+            auth: this.config.auth,
+            tls: this.config.tls
         });
+        
+        const result = await probe.run();
+        
+        if (result.success) {
+            return { success: true, data: result.probes };
+        }
+        
+        return {
+            success: false,
+            failure: classifyProbeFailure(result),
+            probeFailure: result.failure,
+            error: result.error,
+            data: result.status ? { status: result.status } : undefined
+        };
     }
 
     async testChromeRemoteInterface(port) {
+        let client = null;
         try {
-            // Connect using Chrome Remote Interface
-            const client = await CDP({ 
-                host: this.config.host, 
-                port: port,
-                timeout: this.config.timeout 
-            });
+            // Connect using Chrome Remote Interface, routed through the proxy by the client library
+            client = await this.client.connect({ port });
             
             const { Runtime } = client;
             
@@ -145,34 +313,227 @@ class ChromeProxyTester {
                 expression: 'navigator.userAgent'
             });
             
-            await client.close();
-            
             if (result.result.type === 'string') {
                 return { success: true, userAgent: result.result.value };
             } else {
-                return { success: false, error: 'Unexpected result type' };
+                return { success: false, failure: 'unexpected', error: `Unexpected result type ${result.result.type}` };
             }
             
         } catch (error) {
-            return { success: false, error: error.message };
+            return { success: false, failure: classifyError(error), error: error.message };
+        } finally {
+            // A failed attempt must not leave its session open while the next one runs
+            if (client) {
+                await client.close().catch(() => {});
+            }
         }
     }
 
-    async discoverActivePorts() {
-        const activePorts = [];
+    // Send every policy check over one page session, in order. A blocked call has to come back as the
+    // filter's CDP error and leave the session open; an allowed one may still fail in Chrome
+    async testPolicy(wsUrl, checks) {
+        let ws;
+        try {
+            ws = this.client.openSocket(wsUrl, { handshakeTimeout: this.config.timeout });
+            await new Promise((resolve, reject) => {
+                ws.once('open', resolve);
+                ws.once('error', reject);
+            });
+        } catch (error) {
+            const failure = classifyError(error);
+            return checks.map(() => ({ success: false, failure: failure === 'unexpected' ? 'handshake' : failure, error: error.message }));
+        }
         
-        this.log(`Scanning ports ${this.config.portRange.start}-${this.config.portRange.end} for active Chrome instances...`);
+        const call = (id, method, params) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => finish(reject, new TimeoutError(`No answer to ${method} within ${this.config.timeout}ms`)), this.config.timeout);
+            const onMessage = (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data);
+                } catch (error) {
+                    finish(reject, new Error(`Unreadable message while waiting for ${method}: ${error.message}`));
+                    return;
+                }
+                if (message && message.id === id) {
+                    finish(resolve, message);
+                }
+            };
+            const onClose = (code) => finish(reject, new Error(`Session closed with code ${code} before ${method} was answered`));
+            const finish = (settle, value) => {
+                clearTimeout(timer);
+                ws.off('message', onMessage);
+                ws.off('close', onClose);
+                settle(value);
+            };
+            ws.on('message', onMessage);
+            ws.once('close', onClose);
+            ws.send(JSON.stringify({ id, method, params }));
+        });
         
-        for (let port = this.config.portRange.start; port <= this.config.portRange.end; port++) {
-            const result = await this.testHttpEndpoint(port, '/json/version');
-            
-            if (result.success) {
-                activePorts.push(port);
-                this.log(`Found active Chrome debugger on port ${port}`);
+        const results = [];
+        try {
+            for (const [index, check] of checks.entries()) {
+                const start = performance.now();
+                let result;
+                try {
+                    const response = await call(index + 1, check.method, check.params || {});
+                    const blocked = CdpFilter.isBlocked(response.error);
+                    const outcome = blocked ? 'blocked' : 'allowed';
+                    const data = {
+                        method: check.method,
+                        expect: check.expect,
+                        outcome,
+                        message: response.error ? response.error.message : null
+                    };
+                    result = outcome === check.expect
+                        ? { success: true, data }
+                        : { success: false, failure: 'unexpected', error: `${check.method} was ${outcome}, expected ${check.expect}${data.message ? ` (${data.message})` : ''}`, data };
+                } catch (error) {
+                    result = { success: false, failure: classifyError(error), error: error.message };
+                }
+                result.durationMs = performance.now() - start;
+                results.push(result);
+            }
+        } finally {
+            ws.close();
+        }
+        return results;
+    }
+
+    // Failing on any difference the proxy does not make by design; the full comparison is kept as data
+    async testComparison(port) {
+        const { host, port: directPort, ...options } = this.config.compare;
+        try {
+            const comparison = new ProxyComparison({
+                host: this.config.host,
+                port,
+                gateway: this.config.gateway,
+                auth: this.config.auth,
+                tls: this.config.tls,
+                timeout: this.config.timeout,
+                directHost: host || '127.0.0.1',
+                directPort: directPort || port,
+                ...options
+            });
+            const result = await comparison.run();
+            const unexpected = result.differences.filter(difference => !difference.expected);
+            if (unexpected.length > 0) {
+                const [first] = unexpected;
+                return {
+                    success: false,
+                    failure: 'unexpected',
+                    error: `${unexpected.length} differences from Chrome on ${result.direct}, first: ${first.kind} ${first.where} ${first.change} (${first.detail})`,
+                    data: result
+                };
+            }
+            return { success: true, data: result };
+        } catch (error) {
+            return { success: false, failure: classifyError(error), error: error.message };
+        }
+    }
+
+    // chrome-remote-interface takes no TLS options: it trusts the system roots plus
+    // NODE_EXTRA_CA_CERTS, and sends the host it connects to as the SNI name
+    criTlsLimitation() {
+        const { ca, servername } = this.tls.config;
+        if (!this.tls.enabled) {
+            return null;
+        }
+        if (!this.tls.trustedByProcess()) {
+            return `chrome-remote-interface cannot trust ${ca}; run with NODE_EXTRA_CA_CERTS=${ca} to include it`;
+        }
+        if (servername && servername !== this.config.host) {
+            return `chrome-remote-interface sends ${this.config.host} as the SNI name, not ${servername}; use --host ${servername} to include it`;
+        }
+        return null;
+    }
+
+    async testCertificate(port) {
+        try {
+            const data = await this.tls.inspect(this.config.host, port);
+            const name = data.servername || this.config.host;
+            if (!data.authorized) {
+                return { success: false, failure: 'handshake', error: `Certificate for ${name} is not trusted: ${data.authorizationError}`, data };
+            }
+            if (data.daysLeft < this.config.certificateMinDays) {
+                return { success: false, failure: 'unexpected', error: `Certificate for ${name} expires in ${data.daysLeft} days, on ${data.validTo}`, data };
+            }
+            return { success: true, data };
+        } catch (error) {
+            return { success: false, failure: handshakeFailure(error), error: error.message };
+        }
+    }
+
+    // A name the proxy does not serve must be refused with a TLS alert, or at least get no certificate a
+    // client would accept; a proxy that cannot be reached or times out proves neither
+    async testSni(port) {
+        const servername = `unknown-${crypto.randomBytes(4).toString('hex')}.invalid`;
+        let data;
+        try {
+            data = await this.tls.inspect(this.config.host, port, servername);
+        } catch (error) {
+            if (TLS_ALERT.test(error.message)) {
+                return { success: true, data: { servername, refused: true, error: error.message } };
+            }
+            return { success: false, failure: handshakeFailure(error), error: error.message, data: { servername } };
+        }
+        
+        const result = { servername, refused: false, authorizationError: data.authorizationError, subject: data.subject };
+        if (data.authorized) {
+            return { success: false, error: `Handshake for ${servername} got a certificate valid for it (${data.altNames})`, data: result };
+        }
+        return { success: true, data: result };
+    }
+
+    // The JSON rewriter builds debugger URLs from X-Forwarded-Proto, which nginx sets from $scheme
+    testForwardedProto(described) {
+        const urls = [];
+        described.forEach(target => {
+            if (target.webSocketDebuggerUrl) {
+                urls.push(target.webSocketDebuggerUrl);
             }
+            if (target.devtoolsFrontendUrl) {
+                urls.push(target.devtoolsFrontendUrl);
+            }
+        });
+        
+        if (urls.length === 0) {
+            return { success: false, error: 'No debugger URLs in /json/version or /json/list to check' };
         }
         
-        return activePorts;
+        const plain = urls.filter(url => url.startsWith('ws://') || /[?&]ws=/.test(url));
+        const data = { urls: urls.length, plain: plain.length };
+        if (plain.length > 0) {
+            return { success: false, error: `${plain.length} of ${urls.length} debugger URLs use ws over https, e.g. ${plain[0]}; nginx must send X-Forwarded-Proto $scheme`, data };
+        }
+        return { success: true, data };
+    }
+
+    // Gateway mode lists instances from the gateway's /instances instead of scanning ports
+    async discoverActivePorts() {
+        if (this.config.gateway) {
+            this.log(`Listing Chrome instances behind the gateway at ${this.tls.url(this.config.host, this.config.gateway, '/instances')}...`);
+            const instances = await this.client.discoverInstances();
+            instances.forEach(instance => {
+                this.log(`Found Chrome debugger ${instance.name} behind the gateway on port ${instance.port}: ${instance.browser} (protocol ${instance.protocolVersion}, ${instance.targetCount} targets)`);
+            });
+            return instances;
+        }
+        
+        if (this.config.usePidFiles) {
+            this.log(`Reading candidate ports from PID files in ${this.config.pidDir}...`);
+        } else {
+            this.log(`Scanning ports ${this.config.portRange.start}-${this.config.portRange.end} for active Chrome instances...`);
+        }
+        
+        const instances = await this.client.discoverInstances();
+        this.refusedPorts = this.client.refusedPorts;
+        
+        instances.forEach(instance => {
+            this.log(`Found active Chrome debugger on port ${instance.port}: ${instance.browser} (protocol ${instance.protocolVersion}, ${instance.targetCount} targets)`);
+        });
+        
+        return instances;
     }
 
     async runTestsForPort(port) {
@@ -186,53 +547,50 @@ class ChromeProxyTester {
 
         // Test 1: Version endpoint
         this.log(`Testing /json/version endpoint on port ${port}...`);
-        const versionTest = await this.testHttpEndpoint(port, '/json/version');
+        const versionTest = await this.attempt('version', () => this.testHttpEndpoint(port, '/json/version'));
         portResults.tests.version = versionTest;
         
         if (versionTest.success) {
-            this.log(`✓ Version endpoint working: ${versionTest.data.Browser}`);
+            this.log(`✓ Version endpoint working: ${versionTest.data.Browser}${this.describeAttempts(versionTest)}`);
             this.results.passed++;
         } else {
-            this.error(`✗ Version endpoint failed: ${versionTest.error}`);
+            this.error(`✗ Version endpoint failed${this.describeAttempts(versionTest)}: ${versionTest.error}`);
             this.results.failed++;
             portResults.overall = false;
         }
 
         // Test 2: List endpoint
         this.log(`Testing /json/list endpoint on port ${port}...`);
-        const listTest = await this.testHttpEndpoint(port, '/json/list');
+        const listTest = await this.attempt('list', () => this.testHttpEndpoint(port, '/json/list'));
         portResults.tests.list = listTest;
         
         if (listTest.success) {
-            this.log(`✓ List endpoint working: Found ${listTest.data.length} targets`);
+            this.log(`✓ List endpoint working: Found ${listTest.data.length} targets${this.describeAttempts(listTest)}`);
             this.results.passed++;
         } else {
-            this.error(`✗ List endpoint failed: ${listTest.error}`);
+            this.error(`✗ List endpoint failed${this.describeAttempts(listTest)}: ${listTest.error}`);
             this.results.failed++;
             portResults.overall = false;
         }
 
         // Test 3: WebSocket connection (if we have targets)
+        let wsUrl = null;
         if (listTest.success && listTest.data.length > 0) {
             const target = listTest.data.find(t => t.webSocketDebuggerUrl) || listTest.data[0];
             
             if (target.webSocketDebuggerUrl) {
+                wsUrl = target.webSocketDebuggerUrl;
                 this.log(`Testing WebSocket connection on port ${port}...`);
                 
-                // Replace the WebSocket URL to go through nginx proxy
-                const proxyWsUrl = target.webSocketDebuggerUrl.replace(
-                    `ws://localhost:${port}`,
-                    `ws://${this.config.host}:${port}`
-                );
-                
-                const wsTest = await this.testWebSocketConnection(port, proxyWsUrl);
+                // The proxy's JSON rewriter already points the URL at the proxy
+                const wsTest = await this.attempt('websocket', () => this.testWebSocketConnection(port, target.webSocketDebuggerUrl));
                 portResults.tests.websocket = wsTest;
                 
                 if (wsTest.success) {
-                    this.log(`✓ WebSocket connection working: Expression evaluated successfully`);
+                    this.log(`✓ WebSocket connection working: Expression evaluated successfully${this.describeAttempts(wsTest)}`);
                     this.results.passed++;
                 } else {
-                    this.error(`✗ WebSocket connection failed: ${wsTest.error}`);
+                    this.error(`✗ WebSocket connection failed (${wsTest.probeFailure})${this.describeAttempts(wsTest)}: ${wsTest.error}`);
                     this.results.failed++;
                     portResults.overall = false;
                 }
@@ -241,21 +599,27 @@ class ChromeProxyTester {
 
         // Test 4: Chrome Remote Interface library
         this.log(`Testing Chrome Remote Interface library connection on port ${port}...`);
-        const cdpTest = await this.testChromeRemoteInterface(port);
+        const criLimitation = this.criTlsLimitation();
+        const cdpTest = criLimitation
+            ? { success: false, optional: true, error: criLimitation, durationMs: 0 }
+            : await this.attempt('cdp', () => this.testChromeRemoteInterface(port));
         portResults.tests.cdp = cdpTest;
         
-        if (cdpTest.success) {
-            this.log(`✓ Chrome Remote Interface working: Connected to ${cdpTest.userAgent}`);
+        if (criLimitation) {
+            this.log(`! Chrome Remote Interface skipped: ${criLimitation}`);
+        } else if (cdpTest.success) {
+            this.log(`✓ Chrome Remote Interface working: Connected to ${cdpTest.userAgent}${this.describeAttempts(cdpTest)}`);
             this.results.passed++;
         } else {
-            this.error(`✗ Chrome Remote Interface failed: ${cdpTest.error}`);
+            this.error(`✗ Chrome Remote Interface failed${this.describeAttempts(cdpTest)}: ${cdpTest.error}`);
             this.results.failed++;
             portResults.overall = false;
         }
 
         // Test 5: Health endpoint
         this.log(`Testing /health endpoint on port ${port}...`);
-        const healthTest = await this.testHttpEndpoint(port, '/health');
+        const healthTest = await this.attempt('health', () => this.testHttpEndpoint(port, '/health'));
+        healthTest.optional = true;
         portResults.tests.health = healthTest;
         
         if (healthTest.success) {
@@ -265,29 +629,151 @@ class ChromeProxyTester {
             this.log(`! Health endpoint not available (this is optional)`);
         }
 
+        // Test 6: Long-lived and idle connections (long-connection mode only)
+        if (this.config.idleWindows.length > 0 && wsUrl) {
+            await this.runLongConnectionTests(port, wsUrl, portResults);
+        }
+
+        // Test 7: CDP method policy (policy checks only)
+        if (this.config.policyChecks.length > 0 && wsUrl) {
+            this.log(`Testing ${this.config.policyChecks.length} calls against the CDP method policy on port ${port}...`);
+            const tests = await this.testPolicy(wsUrl, this.config.policyChecks);
+            const seen = {};
+            tests.forEach((test, index) => {
+                const { method } = this.config.policyChecks[index];
+                seen[method] = (seen[method] || 0) + 1;
+                const name = `policy ${method}${seen[method] > 1 ? ` #${seen[method]}` : ''}`;
+                this.record(portResults, name, test, data => (data.outcome === 'blocked'
+                    ? `${method} blocked as expected: ${data.message}`
+                    : `${method} allowed as expected${data.message ? ` (Chrome answered: ${data.message})` : ''}`));
+            });
+        }
+
+        // Test 8: Direct vs proxied comparison (comparison mode only)
+        if (this.config.compare) {
+            this.log(`Comparing port ${port} through the proxy with Chrome on ${this.config.compare.host || '127.0.0.1'}:${this.config.compare.port || port}...`);
+            const comparisonTest = await this.timed(this.testComparison(port));
+            if (comparisonTest.data) {
+                comparisonTest.data.differences.forEach(({ kind, where, change, detail, expected }) => {
+                    this.log(`${expected ? '  ' : '! '}Proxy ${change} ${kind} ${where}: ${detail}${expected ? ' (by design)' : ''}`, expected ? 'INFO' : 'WARN');
+                });
+            }
+            this.record(portResults, 'comparison', comparisonTest, (data) => {
+                const overhead = (summary) => ['p50', 'p95', 'p99'].map(p => `${summary.overhead[p] >= 0 ? '+' : ''}${summary.overhead[p].toFixed(1)}`).join('/');
+                return `Proxy matches Chrome on ${data.direct}: ${overhead(data.latency.cdp)}ms CDP and ${overhead(data.latency.http)}ms HTTP overhead at p50/p95/p99, ${data.differences.length} differences by design`;
+            });
+        }
+
+        // Test 9: Certificate, SNI and X-Forwarded-Proto (https only)
+        if (this.tls.enabled) {
+            const described = [
+                ...(versionTest.success ? [versionTest.data] : []),
+                ...(listTest.success ? listTest.data : [])
+            ];
+            await this.runTlsTests(port, described, portResults);
+        }
+
+        portResults.flaky = Object.keys(portResults.tests).filter(name => portResults.tests[name].flaky);
+        this.results.flaky += portResults.flaky.length;
+
         return portResults;
     }
 
+    async runTlsTests(port, described, portResults) {
+        const listenPort = this.config.gateway || port;
+        const name = this.tls.config.servername || this.config.host;
+
+        this.log(`Testing the TLS certificate for ${name} on port ${listenPort}...`);
+        this.record(portResults, 'certificate', await this.timed(this.testCertificate(listenPort)),
+            data => `Certificate for ${name} trusted: issued by ${data.issuer}, ${data.protocol}, ${data.daysLeft} days left`);
+
+        this.log(`Testing SNI with a name the proxy does not serve on port ${listenPort}...`);
+        this.record(portResults, 'sni', await this.timed(this.testSni(listenPort)),
+            data => (data.refused
+                ? `SNI working: handshake for ${data.servername} refused`
+                : `SNI working: ${data.servername} got a certificate for ${data.subject}, which clients reject (${data.authorizationError})`));
+
+        this.log(`Testing X-Forwarded-Proto handling on port ${port}...`);
+        this.record(portResults, 'forwarded-proto', await this.timed(Promise.resolve(this.testForwardedProto(described))),
+            data => `X-Forwarded-Proto working: all ${data.urls} debugger URLs use wss`);
+    }
+
+    // Idle windows run side by side, so the mode takes about as long as the longest window
+    async runLongConnectionTests(port, wsUrl, portResults) {
+        const keepalive = new KeepaliveProbe({
+            url: wsUrl,
+            port,
+            timeout: this.config.timeout,
+            auth: this.config.auth,
+            tls: this.config.tls,
+            idleTimeout: this.config.idleTimeout,
+            tolerance: this.config.idleTolerance,
+            pingInterval: this.config.pingInterval,
+            reloadCommand: this.config.reloadCommand,
+            reloadSettle: this.config.reloadSettle
+        });
+
+        const record = (name, test, describe) => this.record(portResults, name, test, describe);
+
+        this.log(`Testing WebSocket ping/pong on port ${port}...`);
+        record('ping', await this.timed(keepalive.checkPing()),
+            data => `Ping/pong working: ${data.pongs} pongs, ${Math.max(...data.rttMs).toFixed(1)}ms slowest round trip`);
+
+        if (this.config.reloadCommand) {
+            this.log(`Testing an open session across "${keepalive.config.reloadCommand.replace(/\{port\}/g, port)}"...`);
+            record('reload', await this.timed(keepalive.checkReload()),
+                data => `Session survived the reload (command took ${data.reloadMs}ms)`);
+        }
+
+        // The longest window is also held once more with pings, which should keep it open
+        const longest = Math.max(...this.config.idleWindows);
+        const windows = [
+            ...this.config.idleWindows.map(windowMs => ({ windowMs, keepalive: false })),
+            { windowMs: longest, keepalive: true }
+        ];
+
+        this.log(`Holding ${windows.length} sessions idle for up to ${longest / 1000}s on port ${port}...`);
+        const tests = await Promise.all(windows.map(window => this.timed(keepalive.holdIdle(window.windowMs, window.keepalive))));
+
+        tests.forEach((test, index) => {
+            const { windowMs, keepalive: pinged } = windows[index];
+            const name = `${pinged ? 'keepalive' : 'idle'}-${windowMs / 1000}s`;
+            record(name, test, data => {
+                if (data.survived) {
+                    return `${name}: session survived${pinged ? ` with ${data.pings} pings and ${data.pongs} pongs` : ''}`;
+                }
+                return `${name}: proxy closed the session ${(data.droppedAfterMs / 1000).toFixed(1)}s after the last frame with code ${data.closeCode}`;
+            });
+        });
+    }
+
     async runAllTests() {
+        this.startedAt = new Date();
         this.log('Chrome Debugger Nginx Proxy Connection Test Suite');
         this.log('='.repeat(50));
         
-        const activePorts = await this.discoverActivePorts();
+        const instances = await this.discoverActivePorts();
         
-        if (activePorts.length === 0) {
+        if (instances.length === 0) {
             this.error('No active Chrome debugger instances found in port range');
-            this.log('Please start Chrome with: ./scripts/start-chrome.sh start');
+            if (this.refusedPorts.length > 0) {
+                this.log(`Ports ${this.refusedPorts.join(', ')} refused the credentials; pass --token or --auth-secret-file`);
+            } else {
+                this.log('Please start Chrome with: ./scripts/start-chrome.sh start');
+            }
             return false;
         }
 
-        this.log(`Found ${activePorts.length} active Chrome debugger instances`);
+        this.log(`Found ${instances.length} active Chrome debugger instances`);
         
         const allResults = [];
         
-        for (const port of activePorts) {
+        for (const { port } of instances) {
             const portResult = await this.runTestsForPort(port);
             allResults.push(portResult);
         }
+        
+        this.portResults = allResults;
 
         // Summary
         this.log('\n' + '='.repeat(50));
@@ -296,11 +782,13 @@ class ChromeProxyTester {
         
         allResults.forEach(result => {
             const status = result.overall ? '✓ PASS' : '✗ FAIL';
-            this.log(`Port ${result.port}: ${status}`);
+            const flaky = result.flaky.length > 0 ? ` (flaky: ${result.flaky.join(', ')})` : '';
+            this.log(`Port ${result.port}: ${status}${flaky}`);
         });
         
         this.log(`\nTotal tests: ${this.results.passed + this.results.failed}`);
         this.log(`Passed: ${this.results.passed}`);
+        this.log(`Flaky: ${this.results.flaky} (passed after retrying a transient failure)`);
         this.log(`Failed: ${this.results.failed}`);
         
         if (this.results.errors.length > 0) {
@@ -311,6 +799,7 @@ class ChromeProxyTester {
         }
         
         const success = this.results.failed === 0 && this.results.passed > 0;
+        this.success = success;
         
         if (success) {
             this.log('\n🎉 All tests passed! Chrome debugger nginx proxy is working correctly.');
@@ -320,14 +809,248 @@ class ChromeProxyTester {
         
         return success;
     }
+
+    // Structured results for the JSON, JUnit and text report formats
+    buildReport() {
+        const durations = {};
+        const testsuites = this.portResults.map(portResult => ({
+            name: `port ${portResult.port}`,
+            testcases: Object.entries(portResult.tests).map(([name, test]) => {
+                (durations[name] = durations[name] || []).push(test.durationMs);
+                
+                let status = 'passed';
+                if (!test.success) {
+                    status = test.optional ? 'skipped' : 'failed';
+                }
+                
+                return {
+                    name,
+                    status,
+                    message: test.error,
+                    details: test.data ? JSON.stringify(test.data) : undefined,
+                    durationMs: test.durationMs,
+                    failure: test.success ? undefined : test.failure,
+                    attempts: test.attempts,
+                    flaky: test.flaky || undefined,
+                    retries: test.retries && test.retries.length > 0
+                        ? test.retries.map(retry => ({ failure: retry.failure, message: retry.error }))
+                        : undefined
+                };
+            })
+        }));
+        
+        // Hard failures per class, counting only required checks
+        const failures = {};
+        this.portResults.forEach(portResult => {
+            Object.values(portResult.tests).forEach(test => {
+                if (!test.success && !test.optional) {
+                    const failure = test.failure || 'unexpected';
+                    failures[failure] = (failures[failure] || 0) + 1;
+                }
+            });
+        });
+        
+        const latency = {};
+        Object.entries(durations).forEach(([name, values]) => {
+            latency[name] = ReportFormatter.summarizeLatencies(values);
+        });
+        
+        return {
+            name: 'chrome-proxy-connection',
+            timestamp: (this.startedAt || new Date()).toISOString(),
+            durationMs: this.startedAt ? Date.now() - this.startedAt.getTime() : 0,
+            success: this.success,
+            summary: {
+                total: this.results.passed + this.results.failed,
+                passed: this.results.passed,
+                flaky: this.results.flaky,
+                failed: this.results.failed,
+                failures
+            },
+            ports: this.portResults,
+            latency,
+            errors: ReportFormatter.groupErrors(this.results.errors),
+            testsuites
+        };
+    }
 }
 
 // Example usage and test execution
 async function main() {
-    const tester = new ChromeProxyTester();
+    const args = process.argv.slice(2);
+    const config = {};
+    const auth = ProxyAuth.fromEnvironment();
+    const tls = {};
+    
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+        
+        switch (key) {
+            case 'host':
+                config.host = value;
+                break;
+            case 'range': {
+                const [start, end] = value.split('-').map(n => parseInt(n));
+                config.portRange = { start, end: end || start };
+                break;
+            }
+            case 'concurrency':
+                config.discoveryConcurrency = parseInt(value);
+                break;
+            case 'pid-dir':
+                config.pidDir = value;
+                config.usePidFiles = true;
+                break;
+            case 'retries':
+                config.maxRetries = parseInt(value);
+                break;
+            case 'format':
+                config.format = value;
+                break;
+            case 'output':
+                config.output = value;
+                break;
+            case 'gateway':
+                config.gateway = parseInt(value);
+                break;
+            case 'idle-windows':
+                config.idleWindows = value.split(',').map(seconds => parseFloat(seconds) * 1000);
+                break;
+            case 'idle-timeout':
+                config.idleTimeout = parseFloat(value) * 1000;
+                break;
+            case 'ping-interval':
+                config.pingInterval = parseFloat(value) * 1000;
+                break;
+            case 'reload-command':
+                config.reloadCommand = value === 'none' ? null : value;
+                break;
+            case 'policy-checks':
+                config.policyChecks = loadPolicyChecks(value);
+                break;
+            case 'compare': {
+                const [compareHost, comparePort] = value.split(':');
+                config.compare = { ...config.compare, host: compareHost, port: comparePort ? parseInt(comparePort) : null };
+                break;
+            }
+            case 'compare-script':
+                config.compare = { ...config.compare, script: ProxyComparison.loadScript(value) };
+                break;
+            case 'compare-iterations':
+                config.compare = { ...config.compare, iterations: parseInt(value) };
+                break;
+            case 'token':
+                auth.token = value;
+                break;
+            case 'auth-secret-file':
+                auth.secret = ProxyAuth.readSecret(value);
+                break;
+            case 'scheme':
+                tls.enabled = value === 'https';
+                break;
+            case 'ca':
+                tls.enabled = true;
+                tls.ca = value;
+                break;
+            case 'servername':
+                tls.servername = value;
+                break;
+            case 'help':
+                console.log(`
+Usage: node connection-test.js [options]
+
+Options:
+  --host HOST        Host to test (default: localhost)
+  --range START-END  Port range to scan (default: 48000-49000)
+  --concurrency N    Ports probed in parallel during discovery (default: 50)
+  --pid-dir DIR      Take candidate ports from start-chrome.sh PID files in DIR
+  --gateway PORT     Test every instance through the single-port gateway listening on PORT
+  --retries N        Retries per check after a refused connection, a timeout or a 429/5xx, with
+                     backoff; a check that passes on a retry is reported as flaky (default: 3)
+  --format FORMAT    Report format: text, json or junit (default: text)
+  --output FILE      Write the report to FILE instead of stdout
+  --idle-windows LIST  Long-connection mode: hold idle sessions for each of these seconds, e.g. 45,75
+  --idle-timeout N   Seconds of silence after which the proxy should drop a session (default: 60)
+  --ping-interval N  Seconds between pings in the keepalive session (default: 20)
+  --reload-command CMD  Run mid-session in long-connection mode, {port} is the Chrome port, none skips it
+                     (default: scripts/start-chrome.sh generate-config {port})
+  --policy-checks FILE  JSON/YAML list of { method, params, expect: allowed | blocked } calls to send
+                     through cdp-filter.js; blocked calls are really sent if the filter is missing
+  --compare HOST[:PORT]  Comparison mode: run a CDP script on Chrome at HOST (default port: the tested
+                     one) and through the proxy, and diff headers, frames, close codes and latency;
+                     needs --host with the proxy's outside address
+  --compare-script FILE  JSON/YAML list of { method, params } calls for comparison mode
+  --compare-iterations N  Timed rounds of the script on each side (default: 20)
+  --token TOKEN      Bearer token for the auth sidecar (default: $CHROME_PROXY_TOKEN)
+  --auth-secret-file FILE  Sign URLs with this secret instead (default: $CHROME_PROXY_AUTH_SECRET)
+  --scheme http|https  Reach the proxy over https and wss, and check its certificate, SNI and
+                     X-Forwarded-Proto handling (default: http)
+  --ca FILE          Trust this CA, such as ca.pem from tls-certs.js; implies https
+  --servername NAME  SNI and certificate name when --host is an address
+  --help             Show this help message
+
+Examples:
+  node connection-test.js --range 48300-48400
+  node connection-test.js --pid-dir /var/run/chrome-debug
+  node connection-test.js --format junit --output results.xml
+  node connection-test.js --host proxy.example.com --gateway 9470
+  sudo node connection-test.js --range 48333-48333 --idle-windows 30,90
+  node connection-test.js --range 48333-48333 --token "$(cat ~/.chrome-proxy-token)"
+  node connection-test.js --host 10.0.1.25 --range 48333-48333 --ca tls/ca.pem --servername chrome-proxy.internal
+  node connection-test.js --range 48533-48533 --policy-checks policy-checks.yaml
+  node connection-test.js --host proxy.internal --range 48333-48333 --compare 127.0.0.1 --format json
+`);
+                process.exit(0);
+                break;
+        }
+    }
+    
+    if (auth.token || auth.secret) {
+        config.auth = auth;
+    }
+    
+    // The default localhost is Chrome's own loopback port, which would be compared with itself
+    if (config.compare && !config.host) {
+        console.error('--compare needs --host: the proxy\'s outside address');
+        process.exit(1);
+    }
+    
+    if (tls.enabled) {
+        config.tls = tls;
+    }
+    
+    if (config.discoveryConcurrency !== undefined && !(config.discoveryConcurrency >= 1)) {
+        console.error('--concurrency needs a positive number of ports');
+        process.exit(1);
+    }
+    
+    const format = config.format || 'text';
+    const output = config.output || null;
+    delete config.format;
+    delete config.output;
+    
+    let formatter;
+    try {
+        formatter = new ReportFormatter({ format, output });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    // Machine-readable reports on stdout push the log lines to stderr
+    config.logToStderr = format !== 'text' && !output;
+    
+    const tester = new ChromeProxyTester(config);
     
     try {
         const success = await tester.runAllTests();
+        
+        if (format !== 'text' || output) {
+            formatter.write(tester.buildReport());
+        }
+        
         process.exit(success ? 0 : 1);
     } catch (error) {
         console.error('Fatal error running tests:', error);
@@ -340,4 +1063,7 @@ if (require.main === module) {
     main();
 }
 
+ChromeProxyTester.FAILURE_CLASSES = FAILURE_CLASSES;
+ChromeProxyTester.TRANSIENT_FAILURES = TRANSIENT_FAILURES;
+
 module.exports = ChromeProxyTester;
\ No newline at end of file
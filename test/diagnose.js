@@ -0,0 +1,636 @@
+#!/usr/bin/env node
+
+/**
+ * Proxy Diagnostics
+ * Gathers health-check output, nginx and Chrome logs, /json output and the connection checks for a proxy incident
+ * Scrubs secrets, names the likely cause per port and packs everything into one tarball
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const ChromeProxyClient = require('./chrome-proxy-client');
+const ChromeProxyTester = require('./connection-test');
+const ProxyAuth = require('./proxy-auth');
+
+const { TimeoutError, ConnectionError } = ChromeProxyClient;
+
+// Likely causes, in the order ties are broken
+const CAUSES = {
+    'chrome-down': 'Chrome down',
+    'nginx-misrouted': 'nginx misrouted',
+    'handshake-rejected': 'Handshake rejected',
+    'rate-limited': 'Rate-limited',
+    'timed-out': 'Timed out'
+};
+
+// Lines in a port's nginx error log, and the cause each points at; refused upstreams are told apart by port
+const NGINX_ERRORS = [
+    { pattern: /upstream timed out \(110: Connection timed out\)/, label: 'upstream timed out', cause: 'timed-out', weight: 2 },
+    { pattern: /limiting (requests|connections)/, label: 'limit_req/limit_conn', cause: 'rate-limited', weight: 2 },
+    { pattern: /SSL_do_handshake\(\) failed|auth request unexpected status|no "ssl_certificate"/, label: 'TLS or auth_request failure', cause: 'handshake-rejected', weight: 2 }
+];
+
+// Statuses in a port's access log
+const ACCESS_STATUSES = [
+    { statuses: [429], cause: 'rate-limited', weight: 2 },
+    { statuses: [401, 403], cause: 'handshake-rejected', weight: 1 },
+    { statuses: [502, 503], cause: 'chrome-down', weight: 1 },
+    { statuses: [504], cause: 'timed-out', weight: 1 }
+];
+
+const UPSTREAM_REFUSED = /connect\(\) failed \(111: Connection refused\) while connecting to upstream/;
+const UPSTREAM = /upstream: "https?:\/\/[^/"]+:(\d+)(\/[^"]*)?"/;
+
+const REFUSED = /ECONNREFUSED|ECONNRESET|socket hang up/;
+const UNREACHABLE = /EHOSTUNREACH|ENETUNREACH|ENOTFOUND|EAI_AGAIN/;
+
+// Proxy hosts Chrome's own port can be probed next to
+const LOCAL_HOST = /^(localhost|127(\.\d+){3}|::1|\[::1\])$/;
+
+const CHROME_CRASH = /crash|Received signal|Check failed|FATAL|Aborted/i;
+
+// Failure classes of the connection checks
+const CHECK_FAILURES = {
+    handshake: { cause: 'handshake-rejected', weight: 2 },
+    timeout: { cause: 'timed-out', weight: 2 }
+};
+
+// Credentials in headers, signed URLs, token files and PEM keys
+const SECRET_PATTERNS = [
+    [/(\b(?:Bearer|Basic)\s+)[A-Za-z0-9._~+/=-]+/g, '$1[REDACTED]'],
+    [/([?&](?:access_token|token|signature|secret|key)=)[^&\s"']+/gi, '$1[REDACTED]'],
+    [/(\b(?:Cookie|Set-Cookie):\s*)[^\r\n]+/gi, '$1[REDACTED]'],
+    [/("(?:token|secret|password|sha256|signature)"\s*:\s*")[^"]*"/gi, '$1[REDACTED]"'],
+    [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, '[REDACTED PRIVATE KEY]']
+];
+
+const ANSI_COLORS = /\x1b\[[0-9;]*m/g;
+
+// The last bytes of a log, from the first whole line; null when the file is missing
+function tailFile(file, bytes) {
+    let fd;
+    try {
+        fd = fs.openSync(file, 'r');
+    } catch (error) {
+        return null;
+    }
+    try {
+        const { size } = fs.fstatSync(fd);
+        const start = Math.max(0, size - bytes);
+        const buffer = Buffer.alloc(size - start);
+        fs.readSync(fd, buffer, 0, buffer.length, start);
+        const text = buffer.toString('utf8');
+        return start > 0 ? text.slice(text.indexOf('\n') + 1) : text;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+class ProxyDiagnostics {
+    constructor(config = {}) {
+        this.config = {
+            host: 'localhost', // the proxy
+            ports: null, // null = every port with logs, a PID file or a live instance in portRange
+            portRange: { start: 48000, end: 49000 },
+            gateway: null,
+            auth: null,
+            tls: null,
+            direct: { host: null, port: null }, // Chrome itself; host null = 127.0.0.1 for a local proxy, false = off
+            logDir: '/var/log/nginx',
+            chromeLogDir: '/var/log/chrome-debug',
+            pidDir: '/var/run/chrome-debug',
+            healthCheck: path.join(__dirname, '..', 'scripts', 'health-check.sh'), // null skips it
+            checks: true, // live /json requests and connection checks; off for logs alone
+            logBytes: 1024 * 1024, // tail of each log that goes into the bundle
+            output: null, // default: chrome-proxy-diag-<time>.tar.gz in the working directory
+            timeout: 10000,
+            quiet: false,
+            ...config
+        };
+        this.client = new ChromeProxyClient({
+            host: this.config.host,
+            gateway: this.config.gateway,
+            auth: this.config.auth,
+            tls: this.config.tls,
+            timeout: this.config.timeout,
+            maxRetries: 0
+        });
+        // Chrome only listens on the proxy's loopback, so from anywhere else there is nothing to probe
+        if (this.config.direct.host === null && LOCAL_HOST.test(this.config.host)) {
+            this.config.direct = { ...this.config.direct, host: '127.0.0.1' };
+        }
+        this.directClient = this.config.direct.host
+            ? new ChromeProxyClient({ host: this.config.direct.host, timeout: this.config.timeout, maxRetries: 0 })
+            : null;
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // Replace credentials with [REDACTED]; secrets are literal values to remove wherever they appear
+    static scrub(text, secrets = []) {
+        let scrubbed = secrets.filter(secret => secret && secret.length >= 4)
+            .reduce((current, secret) => current.split(secret).join('[REDACTED]'), text);
+        SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+            scrubbed = scrubbed.replace(pattern, replacement);
+        });
+        return scrubbed;
+    }
+
+    // The cause with the most evidence, ties going to the earlier one in CAUSES
+    static classify(evidence) {
+        const scores = {};
+        evidence.forEach(({ cause, weight }) => {
+            scores[cause] = (scores[cause] || 0) + weight;
+        });
+        const ranked = Object.keys(CAUSES).filter(cause => scores[cause] > 0).sort((a, b) => scores[b] - scores[a]);
+        return ranked.length > 0 ? ranked[0] : null;
+    }
+
+    // Evidence from a port's nginx error log. Chrome's own port refusing means Chrome is down; the JSON
+    // rewriter or auth sidecar refusing, or DevTools sockets sent to another port, means a broken route
+    static analyzeErrorLog(text, port) {
+        const lines = text.split('\n');
+        const evidence = NGINX_ERRORS.map(({ pattern, label, cause, weight }) => {
+            const count = lines.filter(line => pattern.test(line)).length;
+            return count > 0 ? { cause, weight, source: 'nginx error log', detail: `${count} ${label} lines` } : null;
+        }).filter(Boolean);
+
+        let chromeRefused = 0;
+        const otherRefused = new Set();
+        const misrouted = new Set();
+        lines.forEach(line => {
+            const upstream = line.match(UPSTREAM);
+            const upstreamPort = upstream ? parseInt(upstream[1]) : port;
+            if (UPSTREAM_REFUSED.test(line)) {
+                if (upstreamPort === port) {
+                    chromeRefused++;
+                } else {
+                    otherRefused.add(upstreamPort);
+                }
+            }
+            if (upstream && upstreamPort !== port && (upstream[2] || '').startsWith('/devtools/')) {
+                misrouted.add(upstreamPort);
+            }
+        });
+
+        if (chromeRefused > 0) {
+            evidence.unshift({ cause: 'chrome-down', weight: 2, source: 'nginx error log', detail: `${chromeRefused} lines with Chrome on port ${port} refusing the connection` });
+        }
+        if (otherRefused.size > 0) {
+            evidence.push({ cause: 'nginx-misrouted', weight: 2, source: 'nginx error log', detail: `upstreams on port ${[...otherRefused].join(', ')} (JSON rewriter, auth sidecar) refused the connection` });
+        }
+        if (misrouted.size > 0) {
+            evidence.push({ cause: 'nginx-misrouted', weight: 3, source: 'nginx error log', detail: `DevTools sockets for port ${port} are proxied to port ${[...misrouted].join(', ')}` });
+        }
+        return evidence;
+    }
+
+    // Evidence from the statuses in a port's access log (log_format main)
+    static analyzeAccessLog(text) {
+        const counts = {};
+        text.split('\n').forEach(line => {
+            const match = line.match(/" (\d{3}) \d+ "/);
+            if (match) {
+                counts[match[1]] = (counts[match[1]] || 0) + 1;
+            }
+        });
+        return ACCESS_STATUSES.map(({ statuses, cause, weight }) => {
+            const count = statuses.reduce((sum, status) => sum + (counts[status] || 0), 0);
+            return count > 0 ? { cause, weight, source: 'nginx access log', detail: `${count} responses with status ${statuses.join('/')}` } : null;
+        }).filter(Boolean);
+    }
+
+    static analyzeChromeLog(text) {
+        const crashes = text.split('\n').filter(line => CHROME_CRASH.test(line));
+        return crashes.length > 0
+            ? [{ cause: 'chrome-down', weight: 1, source: 'Chrome log', detail: `${crashes.length} crash lines, last: ${crashes[crashes.length - 1].trim()}` }]
+            : [];
+    }
+
+    secrets() {
+        const auth = this.config.auth || {};
+        return [auth.token, auth.secret, process.env.CHROME_PROXY_TOKEN, process.env.CHROME_PROXY_AUTH_SECRET];
+    }
+
+    write(dir, name, content) {
+        const file = path.join(dir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, ProxyDiagnostics.scrub(content, this.secrets()));
+    }
+
+    // Ports with logs or PID files, and, with checks on, live instances behind the proxy
+    async findPorts() {
+        if (this.config.ports) {
+            return this.config.ports;
+        }
+
+        const ports = new Set();
+        const scan = (dir, pattern) => {
+            try {
+                fs.readdirSync(dir).forEach(name => {
+                    const match = name.match(pattern);
+                    if (match) {
+                        ports.add(parseInt(match[1]));
+                    }
+                });
+            } catch (error) {
+                // Missing directory: nothing from it
+            }
+        };
+        scan(this.config.logDir, /^chrome_proxy_(\d+)_(access|error)\.log$/);
+        scan(this.config.chromeLogDir, /^chrome-(\d+)\.log$/);
+        scan(this.config.pidDir, /^chrome-(\d+)\.pid$/);
+
+        if (this.config.checks) {
+            const client = new ChromeProxyClient({ ...this.client.config, portRange: this.config.portRange });
+            const instances = await client.discoverInstances().catch(() => []);
+            instances.forEach(instance => ports.add(instance.port));
+        }
+        return [...ports].sort((a, b) => a - b);
+    }
+
+    // { status, body } or { error, failure } for one /json request, without retries
+    async fetchJson(client, port, endpoint) {
+        try {
+            const response = await client.request(client.instanceUrl(port, endpoint), { retries: 0, port });
+            const body = await response.text();
+            let data = null;
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                // An error page
+            }
+            return { status: response.status, body, data };
+        } catch (error) {
+            // Certificate and protocol errors are the handshake's; an unknown or unroutable host is
+            // unreachable; the rest means nothing answered
+            const reason = `${error.code} ${error.message}`;
+            let failure = 'refused';
+            if (error instanceof TimeoutError) {
+                failure = 'timeout';
+            } else if (error instanceof ConnectionError && UNREACHABLE.test(reason)) {
+                failure = 'unreachable';
+            } else if (!(error instanceof ConnectionError) || !REFUSED.test(reason)) {
+                failure = 'handshake';
+            }
+            return { error: error.message, failure };
+        }
+    }
+
+    // Evidence from /json/version and /json/list asked of Chrome itself and through the proxy
+    async probe(port, dir) {
+        const directPort = this.config.direct.port || port;
+        const evidence = [];
+        const responses = {};
+        const sides = [['proxied', this.client, port]];
+        if (this.directClient) {
+            sides.unshift(['direct', this.directClient, directPort]);
+        }
+        for (const [side, client, sidePort] of sides) {
+            for (const endpoint of ['/json/version', '/json/list']) {
+                const response = await this.fetchJson(client, sidePort, endpoint);
+                responses[`${side} ${endpoint}`] = response;
+                this.write(dir, `ports/${port}/${side}${endpoint.replace(/\//g, '-')}.json`, response.body !== undefined
+                    ? response.body
+                    : `${JSON.stringify({ error: response.error, failure: response.failure }, null, 2)}\n`);
+            }
+        }
+
+        const direct = responses['direct /json/version'] || { failure: 'off' };
+        const proxied = responses['proxied /json/version'];
+        const chromeAddress = `${this.config.direct.host}:${directPort}`;
+
+        // Not reaching Chrome from here says nothing about Chrome: neutral evidence, no cause
+        if (direct.failure === 'off') {
+            evidence.push({ cause: null, weight: 0, source: 'direct', detail: `direct side not probed${this.config.direct.host === false ? '' : `: ${this.config.host} is not local`}` });
+        } else if (direct.failure === 'unreachable') {
+            evidence.push({ cause: null, weight: 0, source: 'direct', detail: `direct side unreachable: ${direct.error}` });
+        } else if (direct.failure === 'refused') {
+            evidence.push({ cause: 'chrome-down', weight: 3, source: 'direct', detail: `Chrome on ${chromeAddress} refused the connection` });
+        } else if (direct.failure === 'timeout') {
+            evidence.push({ cause: 'timed-out', weight: 2, source: 'direct', detail: `Chrome on ${chromeAddress} did not answer within ${this.config.timeout}ms` });
+        }
+        const chromeUp = direct.status === 200;
+        const chromeUnknown = ['off', 'unreachable'].includes(direct.failure);
+
+        if (['refused', 'unreachable'].includes(proxied.failure)) {
+            evidence.push({ cause: 'nginx-misrouted', weight: 2, source: 'proxy', detail: `nothing accepts connections on ${this.config.host}:${this.config.gateway || port}` });
+        } else if (proxied.failure === 'timeout') {
+            evidence.push({ cause: 'timed-out', weight: 2, source: 'proxy', detail: `the proxy did not answer within ${this.config.timeout}ms` });
+        } else if (proxied.failure === 'handshake') {
+            evidence.push({ cause: 'handshake-rejected', weight: 3, source: 'proxy', detail: proxied.error });
+        } else if ([401, 403].includes(proxied.status)) {
+            evidence.push({ cause: 'handshake-rejected', weight: 3, source: 'proxy', detail: `the proxy answered ${proxied.status}: the credentials were refused` });
+        } else if (proxied.status === 429) {
+            evidence.push({ cause: 'rate-limited', weight: 3, source: 'proxy', detail: 'the proxy answered 429' });
+        } else if (proxied.status === 504) {
+            evidence.push({ cause: 'timed-out', weight: 2, source: 'proxy', detail: 'the proxy answered 504: Chrome did not answer it in time' });
+        } else if ([502, 503].includes(proxied.status)) {
+            evidence.push(chromeUp
+                ? { cause: 'nginx-misrouted', weight: 3, source: 'proxy', detail: `the proxy answered ${proxied.status} while Chrome on ${chromeAddress} is up` }
+                : { cause: 'chrome-down', weight: 1, source: 'proxy', detail: `the proxy answered ${proxied.status}` });
+        } else if (proxied.status === 404 && chromeUp) {
+            evidence.push({ cause: 'nginx-misrouted', weight: 2, source: 'proxy', detail: 'the proxy answered 404 for /json/version' });
+        }
+
+        // Both up but answering for different browsers, or for disjoint sets of targets
+        if (chromeUp && proxied.status === 200 && direct.data && proxied.data) {
+            const directList = responses['direct /json/list'].data || [];
+            const proxiedList = responses['proxied /json/list'].data || [];
+            const directIds = new Set(directList.map(target => target.id));
+            if (direct.data.Browser !== proxied.data.Browser) {
+                evidence.push({ cause: 'nginx-misrouted', weight: 3, source: 'proxy', detail: `the proxy answers for ${proxied.data.Browser}, Chrome on ${chromeAddress} is ${direct.data.Browser}` });
+            } else if (directIds.size > 0 && proxiedList.length > 0 && !proxiedList.some(target => directIds.has(target.id))) {
+                evidence.push({ cause: 'nginx-misrouted', weight: 3, source: 'proxy', detail: `none of the ${proxiedList.length} targets listed through the proxy are on Chrome on ${chromeAddress}` });
+            }
+        }
+        // Answering for the wrong Chrome is not ok, even with two 200s
+        const ok = (chromeUp || chromeUnknown) && proxied.status === 200 && evidence.every(({ weight }) => weight === 0);
+        return { evidence, ok };
+    }
+
+    // The connection tester's checks for one port, as its JSON report
+    async runChecks(port, dir) {
+        const tester = new ChromeProxyTester({
+            host: this.config.host,
+            portRange: { start: port, end: port },
+            gateway: this.config.gateway,
+            auth: this.config.auth,
+            tls: this.config.tls,
+            timeout: this.config.timeout,
+            maxRetries: 1,
+            quiet: true
+        });
+        tester.startedAt = new Date();
+        const result = await tester.runTestsForPort(port);
+        tester.portResults = [result];
+        tester.success = result.overall;
+        const report = tester.buildReport();
+        this.write(dir, `ports/${port}/connection-test.json`, `${JSON.stringify(report, null, 2)}\n`);
+
+        const evidence = [];
+        Object.entries(result.tests).forEach(([name, test]) => {
+            const rule = !test.success && !test.optional && CHECK_FAILURES[test.failure];
+            if (rule) {
+                evidence.push({ ...rule, source: 'connection test', detail: `${name} failed [${test.failure}]: ${test.error}` });
+            }
+            if (!test.success && test.data && test.data.status === 429) {
+                evidence.push({ cause: 'rate-limited', weight: 2, source: 'connection test', detail: `${name} was shed with 429` });
+            }
+        });
+        return { evidence, ok: result.overall };
+    }
+
+    // Tails of a port's nginx and Chrome logs, and the evidence in them
+    collectLogs(port, dir) {
+        const evidence = [];
+        const logs = [
+            { file: path.join(this.config.logDir, `chrome_proxy_${port}_error.log`), name: `nginx/chrome_proxy_${port}_error.log`, analyze: text => ProxyDiagnostics.analyzeErrorLog(text, port) },
+            { file: path.join(this.config.logDir, `chrome_proxy_${port}_access.log`), name: `nginx/chrome_proxy_${port}_access.log`, analyze: ProxyDiagnostics.analyzeAccessLog },
+            { file: path.join(this.config.chromeLogDir, `chrome-${port}.log`), name: `chrome/chrome-${port}.log`, analyze: ProxyDiagnostics.analyzeChromeLog }
+        ];
+        logs.forEach(({ file, name, analyze }) => {
+            const text = tailFile(file, this.config.logBytes);
+            if (text !== null) {
+                this.write(dir, name, text);
+                evidence.push(...analyze(text));
+            }
+        });
+        return evidence;
+    }
+
+    runHealthCheck(dir) {
+        return new Promise((resolve) => {
+            execFile('bash', [this.config.healthCheck, 'check'], { timeout: 120000, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+                const status = error ? (error.killed ? 'killed after 120s' : `exit ${error.code}`) : 'exit 0';
+                this.write(dir, 'health-check.txt', `$ ${this.config.healthCheck} check (${status})\n\n${`${stdout}${stderr}`.replace(ANSI_COLORS, '')}`);
+                resolve(status);
+            });
+        });
+    }
+
+    summarize(report) {
+        const lines = [
+            `Chrome debugger proxy diagnostics, ${report.timestamp}`,
+            `Proxy: ${report.host}, ports: ${report.ports.map(result => result.port).join(', ') || 'none found'}`,
+            report.healthCheck ? `Health check: ${report.healthCheck}` : 'Health check: skipped',
+            ''
+        ];
+        report.ports.forEach(result => {
+            lines.push(`Port ${result.port}: ${result.label}`);
+            result.evidence.forEach(({ cause, source, detail }) => lines.push(`  - ${cause ? `[${CAUSES[cause]}] ` : ''}${source}: ${detail}`));
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    // Tar the bundle directory into output, next to nothing else
+    pack(workDir, name, output) {
+        return new Promise((resolve, reject) => {
+            execFile('tar', ['-czf', path.resolve(output), '-C', workDir, name], (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(`tar failed: ${stderr.trim() || error.message}`));
+                } else {
+                    resolve(path.resolve(output));
+                }
+            });
+        });
+    }
+
+    async run() {
+        const startedAt = new Date();
+        const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+        const name = `chrome-proxy-diag-${stamp}`;
+        const output = this.config.output || `${name}.tar.gz`;
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-proxy-diag-'));
+        const dir = path.join(workDir, name);
+        fs.mkdirSync(dir);
+
+        try {
+            const report = { timestamp: startedAt.toISOString(), host: this.config.host, healthCheck: null, ports: [] };
+            if (this.config.healthCheck) {
+                this.log(`Running ${this.config.healthCheck}...`);
+                report.healthCheck = await this.runHealthCheck(dir);
+            }
+
+            const nginxErrors = tailFile(path.join(this.config.logDir, 'error.log'), this.config.logBytes);
+            if (nginxErrors !== null) {
+                this.write(dir, 'nginx/error.log', nginxErrors);
+            }
+            const launcher = tailFile(path.join(this.config.chromeLogDir, 'launcher.log'), this.config.logBytes);
+            if (launcher !== null) {
+                this.write(dir, 'chrome/launcher.log', launcher);
+            }
+
+            const ports = await this.findPorts();
+            this.log(`Diagnosing ports ${ports.join(', ') || '(none found)'}`);
+
+            for (const port of ports) {
+                const evidence = this.collectLogs(port, dir);
+                let ok = null;
+                if (this.config.checks) {
+                    const probed = await this.probe(port, dir);
+                    const checked = await this.runChecks(port, dir);
+                    evidence.unshift(...probed.evidence, ...checked.evidence);
+                    ok = probed.ok && checked.ok;
+                }
+
+                // Logs keep old incidents, so a port whose live checks pass is healthy
+                let cause = ok ? null : ProxyDiagnostics.classify(evidence);
+                if (!cause) {
+                    cause = ok === false ? 'unknown' : 'healthy';
+                }
+                const label = CAUSES[cause] || (cause === 'unknown' ? 'Failing, cause unknown' : 'Healthy');
+                this.log(`Port ${port}: ${label}`, cause === 'healthy' ? 'INFO' : 'WARN');
+                report.ports.push({ port, cause, label, evidence });
+            }
+
+            this.write(dir, 'summary.json', `${JSON.stringify(report, null, 2)}\n`);
+            this.write(dir, 'summary.txt', this.summarize(report));
+            report.bundle = await this.pack(workDir, name, output);
+            this.log(`Wrote ${report.bundle}`);
+            return report;
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+ProxyDiagnostics.CAUSES = CAUSES;
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+    const auth = ProxyAuth.fromEnvironment();
+    const tls = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'host':
+                config.host = value;
+                break;
+            case 'port':
+                config.ports = value.split(',').map(port => parseInt(port));
+                break;
+            case 'range': {
+                const [start, end] = value.split('-').map(port => parseInt(port));
+                config.portRange = { start, end };
+                break;
+            }
+            case 'gateway':
+                config.gateway = parseInt(value);
+                break;
+            case 'direct': {
+                if (value === 'off') {
+                    config.direct = { host: false, port: null };
+                    break;
+                }
+                const [directHost, directPort] = value.split(':');
+                config.direct = { host: directHost, port: directPort ? parseInt(directPort) : null };
+                break;
+            }
+            case 'log-dir':
+                config.logDir = value;
+                break;
+            case 'chrome-log-dir':
+                config.chromeLogDir = value;
+                break;
+            case 'pid-dir':
+                config.pidDir = value;
+                break;
+            case 'health-check':
+                config.healthCheck = value === 'none' ? null : value;
+                break;
+            case 'checks':
+                config.checks = value !== 'off';
+                break;
+            case 'output':
+                config.output = value;
+                break;
+            case 'timeout':
+                config.timeout = parseFloat(value) * 1000;
+                break;
+            case 'token':
+                auth.token = value;
+                break;
+            case 'auth-secret-file':
+                auth.secret = ProxyAuth.readSecret(value);
+                break;
+            case 'ca':
+                tls.enabled = true;
+                tls.ca = value;
+                break;
+            case 'servername':
+                tls.servername = value;
+                break;
+            case 'help':
+                console.log(`
+Usage: node diagnose.js [options]
+
+Options:
+  --host HOST           Proxy to check (default: localhost)
+  --port LIST           Ports to diagnose, e.g. 48333 or 48333,48334 (default: every port with
+                        logs or a PID file, and every instance found in --range)
+  --range START-END     Port range to scan for live instances (default: 48000-49000)
+  --gateway PORT        Reach the instances through the single-port gateway on PORT
+  --direct HOST[:PORT]  Chrome itself, to tell Chrome from nginx problems, or off (default:
+                        127.0.0.1 when --host is local, off otherwise)
+  --log-dir DIR         nginx logs with chrome_proxy_<port>_*.log (default: /var/log/nginx)
+  --chrome-log-dir DIR  Chrome logs with chrome-<port>.log (default: /var/log/chrome-debug)
+  --pid-dir DIR         start-chrome.sh PID files (default: /var/run/chrome-debug)
+  --health-check FILE   health-check.sh to run, or none (default: scripts/health-check.sh)
+  --checks on|off       Live /json requests and connection checks; off reads logs only (default: on)
+  --output FILE         Tarball to write (default: chrome-proxy-diag-<time>.tar.gz)
+  --timeout N           Seconds per request (default: 10)
+  --token TOKEN         Bearer token for the auth sidecar (default: $CHROME_PROXY_TOKEN)
+  --auth-secret-file FILE  Sign URLs with this secret instead (default: $CHROME_PROXY_AUTH_SECRET)
+  --ca FILE             Reach the proxy over https, trusting this CA
+  --servername NAME     SNI and certificate name when --host is an address
+  --help                Show this help message
+
+Likely causes: ${Object.values(CAUSES).join(', ')}
+Tokens, signatures, cookies and private keys are replaced with [REDACTED] in the bundle.
+
+Examples:
+  sudo node diagnose.js --port 48333
+  sudo node diagnose.js --host proxy.internal --output /tmp/incident-1234.tar.gz
+  node diagnose.js --checks off --health-check none --log-dir ./logs/nginx --chrome-log-dir ./logs/chrome
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (auth.token || auth.secret) {
+        config.auth = auth;
+    }
+    if (tls.enabled) {
+        config.tls = tls;
+    }
+
+    const diagnostics = new ProxyDiagnostics(config);
+    try {
+        const report = await diagnostics.run();
+        console.log(`\n${diagnostics.summarize(report)}Bundle: ${report.bundle}`);
+    } catch (error) {
+        console.error('Diagnostics failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = ProxyDiagnostics;
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Chrome Binary
+ * Accepts Chrome's command line and serves the mock DevTools server on --remote-debugging-port
+ * Stands in for google-chrome when testing the pool manager without a browser
+ */
+
+const fs = require('fs');
+const MockChromeServer = require('./mock-chrome-server');
+
+async function main() {
+    const config = { port: 9222, quiet: true };
+    let crashAfter = 0;
+
+    // Chrome flags are --name=value; everything not listed here is accepted and ignored
+    process.argv.slice(2).forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split(/=(.*)/);
+
+        switch (key) {
+            case 'remote-debugging-port':
+                config.port = parseInt(value);
+                break;
+            case 'remote-debugging-address':
+                config.host = value;
+                break;
+            case 'user-data-dir':
+                fs.mkdirSync(value, { recursive: true });
+                break;
+            case 'fake-targets':
+                config.targets = parseInt(value);
+                break;
+            case 'fake-crash-after':
+                crashAfter = parseInt(value);
+                break;
+        }
+    });
+
+    const server = new MockChromeServer(config);
+
+    try {
+        await server.start();
+    } catch (error) {
+        console.error(`Failed to bind remote debugging port ${config.port}: ${error.message}`);
+        process.exit(1);
+    }
+    console.log(`DevTools listening on ws://${server.config.host}:${server.port}/devtools/browser/${server.browserId}`);
+
+    if (crashAfter > 0) {
+        setTimeout(() => process.kill(process.pid, 'SIGSEGV'), crashAfter);
+    }
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();
@@ -188,6 +188,24 @@ test_project_structure() {
         "test/package.json"
         "test/connection-test.js"
         "test/load-test.js"
+        "test/cdp-probe.js"
+        "test/auth-sidecar.js"
+        "test/json-rewriter.js"
+        "test/chrome-gateway.js"
+        "test/pool-manager.js"
+        "test/fake-chrome.js"
+        "test/cdp-recorder.js"
+        "test/cdp-replay.js"
+        "test/nginx-config.js"
+        "test/tls-certs.js"
+        "test/proxy-tls.js"
+        "test/chrome-proxy-client.js"
+        "test/admission-queue.js"
+        "test/cdp-multiplexer.js"
+        "test/cdp-policy.js"
+        "test/cdp-filter.js"
+        "test/proxy-comparison.js"
+        "test/diagnose.js"
         "systemd/chrome-debugger.service"
         "systemd/nginx-proxy.service"
         "systemd/install-services.sh"
@@ -214,6 +232,16 @@ test_project_structure() {
         "scripts/health-check.sh"
         "test/connection-test.js"
         "test/load-test.js"
+        "test/cdp-probe.js"
+        "test/auth-sidecar.js"
+        "test/json-rewriter.js"
+        "test/chrome-gateway.js"
+        "test/pool-manager.js"
+        "test/fake-chrome.js"
+        "test/cdp-recorder.js"
+        "test/cdp-replay.js"
+        "test/nginx-config.js"
+        "test/tls-certs.js"
         "systemd/install-services.sh"
     )
     
@@ -252,6 +280,14 @@ test_nginx_configuration() {
         fi
     done
     
+    # Proxy invariants nginx -t does not check: upgrade headers, ports, error pages
+    if ! node "$PROJECT_DIR/test/nginx-config.js" --lint "$PROJECT_DIR/nginx/conf.d/chrome-proxy.conf" >/dev/null 2>&1 ||
+       ! node "$PROJECT_DIR/test/nginx-config.js" --port "$TEST_PORT" >/dev/null 2>&1 ||
+       ! node "$PROJECT_DIR/test/nginx-config.js" --port "$TEST_PORT" --tls >/dev/null 2>&1; then
+        fail_test "nginx config linter found violations, run test/nginx-config.js --lint for details"
+        return 1
+    fi
+    
     pass_test
 }
 
@@ -420,6 +456,14 @@ test_connection_test_script() {
         return 1
     fi
     
+    # Probe the DevTools WebSocket on the test port directly
+    local probe_output
+    probe_output=$(timeout 30 node cdp-probe.js --port "$TEST_PORT" 2>&1) || {
+        fail_test "CDP probe failed (exit code $?): $probe_output"
+        cleanup_test_environment
+        return 1
+    }
+    
     cleanup_test_environment
     pass_test
 }
@@ -465,6 +509,9 @@ test_service_files() {
         "systemd/chrome-debugger.service"
         "systemd/nginx-proxy.service"
         "systemd/chrome-proxy-manager.service"
+        "systemd/chrome-proxy-auth.service"
+        "systemd/chrome-proxy-json.service"
+        "systemd/chrome-proxy-gateway.service"
     )
     
     for service_file in "${service_files[@]}"; do
@@ -567,6 +614,12 @@ test_security_configuration() {
         return 1
     fi
     
+    # Check that proxied ports require credentials from the auth sidecar
+    if ! grep -q "auth_request /_auth" "$PROJECT_DIR/nginx/templates/proxy-template.conf"; then
+        fail_test "Proxy template does not enable auth_request"
+        return 1
+    fi
+    
     # Check systemd security features
     local security_features=(
         "NoNewPrivileges=true"
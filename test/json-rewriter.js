@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome Debugger Proxy JSON Rewriter
+ * Sits behind the nginx /json locations and forwards them to Chrome
+ * Rewrites webSocketDebuggerUrl and devtoolsFrontendUrl to the public host, scheme and port from X-Forwarded-*
+ */
+
+const http = require('http');
+
+// Query parameters that belong to the auth sidecar, not to Chrome (see proxy-auth.js)
+const AUTH_PARAMS = ['access_token', 'expires', 'scope', 'signature'];
+
+class JsonRewriter {
+    constructor(config = {}) {
+        this.config = {
+            listenHost: '127.0.0.1',
+            listenPort: 9466,
+            upstreamHost: '127.0.0.1',
+            portRange: {
+                start: 48000,
+                end: 49000
+            },
+            timeout: 10000,
+            quiet: false,
+            ...config
+        };
+
+        this.server = null;
+        this.port = null;
+        this.stats = { requests: 0, rewritten: 0, upstreamErrors: 0 };
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // Public host (with port unless it is the scheme default) and scheme as seen by the client
+    static publicOrigin(headers) {
+        const first = value => (value || '').split(',')[0].trim();
+
+        const proto = first(headers['x-forwarded-proto']) || 'http';
+        const secure = proto === 'https' || proto === 'wss';
+        let host = first(headers['x-forwarded-host']) || headers.host || 'localhost';
+        const port = first(headers['x-forwarded-port']);
+
+        // Host without a port (IPv6 literals end in "]")
+        if (!/:\d+$/.test(host) && port && port !== (secure ? '443' : '80')) {
+            host = `${host}:${port}`;
+        }
+
+        return { secure, host };
+    }
+
+    // ws://<chrome host:port>/devtools/... -> ws(s)://<public host><prefix>/devtools/...
+    static rewriteSocketUrl(url, origin) {
+        const match = url.match(/^wss?:\/\/[^/]+(\/.*)$/);
+        if (!match) {
+            return url;
+        }
+        return `${origin.secure ? 'wss' : 'ws'}://${origin.host}${origin.prefix || ''}${match[1]}`;
+    }
+
+    // The frontend takes the socket as ws=host/path or wss=host/path
+    static rewriteFrontendUrl(url, origin) {
+        return url.replace(/([?&])wss?=[^/&]+/, `$1${origin.secure ? 'wss' : 'ws'}=${origin.host}${origin.prefix || ''}`);
+    }
+
+    // Rewrites one target or version object, or a /json/list array of them
+    static rewriteBody(body, origin) {
+        if (Array.isArray(body)) {
+            return body.map(item => JsonRewriter.rewriteBody(item, origin));
+        }
+        if (!body || typeof body !== 'object') {
+            return body;
+        }
+
+        const rewritten = { ...body };
+        if (typeof body.webSocketDebuggerUrl === 'string') {
+            rewritten.webSocketDebuggerUrl = JsonRewriter.rewriteSocketUrl(body.webSocketDebuggerUrl, origin);
+        }
+        if (typeof body.devtoolsFrontendUrl === 'string') {
+            rewritten.devtoolsFrontendUrl = JsonRewriter.rewriteFrontendUrl(body.devtoolsFrontendUrl, origin);
+        }
+        return rewritten;
+    }
+
+    // Chrome reads the raw query of /json/new as a URL, so auth parameters are removed first
+    static stripAuthParams(requestUrl) {
+        const index = requestUrl.indexOf('?');
+        if (index === -1) {
+            return requestUrl;
+        }
+
+        const query = requestUrl.slice(index + 1)
+            .split('&')
+            .filter(part => !AUTH_PARAMS.includes(part.split('=')[0]))
+            .join('&');
+
+        return requestUrl.slice(0, index) + (query ? `?${query}` : '');
+    }
+
+    sendError(res, status, message) {
+        const payload = JSON.stringify({ error: message, status }) + '\n';
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(payload);
+    }
+
+    handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+
+        if (path === '/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok', ...this.stats }) + '\n');
+            return;
+        }
+
+        this.stats.requests++;
+
+        const chromePort = parseInt(req.headers['x-chrome-port']);
+        const { start, end } = this.config.portRange;
+        if (isNaN(chromePort) || chromePort < start || chromePort > end) {
+            return this.sendError(res, 400, `X-Chrome-Port must be a port in ${start}-${end}`);
+        }
+
+        const origin = JsonRewriter.publicOrigin(req.headers);
+        const upstream = http.request({
+            host: this.config.upstreamHost,
+            port: chromePort,
+            method: req.method,
+            path: JsonRewriter.stripAuthParams(req.url),
+            headers: { Host: `${this.config.upstreamHost}:${chromePort}` },
+            timeout: this.config.timeout
+        }, (upstreamRes) => {
+            const chunks = [];
+            upstreamRes.on('data', chunk => chunks.push(chunk));
+            upstreamRes.on('end', () => {
+                let payload = Buffer.concat(chunks);
+                const type = upstreamRes.headers['content-type'] || '';
+
+                // /json/close and /json/activate answer with plain text, which passes through
+                if (type.includes('application/json')) {
+                    try {
+                        const body = JsonRewriter.rewriteBody(JSON.parse(payload.toString('utf8')), origin);
+                        payload = Buffer.from(JSON.stringify(body, null, 3));
+                        this.stats.rewritten++;
+                    } catch (error) {
+                        this.log(`Passing through unparseable JSON from port ${chromePort}${path}: ${error.message}`, 'WARN');
+                    }
+                }
+
+                res.writeHead(upstreamRes.statusCode, {
+                    'Content-Type': type || 'text/plain',
+                    'Content-Length': payload.length
+                });
+                res.end(payload);
+            });
+        });
+
+        upstream.on('timeout', () => upstream.destroy(new Error(`no response within ${this.config.timeout}ms`)));
+        upstream.on('error', (error) => {
+            this.stats.upstreamErrors++;
+            this.log(`Chrome on port ${chromePort} failed for ${req.method} ${path}: ${error.message}`, 'WARN');
+            if (!res.headersSent) {
+                this.sendError(res, 502, `Chrome debugger not available on port ${chromePort}`);
+            }
+        });
+        upstream.end();
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`JSON rewriter listening on ${this.config.listenHost}:${this.port}`);
+        return this.port;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'listen-host':
+                config.listenHost = value;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                break;
+            case 'upstream-host':
+                config.upstreamHost = value;
+                break;
+            case 'range': {
+                const [start, end] = value.split('-').map(n => parseInt(n));
+                config.portRange = { start, end: end || start };
+                break;
+            }
+            case 'timeout':
+                config.timeout = parseFloat(value) * 1000;
+                break;
+            case 'help':
+                console.log(`
+Usage: node json-rewriter.js [options]
+
+Options:
+  --listen-host HOST    Address to listen on (default: 127.0.0.1)
+  --listen-port N       Port to listen on (default: 9466)
+  --upstream-host HOST  Address Chrome listens on (default: 127.0.0.1)
+  --range START-END     Chrome ports nginx may forward to (default: 48000-49000)
+  --timeout N           Timeout for Chrome's answer in seconds (default: 10)
+  --help                Show this help message
+
+nginx passes the Chrome port in X-Chrome-Port and the public address in
+X-Forwarded-Host, X-Forwarded-Proto and X-Forwarded-Port.
+
+Examples:
+  node json-rewriter.js
+  node json-rewriter.js --listen-port 9500 --range 48300-48400
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    const rewriter = new JsonRewriter(config);
+
+    try {
+        await rewriter.start();
+    } catch (error) {
+        console.error('Failed to start JSON rewriter:', error);
+        process.exit(1);
+    }
+
+    const shutdown = async () => {
+        await rewriter.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = JsonRewriter;
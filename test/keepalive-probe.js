@@ -0,0 +1,240 @@
+/**
+ * WebSocket Keepalive Probe
+ * Holds DevTools sessions open across idle windows and reports when, and with which close code, the proxy drops them
+ * Also checks ping/pong round trips and that open sessions survive an nginx reload
+ */
+
+const path = require('path');
+const { exec } = require('child_process');
+const { performance } = require('perf_hooks');
+const CdpProbe = require('./cdp-probe');
+
+// generate_nginx_config rewrites the port's config and reloads nginx
+const DEFAULT_RELOAD_COMMAND = `${path.join(__dirname, '..', 'scripts', 'start-chrome.sh')} generate-config {port}`;
+
+const PROBE = { expression: '1 + 1', expect: 2 };
+
+class KeepaliveProbe {
+    constructor(config = {}) {
+        this.config = {
+            url: null, // page WebSocket URL, as listed by /json/list
+            port: null, // Chrome port, substituted for {port} in reloadCommand
+            timeout: 10000,
+            auth: null,
+            tls: null,
+            idleTimeout: 60000, // proxy_read_timeout on the devtools locations
+            tolerance: 5000, // how far from idleTimeout a drop may land and still count as the proxy's timeout
+            pingInterval: 20000, // ms between pings in keepalive sessions
+            reloadCommand: DEFAULT_RELOAD_COMMAND,
+            reloadSettle: 2000, // ms for old workers to hand over after the reload
+            ...config
+        };
+        this.probe = new CdpProbe({ url: this.config.url, timeout: this.config.timeout, auth: this.config.auth, tls: this.config.tls });
+        this.nextId = 1;
+    }
+
+    // Open a session that tracks its last frame and how it closed
+    async open() {
+        const ws = await this.probe.openSocket(this.config.url);
+        const session = { ws, openedAt: performance.now(), lastActivity: performance.now(), closed: null };
+
+        ws.on('message', () => {
+            session.lastActivity = performance.now();
+        });
+        ws.on('pong', () => {
+            session.lastActivity = performance.now();
+        });
+        ws.once('close', (code, reason) => {
+            const now = performance.now();
+            session.closed = {
+                code,
+                reason: reason.toString(),
+                afterOpenMs: now - session.openedAt,
+                afterActivityMs: now - session.lastActivity
+            };
+        });
+        ws.on('error', () => {});
+
+        return session;
+    }
+
+    evaluate(session) {
+        return this.probe.evaluate(session.ws, this.nextId++, PROBE);
+    }
+
+    // Round trip of one ping frame, which must come back as a pong with the same payload
+    ping(session) {
+        const payload = `keepalive-${this.nextId++}`;
+
+        return new Promise((resolve, reject) => {
+            const start = performance.now();
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                session.ws.off('pong', onPong);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(performance.now() - start);
+                }
+            };
+
+            const onPong = (data) => {
+                if (data.toString() === payload) {
+                    finish(null);
+                }
+            };
+
+            const timer = setTimeout(() => finish(new Error(`No pong within ${this.config.timeout}ms`)), this.config.timeout);
+            session.ws.on('pong', onPong);
+            session.ws.ping(payload);
+        });
+    }
+
+    // What a window should do: shorter than the proxy timeout survives, longer is dropped, close to it may go either way
+    expectation(windowMs, keepalive) {
+        if (keepalive || windowMs <= this.config.idleTimeout - this.config.tolerance) {
+            return 'survive';
+        }
+        return windowMs >= this.config.idleTimeout + this.config.tolerance ? 'drop' : 'either';
+    }
+
+    async checkPing() {
+        let session;
+        try {
+            session = await this.open();
+            const rtts = [];
+            for (let i = 0; i < 3; i++) {
+                rtts.push(await this.ping(session));
+            }
+            return { success: true, data: { pongs: rtts.length, rttMs: rtts.map(rtt => Number(rtt.toFixed(3))) } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        } finally {
+            if (session) {
+                session.ws.terminate();
+            }
+        }
+    }
+
+    // Idle for windowMs, then evaluate again; a drop is reported relative to the last frame seen
+    async holdIdle(windowMs, keepalive = false) {
+        const expected = this.expectation(windowMs, keepalive);
+        const data = { windowMs, keepalive, expected, pings: 0, pongs: 0 };
+        let session;
+
+        try {
+            session = await this.open();
+            await this.evaluate(session);
+        } catch (error) {
+            if (session) {
+                session.ws.terminate();
+            }
+            return { success: false, error: error.message, data };
+        }
+
+        session.ws.on('pong', () => data.pongs++);
+        const pinger = keepalive && setInterval(() => {
+            data.pings++;
+            session.ws.ping();
+        }, this.config.pingInterval);
+
+        // Wait out the window, ending early if the proxy closes the socket
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, windowMs);
+            session.ws.once('close', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+        clearInterval(pinger);
+
+        let evaluateError = null;
+        if (!session.closed) {
+            try {
+                await this.evaluate(session);
+            } catch (error) {
+                evaluateError = error;
+            }
+        }
+        session.ws.terminate();
+
+        if (session.closed && !evaluateError) {
+            data.survived = false;
+            data.closeCode = session.closed.code;
+            data.closeReason = session.closed.reason;
+            data.droppedAfterMs = Number(session.closed.afterActivityMs.toFixed(1));
+            data.closedAfterOpenMs = Number(session.closed.afterOpenMs.toFixed(1));
+        } else {
+            data.survived = !evaluateError;
+        }
+
+        if (evaluateError) {
+            return { success: false, error: `Session stayed open but failed after ${windowMs}ms idle: ${evaluateError.message}`, data };
+        }
+        if (data.survived && expected === 'drop') {
+            return { success: false, error: `Session survived ${windowMs}ms idle; expected the proxy to close it after ~${this.config.idleTimeout}ms`, data };
+        }
+        if (!data.survived && expected === 'survive') {
+            return { success: false, error: `Proxy closed the session with code ${data.closeCode} after ${data.droppedAfterMs}ms without traffic`, data };
+        }
+        if (!data.survived && Math.abs(data.droppedAfterMs - this.config.idleTimeout) > this.config.tolerance) {
+            return { success: false, error: `Proxy closed the session after ${data.droppedAfterMs}ms without traffic; expected ~${this.config.idleTimeout}ms`, data };
+        }
+        return { success: true, data };
+    }
+
+    runCommand(command) {
+        return new Promise((resolve, reject) => {
+            exec(command, { timeout: this.config.timeout }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(`${command} failed: ${(stderr || error.message).trim().split('\n').pop()}`));
+                    return;
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    // An open session must keep working across the reload, and new sessions must still connect
+    async checkReload() {
+        const command = this.config.reloadCommand.replace(/\{port\}/g, this.config.port);
+        const data = { command };
+        let session;
+
+        try {
+            session = await this.open();
+            await this.evaluate(session);
+
+            const start = performance.now();
+            await this.runCommand(command);
+            data.reloadMs = Number((performance.now() - start).toFixed(1));
+            await new Promise(resolve => setTimeout(resolve, this.config.reloadSettle));
+
+            if (session.closed) {
+                data.closeCode = session.closed.code;
+                throw new Error(`Session closed with code ${session.closed.code} during the reload`);
+            }
+            await this.evaluate(session);
+
+            const fresh = await this.open();
+            try {
+                await this.evaluate(fresh);
+            } finally {
+                fresh.ws.terminate();
+            }
+
+            return { success: true, data };
+        } catch (error) {
+            return { success: false, error: error.message, data };
+        } finally {
+            if (session) {
+                session.ws.terminate();
+            }
+        }
+    }
+}
+
+KeepaliveProbe.DEFAULT_RELOAD_COMMAND = DEFAULT_RELOAD_COMMAND;
+
+module.exports = KeepaliveProbe;
@@ -0,0 +1,188 @@
+/**
+ * Load Test Profiles
+ * Compiles declarative load profiles (constant, step, spike, soak, churn) into timed phases
+ * Profiles come from CLI flags or from a JSON/YAML file; durations are given in seconds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const PROFILE_DEFAULTS = {
+    connections: 10,
+    duration: 30, // seconds
+    rate: 10 // messages per second per connection
+};
+
+function invalid(message) {
+    return new Error(`Invalid load profile: ${message}`);
+}
+
+function seconds(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw invalid(`"${field}" must be a positive number of seconds`);
+    }
+    return number * 1000;
+}
+
+function positive(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw invalid(`"${field}" must be a positive number`);
+    }
+    return number;
+}
+
+// Each builder returns phases of { name, duration (ms), connections, rate, arrivalRate, lifetime (ms) }
+const PROFILE_TYPES = {
+    // Closed model: a fixed set of connections opened at the start, each sending at a constant rate.
+    // None arrive later, so the offered load is not an arrival rate; churn is the open model
+    constant(spec) {
+        return [{
+            name: 'constant',
+            duration: seconds(spec.duration, 'duration'),
+            connections: positive(spec.connections, 'connections'),
+            rate: positive(spec.rate, 'rate')
+        }];
+    },
+
+    // Ramp up to `connections` in equal steps
+    step(spec) {
+        const steps = Math.round(positive(spec.steps || 5, 'steps'));
+        const peak = positive(spec.connections, 'connections');
+        const stepDuration = spec.stepDuration
+            ? seconds(spec.stepDuration, 'stepDuration')
+            : seconds(spec.duration, 'duration') / steps;
+        const phases = [];
+
+        for (let i = 1; i <= steps; i++) {
+            phases.push({
+                name: `step ${i}/${steps}`,
+                duration: stepDuration,
+                connections: Math.max(1, Math.round(peak * i / steps)),
+                rate: positive(spec.rate, 'rate')
+            });
+        }
+
+        return phases;
+    },
+
+    // Baseline, a short burst of extra connections, then recovery at baseline
+    spike(spec) {
+        const total = seconds(spec.duration, 'duration');
+        const spikeDuration = spec.spikeDuration ? seconds(spec.spikeDuration, 'spikeDuration') : total / 5;
+        const base = positive(spec.connections, 'connections');
+        const spikeConnections = spec.spikeConnections ? positive(spec.spikeConnections, 'spikeConnections') : base * 5;
+        const rate = positive(spec.rate, 'rate');
+
+        if (spikeDuration >= total) {
+            throw invalid('"spikeDuration" must be shorter than "duration"');
+        }
+
+        const baseline = (total - spikeDuration) / 2;
+
+        return [
+            { name: 'baseline', duration: baseline, connections: base, rate },
+            { name: 'spike', duration: spikeDuration, connections: spikeConnections, rate },
+            { name: 'recovery', duration: total - spikeDuration - baseline, connections: base, rate }
+        ];
+    },
+
+    // Long steady run split into report intervals so degradation over time shows up
+    soak(spec) {
+        const total = seconds(spec.duration, 'duration');
+        const interval = spec.interval ? seconds(spec.interval, 'interval') : Math.min(total, 60000);
+        const count = Math.ceil(total / interval);
+        const phases = [];
+
+        for (let i = 0; i < count; i++) {
+            phases.push({
+                name: `soak ${i + 1}/${count}`,
+                duration: Math.min(interval, total - i * interval),
+                connections: positive(spec.connections, 'connections'),
+                rate: positive(spec.rate, 'rate')
+            });
+        }
+
+        return phases;
+    },
+
+    // Open model: new connections arrive at a fixed rate and close after their lifetime
+    churn(spec) {
+        return [{
+            name: 'churn',
+            duration: seconds(spec.duration, 'duration'),
+            arrivalRate: positive(spec.arrivalRate, 'arrivalRate'),
+            lifetime: seconds(spec.lifetime || 5, 'lifetime'),
+            rate: positive(spec.rate, 'rate')
+        }];
+    },
+
+    // Explicit list of phases, each using the fields above
+    custom(spec) {
+        if (!Array.isArray(spec.phases) || spec.phases.length === 0) {
+            throw invalid('"phases" must be a non-empty list');
+        }
+
+        return spec.phases.map((phase, index) => {
+            const merged = { ...PROFILE_DEFAULTS, rate: spec.rate || PROFILE_DEFAULTS.rate, ...phase };
+            const compiled = {
+                name: phase.name || `phase ${index + 1}`,
+                duration: seconds(merged.duration, `phases[${index}].duration`),
+                rate: positive(merged.rate, `phases[${index}].rate`)
+            };
+
+            if (phase.arrivalRate !== undefined) {
+                compiled.arrivalRate = positive(phase.arrivalRate, `phases[${index}].arrivalRate`);
+                compiled.lifetime = seconds(merged.lifetime || 5, `phases[${index}].lifetime`);
+            } else {
+                compiled.connections = positive(merged.connections, `phases[${index}].connections`);
+            }
+
+            return compiled;
+        });
+    }
+};
+
+function compileProfile(spec = {}) {
+    const type = spec.type || (spec.phases ? 'custom' : 'constant');
+    const builder = PROFILE_TYPES[type];
+
+    if (!builder) {
+        throw invalid(`unknown type "${type}" (expected ${Object.keys(PROFILE_TYPES).join(', ')})`);
+    }
+
+    const phases = builder({ ...PROFILE_DEFAULTS, ...spec });
+
+    return {
+        name: spec.name || type,
+        type,
+        phases,
+        duration: phases.reduce((sum, phase) => sum + phase.duration, 0)
+    };
+}
+
+function loadProfileFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+
+    let spec;
+    try {
+        spec = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+        throw invalid(`cannot parse ${file}: ${error.message}`);
+    }
+
+    if (!spec || typeof spec !== 'object') {
+        throw invalid(`${file} does not contain a profile object`);
+    }
+
+    return compileProfile(spec);
+}
+
+module.exports = {
+    PROFILE_TYPES: Object.keys(PROFILE_TYPES),
+    compileProfile,
+    loadProfileFile
+};
@@ -0,0 +1,117 @@
+/**
+ * Load Test Scenarios
+ * Loads CDP workload scenarios: built-ins from test/scenarios or any JS file exporting a step sequence
+ * A scenario has optional `setup` steps sent once per connection and `steps` repeated until the test ends
+ * A cdp-recorder.js recording (.jsonl) works as a scenario of the requests the recorded clients sent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CdpRecorder = require('./cdp-recorder');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+
+const SCENARIO_NAMES = fs.readdirSync(SCENARIO_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'))
+    .sort();
+
+function invalid(source, message) {
+    return new Error(`Invalid load scenario ${source}: ${message}`);
+}
+
+// Steps look like { method, params (object or function of the step context), waitFor (event name) }
+function validateSteps(source, steps, field) {
+    if (!Array.isArray(steps)) {
+        throw invalid(source, `"${field}" must be a list of steps`);
+    }
+
+    return steps.map((step, index) => {
+        if (!step || typeof step.method !== 'string') {
+            throw invalid(source, `${field}[${index}] needs a "method" string`);
+        }
+        if (step.params !== undefined && typeof step.params !== 'object' && typeof step.params !== 'function') {
+            throw invalid(source, `${field}[${index}].params must be an object or a function`);
+        }
+        if (step.waitFor !== undefined && typeof step.waitFor !== 'string') {
+            throw invalid(source, `${field}[${index}].waitFor must be an event name`);
+        }
+
+        return {
+            method: step.method,
+            params: step.params || {},
+            waitFor: step.waitFor || null
+        };
+    });
+}
+
+// Domain enables run once as setup, the remaining requests repeat; requests into flattened
+// sessions (with a sessionId) are left out because the load tester does not attach to targets
+function scenarioFromRecording(file) {
+    const source = path.basename(file);
+    const requests = CdpRecorder.readRecording(file)
+        .flatMap(session => session.messages)
+        .filter(entry => entry.direction === CdpRecorder.DIRECTIONS.client && entry.message && typeof entry.message.method === 'string')
+        .filter(entry => !entry.message.sessionId)
+        .map(entry => ({ method: entry.message.method, params: entry.message.params || {} }));
+
+    if (requests.length === 0) {
+        throw invalid(source, 'recording has no CDP requests from a client');
+    }
+
+    const isSetup = step => /\.enable$/.test(step.method);
+    const setup = requests.filter(isSetup)
+        .filter((step, index, all) => all.findIndex(other => other.method === step.method) === index);
+    const steps = requests.filter(step => !isSetup(step));
+
+    return {
+        name: path.basename(file, '.jsonl'),
+        description: `Replay of ${requests.length} recorded requests from ${source}`,
+        setup: steps.length > 0 ? validateSteps(source, setup, 'setup') : [],
+        steps: validateSteps(source, steps.length > 0 ? steps : setup, 'steps')
+    };
+}
+
+function loadScenario(nameOrFile) {
+    const file = SCENARIO_NAMES.includes(nameOrFile)
+        ? path.join(SCENARIO_DIR, `${nameOrFile}.js`)
+        : path.resolve(nameOrFile);
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Unknown load scenario "${nameOrFile}" (expected ${SCENARIO_NAMES.join(', ')}, a scenario file or a recording)`);
+    }
+
+    if (file.endsWith('.jsonl')) {
+        return scenarioFromRecording(file);
+    }
+
+    const spec = require(file);
+    const source = path.basename(file);
+
+    if (!spec || typeof spec !== 'object') {
+        throw invalid(source, 'module must export a scenario object');
+    }
+
+    const steps = validateSteps(source, spec.steps, 'steps');
+    if (steps.length === 0) {
+        throw invalid(source, '"steps" must not be empty');
+    }
+
+    return {
+        name: spec.name || path.basename(file, '.js'),
+        description: spec.description || '',
+        setup: validateSteps(source, spec.setup || [], 'setup'),
+        steps
+    };
+}
+
+// Resolve params for one request; functions get the connection, iteration and request id
+function resolveParams(step, context) {
+    return typeof step.params === 'function' ? step.params(context) : step.params;
+}
+
+module.exports = {
+    SCENARIO_NAMES,
+    loadScenario,
+    resolveParams
+};
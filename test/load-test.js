@@ -7,39 +7,138 @@
  */
 
 const WebSocket = require('ws');
-const fetch = require('node-fetch');
 const { performance } = require('perf_hooks');
+const ReportFormatter = require('./report-formatter');
+const CdpCorrelator = require('./cdp-correlator');
+const ChromeProxyClient = require('./chrome-proxy-client');
+const CdpMultiplexer = require('./cdp-multiplexer');
+const ProxyAuth = require('./proxy-auth');
+const { compileProfile, loadProfileFile, PROFILE_TYPES } = require('./load-profiles');
+const { loadScenario, resolveParams, SCENARIO_NAMES } = require('./load-scenarios');
+const { VARIABLES } = require('./nginx-config');
+
+// Counters summed per port, target and scenario
+const BREAKDOWN_COUNTERS = [
+    'messagesSent',
+    'messagesSucceeded',
+    'messagesErrored',
+    'messagesTimedOut',
+    'messagesFailed',
+    'eventsReceived',
+    'eventTimeouts',
+    'strayEvents',
+    'bytesReceived'
+];
+
+// Counters reported per profile phase
+const PHASE_COUNTERS = [
+    'connectionsStarted',
+    'connectionsFailed',
+    'messagesSent',
+    'messagesSucceeded',
+    'messagesErrored',
+    'messagesTimedOut',
+    'messagesFailed'
+];
+
+// What the proxy enforces per client address: limit_req_zone in nginx.conf, burst and limit_conn in the template
+const DEFAULT_LIMITS = {
+    rate: 10, // requests per second
+    burst: VARIABLES.RATE_BURST.default,
+    connections: VARIABLES.CONN_LIMIT.default,
+    statuses: [429, 503] // what a shed request may be answered with; nginx defaults to 503
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class ChromeProxyLoadTester {
     constructor(config = {}) {
         this.config = {
             host: 'localhost',
             port: 48333,
+            gateway: null, // port of chrome-gateway.js to go through instead of the per-instance proxy ports
+            ports: null, // explicit list of ports to spread connections over
+            discover: false, // scan portRange for every active Chrome instance
+            portRange: {
+                start: 48000,
+                end: 49000
+            },
+            newTargets: 0, // extra page targets to create per port through /json/new
+            target: null, // put every connection on this target id ('first' for the first one found), e.g. behind cdp-multiplexer.js
             concurrentConnections: 10,
             messagesPerConnection: 50,
             testDuration: 30000, // 30 seconds
             rampUpTime: 5000, // 5 seconds
+            requestTimeout: 10000, // per CDP request
+            maxRetries: 3, // retries for target listing and creation, never for the load itself
+            messageRate: 10, // messages per second per connection
+            profile: null, // compiled load profile, replaces the fixed connection count
+            scenarios: null, // loaded CDP workload scenarios, defaults to Runtime.evaluate
+            mode: 'load', // 'conformance' goes over the proxy's rate and connection limits instead
+            logToStderr: false,
+            auth: null, // { token } or { secret, ttl, scope } for the auth sidecar
+            tls: null, // { enabled, ca, servername } when the proxy serves https and wss
             ...config
         };
+        this.config.limits = { ...DEFAULT_LIMITS, ...config.limits };
+        
+        this.client = new ChromeProxyClient({
+            host: this.config.host,
+            portRange: this.config.portRange,
+            gateway: this.config.gateway,
+            timeout: this.config.requestTimeout,
+            maxRetries: this.config.maxRetries,
+            auth: this.config.auth,
+            tls: this.config.tls
+        });
+        
+        if (!this.config.scenarios || this.config.scenarios.length === 0) {
+            this.config.scenarios = [loadScenario('evaluate')];
+        }
         
         this.stats = {
+            connectionsAttempted: 0,
             connectionsStarted: 0,
             connectionsCompleted: 0,
             connectionsFailed: 0,
+            messagesSent: 0,
             messagesSucceeded: 0,
             messagesFailed: 0,
+            messagesErrored: 0,
+            messagesTimedOut: 0,
+            lateResponses: 0,
+            unmatchedResponses: 0,
+            eventsReceived: 0,
+            eventTimeouts: 0,
+            strayEvents: 0,
+            bytesReceived: 0,
+            peakConnections: 0,
+            connectionsQueued: 0,
+            queueTimeouts: 0,
             responseTimes: [],
             connectionTimes: [],
+            queueTimes: [], // waits in the gateway's admission queue, kept out of the CDP latencies
             errors: []
         };
         
         this.activeConnections = new Set();
+        this.targets = [];
+        this.createdTargets = [];
+        this.nextAssignmentIndex = 0;
+        this.connectionResults = [];
+        this.phaseResults = [];
+        this.conformance = null;
+        this.currentPhase = null;
         this.startTime = 0;
+        this.endTime = 0;
+        this.startedAt = null;
     }
 
     log(message, level = 'INFO') {
         const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] [${level}] ${message}`);
+        // Keep stdout clean when a machine-readable report is written there
+        const write = this.config.logToStderr ? console.error : console.log;
+        write(`[${timestamp}] [${level}] ${message}`);
     }
 
     error(message, error = null) {
@@ -50,77 +149,375 @@ class ChromeProxyLoadTester {
         this.stats.errors.push({ message, error: error?.message || error });
     }
 
-    async discoverWebSocketUrl() {
-        try {
-            const response = await fetch(`http://${this.config.host}:${this.config.port}/json/list`);
-            const targets = await response.json();
-            
-            const target = targets.find(t => t.webSocketDebuggerUrl) || targets[0];
-            
-            if (target && target.webSocketDebuggerUrl) {
-                return target.webSocketDebuggerUrl.replace(
-                    `ws://localhost:${this.config.port}`,
-                    `ws://${this.config.host}:${this.config.port}`
-                );
-            } else {
-                throw new Error('No WebSocket debugger URL found');
+    describeTarget(port, target) {
+        return {
+            port,
+            id: target.id,
+            url: target.url,
+            wsUrl: target.webSocketDebuggerUrl
+        };
+    }
+
+    // Page targets on one port that accept DevTools WebSocket connections
+    async listTargets(port) {
+        const targets = await this.client.listTargets({ port });
+        return targets
+            .filter(target => target.type === 'page' && target.webSocketDebuggerUrl)
+            .map(target => this.describeTarget(port, target));
+    }
+
+    async createTarget(port) {
+        const target = this.describeTarget(port, await this.client.newTarget('about:blank', { port }));
+        this.createdTargets.push(target);
+        return target;
+    }
+
+    async closeCreatedTargets() {
+        for (const target of this.createdTargets) {
+            try {
+                await this.client.closeTarget(target.id, { port: target.port });
+            } catch (error) {
+                this.log(`Failed to close target ${target.id} on port ${target.port}: ${error.message}`, 'WARN');
             }
-        } catch (error) {
-            throw new Error(`Failed to discover WebSocket URL: ${error.message}`);
         }
+        this.createdTargets = [];
+    }
+
+    async discoverPorts() {
+        if (this.config.discover) {
+            const instances = await this.client.discoverInstances();
+            return instances.map(instance => instance.port);
+        }
+        
+        return this.config.ports || [this.config.port];
+    }
+
+    // Every page target on every port, plus any targets requested through newTargets
+    async discoverTargets() {
+        const ports = await this.discoverPorts();
+        if (ports.length === 0) {
+            throw new Error(`No Chrome instances found in range ${this.config.portRange.start}-${this.config.portRange.end}`);
+        }
+        
+        const targets = [];
+        for (const port of ports) {
+            try {
+                const portTargets = await this.listTargets(port);
+                // One failed /json/new leaves the port with the targets it has
+                for (let i = 0; i < this.config.newTargets; i++) {
+                    try {
+                        portTargets.push(await this.createTarget(port));
+                    } catch (error) {
+                        this.error(`Port ${port}: failed to create target ${i + 1} of ${this.config.newTargets}`, error);
+                    }
+                }
+                
+                if (portTargets.length === 0) {
+                    this.log(`Port ${port}: no page targets, skipping`, 'WARN');
+                    continue;
+                }
+                
+                this.log(`Port ${port}: ${portTargets.length} page targets`);
+                targets.push(...portTargets);
+            } catch (error) {
+                this.error(`Port ${port}: failed to list targets`, error);
+            }
+        }
+        
+        if (targets.length === 0) {
+            throw new Error('No WebSocket debugger URL found');
+        }
+        
+        return targets;
+    }
+
+    // The one target config.target names, for many clients on one page session
+    sharedTarget(targets) {
+        const target = this.config.target === 'first'
+            ? targets[0]
+            : targets.find(candidate => candidate.id === this.config.target);
+        if (!target) {
+            throw new Error(`Target ${this.config.target} not found`);
+        }
+        return [target];
+    }
+
+    // Round-robin over targets, then scenarios, so every target runs every scenario evenly
+    nextAssignment() {
+        const index = this.nextAssignmentIndex++;
+        const scenarios = this.config.scenarios;
+        if (this.config.target) {
+            return { target: this.targets[0], scenario: scenarios[index % scenarios.length] };
+        }
+        return {
+            target: this.targets[index % this.targets.length],
+            scenario: scenarios[Math.floor(index / this.targets.length) % scenarios.length]
+        };
     }
 
-    async createTestConnection(connectionId, wsUrl) {
+    // options: messages (limit, Infinity for profiles), rate (msg/s), scenario, onCreate({ id, drain })
+    async createTestConnection(connectionId, target, options = {}) {
+        const messageLimit = options.messages !== undefined ? options.messages : this.config.messagesPerConnection;
+        const interval = 1000 / (options.rate || this.config.messageRate);
+        const scenario = options.scenario || this.config.scenarios[0];
+        
         return new Promise((resolve) => {
             const connectionStart = performance.now();
-            let messagesCompleted = 0;
-            let messageId = 0;
             const connectionStats = {
                 id: connectionId,
+                port: target.port,
+                targetId: target.id,
+                scenario: scenario.name,
+                iterations: 0,
+                messagesSent: 0,
                 messagesSucceeded: 0,
                 messagesFailed: 0,
+                messagesErrored: 0,
+                messagesTimedOut: 0,
+                lateResponses: 0,
+                unmatchedResponses: 0,
+                eventsReceived: 0,
+                eventTimeouts: 0,
+                strayEvents: 0, // events of domains this connection never enabled
+                bytesReceived: 0,
+                maxFrameBytes: 0,
                 responseTimes: [],
+                stepTimes: {},
                 connectionTime: 0,
+                queuePosition: null, // set when the gateway queued the session
+                queueTime: 0,
                 error: null
             };
 
+            let draining = false;
+            let admitted = true;
+            let queuedAt = 0;
+            let ws;
+            
+            // Resolvers for requests the scenario waits on, and for awaited events
+            const pendingSteps = new Map();
+            const eventWaiters = new Map();
+            const session = {
+                sendingDone: false,
+                isDraining: () => draining
+            };
+
+            // Close once sending has stopped and every request and awaited event has settled
+            session.finishIfIdle = () => {
+                const idle = correlator.pending === 0 && eventWaiters.size === 0;
+                if ((session.sendingDone || draining) && idle && ws.readyState === WebSocket.OPEN) {
+                    ws.close();
+                }
+            };
+
+            const settleStep = (id, ok) => {
+                const resolveStep = pendingSteps.get(id);
+                if (resolveStep) {
+                    pendingSteps.delete(id);
+                    resolveStep(ok);
+                }
+                session.finishIfIdle();
+            };
+
+            // Stop sending and close as soon as in-flight requests are answered
+            const drain = () => {
+                draining = true;
+                this.activeConnections.delete(ws);
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    session.finishIfIdle();
+                }
+            };
+
+            const correlator = new CdpCorrelator({
+                timeout: this.config.requestTimeout,
+                onTimeout: (entry) => {
+                    connectionStats.messagesTimedOut++;
+                    this.stats.messagesTimedOut++;
+                    this.error(`Connection ${connectionId}: Request ${entry.id} (${entry.method}) timed out`, new Error('CDP request timeout'));
+                    settleStep(entry.id, false);
+                }
+            });
+            
+            // Chrome sends a domain's events once it is enabled, some before the enable's response
+            const enabledDomains = new Set(CdpMultiplexer.UNSOLICITED_DOMAINS);
+            const domainOf = method => method.slice(0, method.lastIndexOf('.'));
+            
+            session.request = (id, method, params) => {
+                if (method.endsWith('.enable')) {
+                    enabledDomains.add(domainOf(method));
+                }
+                const settled = new Promise(resolveStep => pendingSteps.set(id, resolveStep));
+                correlator.track(id, method);
+                ws.send(JSON.stringify({ id, method, params }));
+                connectionStats.messagesSent++;
+                this.stats.messagesSent++;
+                return settled;
+            };
+            
+            // Resolves true when the event arrives, false on timeout or close
+            session.waitForEvent = (method) => new Promise((resolveEvent) => {
+                const timer = setTimeout(() => {
+                    eventWaiters.delete(method);
+                    connectionStats.eventTimeouts++;
+                    this.stats.eventTimeouts++;
+                    this.error(`Connection ${connectionId}: Timed out waiting for ${method}`, new Error('CDP event timeout'));
+                    resolveEvent(false);
+                    session.finishIfIdle();
+                }, this.config.requestTimeout);
+                eventWaiters.set(method, { timer, resolve: resolveEvent });
+            });
+
+            // Stop waiting for an event whose request failed; it is not counted as missing
+            session.cancelEvent = (method) => {
+                const waiter = eventWaiters.get(method);
+                if (waiter) {
+                    clearTimeout(waiter.timer);
+                    eventWaiters.delete(method);
+                    waiter.resolve(false);
+                    session.finishIfIdle();
+                }
+            };
+            
+            session.recordStep = (label, latency) => {
+                if (!connectionStats.stepTimes[label]) {
+                    connectionStats.stepTimes[label] = [];
+                }
+                connectionStats.stepTimes[label].push(latency);
+            };
+
             try {
-                const ws = new WebSocket(wsUrl);
+                this.stats.connectionsAttempted++;
+                // Signed URLs are minted per connection so long tests outlive a single expiry
+                ws = this.client.openSocket(target.wsUrl);
                 this.activeConnections.add(ws);
+                
+                if (options.onCreate) {
+                    options.onCreate({ id: connectionId, drain });
+                }
+
+                const start = () => {
+                    if (draining) {
+                        ws.close();
+                        return;
+                    }
+                    
+                    // Start sending messages
+                    this.sendTestMessages(ws, connectionStats, session, {
+                        scenario,
+                        messages: messageLimit,
+                        interval
+                    });
+                };
+                
+                // The gateway accepts sessions over an instance's limit and holds them in its admission queue
+                ws.on('upgrade', (res) => {
+                    const position = res.headers['x-admission-queue-position'];
+                    if (position) {
+                        admitted = false;
+                        connectionStats.queuePosition = parseInt(position);
+                    }
+                });
 
                 ws.on('open', () => {
                     connectionStats.connectionTime = performance.now() - connectionStart;
                     this.stats.connectionTimes.push(connectionStats.connectionTime);
                     this.stats.connectionsStarted++;
+                    this.stats.peakConnections = Math.max(this.stats.peakConnections, this.activeConnections.size);
+                    if (this.currentPhase) {
+                        this.currentPhase.peakConnections = Math.max(this.currentPhase.peakConnections, this.activeConnections.size);
+                    }
                     
-                    this.log(`Connection ${connectionId} established (${connectionStats.connectionTime.toFixed(2)}ms)`);
+                    if (admitted) {
+                        this.log(`Connection ${connectionId} established (${connectionStats.connectionTime.toFixed(2)}ms)`);
+                        start();
+                        return;
+                    }
                     
-                    // Start sending messages
-                    this.sendTestMessages(ws, connectionStats, resolve);
+                    queuedAt = performance.now();
+                    this.stats.connectionsQueued++;
+                    this.log(`Connection ${connectionId} queued at position ${connectionStats.queuePosition} (${connectionStats.connectionTime.toFixed(2)}ms)`);
                 });
 
                 ws.on('message', (data) => {
+                    connectionStats.bytesReceived += data.length;
+                    connectionStats.maxFrameBytes = Math.max(connectionStats.maxFrameBytes, data.length);
+                    this.stats.bytesReceived += data.length;
+                    
+                    let message;
                     try {
-                        const response = JSON.parse(data.toString());
-                        
-                        if (response.id && response.id <= this.config.messagesPerConnection) {
-                            const messageEnd = performance.now();
-                            const responseTime = messageEnd - response.sentTime;
-                            
-                            connectionStats.responseTimes.push(responseTime);
+                        message = JSON.parse(data.toString());
+                    } catch (error) {
+                        connectionStats.messagesFailed++;
+                        this.stats.messagesFailed++;
+                        this.error(`Connection ${connectionId}: Failed to parse message`, error);
+                        return;
+                    }
+                    if (typeof message !== 'object' || message === null) {
+                        connectionStats.messagesFailed++;
+                        this.stats.messagesFailed++;
+                        this.error(`Connection ${connectionId}: Message is not a CDP frame`, new Error(`Got ${JSON.stringify(message)}`));
+                        return;
+                    }
+                    
+                    // Queue updates come from the gateway, not Chrome
+                    if (message.method === 'Admission.queued') {
+                        connectionStats.queuePosition = message.params.position;
+                        return;
+                    }
+                    if (message.method === 'Admission.admitted') {
+                        admitted = true;
+                        connectionStats.queueTime = performance.now() - queuedAt;
+                        this.stats.queueTimes.push(connectionStats.queueTime);
+                        this.log(`Connection ${connectionId} admitted to port ${message.params.port} after ${connectionStats.queueTime.toFixed(2)}ms in the queue`);
+                        start();
+                        return;
+                    }
+                    
+                    const outcome = correlator.handle(message);
+                    
+                    switch (outcome.type) {
+                        case 'response':
+                            connectionStats.responseTimes.push(outcome.latency);
+                            session.recordStep(outcome.method, outcome.latency);
+                            if (this.currentPhase) {
+                                this.currentPhase.responseTimes.push(outcome.latency);
+                            }
                             connectionStats.messagesSucceeded++;
                             this.stats.messagesSucceeded++;
+                            settleStep(outcome.id, true);
+                            break;
+                        case 'error':
+                            connectionStats.messagesErrored++;
+                            this.stats.messagesErrored++;
+                            this.error(`Connection ${connectionId}: ${outcome.method} returned CDP error`, new Error(`CDP error ${outcome.error.code}: ${outcome.error.message}`));
+                            settleStep(outcome.id, false);
+                            break;
+                        case 'late':
+                            connectionStats.lateResponses++;
+                            this.stats.lateResponses++;
+                            break;
+                        case 'unmatched':
+                            connectionStats.unmatchedResponses++;
+                            this.stats.unmatchedResponses++;
+                            break;
+                        default: {
+                            connectionStats.eventsReceived++;
+                            this.stats.eventsReceived++;
                             
-                            messagesCompleted++;
+                            // Sharing a target must not hand one client another client's events
+                            if (!enabledDomains.has(domainOf(outcome.method))) {
+                                connectionStats.strayEvents++;
+                                this.stats.strayEvents++;
+                            }
                             
-                            if (messagesCompleted >= this.config.messagesPerConnection) {
-                                ws.close();
+                            const waiter = eventWaiters.get(outcome.method);
+                            if (waiter) {
+                                clearTimeout(waiter.timer);
+                                eventWaiters.delete(outcome.method);
+                                waiter.resolve(true);
+                                session.finishIfIdle();
                             }
                         }
-                    } catch (error) {
-                        connectionStats.messagesFailed++;
-                        this.stats.messagesFailed++;
-                        this.error(`Connection ${connectionId}: Failed to parse message`, error);
                     }
                 });
 
@@ -128,6 +525,7 @@ class ChromeProxyLoadTester {
                     connectionStats.error = error.message;
                     this.stats.connectionsFailed++;
                     this.error(`Connection ${connectionId}: WebSocket error`, error);
+                    correlator.clear();
                     resolve(connectionStats);
                 });
 
@@ -135,7 +533,28 @@ class ChromeProxyLoadTester {
                     this.activeConnections.delete(ws);
                     this.stats.connectionsCompleted++;
                     
-                    if (code === 1000) {
+                    // Requests still in flight will never be answered
+                    const abandoned = correlator.clear();
+                    if (abandoned.length > 0) {
+                        connectionStats.messagesFailed += abandoned.length;
+                        this.stats.messagesFailed += abandoned.length;
+                        this.error(`Connection ${connectionId}: Closed with ${abandoned.length} requests in flight`, new Error('Connection closed with requests in flight'));
+                    }
+                    
+                    // Release a scenario waiting on a response or event
+                    pendingSteps.forEach(resolveStep => resolveStep(false));
+                    pendingSteps.clear();
+                    eventWaiters.forEach(waiter => {
+                        clearTimeout(waiter.timer);
+                        waiter.resolve(false);
+                    });
+                    eventWaiters.clear();
+                    
+                    if (!admitted && code === 1013) {
+                        connectionStats.error = `Not admitted: ${reason}`;
+                        this.stats.queueTimeouts++;
+                        this.error(`Connection ${connectionId}: Left the admission queue`, new Error(String(reason)));
+                    } else if (code === 1000 || code === 1005) {
                         this.log(`Connection ${connectionId} completed successfully`);
                     } else {
                         this.log(`Connection ${connectionId} closed with code ${code}: ${reason}`);
@@ -148,79 +567,176 @@ class ChromeProxyLoadTester {
                 connectionStats.error = error.message;
                 this.stats.connectionsFailed++;
                 this.error(`Connection ${connectionId}: Failed to create WebSocket`, error);
+                correlator.clear();
                 resolve(connectionStats);
             }
         });
     }
 
-    sendTestMessages(ws, connectionStats, resolve) {
+    // Run the scenario's setup steps once, then repeat its steps at the configured rate.
+    // Steps with waitFor hold the sequence until the event arrives; the rest are pipelined.
+    async sendTestMessages(ws, connectionStats, session, options) {
+        const { scenario } = options;
         let messagesSent = 0;
+        let iteration = 0;
         
-        const sendMessage = () => {
-            if (messagesSent >= this.config.messagesPerConnection || ws.readyState !== WebSocket.OPEN) {
-                return;
-            }
-            
+        const canSend = () => messagesSent < options.messages && !session.isDraining() && ws.readyState === WebSocket.OPEN;
+        
+        const runStep = async (step) => {
             messagesSent++;
             const messageId = messagesSent;
-            const sentTime = performance.now();
-            
-            const message = JSON.stringify({
-                id: messageId,
-                method: 'Runtime.evaluate',
-                params: {
-                    expression: `Math.random() * ${messageId}`
-                },
-                sentTime: sentTime
+            const params = resolveParams(step, {
+                connectionId: connectionStats.id,
+                iteration,
+                messageId
             });
             
+            const started = performance.now();
+            let settled;
             try {
-                ws.send(message);
-                
-                // Schedule next message
-                setTimeout(sendMessage, 100); // 10 messages per second per connection
+                settled = session.request(messageId, step.method, params);
             } catch (error) {
                 connectionStats.messagesFailed++;
                 this.stats.messagesFailed++;
                 this.error(`Failed to send message ${messageId}`, error);
+                return false;
+            }
+            
+            if (!step.waitFor) {
+                return true;
+            }
+            
+            // Register for the event before the response arrives, Chrome may send both together
+            const event = session.waitForEvent(step.waitFor);
+            if (!(await settled)) {
+                session.cancelEvent(step.waitFor);
+                return false;
+            }
+            if (!(await event)) {
+                return false;
             }
+            
+            session.recordStep(`${step.method} -> ${step.waitFor}`, performance.now() - started);
+            return true;
         };
         
-        // Start sending messages
-        sendMessage();
+        for (const step of scenario.setup) {
+            if (!canSend() || !(await runStep(step))) {
+                break;
+            }
+        }
+        
+        while (canSend()) {
+            let completed = true;
+            for (const step of scenario.steps) {
+                if (!canSend()) {
+                    completed = false;
+                    break;
+                }
+                await runStep(step);
+                await sleep(options.interval);
+            }
+            
+            iteration++;
+            if (completed) {
+                connectionStats.iterations++;
+            }
+        }
+        
+        session.sendingDone = true;
+        session.finishIfIdle();
     }
 
     async runLoadTest() {
         this.log('Chrome Debugger Nginx Proxy Load Test');
         this.log('='.repeat(50));
         this.log(`Configuration:`);
-        this.log(`  Host: ${this.config.host}:${this.config.port}`);
-        this.log(`  Concurrent connections: ${this.config.concurrentConnections}`);
-        this.log(`  Messages per connection: ${this.config.messagesPerConnection}`);
-        this.log(`  Test duration: ${this.config.testDuration / 1000}s`);
-        this.log(`  Ramp-up time: ${this.config.rampUpTime / 1000}s`);
-        
-        // Discover WebSocket URL
-        let wsUrl;
+        if (this.config.discover) {
+            this.log(`  Host: ${this.config.host}, ports ${this.config.portRange.start}-${this.config.portRange.end}`);
+        } else {
+            this.log(`  Host: ${this.config.host}:${(this.config.ports || [this.config.port]).join(', ')}`);
+        }
+        if (this.config.newTargets > 0) {
+            this.log(`  New targets per port: ${this.config.newTargets}`);
+        }
+        
+        if (this.config.mode === 'conformance') {
+            const limits = this.config.limits;
+            this.log(`  Mode: conformance, expecting ${limits.rate}r/s with burst ${limits.burst} and ${limits.connections} connections per client, shed with ${limits.statuses.join('/')}`);
+        } else if (this.config.profile) {
+            this.log(`  Profile: ${this.config.profile.name} (${this.config.profile.phases.length} phases, ${this.config.profile.duration / 1000}s)`);
+        } else {
+            this.log(`  Concurrent connections: ${this.config.concurrentConnections}`);
+            this.log(`  Messages per connection: ${this.config.messagesPerConnection}`);
+            this.log(`  Message rate: ${this.config.messageRate}/s per connection`);
+            this.log(`  Test duration: ${this.config.testDuration / 1000}s`);
+            this.log(`  Ramp-up time: ${this.config.rampUpTime / 1000}s`);
+        }
+        this.log(`  Scenarios: ${this.config.scenarios.map(scenario => scenario.name).join(', ')}`);
+        
+        // Discover the targets connections are spread over
         try {
-            wsUrl = await this.discoverWebSocketUrl();
-            this.log(`WebSocket URL: ${wsUrl}`);
+            this.targets = await this.discoverTargets();
+            if (this.config.target) {
+                this.targets = this.sharedTarget(this.targets);
+                this.log(`Putting every connection on target ${this.targets[0].id} on port ${this.targets[0].port}`);
+            } else {
+                this.log(`Distributing connections over ${this.targets.length} targets on ${new Set(this.targets.map(t => t.port)).size} ports`);
+            }
         } catch (error) {
             this.error('Failed to discover WebSocket URL', error);
+            await this.closeCreatedTargets();
             return false;
         }
         
         this.startTime = performance.now();
+        this.startedAt = new Date();
+        
+        if (this.config.mode === 'conformance') {
+            try {
+                return await this.runConformance();
+            } catch (error) {
+                this.error('Conformance test failed', error);
+                return false;
+            } finally {
+                this.endTime = performance.now();
+                await this.closeCreatedTargets();
+            }
+        }
+        
+        try {
+            const results = this.config.profile
+                ? await this.runProfile()
+                : await this.runFixedLoad();
+            
+            this.connectionResults = results;
+            this.endTime = performance.now();
+            
+            this.generateReport(results);
+            return this.succeeded();
+        } catch (error) {
+            this.error('Load test failed', error);
+            return false;
+        } finally {
+            await this.closeCreatedTargets();
+        }
+    }
+
+    // Fixed number of connections, each sending messagesPerConnection then closing
+    async runFixedLoad() {
         const connectionPromises = [];
         
         // Ramp up connections gradually
         const rampUpInterval = this.config.rampUpTime / this.config.concurrentConnections;
         
         for (let i = 0; i < this.config.concurrentConnections; i++) {
-            setTimeout(() => {
-                const connectionPromise = this.createTestConnection(i + 1, wsUrl);
-                connectionPromises.push(connectionPromise);
-            }, i * rampUpInterval);
+            // Collect the promise up front so Promise.all waits for delayed connections too
+            connectionPromises.push(new Promise((resolve) => {
+                setTimeout(() => {
+                    const { target, scenario } = this.nextAssignment();
+                    resolve(this.createTestConnection(i + 1, target, { scenario }));
+                }, i * rampUpInterval);
+            }));
         }
         
         // Wait for test duration or all connections to complete
@@ -234,16 +750,558 @@ class ChromeProxyLoadTester {
         }, this.config.testDuration);
         
         try {
-            const results = await Promise.all(connectionPromises);
+            return await Promise.all(connectionPromises);
+        } finally {
             clearTimeout(testTimeout);
+        }
+    }
+
+    // Walk through the phases of this.config.profile
+    async runProfile() {
+        const phases = this.config.profile.phases;
+        const open = new Map();
+        const lifetimeTimers = new Set();
+        const connectionPromises = [];
+        let nextId = 0;
+        
+        const openConnection = (rate) => {
+            const id = ++nextId;
+            const { target, scenario } = this.nextAssignment();
+            const promise = this.createTestConnection(id, target, {
+                messages: Infinity,
+                rate,
+                scenario,
+                onCreate: (connection) => open.set(id, connection)
+            }).then((result) => {
+                open.delete(id);
+                return result;
+            });
+            connectionPromises.push(promise);
+            return id;
+        };
+        
+        const retire = (id) => {
+            const connection = open.get(id);
+            if (connection) {
+                open.delete(id);
+                connection.drain();
+            }
+        };
+        
+        for (const [index, phase] of phases.entries()) {
+            this.log(`Phase ${index + 1}/${phases.length} (${phase.name}): ${this.describePhase(phase)}`);
             
-            this.generateReport(results);
-            return this.stats.connectionsFailed === 0;
-        } catch (error) {
-            clearTimeout(testTimeout);
-            this.error('Load test failed', error);
-            return false;
+            // Closed model: open or drain connections to reach the phase's concurrency; connections that
+            // close during the phase are not replaced, and steps that wait for an event hold back the next.
+            // A connection that fails to open never joins open; it counts in connectionsFailed instead
+            if (!phase.arrivalRate) {
+                const missing = phase.connections - open.size;
+                for (let i = 0; i < missing; i++) {
+                    openConnection(phase.rate);
+                }
+                [...open.keys()].slice(0, open.size - phase.connections).forEach(retire);
+            }
+            
+            this.beginPhase(phase);
+            
+            if (phase.arrivalRate) {
+                // Open model: connections keep arriving regardless of how many are open
+                const arrivals = setInterval(() => {
+                    const id = openConnection(phase.rate);
+                    const timer = setTimeout(() => {
+                        lifetimeTimers.delete(timer);
+                        retire(id);
+                    }, phase.lifetime);
+                    lifetimeTimers.add(timer);
+                }, 1000 / phase.arrivalRate);
+                
+                await sleep(phase.duration);
+                clearInterval(arrivals);
+            } else {
+                await sleep(phase.duration);
+            }
+            
+            this.endPhase();
+        }
+        
+        lifetimeTimers.forEach(timer => clearTimeout(timer));
+        [...open.keys()].forEach(retire);
+        
+        return Promise.all(connectionPromises);
+    }
+
+    // Conformance mode: go over limit_req and limit_conn on purpose and check how the proxy sheds the excess
+    async runConformance() {
+        const target = this.targets[0];
+        const limits = this.config.limits;
+        const checks = [];
+        
+        const check = (name, passed, message) => {
+            checks.push({ name, status: passed ? 'passed' : 'failed', message: passed ? undefined : message });
+            if (passed) {
+                this.log(`✓ ${name}`);
+            } else {
+                this.error(`✗ ${name}: ${message}`);
+            }
+        };
+        const isShed = status => limits.statuses.includes(status);
+        
+        this.log(`\nBursts of simultaneous /json/version requests on port ${target.port}...`);
+        const requestRate = await this.probeRequestRate(target.port);
+        const within = requestRate.steps.filter(step => step.concurrency <= limits.burst);
+        const top = requestRate.steps[requestRate.steps.length - 1];
+        const unexpected = requestRate.steps.flatMap(step => Object.keys(step.statuses)
+            .filter(status => !(status >= 200 && status < 300) && !isShed(Number(status))));
+        
+        check('requests within the burst are accepted',
+            within.every(step => step.shed === 0),
+            `shed ${within.map(step => step.shed).join('/')} of ${within.map(step => step.concurrency).join('/')} simultaneous requests, the burst allows ${limits.burst}`);
+        check('requests over the burst are shed',
+            top.shed > 0 && top.accepted <= top.allowed,
+            top.shed === 0
+                ? `all ${top.concurrency} simultaneous requests were accepted; limit_req is not enforced`
+                : `${top.accepted} of ${top.concurrency} simultaneous requests were accepted, at most ${top.allowed} expected`);
+        check(`shed requests are answered with ${limits.statuses.join(' or ')}`,
+            unexpected.length === 0,
+            `got ${[...new Set(unexpected)].join(', ')}`);
+        
+        this.log(`\nOpening WebSockets one at a time on port ${target.port}...`);
+        const connections = await this.probeConnections(target);
+        const refused = connections.attempts.find(attempt => attempt.status !== 101);
+        
+        check(`${limits.connections} concurrent WebSockets are accepted`,
+            !refused || refused.connections > limits.connections,
+            refused && `upgrade ${refused.connections} was refused with ${refused.status || refused.error}`);
+        check(`WebSocket ${limits.connections + 1} is refused with ${limits.statuses.join(' or ')}`,
+            Boolean(refused) && refused.connections === limits.connections + 1 && isShed(refused.status),
+            !refused
+                ? `${connections.attempts.length} WebSockets were open at once; limit_conn is not enforced`
+                : `upgrade ${refused.connections} was refused with ${refused.status || refused.error}`);
+        check('WebSockets are accepted again once the others close',
+            connections.recovered,
+            'the upgrade after closing every WebSocket was refused');
+        
+        this.conformance = {
+            port: target.port,
+            limits,
+            requestRate,
+            connections: {
+                attempts: connections.attempts,
+                sheddingAt: refused ? refused.connections : null
+            },
+            checks,
+            success: checks.every(c => c.status === 'passed')
+        };
+        
+        this.generateConformanceReport();
+        return this.conformance.success;
+    }
+
+    // Time for the limit_req bucket to empty after a burst
+    drainTime() {
+        return ((this.config.limits.burst + 1) / this.config.limits.rate) * 1000 + 250;
+    }
+
+    // Bursts of simultaneous requests, each on a drained bucket, from half the burst to twice it.
+    // nginx lets burst requests through at once, one more for a client it has not seen yet
+    async probeRequestRate(port) {
+        const { rate, burst } = this.config.limits;
+        const url = this.client.instanceUrl(port, '/json/version');
+        const levels = [...new Set([Math.max(1, Math.ceil(burst / 2)), Math.max(1, burst), burst + 2, (burst + 1) * 2])];
+        const steps = [];
+        
+        for (const concurrency of levels) {
+            await sleep(this.drainTime());
+            
+            const start = performance.now();
+            const statuses = await Promise.all(Array.from({ length: concurrency }, async () => {
+                try {
+                    // No retries: every shed request is what this probe counts
+                    const response = await this.client.request(url, { retries: 0 });
+                    await response.text();
+                    return response.status;
+                } catch (error) {
+                    return error instanceof ChromeProxyClient.TimeoutError ? 'timeout' : 'error';
+                }
+            }));
+            const elapsed = (performance.now() - start) / 1000;
+            
+            const counts = {};
+            statuses.forEach(status => {
+                counts[status] = (counts[status] || 0) + 1;
+            });
+            const accepted = statuses.filter(status => status >= 200 && status < 300).length;
+            const step = {
+                concurrency,
+                accepted,
+                shed: concurrency - accepted,
+                // The bucket keeps draining while the burst is in flight
+                allowed: burst + 1 + Math.ceil(rate * elapsed),
+                statuses: counts
+            };
+            steps.push(step);
+            this.log(`  ${concurrency} at once: ${step.accepted} accepted, ${step.shed} shed ${JSON.stringify(counts)}`);
+        }
+        
+        const shedding = steps.find(step => step.shed > 0);
+        return { steps, sheddingAt: shedding ? shedding.concurrency : null };
+    }
+
+    // Resolves with { ws, status: 101 } or the refusal's { status } or { error }
+    tryUpgrade(wsUrl) {
+        return new Promise((resolve) => {
+            const ws = this.client.openSocket(wsUrl, { handshakeTimeout: this.config.requestTimeout });
+            
+            ws.once('open', () => {
+                ws.on('error', () => {});
+                resolve({ ws, status: 101 });
+            });
+            ws.once('unexpected-response', (req, res) => {
+                req.destroy();
+                resolve({ status: res.statusCode });
+            });
+            ws.once('error', (error) => resolve({ error: error.message }));
+        });
+    }
+
+    // Hold WebSockets open one by one, paced under the request rate, until an upgrade is refused
+    async probeConnections(target) {
+        const { rate, connections } = this.config.limits;
+        const open = [];
+        const attempts = [];
+        let recovered = false;
+        
+        await sleep(this.drainTime());
+        
+        try {
+            for (let n = 1; n <= connections * 2; n++) {
+                const outcome = await this.tryUpgrade(target.wsUrl);
+                attempts.push({ connections: n, status: outcome.status, error: outcome.error });
+                
+                if (!outcome.ws) {
+                    this.log(`  Upgrade ${n} refused with ${outcome.status || outcome.error} while ${open.length} WebSockets were open`);
+                    break;
+                }
+                open.push(outcome.ws);
+                await sleep(1000 / rate);
+            }
+        } finally {
+            await Promise.all(open.map(ws => new Promise(resolve => {
+                ws.once('close', resolve);
+                ws.terminate();
+            })));
+        }
+        
+        await sleep(1000 / rate + 250);
+        const retry = await this.tryUpgrade(target.wsUrl);
+        if (retry.ws) {
+            recovered = true;
+            retry.ws.terminate();
+        }
+        
+        return { attempts, recovered };
+    }
+
+    generateConformanceReport() {
+        const { limits, requestRate, connections, checks, success } = this.conformance;
+        
+        this.log('\n' + '='.repeat(50));
+        this.log('CONFORMANCE RESULTS');
+        this.log('='.repeat(50));
+        
+        this.log(`\nRequest rate (expected ${limits.rate}r/s, burst ${limits.burst}):`);
+        requestRate.steps.forEach(step => {
+            this.log(`  ${step.concurrency} simultaneous requests: ${step.accepted} accepted, ${step.shed} shed`);
+        });
+        this.log(requestRate.sheddingAt
+            ? `  Shedding starts at ${requestRate.sheddingAt} simultaneous requests`
+            : '  No requests were shed');
+        
+        this.log(`\nConnections (expected ${limits.connections} per client):`);
+        this.log(connections.sheddingAt
+            ? `  Shedding starts at ${connections.sheddingAt} concurrent WebSockets`
+            : `  No upgrade was refused up to ${connections.attempts.length} concurrent WebSockets`);
+        
+        this.log(`\nChecks: ${checks.filter(c => c.status === 'passed').length}/${checks.length} passed`);
+        this.log(success
+            ? '  🎉 The proxy sheds load at its configured limits'
+            : '  ❌ The proxy does not shed load as configured, check limit_req and limit_conn');
+    }
+
+    describePhase(phase) {
+        const duration = `${(phase.duration / 1000).toFixed(1)}s`;
+        if (phase.arrivalRate) {
+            return `${phase.arrivalRate} new connections/s living ${phase.lifetime / 1000}s at ${phase.rate} msg/s for ${duration}`;
+        }
+        return `${phase.connections} connections at ${phase.rate} msg/s for ${duration}`;
+    }
+
+    beginPhase(phase) {
+        const counters = {};
+        PHASE_COUNTERS.forEach(key => {
+            counters[key] = this.stats[key];
+        });
+        
+        this.currentPhase = {
+            phase,
+            counters,
+            startTime: performance.now(),
+            responseTimes: [],
+            peakConnections: this.activeConnections.size
+        };
+    }
+
+    endPhase() {
+        const current = this.currentPhase;
+        const durationMs = performance.now() - current.startTime;
+        const result = {
+            name: current.phase.name,
+            durationMs,
+            connections: current.phase.connections,
+            arrivalRate: current.phase.arrivalRate,
+            rate: current.phase.rate,
+            peakConnections: current.peakConnections
+        };
+        
+        PHASE_COUNTERS.forEach(key => {
+            result[key] = this.stats[key] - current.counters[key];
+        });
+        
+        result.messagesPerSecond = result.messagesSucceeded / (durationMs / 1000);
+        result.latency = ReportFormatter.summarizeLatencies(current.responseTimes);
+        
+        this.phaseResults.push(result);
+        this.currentPhase = null;
+    }
+
+    // Per-port totals with a per-target breakdown, built from the connection results
+    buildBreakdown() {
+        const ports = new Map();
+        
+        const tally = (entry, result) => {
+            entry.connections++;
+            if (result.error) {
+                entry.connectionsFailed++;
+            }
+            BREAKDOWN_COUNTERS.forEach(key => {
+                entry[key] += result[key];
+            });
+            entry.responseTimes.push(...result.responseTimes);
+        };
+        
+        const emptyEntry = (fields) => {
+            const entry = { ...fields, connections: 0, connectionsFailed: 0, responseTimes: [] };
+            BREAKDOWN_COUNTERS.forEach(key => {
+                entry[key] = 0;
+            });
+            return entry;
+        };
+        
+        const finish = (entry) => {
+            const { responseTimes, ...rest } = entry;
+            return {
+                ...rest,
+                successRate: entry.messagesSent > 0 ? (entry.messagesSucceeded / entry.messagesSent) * 100 : 0,
+                latency: ReportFormatter.summarizeLatencies(responseTimes)
+            };
+        };
+        
+        // Seed from the discovered targets so idle ones still show up
+        this.targets.forEach(target => {
+            if (!ports.has(target.port)) {
+                ports.set(target.port, { totals: emptyEntry({ port: target.port }), targets: new Map() });
+            }
+            ports.get(target.port).targets.set(target.id, emptyEntry({ id: target.id, url: target.url }));
+        });
+        
+        this.connectionResults.forEach(result => {
+            const port = ports.get(result.port);
+            if (!port) {
+                return;
+            }
+            tally(port.totals, result);
+            tally(port.targets.get(result.targetId), result);
+        });
+        
+        return [...ports.values()]
+            .map(port => ({
+                ...finish(port.totals),
+                targets: [...port.targets.values()].map(finish)
+            }))
+            .sort((a, b) => a.port - b.port);
+    }
+
+    // Latency and throughput per scenario; every scenario runs for the whole test
+    buildScenarioBreakdown(totalDuration) {
+        return this.config.scenarios.map(scenario => {
+            const results = this.connectionResults.filter(result => result.scenario === scenario.name);
+            const entry = {
+                name: scenario.name,
+                description: scenario.description,
+                connections: results.length,
+                connectionsFailed: results.filter(result => result.error).length,
+                iterations: 0,
+                maxFrameBytes: 0
+            };
+            
+            const responseTimes = [];
+            const stepTimes = {};
+            
+            BREAKDOWN_COUNTERS.forEach(key => {
+                entry[key] = 0;
+            });
+            
+            results.forEach(result => {
+                BREAKDOWN_COUNTERS.forEach(key => {
+                    entry[key] += result[key];
+                });
+                entry.iterations += result.iterations;
+                entry.maxFrameBytes = Math.max(entry.maxFrameBytes, result.maxFrameBytes);
+                responseTimes.push(...result.responseTimes);
+                
+                Object.entries(result.stepTimes).forEach(([label, times]) => {
+                    stepTimes[label] = (stepTimes[label] || []).concat(times);
+                });
+            });
+            
+            const perSecond = (count) => totalDuration > 0 ? count / totalDuration : 0;
+            
+            return {
+                ...entry,
+                successRate: entry.messagesSent > 0 ? (entry.messagesSucceeded / entry.messagesSent) * 100 : 0,
+                throughput: {
+                    messagesPerSecond: perSecond(entry.messagesSucceeded),
+                    iterationsPerSecond: perSecond(entry.iterations),
+                    eventsPerSecond: perSecond(entry.eventsReceived),
+                    bytesPerSecond: perSecond(entry.bytesReceived)
+                },
+                latency: ReportFormatter.summarizeLatencies(responseTimes),
+                steps: Object.fromEntries(Object.entries(stepTimes)
+                    .map(([label, times]) => [label, ReportFormatter.summarizeLatencies(times)]))
+            };
+        });
+    }
+
+    // Percentage of sent requests that got a successful response
+    successRate() {
+        if (this.stats.messagesSent === 0) {
+            return 0;
+        }
+        return (this.stats.messagesSucceeded / this.stats.messagesSent) * 100;
+    }
+
+    // A load run passes when every connection opened and none timed out in the admission queue
+    succeeded() {
+        return this.stats.connectionsFailed === 0 && this.stats.queueTimeouts === 0;
+    }
+
+    // Structured results for the JSON, JUnit and text report formats
+    buildReport() {
+        if (this.conformance) {
+            return this.buildConformanceReport();
         }
+        
+        const results = this.connectionResults;
+        const endTime = this.endTime || performance.now();
+        const totalDuration = (endTime - this.startTime) / 1000;
+        const allResponseTimes = [];
+        results.forEach(result => allResponseTimes.push(...result.responseTimes));
+        
+        const testcases = (result) => {
+            let status = 'passed';
+            let message;
+            
+            if (result.error) {
+                status = 'failed';
+                message = result.error;
+            } else if (result.messagesFailed + result.messagesErrored + result.messagesTimedOut + result.eventTimeouts + result.strayEvents > 0) {
+                status = 'failed';
+                message = `${result.messagesFailed} failed, ${result.messagesErrored} CDP errors, ${result.messagesTimedOut} timed out, ${result.eventTimeouts} missing events, ${result.strayEvents} events of domains not enabled`;
+            }
+            
+            return {
+                name: `connection ${result.id} (${result.scenario}, target ${result.targetId})`,
+                status,
+                message,
+                durationMs: result.connectionTime
+            };
+        };
+        
+        const breakdown = this.buildBreakdown();
+        
+        return {
+            name: 'chrome-proxy-load',
+            timestamp: (this.startedAt || new Date()).toISOString(),
+            durationMs: totalDuration * 1000,
+            success: this.succeeded(),
+            config: {
+                host: this.config.host,
+                port: this.config.port,
+                ports: breakdown.map(port => port.port),
+                newTargets: this.config.newTargets,
+                target: this.config.target,
+                concurrentConnections: this.config.concurrentConnections,
+                messagesPerConnection: this.config.messagesPerConnection,
+                messageRate: this.config.messageRate,
+                testDuration: this.config.testDuration,
+                rampUpTime: this.config.rampUpTime,
+                profile: this.config.profile,
+                scenarios: this.config.scenarios.map(scenario => scenario.name)
+            },
+            summary: {
+                connectionsAttempted: this.stats.connectionsAttempted,
+                peakConnections: this.stats.peakConnections,
+                connectionsStarted: this.stats.connectionsStarted,
+                connectionsCompleted: this.stats.connectionsCompleted,
+                connectionsFailed: this.stats.connectionsFailed,
+                connectionsQueued: this.stats.connectionsQueued,
+                queueTimeouts: this.stats.queueTimeouts,
+                messagesSent: this.stats.messagesSent,
+                messagesSucceeded: this.stats.messagesSucceeded,
+                messagesFailed: this.stats.messagesFailed,
+                messagesErrored: this.stats.messagesErrored,
+                messagesTimedOut: this.stats.messagesTimedOut,
+                lateResponses: this.stats.lateResponses,
+                unmatchedResponses: this.stats.unmatchedResponses,
+                eventsReceived: this.stats.eventsReceived,
+                eventTimeouts: this.stats.eventTimeouts,
+                strayEvents: this.stats.strayEvents,
+                bytesReceived: this.stats.bytesReceived,
+                successRate: this.successRate()
+            },
+            throughput: {
+                messagesPerSecond: totalDuration > 0 ? this.stats.messagesSucceeded / totalDuration : 0,
+                connectionsPerSecond: totalDuration > 0 ? this.stats.connectionsStarted / totalDuration : 0
+            },
+            latency: {
+                connection: ReportFormatter.summarizeLatencies(this.stats.connectionTimes),
+                queueWait: ReportFormatter.summarizeLatencies(this.stats.queueTimes),
+                response: ReportFormatter.summarizeLatencies(allResponseTimes)
+            },
+            phases: this.phaseResults,
+            scenarios: this.buildScenarioBreakdown(totalDuration),
+            ports: breakdown,
+            errors: ReportFormatter.groupErrors(this.stats.errors),
+            testsuites: breakdown.map(port => ({
+                name: `port ${port.port}`,
+                testcases: results.filter(result => result.port === port.port).map(testcases)
+            }))
+        };
+    }
+
+    buildConformanceReport() {
+        return {
+            name: 'chrome-proxy-conformance',
+            timestamp: (this.startedAt || new Date()).toISOString(),
+            durationMs: (this.endTime || performance.now()) - this.startTime,
+            success: this.conformance.success,
+            conformance: this.conformance,
+            errors: ReportFormatter.groupErrors(this.stats.errors),
+            testsuites: [{
+                name: `port ${this.conformance.port} conformance`,
+                testcases: this.conformance.checks
+            }]
+        };
     }
 
     generateReport(connectionResults) {
@@ -256,7 +1314,8 @@ class ChromeProxyLoadTester {
         
         // Connection statistics
         this.log(`\nConnection Statistics:`);
-        this.log(`  Total connections attempted: ${this.config.concurrentConnections}`);
+        this.log(`  Total connections attempted: ${this.stats.connectionsAttempted}`);
+        this.log(`  Peak concurrent connections: ${this.stats.peakConnections}`);
         this.log(`  Connections started: ${this.stats.connectionsStarted}`);
         this.log(`  Connections completed: ${this.stats.connectionsCompleted}`);
         this.log(`  Connections failed: ${this.stats.connectionsFailed}`);
@@ -271,12 +1330,34 @@ class ChromeProxyLoadTester {
             this.log(`  Max connection time: ${maxConnectionTime.toFixed(2)}ms`);
         }
         
+        // Time in the gateway's admission queue, not part of the response times below
+        if (this.stats.connectionsQueued > 0) {
+            const queueWait = ReportFormatter.summarizeLatencies(this.stats.queueTimes);
+            this.log(`  Connections queued: ${this.stats.connectionsQueued} (${this.stats.queueTimeouts} timed out in the queue)`);
+            if (queueWait.count > 0) {
+                this.log(`  Queue wait: avg ${queueWait.avg.toFixed(2)}ms, p95 ${queueWait.p95.toFixed(2)}ms, max ${queueWait.max.toFixed(2)}ms`);
+            }
+        }
+        
         // Message statistics
         this.log(`\nMessage Statistics:`);
-        this.log(`  Total messages expected: ${this.config.concurrentConnections * this.config.messagesPerConnection}`);
+        if (!this.config.profile) {
+            this.log(`  Total messages expected: ${this.config.concurrentConnections * this.config.messagesPerConnection}`);
+        }
+        this.log(`  Messages sent: ${this.stats.messagesSent}`);
         this.log(`  Messages succeeded: ${this.stats.messagesSucceeded}`);
+        this.log(`  CDP error responses: ${this.stats.messagesErrored}`);
+        this.log(`  Timed out: ${this.stats.messagesTimedOut}`);
         this.log(`  Messages failed: ${this.stats.messagesFailed}`);
-        this.log(`  Success rate: ${((this.stats.messagesSucceeded / (this.stats.messagesSucceeded + this.stats.messagesFailed)) * 100).toFixed(2)}%`);
+        this.log(`  Late responses: ${this.stats.lateResponses}`);
+        this.log(`  Unmatched responses: ${this.stats.unmatchedResponses}`);
+        this.log(`  Events received: ${this.stats.eventsReceived}`);
+        this.log(`  Awaited events timed out: ${this.stats.eventTimeouts}`);
+        if (this.stats.strayEvents > 0) {
+            this.log(`  Events of domains not enabled: ${this.stats.strayEvents}`, 'WARN');
+        }
+        this.log(`  Bytes received: ${this.stats.bytesReceived}`);
+        this.log(`  Success rate: ${this.successRate().toFixed(2)}%`);
         
         // Calculate response time statistics from all connections
         const allResponseTimes = [];
@@ -284,24 +1365,58 @@ class ChromeProxyLoadTester {
             allResponseTimes.push(...result.responseTimes);
         });
         
-        if (allResponseTimes.length > 0) {
-            allResponseTimes.sort((a, b) => a - b);
-            const avgResponseTime = allResponseTimes.reduce((a, b) => a + b, 0) / allResponseTimes.length;
-            const p50 = allResponseTimes[Math.floor(allResponseTimes.length * 0.5)];
-            const p90 = allResponseTimes[Math.floor(allResponseTimes.length * 0.9)];
-            const p95 = allResponseTimes[Math.floor(allResponseTimes.length * 0.95)];
-            const p99 = allResponseTimes[Math.floor(allResponseTimes.length * 0.99)];
-            const maxResponseTime = Math.max(...allResponseTimes);
-            const minResponseTime = Math.min(...allResponseTimes);
-            
+        const latency = ReportFormatter.summarizeLatencies(allResponseTimes);
+        
+        if (latency.count > 0) {
             this.log(`\nResponse Time Statistics:`);
-            this.log(`  Average response time: ${avgResponseTime.toFixed(2)}ms`);
-            this.log(`  Min response time: ${minResponseTime.toFixed(2)}ms`);
-            this.log(`  Max response time: ${maxResponseTime.toFixed(2)}ms`);
-            this.log(`  50th percentile: ${p50.toFixed(2)}ms`);
-            this.log(`  90th percentile: ${p90.toFixed(2)}ms`);
-            this.log(`  95th percentile: ${p95.toFixed(2)}ms`);
-            this.log(`  99th percentile: ${p99.toFixed(2)}ms`);
+            this.log(`  Average response time: ${latency.avg.toFixed(2)}ms`);
+            this.log(`  Min response time: ${latency.min.toFixed(2)}ms`);
+            this.log(`  Max response time: ${latency.max.toFixed(2)}ms`);
+            this.log(`  50th percentile: ${latency.p50.toFixed(2)}ms`);
+            this.log(`  90th percentile: ${latency.p90.toFixed(2)}ms`);
+            this.log(`  95th percentile: ${latency.p95.toFixed(2)}ms`);
+            this.log(`  99th percentile: ${latency.p99.toFixed(2)}ms`);
+        }
+        
+        // Per-phase breakdown for profile runs
+        if (this.phaseResults.length > 0) {
+            this.log(`\nPhase Results:`);
+            this.phaseResults.forEach(phase => {
+                const latency = phase.latency.count > 0
+                    ? `p50 ${phase.latency.p50.toFixed(2)}ms, p95 ${phase.latency.p95.toFixed(2)}ms`
+                    : 'no responses';
+                this.log(`  ${phase.name}: peak ${phase.peakConnections} connections, ${phase.messagesSucceeded}/${phase.messagesSent} ok, ${phase.messagesPerSecond.toFixed(2)} msg/s, ${latency}, ${phase.connectionsFailed} failed connections`);
+            });
+        }
+        
+        // Per-scenario latency and throughput
+        this.log(`\nScenario Results:`);
+        this.buildScenarioBreakdown(totalDuration).forEach(scenario => {
+            const latency = scenario.latency.count > 0
+                ? `p50 ${scenario.latency.p50.toFixed(2)}ms, p95 ${scenario.latency.p95.toFixed(2)}ms`
+                : 'no responses';
+            this.log(`  ${scenario.name}: ${scenario.connections} connections, ${scenario.iterations} iterations, ${scenario.messagesSucceeded}/${scenario.messagesSent} ok, ${latency}`);
+            this.log(`    ${scenario.throughput.messagesPerSecond.toFixed(2)} msg/s, ${scenario.throughput.eventsPerSecond.toFixed(2)} events/s, ${(scenario.throughput.bytesPerSecond / 1024).toFixed(1)} KB/s, largest frame ${(scenario.maxFrameBytes / 1024).toFixed(1)} KB`);
+            Object.entries(scenario.steps).forEach(([label, stats]) => {
+                this.log(`    ${label}: avg ${stats.avg.toFixed(2)}ms, p95 ${stats.p95.toFixed(2)}ms, p99 ${stats.p99.toFixed(2)}ms (n=${stats.count})`);
+            });
+        });
+        
+        // Per-port and per-target breakdown, to spot a misbehaving instance
+        const breakdown = this.buildBreakdown();
+        if (breakdown.length > 1 || (breakdown[0] && breakdown[0].targets.length > 1)) {
+            const describe = (entry) => {
+                const latency = entry.latency.count > 0 ? `p95 ${entry.latency.p95.toFixed(2)}ms` : 'no responses';
+                return `${entry.connections} connections (${entry.connectionsFailed} failed), ${entry.messagesSucceeded}/${entry.messagesSent} ok (${entry.successRate.toFixed(2)}%), ${latency}`;
+            };
+            
+            this.log(`\nPer-Port Results:`);
+            breakdown.forEach(port => {
+                this.log(`  Port ${port.port}: ${describe(port)}`);
+                port.targets.forEach(target => {
+                    this.log(`    Target ${target.id}: ${describe(target)}`);
+                });
+            });
         }
         
         // Performance metrics
@@ -325,7 +1440,7 @@ class ChromeProxyLoadTester {
         }
         
         // Overall assessment
-        const successRate = (this.stats.messagesSucceeded / (this.stats.messagesSucceeded + this.stats.messagesFailed)) * 100;
+        const successRate = this.successRate();
         
         this.log(`\nOverall Assessment:`);
         if (successRate >= 99) {
@@ -343,6 +1458,12 @@ class ChromeProxyLoadTester {
 async function main() {
     const args = process.argv.slice(2);
     const config = {};
+    const auth = ProxyAuth.fromEnvironment();
+    const profileSpec = {};
+    let profileArg = null;
+    let scenarioArg = null;
+    const limits = {};
+    const tls = {};
     
     // Parse command line arguments
     for (let i = 0; i < args.length; i += 2) {
@@ -350,46 +1471,216 @@ async function main() {
         const value = args[i + 1];
         
         switch (key) {
+            case 'host':
+                config.host = value;
+                break;
             case 'port':
                 config.port = parseInt(value);
                 break;
+            case 'ports':
+                config.ports = value.split(',').map(n => parseInt(n));
+                break;
+            case 'gateway':
+                config.gateway = parseInt(value);
+                break;
+            case 'range': {
+                const [start, end] = value.split('-').map(n => parseInt(n));
+                config.discover = true;
+                config.portRange = { start, end: end || start };
+                break;
+            }
+            case 'new-targets':
+                config.newTargets = parseInt(value);
+                break;
+            case 'target':
+                config.target = value;
+                break;
+            case 'retries':
+                config.maxRetries = parseInt(value);
+                break;
             case 'connections':
                 config.concurrentConnections = parseInt(value);
+                profileSpec.connections = parseInt(value);
                 break;
             case 'messages':
                 config.messagesPerConnection = parseInt(value);
                 break;
             case 'duration':
                 config.testDuration = parseInt(value) * 1000;
+                profileSpec.duration = parseFloat(value);
                 break;
             case 'rampup':
                 config.rampUpTime = parseInt(value) * 1000;
                 break;
+            case 'rate':
+                config.messageRate = parseFloat(value);
+                profileSpec.rate = parseFloat(value);
+                break;
+            case 'profile':
+                profileArg = value;
+                break;
+            case 'arrival-rate':
+                profileSpec.arrivalRate = parseFloat(value);
+                break;
+            case 'lifetime':
+                profileSpec.lifetime = parseFloat(value);
+                break;
+            case 'steps':
+                profileSpec.steps = parseInt(value);
+                break;
+            case 'spike-connections':
+                profileSpec.spikeConnections = parseInt(value);
+                break;
+            case 'scenario':
+                scenarioArg = value;
+                break;
+            case 'mode':
+                config.mode = value;
+                break;
+            case 'limit-rate':
+                limits.rate = parseFloat(value);
+                break;
+            case 'limit-burst':
+                limits.burst = parseInt(value);
+                break;
+            case 'limit-conn':
+                limits.connections = parseInt(value);
+                break;
+            case 'limit-status':
+                limits.statuses = value.split(',').map(status => parseInt(status));
+                break;
+            case 'format':
+                config.format = value;
+                break;
+            case 'output':
+                config.output = value;
+                break;
+            case 'token':
+                auth.token = value;
+                break;
+            case 'auth-secret-file':
+                auth.secret = ProxyAuth.readSecret(value);
+                break;
+            case 'scheme':
+                tls.enabled = value === 'https';
+                break;
+            case 'ca':
+                tls.enabled = true;
+                tls.ca = value;
+                break;
+            case 'servername':
+                tls.servername = value;
+                break;
             case 'help':
                 console.log(`
 Usage: node load-test.js [options]
 
 Options:
+  --host HOST       Proxy host (default: localhost)
   --port N          Chrome debugger port (default: 48333)
+  --ports LIST      Spread connections over these comma-separated ports
+  --range START-END Spread connections over every Chrome instance found in this range
+  --gateway N       Go through chrome-gateway.js on this port; sessions it queues report
+                    their wait separately from CDP latency
+  --new-targets N   Create N extra page targets per port through /json/new
+  --target ID       Put every connection on this page target, or "first" for the first one
+                    found; with cdp-multiplexer.js, the clients share one page session
+  --retries N       Retries for listing and creating targets after a refused connection,
+                    a timeout or a 429/5xx, with backoff (default: 3)
   --connections N   Number of concurrent connections (default: 10)
   --messages N      Messages per connection (default: 50)
   --duration N      Test duration in seconds (default: 30)
   --rampup N        Ramp-up time in seconds (default: 5)
+  --rate N          Messages per second per connection (default: 10)
+  --profile NAME    Load profile: ${PROFILE_TYPES.join(', ')}, or a JSON/YAML profile file
+  --arrival-rate N  New connections per second (churn profile)
+  --lifetime N      Seconds each connection stays open (churn profile, default: 5)
+  --steps N         Number of steps (step profile, default: 5)
+  --spike-connections N  Connections during the spike (spike profile, default: 5x --connections)
+  --scenario LIST   Comma-separated CDP workloads: ${SCENARIO_NAMES.join(', ')}, scenario files or cdp-recorder.js .jsonl recordings (default: evaluate)
+  --mode MODE       load, or conformance to check the proxy's rate and connection limits (default: load)
+  --limit-rate N    Conformance: expected limit_req rate per client, requests per second (default: 10)
+  --limit-burst N   Conformance: expected limit_req burst (default: 20)
+  --limit-conn N    Conformance: expected limit_conn per client (default: 10)
+  --limit-status LIST  Conformance: statuses a shed request may get (default: 429,503)
+  --format FORMAT   Report format: text, json or junit (default: text)
+  --output FILE     Write the report to FILE instead of stdout
+  --token TOKEN     Bearer token for the auth sidecar (default: $CHROME_PROXY_TOKEN)
+  --auth-secret-file FILE  Sign URLs with this secret instead (default: $CHROME_PROXY_AUTH_SECRET)
+  --scheme http|https  Reach the proxy over https and wss (default: http)
+  --ca FILE         Trust this CA, such as ca.pem from tls-certs.js; implies https
+  --servername NAME SNI and certificate name when --host is an address
   --help           Show this help message
 
 Examples:
   node load-test.js --port 48333 --connections 20 --messages 100
+  node load-test.js --range 48000-49000 --new-targets 2 --connections 60
+  node load-test.js --gateway 9470 --range 48000-49000 --connections 40
+  node load-test.js --port 9471 --target first --connections 20 --scenario evaluate,network-events
   node load-test.js --duration 60 --rampup 10
+  node load-test.js --format json --output load-report.json
+  node load-test.js --profile step --connections 50 --steps 5 --duration 300
+  node load-test.js --profile churn --arrival-rate 5 --lifetime 10 --duration 120
+  node load-test.js --profile profiles/nightly-soak.yaml
+  node load-test.js --scenario navigate,screenshot,network-events --connections 12
+  node load-test.js --scenario customer-session.jsonl --connections 10
+  node load-test.js --mode conformance --port 48333 --format junit --output conformance.xml
+  node load-test.js --host 10.0.1.25 --port 48333 --ca tls/ca.pem --servername chrome-proxy.internal
 `);
                 process.exit(0);
                 break;
         }
     }
     
+    if (auth.token || auth.secret) {
+        config.auth = auth;
+    }
+    if (tls.enabled) {
+        config.tls = tls;
+    }
+    config.limits = limits;
+    
+    if (config.mode && !['load', 'conformance'].includes(config.mode)) {
+        console.error(`Unknown mode "${config.mode}"; use load or conformance`);
+        process.exit(1);
+    }
+    
+    const format = config.format || 'text';
+    const output = config.output || null;
+    delete config.format;
+    delete config.output;
+    
+    let formatter;
+    try {
+        formatter = new ReportFormatter({ format, output });
+        
+        // A profile name is built from the flags, anything else is read as a file
+        if (profileArg) {
+            config.profile = PROFILE_TYPES.includes(profileArg)
+                ? compileProfile({ ...profileSpec, type: profileArg })
+                : loadProfileFile(profileArg);
+        }
+        
+        if (scenarioArg) {
+            config.scenarios = scenarioArg.split(',').map(name => loadScenario(name.trim()));
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    
+    // Machine-readable reports on stdout push the log lines to stderr
+    config.logToStderr = format !== 'text' && !output;
+    
     const tester = new ChromeProxyLoadTester(config);
     
     try {
         const success = await tester.runLoadTest();
+        
+        if (format !== 'text' || output) {
+            formatter.write(tester.buildReport());
+        }
+        
         process.exit(success ? 0 : 1);
     } catch (error) {
         console.error('Fatal error during load test:', error);
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome Debugger Proxy Metrics Exporter
+ * Periodically runs the connection test checks against every discovered port
+ * Serves the results on /metrics for Prometheus or any OpenMetrics scraper
+ */
+
+const http = require('http');
+const { performance } = require('perf_hooks');
+const ChromeProxyTester = require('./connection-test');
+const MetricsRegistry = require('./prometheus-metrics');
+const ProxyAuth = require('./proxy-auth');
+
+// Checks run by ChromeProxyTester.runTestsForPort
+const CHECKS = ['version', 'list', 'websocket', 'cdp', 'health'];
+
+class MetricsExporter {
+    constructor(config = {}) {
+        this.config = {
+            host: 'localhost',
+            portRange: {
+                start: 48000,
+                end: 49000
+            },
+            interval: 30000, // ms between check runs
+            timeout: 10000,
+            listenHost: '0.0.0.0',
+            listenPort: 9464,
+            pidDir: '/var/run/chrome-debug',
+            usePidFiles: false,
+            auth: null, // credentials when the proxy runs the auth sidecar
+            quiet: false,
+            ...config
+        };
+
+        this.registry = new MetricsRegistry();
+        this.metrics = {
+            up: this.registry.gauge('chrome_proxy_up', 'Whether every required check passed on the port (1) or not (0)'),
+            checkSuccess: this.registry.gauge('chrome_proxy_check_success', 'Result of the last run of each check, 1 for success'),
+            checkDuration: this.registry.histogram('chrome_proxy_check_duration_seconds', 'Duration of each check through the proxy'),
+            checkErrors: this.registry.counter('chrome_proxy_check_errors_total', 'Failed checks per port and check'),
+            checkRetries: this.registry.counter('chrome_proxy_check_retries_total', 'Check attempts retried after a transient failure, by failure class'),
+            handshakes: this.registry.counter('chrome_proxy_websocket_handshakes_total', 'DevTools WebSocket handshakes by result'),
+            targets: this.registry.gauge('chrome_proxy_targets', 'Targets listed by /json/list'),
+            info: this.registry.gauge('chrome_proxy_instance_info', 'Browser and protocol version of each discovered instance'),
+            instances: this.registry.gauge('chrome_proxy_instances', 'Chrome instances found by the last discovery'),
+            runs: this.registry.counter('chrome_proxy_exporter_runs_total', 'Completed check runs'),
+            runDuration: this.registry.gauge('chrome_proxy_exporter_run_duration_seconds', 'Duration of the last check run'),
+            lastRun: this.registry.gauge('chrome_proxy_exporter_last_run_timestamp_seconds', 'Unix time the last check run finished')
+        };
+
+        // Ports seen in earlier runs stay exported as down when they disappear
+        this.knownPorts = new Set();
+        this.running = null;
+        this.timer = null;
+        this.server = null;
+        this.port = null;
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    createTester() {
+        return new ChromeProxyTester({
+            host: this.config.host,
+            portRange: this.config.portRange,
+            timeout: this.config.timeout,
+            pidDir: this.config.pidDir,
+            usePidFiles: this.config.usePidFiles,
+            auth: this.config.auth,
+            quiet: true
+        });
+    }
+
+    recordPort(portResult) {
+        const port = String(portResult.port);
+
+        this.metrics.up.set({ port }, portResult.overall ? 1 : 0);
+
+        CHECKS.forEach(check => {
+            const test = portResult.tests[check];
+            if (!test) {
+                // Checks that did not run this time (e.g. websocket without targets) are dropped
+                this.metrics.checkSuccess.remove({ port, check });
+                return;
+            }
+
+            this.metrics.checkSuccess.set({ port, check }, test.success ? 1 : 0);
+            this.metrics.checkDuration.observe({ port, check }, test.durationMs / 1000);
+            if (!test.success) {
+                this.metrics.checkErrors.inc({ port, check });
+            }
+            (test.retries || []).forEach(retry => {
+                this.metrics.checkRetries.inc({ port, check, failure: retry.failure });
+            });
+        });
+
+        const list = portResult.tests.list;
+        if (list && list.success) {
+            this.metrics.targets.set({ port }, list.data.length);
+        }
+
+        if (portResult.tests.websocket) {
+            this.metrics.handshakes.inc({ port, result: portResult.tests.websocket.success ? 'success' : 'failure' });
+        }
+    }
+
+    // One pass of discovery plus the per-port checks; concurrent calls share the same run
+    run() {
+        if (!this.running) {
+            this.running = this.runChecks().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runChecks() {
+        const start = performance.now();
+        const tester = this.createTester();
+
+        let instances = [];
+        try {
+            instances = await tester.discoverActivePorts();
+        } catch (error) {
+            this.log(`Discovery failed: ${error.message}`, 'ERROR');
+        }
+
+        this.metrics.instances.set({}, instances.length);
+        this.metrics.info.reset();
+
+        const seen = new Set();
+        for (const instance of instances) {
+            const port = String(instance.port);
+            seen.add(port);
+            this.knownPorts.add(port);
+
+            this.metrics.info.set({
+                port,
+                browser: instance.browser || '',
+                protocol_version: instance.protocolVersion || ''
+            }, 1);
+
+            const portResult = await tester.runTestsForPort(instance.port);
+            this.recordPort(portResult);
+
+            if (!portResult.overall) {
+                const failed = Object.entries(portResult.tests)
+                    .filter(([, test]) => !test.success && !test.optional)
+                    .map(([name, test]) => `${name}: ${test.error}`);
+                this.log(`Port ${port} unhealthy (${failed.join('; ')})`, 'WARN');
+            }
+        }
+
+        this.knownPorts.forEach(port => {
+            if (!seen.has(port)) {
+                this.metrics.up.set({ port }, 0);
+                this.metrics.targets.remove({ port });
+                CHECKS.forEach(check => this.metrics.checkSuccess.remove({ port, check }));
+            }
+        });
+
+        const duration = (performance.now() - start) / 1000;
+        this.metrics.runs.inc();
+        this.metrics.runDuration.set({}, duration);
+        this.metrics.lastRun.set({}, Date.now() / 1000);
+        this.log(`Checked ${instances.length} instances in ${duration.toFixed(2)}s`);
+    }
+
+    handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'text/plain' });
+            res.end('Method not allowed\n');
+            return;
+        }
+
+        if (path === '/metrics') {
+            const format = MetricsRegistry.negotiate(req.headers.accept);
+            res.writeHead(200, { 'Content-Type': MetricsRegistry.CONTENT_TYPES[format] });
+            res.end(this.registry.render(format));
+            return;
+        }
+
+        if (path === '/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok', knownPorts: [...this.knownPorts] }) + '\n');
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found, metrics are served on /metrics\n');
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`Serving metrics on http://${this.config.listenHost}:${this.port}/metrics`);
+
+        // First run right away, then on the interval
+        this.run();
+        this.timer = setInterval(() => this.run(), this.config.interval);
+
+        return this.port;
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.running) {
+            await this.running;
+        }
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+    const auth = ProxyAuth.fromEnvironment();
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'host':
+                config.host = value;
+                break;
+            case 'range': {
+                const [start, end] = value.split('-').map(n => parseInt(n));
+                config.portRange = { start, end: end || start };
+                break;
+            }
+            case 'pid-dir':
+                config.pidDir = value;
+                config.usePidFiles = true;
+                break;
+            case 'interval':
+                config.interval = parseFloat(value) * 1000;
+                break;
+            case 'timeout':
+                config.timeout = parseFloat(value) * 1000;
+                break;
+            case 'listen-host':
+                config.listenHost = value;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                break;
+            case 'token':
+                auth.token = value;
+                break;
+            case 'auth-secret-file':
+                auth.secret = ProxyAuth.readSecret(value);
+                break;
+            case 'help':
+                console.log(`
+Usage: node metrics-exporter.js [options]
+
+Options:
+  --host HOST          Proxy host to check (default: localhost)
+  --range START-END    Port range to scan for Chrome instances (default: 48000-49000)
+  --pid-dir DIR        Only check ports with a start-chrome.sh PID file in DIR
+  --interval N         Seconds between check runs (default: 30)
+  --timeout N          Per-check timeout in seconds (default: 10)
+  --listen-host HOST   Address to serve /metrics on (default: 0.0.0.0)
+  --listen-port N      Port to serve /metrics on (default: 9464)
+  --token TOKEN        Bearer token for the auth sidecar (default: $CHROME_PROXY_TOKEN)
+  --auth-secret-file FILE  Sign URLs with this secret instead (default: $CHROME_PROXY_AUTH_SECRET)
+  --help               Show this help message
+
+Examples:
+  node metrics-exporter.js
+  node metrics-exporter.js --range 48300-48400 --interval 15 --listen-port 9500
+  node metrics-exporter.js --pid-dir /var/run/chrome-debug
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (auth.token || auth.secret) {
+        config.auth = auth;
+    }
+
+    const exporter = new MetricsExporter(config);
+
+    try {
+        await exporter.start();
+    } catch (error) {
+        console.error('Failed to start metrics exporter:', error);
+        process.exit(1);
+    }
+
+    const shutdown = async () => {
+        await exporter.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = MetricsExporter;
@@ -0,0 +1,874 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Chrome DevTools Server
+ * Serves the /json endpoints and /devtools WebSockets of a headless Chrome instance
+ * Lets the test suites run without a real browser, with optional fault injection
+ */
+
+const fs = require('fs');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
+const vm = require('vm');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const ProxyAuth = require('./proxy-auth');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.6099.109 Safari/537.36';
+
+// JSON-RPC error codes used by Chrome's DevTools handler
+const CDP_ERRORS = {
+    parseError: -32700,
+    invalidRequest: -32600,
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    serverError: -32000
+};
+
+class MockChromeServer {
+    constructor(config = {}) {
+        this.config = {
+            host: '127.0.0.1',
+            port: 0, // 0 = pick a free port
+            targets: 1,
+            browser: 'HeadlessChrome/120.0.6099.109',
+            protocolVersion: '1.3',
+            userAgent: DEFAULT_USER_AGENT,
+            screenshotSize: 200 * 1024, // bytes of image data per captureScreenshot
+            subresources: 10, // extra Network request/response/finished events per navigation
+            latency: 0, // ms added before every reply
+            jitter: 0, // random ms added on top of latency
+            dropRate: 0, // fraction of replies that are never sent
+            closeAfter: 0, // terminate each socket after N messages (0 = never)
+            idleTimeout: 0, // terminate sockets that carried no replies or pongs for N ms, like proxy_read_timeout (0 = never)
+            limitRate: 0, // requests per second per client address, like limit_req (0 = no limit)
+            limitBurst: 0, // requests over limitRate accepted at once, like burst= with nodelay
+            limitConn: 0, // open requests and WebSockets per client address, like limit_conn (0 = no limit)
+            limitStatus: 503, // status for limited requests, nginx's limit_req_status and limit_conn_status
+            authUrl: null, // auth sidecar URL checked before every request, like nginx auth_request
+            tlsCert: null, // PEM certificate file; serves https and wss with wss:// debugger URLs, like the TLS server blocks
+            tlsKey: null,
+            serverName: null, // with TLS, refuse handshakes for other SNI names, like ssl_reject_handshake (null = any)
+            quiet: false,
+            ...config
+        };
+
+        this.stats = {
+            httpRequests: 0,
+            wsConnections: 0,
+            messagesReceived: 0,
+            messagesDropped: 0,
+            abruptCloses: 0,
+            idleCloses: 0,
+            rateLimited: 0,
+            connLimited: 0,
+            tlsRejected: 0,
+            authDenied: 0
+        };
+
+        this.targets = new Map();
+        this.sessions = new Set();
+        this.buckets = new Map(); // client address -> limit_req state
+        this.openCounts = new Map(); // client address -> open requests and WebSockets
+        this.browserId = crypto.randomUUID();
+        this.server = null;
+        this.wss = null;
+        this.port = null;
+        this.screenshot = null;
+
+        for (let i = 0; i < this.config.targets; i++) {
+            this.addTarget('about:blank');
+        }
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // Change fault injection settings on a running server
+    setFaults(faults = {}) {
+        const allowed = ['latency', 'jitter', 'dropRate', 'closeAfter', 'idleTimeout'];
+        allowed.forEach(key => {
+            if (faults[key] !== undefined) {
+                this.config[key] = faults[key];
+            }
+        });
+    }
+
+    addTarget(url = 'about:blank') {
+        const id = crypto.randomBytes(16).toString('hex').toUpperCase();
+        const target = { id, url, title: url, type: 'page' };
+        this.targets.set(id, target);
+        return target;
+    }
+
+    closeTarget(id) {
+        if (!this.targets.has(id)) {
+            return false;
+        }
+
+        this.targets.delete(id);
+        this.sessions.forEach(session => {
+            if (session.target && session.target.id === id) {
+                session.ws.close(1000, 'Target closed');
+            }
+        });
+        return true;
+    }
+
+    // Behind the TLS server blocks, the JSON rewriter turns X-Forwarded-Proto https into wss
+    get wsScheme() {
+        return this.config.tlsCert ? 'wss' : 'ws';
+    }
+
+    // Chrome builds its debugger URLs from the Host header of the request
+    describeTarget(target, host) {
+        return {
+            description: '',
+            devtoolsFrontendUrl: `/devtools/inspector.html?${this.wsScheme}=${host}/devtools/page/${target.id}`,
+            id: target.id,
+            title: target.title,
+            type: target.type,
+            url: target.url,
+            webSocketDebuggerUrl: `${this.wsScheme}://${host}/devtools/page/${target.id}`
+        };
+    }
+
+    describeVersion(host) {
+        return {
+            'Browser': this.config.browser,
+            'Protocol-Version': this.config.protocolVersion,
+            'User-Agent': this.config.userAgent,
+            'V8-Version': '12.0.267.10',
+            'WebKit-Version': '537.36 (@b9e6d4a3a2e5f4c9c1d2e8f0a6b7c8d9e0f1a2b3)',
+            'webSocketDebuggerUrl': `${this.wsScheme}://${host}/devtools/browser/${this.browserId}`
+        };
+    }
+
+    sendJson(res, status, body) {
+        const payload = JSON.stringify(body, null, 3);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=UTF-8',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+
+    sendText(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'text/html',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    // Emulates nginx auth_request against the sidecar
+    async authorize(req) {
+        if (req.method === 'OPTIONS') {
+            return 200;
+        }
+        const status = await ProxyAuth.check(this.config.authUrl, {
+            uri: req.url,
+            method: req.method,
+            port: this.port,
+            authorization: req.headers.authorization
+        });
+        if (status >= 200 && status < 300) {
+            return 200;
+        }
+        return status === 401 || status === 403 ? status : 500;
+    }
+
+    // limit_req with nodelay, then limit_conn, both keyed on the client address; returns 0 or the status to refuse with.
+    // An admitted request counts against limit_conn until `owner` (the response, or the upgraded socket) closes
+    admit(req, owner) {
+        const address = req.socket.remoteAddress;
+
+        if (this.config.limitRate > 0) {
+            const now = Date.now();
+            const bucket = this.buckets.get(address);
+            if (bucket) {
+                // Refused requests leave the bucket as it was, as in nginx
+                const excess = Math.max(0, bucket.excess - this.config.limitRate * (now - bucket.last) / 1000) + 1;
+                if (excess > this.config.limitBurst) {
+                    this.stats.rateLimited++;
+                    return this.config.limitStatus;
+                }
+                bucket.excess = excess;
+                bucket.last = now;
+            } else {
+                this.buckets.set(address, { excess: 0, last: now });
+            }
+        }
+
+        if (this.config.limitConn > 0) {
+            const open = this.openCounts.get(address) || 0;
+            if (open >= this.config.limitConn) {
+                this.stats.connLimited++;
+                return this.config.limitStatus;
+            }
+            this.openCounts.set(address, open + 1);
+            owner.once('close', () => this.openCounts.set(address, this.openCounts.get(address) - 1));
+        }
+
+        return 0;
+    }
+
+    handleHttpRequest(req, res) {
+        const limited = this.admit(req, res);
+        if (limited) {
+            return this.sendText(res, limited, `${limited} ${http.STATUS_CODES[limited]}`);
+        }
+
+        if (!this.config.authUrl) {
+            return this.handleAuthorizedRequest(req, res);
+        }
+
+        this.authorize(req).then(status => {
+            if (status !== 200) {
+                this.stats.authDenied++;
+                return this.sendText(res, status, `${status} ${http.STATUS_CODES[status]}`);
+            }
+            this.handleAuthorizedRequest(req, res);
+        });
+    }
+
+    handleAuthorizedRequest(req, res) {
+        this.stats.httpRequests++;
+
+        const host = req.headers.host || `${this.config.host}:${this.port}`;
+        const url = new URL(req.url, `http://${host}`);
+        const path = url.pathname.replace(/\/$/, '');
+
+        if (path === '/json/version') {
+            return this.sendJson(res, 200, this.describeVersion(host));
+        }
+
+        if (path === '/json' || path === '/json/list') {
+            const targets = [...this.targets.values()].map(target => this.describeTarget(target, host));
+            return this.sendJson(res, 200, targets);
+        }
+
+        if (path === '/json/protocol') {
+            return this.sendJson(res, 200, require('chrome-remote-interface/lib/protocol.json'));
+        }
+
+        if (path === '/json/new') {
+            // Chrome rejects GET on /json/new since M111
+            if (req.method !== 'PUT') {
+                return this.sendText(res, 405, `Using unsafe HTTP verb ${req.method} to invoke /json/new. This action supports only PUT verb.`);
+            }
+            let targetUrl = url.search ? decodeURIComponent(url.search.slice(1)) : 'about:blank';
+            // Chrome falls back to about:blank for anything that does not parse as a URL
+            if (!URL.canParse(targetUrl)) {
+                targetUrl = 'about:blank';
+            }
+            const target = this.addTarget(targetUrl);
+            return this.sendJson(res, 200, this.describeTarget(target, host));
+        }
+
+        const closeMatch = path.match(/^\/json\/close\/(.+)$/);
+        if (closeMatch) {
+            if (this.closeTarget(closeMatch[1])) {
+                return this.sendText(res, 200, 'Target is closing');
+            }
+            return this.sendText(res, 404, `No such target id: ${closeMatch[1]}`);
+        }
+
+        const activateMatch = path.match(/^\/json\/activate\/(.+)$/);
+        if (activateMatch) {
+            if (this.targets.has(activateMatch[1])) {
+                return this.sendText(res, 200, 'Target activated');
+            }
+            return this.sendText(res, 404, `No such target id: ${activateMatch[1]}`);
+        }
+
+        return this.sendText(res, 404, 'Unknown command');
+    }
+
+    handleUpgrade(req, socket, head) {
+        const limited = this.admit(req, socket);
+        if (limited) {
+            socket.end(`HTTP/1.1 ${limited} ${http.STATUS_CODES[limited]}\r\n\r\n`);
+            return;
+        }
+
+        if (!this.config.authUrl) {
+            return this.handleAuthorizedUpgrade(req, socket, head);
+        }
+
+        this.authorize(req).then(status => {
+            if (status !== 200) {
+                this.stats.authDenied++;
+                socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+                return;
+            }
+            this.handleAuthorizedUpgrade(req, socket, head);
+        });
+    }
+
+    handleAuthorizedUpgrade(req, socket, head) {
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const pageMatch = path.match(/^\/devtools\/page\/([^/]+)$/);
+        const browserMatch = path.match(/^\/devtools\/browser\/([^/]+)$/);
+
+        let target = null;
+        if (pageMatch) {
+            target = this.targets.get(pageMatch[1]);
+        }
+
+        const isBrowser = browserMatch && browserMatch[1] === this.browserId;
+
+        if (!target && !isBrowser) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.stats.wsConnections++;
+
+            const session = {
+                ws,
+                target,
+                messages: 0,
+                enabled: new Set()
+            };
+            this.sessions.add(session);
+            this.touch(session);
+
+            ws.on('message', (data) => this.handleMessage(session, data));
+            ws.on('ping', () => this.touch(session));
+            ws.on('close', () => {
+                clearTimeout(session.idleTimer);
+                this.sessions.delete(session);
+            });
+            ws.on('error', () => this.sessions.delete(session));
+        });
+    }
+
+    // Restart the idle timer whenever the mock sends something, as nginx does on reads from Chrome
+    touch(session) {
+        clearTimeout(session.idleTimer);
+        if (this.config.idleTimeout > 0) {
+            session.idleTimer = setTimeout(() => {
+                this.stats.idleCloses++;
+                session.ws.terminate();
+            }, this.config.idleTimeout);
+        }
+    }
+
+    handleMessage(session, data) {
+        this.stats.messagesReceived++;
+        session.messages++;
+
+        if (this.config.closeAfter > 0 && session.messages >= this.config.closeAfter) {
+            this.stats.abruptCloses++;
+            session.ws.terminate();
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.reply(session, [{ error: { code: CDP_ERRORS.parseError, message: 'Message must be a valid JSON' } }]);
+            return;
+        }
+
+        if (typeof message.id !== 'number') {
+            this.reply(session, [{ error: { code: CDP_ERRORS.invalidRequest, message: "Message must have integer 'id' property" } }]);
+            return;
+        }
+
+        if (typeof message.method !== 'string') {
+            this.reply(session, [{ id: message.id, error: { code: CDP_ERRORS.invalidRequest, message: "Message must have string 'method' property" } }]);
+            return;
+        }
+
+        const events = [];
+        const emit = (method, params = {}) => events.push({ method, params });
+        const handler = this.handlers[message.method];
+        let response;
+
+        if (!handler) {
+            response = { id: message.id, error: { code: CDP_ERRORS.methodNotFound, message: `'${message.method}' wasn't found` } };
+        } else {
+            try {
+                const result = handler.call(this, message.params || {}, session, emit);
+                response = { id: message.id, result };
+            } catch (error) {
+                response = { id: message.id, error: { code: error.code || CDP_ERRORS.serverError, message: error.message } };
+            }
+        }
+
+        if (message.sessionId) {
+            response.sessionId = message.sessionId;
+        }
+
+        this.reply(session, [response, ...events]);
+    }
+
+    // Send a reply followed by the events it produced, subject to injected faults
+    reply(session, frames) {
+        if (this.config.dropRate > 0 && Math.random() < this.config.dropRate) {
+            this.stats.messagesDropped++;
+            return;
+        }
+
+        const delay = this.config.latency + Math.random() * this.config.jitter;
+        const send = () => {
+            frames.forEach(frame => {
+                if (session.ws.readyState === WebSocket.OPEN) {
+                    session.ws.send(JSON.stringify(frame));
+                    this.touch(session);
+                }
+            });
+        };
+
+        if (delay > 0) {
+            setTimeout(send, delay);
+        } else {
+            send();
+        }
+    }
+
+    toRemoteObject(value) {
+        if (value === undefined) {
+            return { type: 'undefined' };
+        }
+        if (value === null) {
+            return { type: 'object', subtype: 'null', value: null };
+        }
+        if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
+            return { type: typeof value, value, description: String(value) };
+        }
+        if (typeof value === 'function') {
+            return { type: 'function', className: 'Function', description: value.toString() };
+        }
+        if (Array.isArray(value)) {
+            return { type: 'object', subtype: 'array', className: 'Array', description: `Array(${value.length})` };
+        }
+        return { type: 'object', className: 'Object', description: 'Object' };
+    }
+
+    createServer(handler) {
+        if (!this.config.tlsCert) {
+            return http.createServer(handler);
+        }
+
+        const certificate = { cert: fs.readFileSync(this.config.tlsCert), key: fs.readFileSync(this.config.tlsKey) };
+        if (!this.config.serverName) {
+            return https.createServer(certificate, handler);
+        }
+
+        // Other names get no certificate, so their handshake ends in an alert as with nginx's ssl_reject_handshake
+        const context = tls.createSecureContext(certificate);
+        const reject = tls.createSecureContext({});
+        return https.createServer({
+            SNICallback: (name, callback) => {
+                if (name === this.config.serverName) {
+                    callback(null, context);
+                } else {
+                    this.stats.tlsRejected++;
+                    callback(null, reject);
+                }
+            }
+        }, handler);
+    }
+
+    startServer() {
+        return new Promise((resolve, reject) => {
+            this.server = this.createServer((req, res) => this.handleHttpRequest(req, res));
+            this.wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false });
+
+            this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+    }
+
+    async start() {
+        await this.startServer();
+        this.log(`Mock Chrome DevTools server listening on ${this.config.tlsCert ? 'https' : 'http'}://${this.config.host}:${this.port} (${this.targets.size} targets)`);
+        return this.port;
+    }
+
+    async stop() {
+        this.sessions.forEach(session => session.ws.terminate());
+        this.sessions.clear();
+
+        if (this.wss) {
+            this.wss.close();
+        }
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+    }
+}
+
+// CDP method handlers, called with (params, session, emit)
+MockChromeServer.prototype.handlers = {
+    'Browser.getVersion'() {
+        return {
+            protocolVersion: this.config.protocolVersion,
+            product: this.config.browser,
+            revision: '@b9e6d4a3a2e5f4c9c1d2e8f0a6b7c8d9e0f1a2b3',
+            userAgent: this.config.userAgent,
+            jsVersion: '12.0.267.10'
+        };
+    },
+
+    'Target.getTargets'() {
+        return {
+            targetInfos: [...this.targets.values()].map(target => ({
+                targetId: target.id,
+                type: target.type,
+                title: target.title,
+                url: target.url,
+                attached: [...this.sessions].some(session => session.target === target),
+                canAccessOpener: false,
+                browserContextId: this.browserId
+            }))
+        };
+    },
+
+    'Target.createTarget'(params) {
+        const target = this.addTarget(params.url || 'about:blank');
+        return { targetId: target.id };
+    },
+
+    'Target.closeTarget'(params) {
+        return { success: this.closeTarget(params.targetId) };
+    },
+
+    'Runtime.enable'(params, session, emit) {
+        session.enabled.add('Runtime');
+        emit('Runtime.executionContextCreated', {
+            context: {
+                id: 1,
+                origin: '://',
+                name: '',
+                uniqueId: crypto.randomUUID(),
+                auxData: { isDefault: true, type: 'default', frameId: session.target ? session.target.id : '' }
+            }
+        });
+        return {};
+    },
+
+    'Runtime.disable'(params, session) {
+        session.enabled.delete('Runtime');
+        return {};
+    },
+
+    'Runtime.evaluate'(params, session) {
+        if (typeof params.expression !== 'string') {
+            const error = new Error('Invalid parameters');
+            error.code = CDP_ERRORS.invalidParams;
+            throw error;
+        }
+
+        const sandbox = {
+            navigator: { userAgent: this.config.userAgent },
+            location: { href: session.target ? session.target.url : '' },
+            document: { title: session.target ? session.target.title : '' }
+        };
+
+        try {
+            const value = vm.runInNewContext(params.expression, sandbox, { timeout: 1000 });
+            const result = this.toRemoteObject(value);
+            if (params.returnByValue && result.type === 'object') {
+                result.value = JSON.parse(JSON.stringify(value));
+            }
+            return { result };
+        } catch (error) {
+            const exception = {
+                type: 'object',
+                subtype: 'error',
+                className: error.name || 'Error',
+                description: error.stack || String(error)
+            };
+            return {
+                result: exception,
+                exceptionDetails: {
+                    exceptionId: 1,
+                    text: 'Uncaught',
+                    lineNumber: 0,
+                    columnNumber: 0,
+                    exception
+                }
+            };
+        }
+    },
+
+    'Page.enable'(params, session) {
+        session.enabled.add('Page');
+        return {};
+    },
+
+    'Page.disable'(params, session) {
+        session.enabled.delete('Page');
+        return {};
+    },
+
+    'Page.navigate'(params, session, emit) {
+        if (!session.target) {
+            const error = new Error("'Page.navigate' wasn't found");
+            error.code = CDP_ERRORS.methodNotFound;
+            throw error;
+        }
+
+        const target = session.target;
+        const loaderId = crypto.randomBytes(16).toString('hex').toUpperCase();
+        const requestId = loaderId;
+        const timestamp = process.uptime();
+
+        target.url = params.url;
+        target.title = params.url;
+
+        if (session.enabled.has('Network')) {
+            emit('Network.requestWillBeSent', {
+                requestId,
+                loaderId,
+                documentURL: params.url,
+                request: { url: params.url, method: 'GET', headers: {} },
+                timestamp,
+                wallTime: Date.now() / 1000,
+                type: 'Document',
+                frameId: target.id
+            });
+            emit('Network.responseReceived', {
+                requestId,
+                loaderId,
+                timestamp,
+                type: 'Document',
+                response: { url: params.url, status: 200, statusText: 'OK', headers: {}, mimeType: 'text/html' },
+                frameId: target.id
+            });
+            emit('Network.loadingFinished', { requestId, timestamp, encodedDataLength: 1024 });
+
+            for (let i = 1; i <= this.config.subresources; i++) {
+                const resourceId = `${requestId}.${i}`;
+                const resourceUrl = `${params.url.replace(/\/$/, '')}/resource-${i}.js`;
+                emit('Network.requestWillBeSent', {
+                    requestId: resourceId,
+                    loaderId,
+                    documentURL: params.url,
+                    request: { url: resourceUrl, method: 'GET', headers: {} },
+                    timestamp,
+                    wallTime: Date.now() / 1000,
+                    type: 'Script',
+                    frameId: target.id
+                });
+                emit('Network.responseReceived', {
+                    requestId: resourceId,
+                    loaderId,
+                    timestamp,
+                    type: 'Script',
+                    response: { url: resourceUrl, status: 200, statusText: 'OK', headers: {}, mimeType: 'application/javascript' },
+                    frameId: target.id
+                });
+                emit('Network.loadingFinished', { requestId: resourceId, timestamp, encodedDataLength: 4096 });
+            }
+        }
+
+        if (session.enabled.has('Page')) {
+            emit('Page.frameStartedLoading', { frameId: target.id });
+            emit('Page.domContentEventFired', { timestamp });
+            emit('Page.loadEventFired', { timestamp });
+            emit('Page.frameStoppedLoading', { frameId: target.id });
+        }
+
+        return { frameId: target.id, loaderId };
+    },
+
+    'Page.captureScreenshot'() {
+        if (!this.screenshot || this.screenshot.length !== this.config.screenshotSize) {
+            this.screenshot = crypto.randomBytes(this.config.screenshotSize);
+        }
+        return { data: this.screenshot.toString('base64') };
+    },
+
+    'Network.enable'(params, session) {
+        session.enabled.add('Network');
+        return {};
+    },
+
+    'Network.disable'(params, session) {
+        session.enabled.delete('Network');
+        return {};
+    },
+
+    'DOM.enable'(params, session) {
+        session.enabled.add('DOM');
+        return {};
+    },
+
+    'DOM.disable'(params, session) {
+        session.enabled.delete('DOM');
+        return {};
+    },
+
+    'DOM.getDocument'(params, session) {
+        const url = session.target ? session.target.url : '';
+        return {
+            root: {
+                nodeId: 1,
+                backendNodeId: 1,
+                nodeType: 9,
+                nodeName: '#document',
+                localName: '',
+                nodeValue: '',
+                childNodeCount: 1,
+                children: [{
+                    nodeId: 2,
+                    parentId: 1,
+                    backendNodeId: 2,
+                    nodeType: 1,
+                    nodeName: 'HTML',
+                    localName: 'html',
+                    nodeValue: '',
+                    childNodeCount: 2,
+                    attributes: []
+                }],
+                documentURL: url,
+                baseURL: url,
+                xmlVersion: ''
+            }
+        };
+    }
+};
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'host':
+                config.host = value;
+                break;
+            case 'port':
+                config.port = parseInt(value);
+                break;
+            case 'targets':
+                config.targets = parseInt(value);
+                break;
+            case 'latency':
+                config.latency = parseInt(value);
+                break;
+            case 'jitter':
+                config.jitter = parseInt(value);
+                break;
+            case 'drop-rate':
+                config.dropRate = parseFloat(value);
+                break;
+            case 'close-after':
+                config.closeAfter = parseInt(value);
+                break;
+            case 'idle-timeout':
+                config.idleTimeout = parseInt(value);
+                break;
+            case 'screenshot-size':
+                config.screenshotSize = parseInt(value);
+                break;
+            case 'subresources':
+                config.subresources = parseInt(value);
+                break;
+            case 'limit-rate':
+                config.limitRate = parseFloat(value);
+                break;
+            case 'limit-burst':
+                config.limitBurst = parseInt(value);
+                break;
+            case 'limit-conn':
+                config.limitConn = parseInt(value);
+                break;
+            case 'limit-status':
+                config.limitStatus = parseInt(value);
+                break;
+            case 'auth-url':
+                config.authUrl = value;
+                break;
+            case 'tls-cert':
+                config.tlsCert = value;
+                break;
+            case 'tls-key':
+                config.tlsKey = value;
+                break;
+            case 'server-name':
+                config.serverName = value;
+                break;
+            case 'help':
+                console.log(`
+Usage: node mock-chrome-server.js [options]
+
+Options:
+  --host HOST        Address to listen on (default: 127.0.0.1)
+  --port N           Port to listen on (default: 48333)
+  --targets N        Number of page targets to create (default: 1)
+  --latency N        Delay in ms before every CDP reply (default: 0)
+  --jitter N         Random extra delay in ms on top of latency (default: 0)
+  --drop-rate F      Fraction of CDP replies to drop, 0-1 (default: 0)
+  --close-after N    Abruptly close each socket after N messages (default: never)
+  --idle-timeout N   Abruptly close sockets that sent nothing for N ms (default: never)
+  --screenshot-size N  Bytes of image data per Page.captureScreenshot (default: 204800)
+  --subresources N   Network events for N subresources per navigation (default: 10)
+  --limit-rate N     Refuse requests over N per second per client, like limit_req (default: no limit)
+  --limit-burst N    Requests over the rate accepted at once (default: 0)
+  --limit-conn N     Refuse more than N open requests and WebSockets per client, like limit_conn
+  --limit-status N   Status for refused requests (default: 503)
+  --auth-url URL     Check every request with an auth sidecar, e.g. http://127.0.0.1:9465/auth
+  --tls-cert FILE    Serve https and wss with this certificate, listing wss:// debugger URLs
+  --tls-key FILE     Key for --tls-cert
+  --server-name NAME With TLS, refuse handshakes for any other SNI name
+  --help             Show this help message
+
+Examples:
+  node mock-chrome-server.js --port 48333 --targets 3
+  node mock-chrome-server.js --latency 50 --jitter 20 --drop-rate 0.05
+  node mock-chrome-server.js --auth-url http://127.0.0.1:9465/auth
+  node mock-chrome-server.js --limit-rate 10 --limit-burst 20 --limit-conn 10
+  node mock-chrome-server.js --tls-cert tls/server.pem --tls-key tls/server.key --server-name localhost
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    const server = new MockChromeServer({ port: 48333, ...config });
+
+    try {
+        await server.start();
+    } catch (error) {
+        console.error('Failed to start mock Chrome server:', error);
+        process.exit(1);
+    }
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = MockChromeServer;
@@ -0,0 +1,800 @@
+#!/usr/bin/env node
+
+/**
+ * Mock End-to-End Test
+ * Runs the connection and load test suites against the mock Chrome DevTools server, then one suite
+ * per proxy component; each suite's comment says what it covers
+ * Use --proxy-port to send the connection and load suites through an nginx listener in front of the mock
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const MockChromeServer = require('./mock-chrome-server');
+const JsonRewriter = require('./json-rewriter');
+const ChromeGateway = require('./chrome-gateway');
+const PoolManager = require('./pool-manager');
+const CdpProbe = require('./cdp-probe');
+const CdpRecorder = require('./cdp-recorder');
+const CdpReplay = require('./cdp-replay');
+const CdpMultiplexer = require('./cdp-multiplexer');
+const CdpFilter = require('./cdp-filter');
+const ProxyComparison = require('./proxy-comparison');
+const ProxyDiagnostics = require('./diagnose');
+const { loadScenario } = require('./load-scenarios');
+const tlsCerts = require('./tls-certs');
+const ChromeProxyTester = require('./connection-test');
+const ChromeProxyLoadTester = require('./load-test');
+
+// A suite's result: passed when every check holds, otherwise failed on the first that does not
+function suiteResult(name, checks) {
+    const failed = Object.keys(checks).find(check => !checks[check]);
+    return { name, passed: !failed, error: failed ? `expected ${failed}` : null };
+}
+
+// The /json responses nginx gets back from the rewriter should point at the public address
+async function runRewritingSuite(chromePort) {
+    const rewriter = new JsonRewriter({
+        listenPort: 0,
+        portRange: { start: chromePort, end: chromePort },
+        quiet: true
+    });
+    await rewriter.start();
+
+    const headers = {
+        'X-Chrome-Port': String(chromePort),
+        'X-Forwarded-Host': 'proxy.example:8443',
+        'X-Forwarded-Proto': 'https'
+    };
+
+    try {
+        const list = await (await fetch(`http://127.0.0.1:${rewriter.port}/json/list`, { headers })).json();
+        const version = await (await fetch(`http://127.0.0.1:${rewriter.port}/json/version`, { headers })).json();
+        const created = await (await fetch(`http://127.0.0.1:${rewriter.port}/json/new?https://example.com/&expires=1&scope=x&signature=y`, { method: 'PUT', headers })).json();
+        await fetch(`http://127.0.0.1:${rewriter.port}/json/close/${created.id}`, { headers });
+
+        return suiteResult('JSON rewriting', {
+            'targets in /json/list': list.length > 0,
+            'debugger URLs on the public address': [...list, version, created].every(item => item.webSocketDebuggerUrl.startsWith('wss://proxy.example:8443/devtools/')),
+            'frontend URLs on the public address': list.every(item => item.devtoolsFrontendUrl.includes('wss=proxy.example:8443/devtools/page/')),
+            'auth parameters stripped from /json/new': created.url === 'https://example.com/'
+        });
+    } finally {
+        await rewriter.stop();
+    }
+}
+
+// Connection suite in gateway mode, through /instances and /chrome/<port>/
+async function runGatewaySuite(chromePort, host) {
+    const gateway = new ChromeGateway({
+        listenHost: '127.0.0.1',
+        listenPort: 0,
+        portRange: { start: chromePort, end: chromePort },
+        quiet: true
+    });
+    await gateway.start();
+
+    try {
+        const tester = new ChromeProxyTester({ host, gateway: gateway.port, timeout: 5000 });
+        const instances = await tester.discoverActivePorts();
+        if (!instances.some(instance => instance.port === chromePort)) {
+            return suiteResult('Gateway suite', { [`port ${chromePort} in the gateway's /instances`]: false });
+        }
+
+        const portResult = await tester.runTestsForPort(chromePort);
+        return suiteResult('Gateway suite', { 'the connection suite to pass through the gateway': portResult.overall });
+    } finally {
+        await gateway.stop();
+    }
+}
+
+// One CDP round trip on a leased instance's browser endpoint
+function browserVersion(wsEndpoint) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(wsEndpoint);
+        ws.on('open', () => ws.send(JSON.stringify({ id: 1, method: 'Browser.getVersion' })));
+        ws.on('message', (data) => {
+            ws.close();
+            resolve(JSON.parse(data.toString()).result);
+        });
+        ws.on('error', reject);
+    });
+}
+
+async function waitFor(condition, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (await condition()) {
+            return true;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return false;
+}
+
+// count consecutive ports nothing listens on, starting at one the system hands out
+async function freePortRange(count) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const probe = net.createServer();
+        await new Promise(resolve => probe.listen(0, resolve));
+        const start = probe.address().port;
+        await new Promise(resolve => probe.close(resolve));
+
+        const ports = Array.from({ length: count }, (_, i) => start + i);
+        if (ports[count - 1] <= 65535 && (await Promise.all(ports.map(PoolManager.isPortFree))).every(Boolean)) {
+            return { start, end: ports[count - 1] };
+        }
+    }
+    throw new Error(`No ${count} consecutive free ports`);
+}
+
+// Lease, renew, release, exhaustion, crash replacement and expiry through the pool manager's REST API
+async function runPoolSuite() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-pool-'));
+    const confDir = path.join(dir, 'conf.d');
+    fs.mkdirSync(confDir);
+
+    const pool = new PoolManager({
+        listenPort: 0,
+        chromeBinary: path.join(__dirname, 'fake-chrome.js'),
+        portRange: await freePortRange(10),
+        minSize: 1,
+        maxSize: 2,
+        maxLeases: 1,
+        sweepInterval: 200,
+        dataDir: path.join(dir, 'data'),
+        pidDir: path.join(dir, 'run'),
+        logDir: path.join(dir, 'log'),
+        nginxConfDir: confDir,
+        nginxTest: 'true',
+        nginxReload: 'true',
+        quiet: true
+    });
+    await pool.start();
+
+    const api = `http://127.0.0.1:${pool.port}`;
+    const post = (url, body = {}) => fetch(`${api}${url}`, { method: 'POST', body: JSON.stringify(body) });
+    const configFor = port => fs.existsSync(path.join(confDir, `chrome-proxy-${port}.conf`));
+
+    let checks = {};
+    let clean = false;
+    try {
+        await pool.fill();
+
+        const first = await (await post('/leases', { ttl: 30, client: 'mock-test' })).json();
+        const version = await browserVersion(first.wsEndpoint);
+        const second = await post('/leases');
+        const secondLease = await second.json();
+        const exhausted = await post('/leases');
+        const renewed = await (await post(`/leases/${first.leaseId}/renew`, { ttl: 60 })).json();
+
+        const leaseChecks = version && version.product &&
+            configFor(first.port) &&
+            second.status === 201 && secondLease.port !== first.port &&
+            exhausted.status === 503 &&
+            renewed.expiresAt > first.expiresAt;
+
+        // A released instance is replaced by a fresh one, its nginx config goes with it
+        const released = await fetch(`${api}/leases/${first.leaseId}`, { method: 'DELETE' });
+        const releaseChecks = released.status === 204 &&
+            !configFor(first.port) &&
+            (await post(`/leases/${first.leaseId}/renew`)).status === 410;
+
+        // A crashed instance ends its lease and the pool refills to its minimum; it is counted as a crash, not recycled
+        const crashed = [...pool.instances.values()].find(instance => instance.port === secondLease.port);
+        process.kill(crashed.pid, 'SIGKILL');
+        const crashChecks = await waitFor(async () => (await fetch(`${api}/leases/${secondLease.leaseId}`)).status === 410) &&
+            await waitFor(async () => (await (await fetch(`${api}/health`)).json()).idle === 1) &&
+            pool.stats.crashes === 1 && pool.stats.recycled === 1;
+
+        const expiring = await (await post('/leases', { ttl: 1 })).json();
+        const expiryChecks = await waitFor(async () => (await fetch(`${api}/leases/${expiring.leaseId}`)).status === 410, 5000);
+
+        checks = {
+            'lease, renewal and exhaustion': leaseChecks,
+            'a released instance and its nginx config to go': releaseChecks,
+            'a crashed instance to be replaced': crashChecks,
+            'an expired lease to end': expiryChecks
+        };
+    } finally {
+        await pool.stop();
+        // Stopping the pool removes every instance's nginx config and PID file
+        clean = fs.readdirSync(confDir).length === 0 && fs.readdirSync(path.join(dir, 'run')).length === 0;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    return suiteResult('Pool suite', { ...checks, 'no nginx configs or PID files left after stop': clean });
+}
+
+// A probe through the recorder, replayed on a second mock: same shape, but a different browser for the exact diff
+async function runRecordingSuite(chromePort) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-recording-'));
+    const file = path.join(dir, 'session.jsonl');
+
+    const recorder = new CdpRecorder({ listenPort: 0, upstreamPort: chromePort, output: file, quiet: true });
+    const other = new MockChromeServer({ browser: 'HeadlessChrome/121.0.6167.85', quiet: true });
+    await recorder.start();
+    await other.start();
+
+    try {
+        const probe = new CdpProbe({
+            host: '127.0.0.1',
+            port: recorder.port,
+            probes: [{ expression: '1 + 1', expect: 2 }, { method: 'Browser.getVersion' }]
+        });
+        const probed = await probe.run();
+        await recorder.stop();
+
+        const sessions = CdpRecorder.readRecording(file);
+        const directions = new Set(sessions.flatMap(session => session.messages.map(entry => entry.direction)));
+        const recorded = sessions.length === 1 && directions.size === 2 && sessions[0].close !== null;
+
+        const replayConfig = { host: '127.0.0.1', port: other.port, recording: file, quiet: true };
+        const shape = await new CdpReplay(replayConfig).run();
+        const exact = await new CdpReplay({ ...replayConfig, compare: 'exact' }).run();
+
+        const loadTester = new ChromeProxyLoadTester({
+            host: '127.0.0.1',
+            port: other.port,
+            concurrentConnections: 2,
+            messagesPerConnection: 4,
+            testDuration: 15000,
+            rampUpTime: 100,
+            scenarios: [loadScenario(file)]
+        });
+        const load = await loadTester.runLoadTest();
+
+        return suiteResult('Recording suite', {
+            'the probe to pass through the recorder': probed.success,
+            'one recorded session with both directions': recorded,
+            'the replay to match in shape': shape.success,
+            'the exact replay to differ in the browser version only': !exact.success && exact.summary.differing === 1,
+            'the recording to run as a load workload': load
+        });
+    } finally {
+        await recorder.stop();
+        await other.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Long-connection mode against a mock that cuts sessions after a second without traffic
+async function runKeepaliveSuite() {
+    const mock = new MockChromeServer({ idleTimeout: 1000, quiet: true });
+    await mock.start();
+
+    try {
+        const tester = new ChromeProxyTester({
+            host: '127.0.0.1',
+            timeout: 5000,
+            idleWindows: [400, 2000],
+            idleTimeout: 1000,
+            idleTolerance: 400,
+            pingInterval: 300,
+            reloadCommand: 'true',
+            reloadSettle: 200,
+            quiet: true
+        });
+        const result = await tester.runTestsForPort(mock.port);
+
+        const idle = result.tests['idle-2s'];
+        const keepalive = result.tests['keepalive-2s'];
+        return suiteResult('Keepalive suite', {
+            'the connection suite to pass': result.overall,
+            'an idle session to be cut with 1006': idle.data.survived === false && idle.data.closeCode === 1006,
+            'pings to keep a session open': keepalive.data.survived && keepalive.data.pongs > 0,
+            'one idle close at the mock': mock.stats.idleCloses === 1
+        });
+    } finally {
+        await mock.stop();
+    }
+}
+
+// Conformance mode must pass against limits the mock enforces and fail when it enforces none
+async function runConformanceSuite() {
+    const limits = { rate: 50, burst: 5, connections: 3 };
+    const limited = new MockChromeServer({ limitRate: limits.rate, limitBurst: limits.burst, limitConn: limits.connections, quiet: true });
+    const unlimited = new MockChromeServer({ quiet: true });
+    await limited.start();
+    await unlimited.start();
+
+    try {
+        const enforced = new ChromeProxyLoadTester({ host: '127.0.0.1', port: limited.port, mode: 'conformance', limits });
+        const passed = await enforced.runLoadTest();
+        const report = enforced.buildReport();
+
+        const missing = new ChromeProxyLoadTester({ host: '127.0.0.1', port: unlimited.port, mode: 'conformance', limits });
+        const failed = !await missing.runLoadTest();
+
+        return suiteResult('Conformance suite', {
+            'conformance to pass against enforced limits': passed,
+            'conformance to fail without limits': failed,
+            'requests shed past the burst': report.conformance.requestRate.sheddingAt > limits.burst,
+            'connections shed past the limit': report.conformance.connections.sheddingAt === limits.connections + 1,
+            'the mock to have limited rate and connections': limited.stats.rateLimited > 0 && limited.stats.connLimited === 1
+        });
+    } finally {
+        await limited.stop();
+        await unlimited.stop();
+    }
+}
+
+// Certificate, SNI and wss:// checks against a TLS mock, which must fail without its CA
+async function runTlsSuite() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-tls-'));
+    const certs = tlsCerts.generate({ dir, hosts: ['localhost', '127.0.0.1'] });
+    const mock = new MockChromeServer({ tlsCert: certs.cert, tlsKey: certs.key, serverName: 'localhost', quiet: true });
+    await mock.start();
+
+    try {
+        const tls = { enabled: true, ca: certs.ca, servername: 'localhost' };
+        const tester = new ChromeProxyTester({
+            host: '127.0.0.1',
+            portRange: { start: mock.port, end: mock.port },
+            timeout: 5000,
+            tls,
+            quiet: true
+        });
+        const instances = await tester.discoverActivePorts();
+        const result = await tester.runTestsForPort(mock.port);
+
+        const untrusted = new ChromeProxyTester({ host: '127.0.0.1', timeout: 5000, tls: { enabled: true, servername: 'localhost' }, quiet: true });
+        const refused = await untrusted.runTestsForPort(mock.port);
+
+        const loadTester = new ChromeProxyLoadTester({
+            host: '127.0.0.1',
+            port: mock.port,
+            concurrentConnections: 2,
+            messagesPerConnection: 3,
+            testDuration: 5000,
+            rampUpTime: 100,
+            tls
+        });
+        const load = await loadTester.runLoadTest();
+
+        return suiteResult('TLS suite', {
+            'discovery over https': instances.length === 1,
+            'the connection suite to pass over https and wss': result.overall && result.tests.websocket.success,
+            'the load suite to pass over wss': load,
+            'a certificate from the throwaway CA': result.tests.certificate.data.issuer === 'Chrome Debugger Proxy Local CA',
+            'an unknown SNI name to be refused': result.tests.sni.data.refused && mock.stats.tlsRejected >= 1,
+            'wss debugger URLs': result.tests['forwarded-proto'].success,
+            'the certificate to be untrusted without the CA': !refused.overall && /not trusted/.test(refused.tests.certificate.error)
+        });
+    } finally {
+        await mock.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// A Chrome restart during the checks should leave them flaky, not failed; a proxy that keeps
+// answering 503, like @chrome_unavailable, should fail them as unavailable once retries run out
+async function runRetrySuite() {
+    let mock = new MockChromeServer({ quiet: true });
+    await mock.start();
+    const port = mock.port;
+
+    let restarted = false;
+    await mock.stop();
+    const restart = new Promise(resolve => setTimeout(resolve, 800)).then(async () => {
+        mock = new MockChromeServer({ port, quiet: true });
+        await mock.start();
+    });
+
+    try {
+        const tester = new ChromeProxyTester({ host: '127.0.0.1', timeout: 5000, retryDelay: 300, quiet: true });
+        const result = await tester.runTestsForPort(port);
+        const version = result.tests.version;
+        restarted = result.overall && version.flaky && version.retries[0].failure === 'refused' &&
+            result.flaky.includes('version') && tester.buildReport().summary.flaky === result.flaky.length;
+    } finally {
+        await restart;
+        await mock.stop();
+    }
+
+    const unavailable = http.createServer((req, res) => {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Chrome debugger not available', status: 503 }));
+    });
+    await new Promise(resolve => unavailable.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const tester = new ChromeProxyTester({ host: '127.0.0.1', timeout: 5000, maxRetries: 1, retryDelay: 50, quiet: true });
+        const result = await tester.runTestsForPort(unavailable.address().port);
+        tester.portResults = [result];
+        const { version, cdp } = result.tests;
+        return suiteResult('Retry suite', {
+            'checks across a restart to pass as flaky': restarted,
+            'checks against a 503 to fail, not flake': !result.overall && result.flaky.length === 0,
+            'version to fail as unavailable after a retry': version.failure === 'unavailable' && version.attempts === 2 && !version.flaky,
+            'cdp to fail as unavailable': cdp.failure === 'unavailable' && tester.buildReport().summary.failures.unavailable >= 3
+        });
+    } finally {
+        unavailable.close();
+    }
+}
+
+// One session per instance: the load tester's extra sessions wait in the gateway's queue, and a
+// session still waiting when the queue timeout runs out is closed with 1013
+async function runAdmissionSuite() {
+    const mock = new MockChromeServer({ quiet: true });
+    await mock.start();
+    const gateway = new ChromeGateway({
+        listenHost: '127.0.0.1',
+        listenPort: 0,
+        portRange: { start: mock.port, end: mock.port },
+        maxSessions: 1,
+        queueTimeout: 1000,
+        quiet: true
+    });
+    await gateway.start();
+
+    try {
+        const tester = new ChromeProxyLoadTester({
+            host: '127.0.0.1',
+            port: mock.port,
+            gateway: gateway.port,
+            concurrentConnections: 3,
+            messagesPerConnection: 2,
+            messageRate: 50,
+            testDuration: 10000,
+            rampUpTime: 0
+        });
+        const loadPassed = await tester.runLoadTest();
+        const report = tester.buildReport();
+        const queued = loadPassed && report.summary.connectionsQueued === 2 &&
+            report.latency.queueWait.count === 2 && report.latency.queueWait.min > 0 &&
+            report.summary.messagesSucceeded === 6;
+
+        const url = `ws://127.0.0.1:${gateway.port}/chrome/any/devtools/browser`;
+        const holder = new WebSocket(url);
+        await new Promise((resolve, reject) => holder.once('open', resolve).once('error', reject));
+        const waiter = new WebSocket(`${url}?priority=low`);
+        let position = null;
+        waiter.on('upgrade', res => {
+            position = res.headers['x-admission-queue-position'];
+        });
+        const [code] = await new Promise(resolve => waiter.on('close', (...closed) => resolve(closed)));
+        holder.close();
+
+        const health = await (await fetch(`http://127.0.0.1:${gateway.port}/health`)).json();
+        return suiteResult('Admission suite', {
+            'two load sessions to wait in the queue and then pass': queued,
+            'a queue position header': position === '1',
+            'a session left in the queue to be closed with 1013': code === 1013 && health.admission.timedOut === 1
+        });
+    } finally {
+        await gateway.stop();
+        await mock.stop();
+    }
+}
+
+// Clients running different scenarios on one shared page: every response reaches the client that
+// asked, and only the clients that enabled Network and Page get their events
+async function runMultiplexerSuite() {
+    const mock = new MockChromeServer({ targets: 2, subresources: 2, quiet: true });
+    await mock.start();
+    const multiplexer = new CdpMultiplexer({ listenPort: 0, upstreamPort: mock.port, quiet: true });
+    await multiplexer.start();
+
+    try {
+        const tester = new ChromeProxyLoadTester({
+            host: '127.0.0.1',
+            port: multiplexer.port,
+            target: 'first',
+            concurrentConnections: 6,
+            messagesPerConnection: 4,
+            messageRate: 20,
+            testDuration: 15000,
+            rampUpTime: 0,
+            scenarios: [loadScenario('evaluate'), loadScenario('network-events')]
+        });
+        const passed = await tester.runLoadTest();
+        const { summary } = tester.buildReport();
+
+        return suiteResult('Multiplexer suite', {
+            'every message answered': passed && summary.messagesSucceeded === summary.messagesSent,
+            'each response at the client that asked': summary.unmatchedResponses === 0,
+            'events only for clients that enabled them': summary.strayEvents === 0 && summary.eventsReceived > 0,
+            'one socket to the page for six clients': mock.stats.wsConnections === 1 && multiplexer.stats.channels === 1 && multiplexer.stats.clients === 6
+        });
+    } finally {
+        await multiplexer.stop();
+        await mock.stop();
+    }
+}
+
+// The connection suite through the CDP filter with calls its policy allows and blocks, then the audit log
+async function runFilterSuite() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-filter-'));
+    const auditLog = path.join(dir, 'audit.jsonl');
+    const mock = new MockChromeServer({ quiet: true });
+    await mock.start();
+    const filter = new CdpFilter({
+        listenPort: 0,
+        upstreamPort: mock.port,
+        policy: {
+            default: {
+                allow: ['Runtime', 'Page', 'Browser.getVersion'],
+                deny: ['Runtime.compileScript'],
+                params: {
+                    'Runtime.evaluate': { expression: { deny: ['fetch\\('] } },
+                    'Page.navigate': { url: { match: '^https://' } }
+                }
+            }
+        },
+        auditLog,
+        quiet: true
+    });
+    await filter.start();
+
+    try {
+        // The last call shows the session outlived the blocked ones
+        const policyChecks = [
+            { method: 'Runtime.evaluate', params: { expression: '1 + 1' }, expect: 'allowed' },
+            { method: 'Runtime.evaluate', params: { expression: 'fetch("http://169.254.169.254/")' }, expect: 'blocked' },
+            { method: 'Page.navigate', params: { url: 'file:///etc/passwd' }, expect: 'blocked' },
+            { method: 'Runtime.compileScript', params: { expression: '1', persistScript: true }, expect: 'blocked' },
+            { method: 'Browser.close', expect: 'blocked' },
+            { method: 'Page.navigate', params: { url: 'https://example.com/' }, expect: 'allowed' }
+        ];
+        const tester = new ChromeProxyTester({
+            host: '127.0.0.1',
+            portRange: { start: filter.port, end: filter.port },
+            timeout: 5000,
+            policyChecks
+        });
+        const portResult = await tester.runTestsForPort(filter.port);
+
+        // Closing a target over HTTP is the Target.closeTarget the policy leaves out
+        const base = `http://127.0.0.1:${filter.port}`;
+        const [target] = await (await fetch(`${base}/json/list`)).json();
+        const closed = await fetch(`${base}/json/close/${target.id}`);
+        const kept = (await (await fetch(`${base}/json/list`)).json()).some(entry => entry.id === target.id);
+        await filter.stop();
+
+        const audited = fs.readFileSync(auditLog, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        const methods = audited.map(entry => entry.method);
+        return suiteResult('Filter suite', {
+            'the policy checks to pass': portResult.overall,
+            '/json/close to be refused with 403': closed.status === 403 && kept,
+            'five blocked calls': filter.stats.blocked === 5,
+            'the blocked methods in the audit log': JSON.stringify(methods) === JSON.stringify(['Runtime.evaluate', 'Page.navigate', 'Runtime.compileScript', 'Browser.close', 'Target.closeTarget']),
+            'audit entries without client or params': audited.every(entry => entry.client === null && !('params' in entry)),
+            'audit entries with the request path': audited.slice(0, 4).every(entry => entry.path.startsWith('/devtools/page/')) && audited[4].path === `/json/close/${target.id}`
+        });
+    } finally {
+        await filter.stop();
+        await mock.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// The mock directly and through a relay, which only differs once its policy blocks a call in the script
+async function runComparisonSuite() {
+    const mock = new MockChromeServer({ quiet: true });
+    await mock.start();
+    const relay = new CdpFilter({ listenPort: 0, upstreamPort: mock.port, auditLog: null, quiet: true });
+    await relay.start();
+
+    try {
+        const tester = new ChromeProxyTester({
+            host: '127.0.0.1',
+            portRange: { start: relay.port, end: relay.port },
+            timeout: 5000,
+            compare: { host: '127.0.0.1', port: mock.port, iterations: 5 }
+        });
+        const portResult = await tester.runTestsForPort(relay.port);
+        const { data } = portResult.tests.comparison;
+        const matched = portResult.overall && data.differences.length === 0 &&
+            data.closeCodes.direct === 1000 && data.closeCodes.proxied === 1000 &&
+            ['p50', 'p95', 'p99'].every(p => Number.isFinite(data.latency.cdp.overhead[p]));
+
+        relay.config.policy = { default: { deny: ['Page.navigate'] } };
+        relay.loadPolicy();
+        const blocked = await new ProxyComparison({ host: '127.0.0.1', port: relay.port, directPort: mock.port, iterations: 2, settle: 50 }).run();
+        // The blocked navigation changes its reply, and the Page events it would have caused go missing
+        const kinds = new Set(blocked.differences.map(difference => difference.kind));
+        const changed = !blocked.success && kinds.size === 2 && blocked.differences.every(difference =>
+            (difference.kind === 'frame' && difference.where.startsWith('#5 Page.navigate ')) ||
+            (difference.kind === 'event' && difference.change === 'dropped' && difference.where.startsWith('Page.')));
+
+        return suiteResult('Comparison suite', {
+            'a relay to match Chrome': matched,
+            'a blocked call to show up as a changed frame and dropped events': changed
+        });
+    } finally {
+        await relay.stop();
+        await mock.stop();
+    }
+}
+
+// A relay that is healthy, then pointed at another browser, then left with Chrome stopped
+async function runDiagnoseSuite() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnose-'));
+    const mock = new MockChromeServer({ quiet: true });
+    const other = new MockChromeServer({ browser: 'HeadlessChrome/121.0.6167.85', quiet: true });
+    await mock.start();
+    await other.start();
+    const relay = new CdpFilter({ listenPort: 0, upstreamPort: mock.port, auditLog: null, quiet: true });
+    await relay.start();
+
+    const diagnose = async (name) => {
+        const report = await new ProxyDiagnostics({
+            host: '127.0.0.1',
+            ports: [relay.port],
+            direct: { host: '127.0.0.1', port: mock.port },
+            logDir: dir,
+            chromeLogDir: dir,
+            pidDir: dir,
+            healthCheck: null,
+            output: path.join(dir, `${name}.tar.gz`),
+            timeout: 3000,
+            quiet: true
+        }).run();
+        return fs.existsSync(report.bundle) ? report.ports[0].cause : null;
+    };
+
+    try {
+        const healthy = await diagnose('healthy');
+        relay.config.upstreamPort = other.port;
+        const misrouted = await diagnose('misrouted');
+        relay.config.upstreamPort = mock.port;
+        await mock.stop();
+        const down = await diagnose('down');
+
+        return suiteResult('Diagnose suite', {
+            'a healthy relay': healthy === 'healthy',
+            'a relay to another browser to be misrouted': misrouted === 'nginx-misrouted',
+            'a stopped Chrome to be down': down === 'chrome-down'
+        });
+    } finally {
+        await relay.stop();
+        await other.stop();
+        await mock.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function runMockTests(options = {}) {
+    const mock = new MockChromeServer({
+        port: options.mockPort || 0,
+        targets: options.targets || 1,
+        latency: options.latency || 0,
+        jitter: options.jitter || 0,
+        dropRate: options.dropRate || 0,
+        closeAfter: options.closeAfter || 0
+    });
+
+    await mock.start();
+
+    // Without a proxy port the suites talk to the mock directly
+    const port = options.proxyPort || mock.port;
+    const host = options.host || '127.0.0.1';
+
+    try {
+        const tester = new ChromeProxyTester({
+            host,
+            portRange: { start: Math.max(1, port - 10), end: port + 10 },
+            timeout: 5000
+        });
+
+        const instances = await tester.discoverActivePorts();
+        const discovery = suiteResult('Discovery', { [`port ${port} discovered`]: instances.some(instance => instance.port === port) });
+
+        const portResult = await tester.runTestsForPort(port);
+        const failedChecks = Object.keys(portResult.tests).filter(name => !portResult.tests[name].success);
+        const connection = suiteResult('Connection suite', { [`every check to pass (failed: ${failedChecks.join(', ')})`]: portResult.overall });
+
+        const loadTester = new ChromeProxyLoadTester({
+            host,
+            port,
+            concurrentConnections: options.connections || 3,
+            messagesPerConnection: options.messages || 5,
+            testDuration: 15000,
+            rampUpTime: 300
+        });
+        const load = suiteResult('Load suite', { 'no failed connections': await loadTester.runLoadTest() });
+
+        const suites = [discovery, connection, load];
+        suites.push(await runRewritingSuite(mock.port));
+        suites.push(await runGatewaySuite(mock.port, host));
+        suites.push(await runPoolSuite());
+        suites.push(await runRecordingSuite(mock.port));
+        suites.push(await runKeepaliveSuite());
+        suites.push(await runConformanceSuite());
+        suites.push(await runTlsSuite());
+        suites.push(await runRetrySuite());
+        suites.push(await runAdmissionSuite());
+        suites.push(await runMultiplexerSuite());
+        suites.push(await runFilterSuite());
+        suites.push(await runComparisonSuite());
+        suites.push(await runDiagnoseSuite());
+
+        return { suites, passed: suites.every(suite => suite.passed), mockStats: mock.stats };
+    } finally {
+        await mock.stop();
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'host':
+                options.host = value;
+                break;
+            case 'mock-port':
+                options.mockPort = parseInt(value);
+                break;
+            case 'proxy-port':
+                options.proxyPort = parseInt(value);
+                break;
+            case 'latency':
+                options.latency = parseInt(value);
+                break;
+            case 'drop-rate':
+                options.dropRate = parseFloat(value);
+                break;
+            case 'close-after':
+                options.closeAfter = parseInt(value);
+                break;
+            case 'connections':
+                options.connections = parseInt(value);
+                break;
+            case 'messages':
+                options.messages = parseInt(value);
+                break;
+            case 'help':
+                console.log(`
+Usage: node mock-test.js [options]
+
+Options:
+  --host HOST        Host the suites connect to (default: 127.0.0.1)
+  --mock-port N      Port for the mock Chrome server (default: random free port)
+  --proxy-port N     Test through an nginx listener on this port instead of the mock directly
+  --latency N        Inject N ms of latency into every CDP reply
+  --drop-rate F      Drop this fraction of CDP replies, 0-1
+  --close-after N    Abruptly close each WebSocket after N messages
+  --connections N    Load test connections (default: 3)
+  --messages N       Load test messages per connection (default: 5)
+  --help             Show this help message
+
+Examples:
+  node mock-test.js
+  node mock-test.js --mock-port 48333 --proxy-port 48334
+  node mock-test.js --latency 100 --drop-rate 0.1
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    try {
+        const result = await runMockTests(options);
+        console.log('');
+        result.suites.forEach(({ name, passed, error }) => {
+            console.log(`${name}: ${passed ? 'PASS' : `FAIL (${error})`}`);
+        });
+        process.exit(result.passed ? 0 : 1);
+    } catch (error) {
+        console.error('Fatal error running mock tests:', error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = runMockTests;
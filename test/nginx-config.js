@@ -0,0 +1,772 @@
+#!/usr/bin/env node
+
+/**
+ * nginx Proxy Config Generator and Linter
+ * Renders proxy-template.conf with typed variables and parses the result into a directive tree
+ * Checks the proxy's invariants without an nginx binary; violations are { rule, message, line, context } objects
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tlsCerts = require('./tls-certs');
+
+const TEMPLATE_FILE = path.join(__dirname, '..', 'nginx', 'templates', 'proxy-template.conf');
+const MAIN_CONFIG_FILE = path.join(__dirname, '..', 'nginx', 'nginx.conf');
+
+// {{NAME}} in the template, option name in render()
+const VARIABLES = {
+    PORT: { option: 'port', type: 'port' },
+    CONNECT_TIMEOUT: { option: 'connectTimeout', type: 'duration', default: '4s' },
+    SEND_TIMEOUT: { option: 'sendTimeout', type: 'duration', default: '60s' },
+    READ_TIMEOUT: { option: 'readTimeout', type: 'duration', default: '60s' },
+    RATE_BURST: { option: 'rateBurst', type: 'integer', min: 0, default: 20 },
+    CONN_LIMIT: { option: 'connLimit', type: 'integer', min: 1, default: 10 },
+    AUTH_REQUEST: { option: 'auth', type: 'boolean', default: true },
+    SERVER_NAME: { option: 'serverName', type: 'hostnames', default: 'localhost' },
+    TLS: { option: 'tls', type: 'boolean', default: false },
+    TLS_CERT: { option: 'tlsCert', type: 'path', default: '/etc/nginx/tls/server.pem' },
+    TLS_KEY: { option: 'tlsKey', type: 'path', default: '/etc/nginx/tls/server.key' }
+};
+
+// Upstream in nginx.conf for test/json-rewriter.js
+const REWRITER_UPSTREAM = 'chrome_json_rewriter';
+
+// Chrome listens on loopback; proxy_pass to anything else names an upstream block
+const LOOPBACK = /^http:\/\/(127\.0\.0\.1|localhost|\[::1\]):(\d+)/;
+
+class ConfigError extends Error {
+    constructor(message, violations = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.violations = violations;
+    }
+}
+
+function violation(rule, message, node = null, context = null) {
+    return { rule, message, line: node ? node.line : null, context };
+}
+
+// Each type turns an option value into its nginx spelling, or returns null when invalid
+const TYPES = {
+    port(value) {
+        const port = Number(value);
+        return Number.isInteger(port) && port >= 1 && port <= 65535 ? String(port) : null;
+    },
+
+    // A number is seconds; strings keep nginx's own units
+    duration(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value > 0 ? `${value}s` : null;
+        }
+        return /^[1-9]\d*(ms|s|m|h|d)?$/.test(String(value)) ? String(value) : null;
+    },
+
+    integer(value, spec) {
+        const number = Number(value);
+        return Number.isInteger(number) && number >= spec.min ? String(number) : null;
+    },
+
+    boolean(value) {
+        return typeof value === 'boolean' ? String(value) : null;
+    },
+
+    // One name, or a list or space-separated string of them for a certificate with several
+    hostnames(value) {
+        const names = Array.isArray(value) ? value.map(String) : String(value).trim().split(/\s+/);
+        const valid = names.every(name => /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i.test(name));
+        return names.length > 0 && valid ? names.join(' ') : null;
+    },
+
+    // Absolute, and nothing nginx would read as the end of the directive
+    path(value) {
+        return /^\/[^\s;{}'"]*$/.test(String(value)) ? String(value) : null;
+    }
+};
+
+const DESCRIPTIONS = {
+    port: 'a port number between 1 and 65535',
+    duration: 'a positive number of seconds or an nginx time such as 60s',
+    integer: 'an integer',
+    boolean: 'true or false',
+    hostnames: 'host names such as proxy.example.com, separated by spaces',
+    path: 'an absolute file path'
+};
+
+function renderValue(name, value) {
+    if (name === 'AUTH_REQUEST') {
+        return value === 'true' ? '/_auth' : 'off';
+    }
+    return value;
+}
+
+// Lines between {{#NAME}} and {{/NAME}} stay when the boolean NAME is true, between
+// {{^NAME}} and {{/NAME}} when it is false; the tags sit on lines of their own
+function renderSections(template, flags) {
+    const open = [];
+    const kept = [];
+
+    template.split('\n').forEach((content, index) => {
+        const tag = content.match(/^\s*\{\{([#^/])(\w+)\}\}\s*$/);
+        if (!tag) {
+            if (open.every(section => section.keep)) {
+                kept.push(content);
+            }
+            return;
+        }
+
+        const [, kind, name] = tag;
+        const line = index + 1;
+        if (kind === '/') {
+            const section = open.pop();
+            if (!section || section.name !== name) {
+                throw new ConfigError(`Section end {{/${name}}} on line ${line} does not close an open section`, [violation('syntax', `{{/${name}}} does not close an open section`, { line })]);
+            }
+            return;
+        }
+        if (!(name in flags)) {
+            throw new ConfigError(`Section {{${kind}${name}}} on line ${line} does not name a boolean variable`, [violation('syntax', `{{${kind}${name}}} does not name a boolean variable`, { line })]);
+        }
+        open.push({ name, line, keep: kind === '#' ? flags[name] : !flags[name] });
+    });
+
+    if (open.length > 0) {
+        const section = open[open.length - 1];
+        throw new ConfigError(`Section ${section.name} opened on line ${section.line} is not closed`, [violation('syntax', `Section ${section.name} is not closed`, { line: section.line })]);
+    }
+    return kept.join('\n');
+}
+
+// Fill in the template; bad or unknown options throw a ConfigError listing every one of them
+function render(options = {}, template = fs.readFileSync(TEMPLATE_FILE, 'utf8')) {
+    const known = new Set(Object.values(VARIABLES).map(spec => spec.option));
+    const violations = Object.keys(options)
+        .filter(option => !known.has(option))
+        .map(option => violation('unknown-variable', `Unknown template variable "${option}"`, null, option));
+    const values = {};
+    const flags = {};
+
+    Object.entries(VARIABLES).forEach(([name, spec]) => {
+        const value = options[spec.option] !== undefined ? options[spec.option] : spec.default;
+        if (value === undefined) {
+            violations.push(violation('invalid-variable', `"${spec.option}" is required`, null, spec.option));
+            return;
+        }
+
+        const rendered = TYPES[spec.type](value, spec);
+        if (rendered === null) {
+            const expected = spec.type === 'integer' ? `an integer of at least ${spec.min}` : DESCRIPTIONS[spec.type];
+            violations.push(violation('invalid-variable', `"${spec.option}" must be ${expected}, got ${JSON.stringify(value)}`, null, spec.option));
+            return;
+        }
+        values[name] = renderValue(name, rendered);
+        if (spec.type === 'boolean') {
+            flags[name] = rendered === 'true';
+        }
+    });
+
+    if (violations.length > 0) {
+        throw new ConfigError(`Cannot render nginx config: ${violations.map(v => v.message).join('; ')}`, violations);
+    }
+
+    // Unknown placeholders are left in place for lint() to report with their line
+    return renderSections(template, flags).replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '#') {
+            while (i < text.length && text[i] !== '\n') {
+                i++;
+            }
+        } else if (char === '{' || char === '}' || char === ';') {
+            tokens.push({ value: char, special: true, line });
+            i++;
+        } else if (char === '"' || char === "'") {
+            const start = line;
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== char) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    i++;
+                }
+                if (text[i] === '\n') {
+                    line++;
+                }
+                value += text[i++];
+            }
+            if (i >= text.length) {
+                throw new ConfigError(`Unterminated string starting on line ${start}`, [violation('syntax', 'Unterminated string', { line: start })]);
+            }
+            i++;
+            tokens.push({ value, line: start });
+        } else {
+            let value = '';
+            while (i < text.length && !/[\s;{}]/.test(text[i])) {
+                // ${name} is a variable, not a block
+                if (text[i] === '$' && text[i + 1] === '{') {
+                    const end = text.indexOf('}', i);
+                    value += text.slice(i, end + 1);
+                    i = end + 1;
+                } else {
+                    value += text[i++];
+                }
+            }
+            tokens.push({ value, line });
+        }
+    }
+
+    return tokens;
+}
+
+// Directive tree: [{ name, args, line, block }], block is null for simple directives
+function parse(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const parseBlock = (closing) => {
+        const directives = [];
+
+        while (position < tokens.length) {
+            const token = tokens[position];
+
+            if (token.special && token.value === '}') {
+                if (!closing) {
+                    throw new ConfigError(`Unexpected "}" on line ${token.line}`, [violation('syntax', 'Unexpected "}"', token)]);
+                }
+                position++;
+                return directives;
+            }
+            if (token.special) {
+                throw new ConfigError(`Unexpected "${token.value}" on line ${token.line}`, [violation('syntax', `Unexpected "${token.value}"`, token)]);
+            }
+
+            const directive = { name: token.value, args: [], line: token.line, block: null };
+            position++;
+
+            while (position < tokens.length && !tokens[position].special) {
+                directive.args.push(tokens[position++].value);
+            }
+
+            const end = tokens[position];
+            if (!end) {
+                throw new ConfigError(`Directive "${directive.name}" on line ${directive.line} is not terminated`, [violation('syntax', `"${directive.name}" is not terminated by ";" or "{"`, directive)]);
+            }
+            position++;
+
+            if (end.value === '{') {
+                directive.block = parseBlock(true);
+            } else if (end.value === '}') {
+                throw new ConfigError(`Directive "${directive.name}" on line ${directive.line} is not terminated`, [violation('syntax', `"${directive.name}" is not terminated by ";"`, directive)]);
+            }
+            directives.push(directive);
+        }
+
+        if (closing) {
+            throw new ConfigError('Unexpected end of file, a block is not closed', [violation('syntax', 'Block is not closed', tokens[tokens.length - 1])]);
+        }
+        return directives;
+    };
+
+    return parseBlock(false);
+}
+
+// Every directive under a block, depth first, with the location it sits in
+function walk(directives, visit, location = null) {
+    directives.forEach(directive => {
+        visit(directive, location);
+        if (directive.block) {
+            walk(directive.block, visit, directive.name === 'location' ? directive : location);
+        }
+    });
+}
+
+function find(directives, name) {
+    return directives.filter(directive => directive.name === name);
+}
+
+function describe(directive) {
+    return `${directive.name} ${directive.args.join(' ')}`.trim();
+}
+
+function listenPort(listen) {
+    const match = listen.args[0].match(/(?:^|:)(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+}
+
+// Locations that reach Chrome's /devtools WebSockets: the explicit ones and the catch-all
+function isDevtoolsLocation(location) {
+    return location.args.some(arg => arg.includes('/devtools')) || (location.args.length === 1 && location.args[0] === '/');
+}
+
+// proxy_set_header is inherited from the server only when the location sets none of its own
+function proxyHeaders(location, server) {
+    const own = find(location.block, 'proxy_set_header');
+    return own.length > 0 ? own : find(server.block, 'proxy_set_header');
+}
+
+// Names the http context defines, from nginx.conf and the linted file itself
+function definitions(directives) {
+    const defined = { upstreams: new Set(), reqZones: new Set(), connZones: new Set(), maps: [] };
+
+    walk(directives, directive => {
+        if (directive.name === 'upstream') {
+            defined.upstreams.add(directive.args[0]);
+        } else if (directive.name === 'limit_req_zone' || directive.name === 'limit_conn_zone') {
+            const zone = directive.args.find(arg => arg.startsWith('zone='));
+            if (zone) {
+                const set = directive.name === 'limit_req_zone' ? defined.reqZones : defined.connZones;
+                set.add(zone.slice(5).split(':')[0]);
+            }
+        } else if (directive.name === 'map') {
+            defined.maps.push(directive);
+        }
+    });
+
+    return defined;
+}
+
+// Setting a header twice in one block sends it twice
+function duplicateHeaders(block, where, violations) {
+    const seen = new Map();
+    find(block, 'proxy_set_header').forEach(header => {
+        const name = header.args[0].toLowerCase();
+        if (seen.has(name)) {
+            violations.push(violation('duplicate-proxy-header', `${header.args[0]} is set on lines ${seen.get(name)} and ${header.line}`, header, where));
+        } else {
+            seen.set(name, header.line);
+        }
+    });
+}
+
+function lintServer(server, options, defined, violations) {
+    const listens = find(server.block, 'listen');
+    const ssl = listens.some(listen => listen.args.includes('ssl'));
+    const context = listens.length > 0 ? `server ${listens[0].args[0]}` : 'server';
+    const port = listens.length > 0 ? listenPort(listens[0]) : null;
+    const locations = [];
+    const named = new Set();
+    const exact = new Set();
+
+    if (listens.length === 0) {
+        violations.push(violation('listen-port', 'Server block has no listen directive', server, context));
+    } else if (options.port && port !== Number(options.port)) {
+        violations.push(violation('listen-port', `listen ${listens[0].args[0]} does not match port ${options.port}`, listens[0], context));
+    }
+
+    walk(server.block, directive => {
+        if (directive.name === 'location') {
+            locations.push(directive);
+            const target = directive.args[directive.args.length - 1];
+            if (target.startsWith('@')) {
+                named.add(target);
+            } else if (directive.args[0] === '=') {
+                exact.add(target);
+            }
+        }
+    });
+
+    walk(server.block, (directive, location) => {
+        const where = location ? `${context} > ${describe(location)}` : context;
+
+        if (directive.name === 'proxy_pass') {
+            const loopback = directive.args[0].match(LOOPBACK);
+            if (loopback && port !== null && parseInt(loopback[2]) !== port) {
+                violations.push(violation('proxy-pass-port', `proxy_pass ${directive.args[0]} does not match listen port ${port}`, directive, where));
+            }
+            const upstream = !loopback && directive.args[0].match(/^https?:\/\/([^/:$]+)(\/|$)/);
+            if (upstream && defined && !defined.upstreams.has(upstream[1])) {
+                violations.push(violation('undefined-upstream', `proxy_pass names upstream "${upstream[1]}", which is not defined`, directive, where));
+            }
+        }
+
+        if (directive.name === 'error_page') {
+            const target = directive.args[directive.args.length - 1];
+            const handled = target.startsWith('@')
+                ? named.has(target)
+                : exact.has(target) || locations.some(loc => loc.args.length === 1 && target.startsWith(loc.args[0]) && loc.args[0] !== '/');
+            if (!handled) {
+                violations.push(violation('error-page-target', `error_page ${target} has no location to serve it`, directive, where));
+            }
+        }
+
+        if (directive.name === 'auth_request' && directive.args[0] !== 'off' && !exact.has(directive.args[0])) {
+            violations.push(violation('auth-location', `auth_request ${directive.args[0]} has no "location = ${directive.args[0]}"`, directive, where));
+        }
+
+        if (defined && directive.name === 'limit_req') {
+            const zone = directive.args.find(arg => arg.startsWith('zone='));
+            if (zone && !defined.reqZones.has(zone.slice(5))) {
+                violations.push(violation('undefined-zone', `limit_req zone "${zone.slice(5)}" has no limit_req_zone`, directive, where));
+            }
+        }
+        if (defined && directive.name === 'limit_conn' && !defined.connZones.has(directive.args[0])) {
+            violations.push(violation('undefined-zone', `limit_conn zone "${directive.args[0]}" has no limit_conn_zone`, directive, where));
+        }
+
+        if (directive.block) {
+            duplicateHeaders(directive.block, `${context} > ${describe(directive)}`, violations);
+        }
+    });
+    duplicateHeaders(server.block, context, violations);
+
+    locations.filter(isDevtoolsLocation).forEach(location => {
+        const where = `${context} > ${describe(location)}`;
+        const headers = proxyHeaders(location, server);
+        const value = name => {
+            const header = headers.find(h => h.args[0].toLowerCase() === name);
+            return header ? header.args[1] : undefined;
+        };
+        const version = find(location.block, 'proxy_http_version')[0] || find(server.block, 'proxy_http_version')[0];
+
+        if (!version || version.args[0] !== '1.1') {
+            violations.push(violation('devtools-upgrade', 'WebSocket upgrades need proxy_http_version 1.1', location, where));
+        }
+        if (value('upgrade') !== '$http_upgrade') {
+            violations.push(violation('devtools-upgrade', 'Missing proxy_set_header Upgrade $http_upgrade', location, where));
+        }
+        if (value('connection') !== '$connection_upgrade' && value('connection') !== 'upgrade') {
+            violations.push(violation('devtools-upgrade', 'Missing proxy_set_header Connection $connection_upgrade', location, where));
+        }
+    });
+
+    // A TLS listener needs a certificate, unless it only refuses handshakes
+    const rejects = find(server.block, 'ssl_reject_handshake').some(directive => directive.args[0] === 'on');
+    if (ssl && !rejects) {
+        ['ssl_certificate', 'ssl_certificate_key'].forEach(name => {
+            if (find(server.block, name).length === 0) {
+                violations.push(violation('tls-certificate', `listen ... ssl without ${name}`, listens.find(listen => listen.args.includes('ssl')), context));
+            }
+        });
+    }
+
+    // The JSON rewriter picks ws:// or wss:// debugger URLs from X-Forwarded-Proto
+    locations.forEach(location => {
+        const where = `${context} > ${describe(location)}`;
+        const headers = proxyHeaders(location, server);
+        const proto = headers.find(header => header.args[0].toLowerCase() === 'x-forwarded-proto');
+        const toRewriter = find(location.block, 'proxy_pass').some(pass => pass.args[0].startsWith(`http://${REWRITER_UPSTREAM}`));
+
+        if (proto && !proto.args[1].startsWith('$')) {
+            violations.push(violation('forwarded-proto', `X-Forwarded-Proto is fixed to ${proto.args[1]}; use $scheme so TLS clients get wss:// URLs`, proto, where));
+        } else if (toRewriter && !proto) {
+            violations.push(violation('forwarded-proto', 'Missing proxy_set_header X-Forwarded-Proto $scheme for the JSON rewriter', location, where));
+        }
+    });
+
+    // The catch-all proxies straight to Chrome and should explain a dead instance
+    const root = locations.find(location => location.args.length === 1 && location.args[0] === '/');
+    if (root) {
+        const codes = new Set(find(root.block, 'error_page').flatMap(page => page.args.slice(0, -1)));
+        const missing = ['502', '503', '504'].filter(code => !codes.has(code));
+        if (missing.length > 0) {
+            violations.push(violation('error-page-missing', `No error_page for ${missing.join(', ')}`, root, `${context} > ${describe(root)}`));
+        }
+    }
+}
+
+// Check a rendered config; options.port is the port it was rendered for,
+// options.main the http-level nginx.conf text that defines maps, zones and upstreams
+function lint(text, options = {}) {
+    const violations = [];
+
+    text.split('\n').forEach((content, index) => {
+        const placeholder = content.match(/\{\{(\w+)\}\}/);
+        if (placeholder) {
+            violations.push(violation('unresolved-placeholder', `Placeholder ${placeholder[0]} was not rendered`, { line: index + 1 }));
+        }
+    });
+
+    let directives;
+    let main = null;
+    try {
+        directives = parse(text);
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            return violations.concat(error.violations);
+        }
+        throw error;
+    }
+    try {
+        main = options.main ? parse(options.main) : null;
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            return violations.concat(error.violations.map(v => ({ ...v, context: 'nginx.conf' })));
+        }
+        throw error;
+    }
+
+    let defined = null;
+    if (main) {
+        defined = definitions(main);
+        definitions(directives).upstreams.forEach(name => defined.upstreams.add(name));
+    }
+
+    const servers = [];
+    walk(directives, directive => {
+        if (directive.name === 'server' && directive.block) {
+            servers.push(directive);
+        }
+    });
+    if (servers.length === 0) {
+        violations.push(violation('listen-port', 'No server block found'));
+    }
+    servers.forEach(server => lintServer(server, options, defined, violations));
+
+    // $connection_upgrade comes from a map in the http context
+    if (main && text.includes('$connection_upgrade')) {
+        const map = defined.maps.find(m => m.args[0] === '$http_upgrade' && m.args[1] === '$connection_upgrade');
+        const entries = map ? new Map(map.block.map(entry => [entry.name, entry.args[0]])) : new Map();
+        if (!map) {
+            violations.push(violation('connection-upgrade-map', 'Connection $connection_upgrade is used but nginx.conf has no "map $http_upgrade $connection_upgrade"'));
+        } else if (entries.get('default') !== 'upgrade' || entries.get('') !== 'close') {
+            violations.push(violation('connection-upgrade-map', 'The $connection_upgrade map should send upgrade by default and close without an Upgrade header', map, 'map $http_upgrade $connection_upgrade'));
+        }
+    }
+
+    return violations.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+// start-chrome.sh's rule: a port serves TLS once dir holds server.pem and server.key, for every
+// DNS name in the certificate unless serverName narrows it
+function tlsOptions(dir, serverName = null) {
+    const tlsCert = path.join(dir, tlsCerts.FILES.cert);
+    const tlsKey = path.join(dir, tlsCerts.FILES.key);
+    if (!fs.existsSync(tlsCert) || !fs.existsSync(tlsKey)) {
+        return serverName ? { serverName } : {};
+    }
+
+    const names = serverName || tlsCerts.certificateNames(tlsCert).join(' ');
+    return { tls: true, tlsCert, tlsKey, ...(names ? { serverName: names } : {}) };
+}
+
+// Render and lint; throws a ConfigError instead of returning a config that breaks the proxy
+function generate(options = {}, { template, main } = {}) {
+    const text = render(options, template);
+    const violations = lint(text, { port: options.port, main: main === undefined ? fs.readFileSync(MAIN_CONFIG_FILE, 'utf8') : main });
+
+    if (violations.length > 0) {
+        throw new ConfigError(`Generated nginx config for port ${options.port} has ${violations.length} violation(s)`, violations);
+    }
+    return text;
+}
+
+function formatViolation(v, file) {
+    const where = file ? `${file}${v.line ? `:${v.line}` : ''}` : (v.line ? `line ${v.line}` : 'config');
+    return `${where}: [${v.rule}] ${v.message}${v.context ? ` (${v.context})` : ''}`;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const options = {};
+    const files = [];
+    let output = null;
+    let mainFile = MAIN_CONFIG_FILE;
+    let template = TEMPLATE_FILE;
+    let tlsDir = null;
+    let json = false;
+
+    // Parse command line arguments; --json and --tls take no value
+    for (let i = 0; i < args.length; i++) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'port':
+                options.port = parseInt(value);
+                i++;
+                break;
+            case 'connect-timeout':
+                options.connectTimeout = value;
+                i++;
+                break;
+            case 'send-timeout':
+                options.sendTimeout = value;
+                i++;
+                break;
+            case 'read-timeout':
+                options.readTimeout = value;
+                i++;
+                break;
+            case 'rate-burst':
+                options.rateBurst = parseInt(value);
+                i++;
+                break;
+            case 'conn-limit':
+                options.connLimit = parseInt(value);
+                i++;
+                break;
+            case 'auth':
+                options.auth = value !== 'off';
+                i++;
+                break;
+            case 'server-name':
+                options.serverName = value;
+                i++;
+                break;
+            case 'tls':
+                options.tls = true;
+                break;
+            case 'tls-cert':
+                options.tlsCert = value;
+                i++;
+                break;
+            case 'tls-key':
+                options.tlsKey = value;
+                i++;
+                break;
+            case 'tls-dir':
+                tlsDir = value;
+                i++;
+                break;
+            case 'template':
+                template = value;
+                i++;
+                break;
+            case 'main':
+                mainFile = value === 'none' ? null : value;
+                i++;
+                break;
+            case 'output':
+                output = value;
+                i++;
+                break;
+            case 'lint':
+                files.push(value);
+                i++;
+                break;
+            case 'json':
+                json = true;
+                break;
+            case 'help':
+                console.log(`
+Usage: node nginx-config.js --port N [options]
+       node nginx-config.js --lint FILE [--lint FILE...] [--port N]
+
+Renders nginx/templates/proxy-template.conf for a Chrome port and checks it before
+writing it. With --lint, checks existing config files instead.
+
+Options:
+  --port N              Chrome debugger port (required to render)
+  --connect-timeout T   proxy_connect_timeout, seconds or nginx time (default: 4s)
+  --send-timeout T      proxy_send_timeout (default: 60s)
+  --read-timeout T      proxy_read_timeout, how long a quiet session lives (default: 60s)
+  --rate-burst N        limit_req burst (default: 20)
+  --conn-limit N        limit_conn connections per client address (default: 10)
+  --auth on|off         auth_request through the auth sidecar (default: on)
+  --server-name NAMES   server_name, and the names TLS clients may send as SNI; separate
+                        several with spaces (default: localhost)
+  --tls                 Serve HTTPS and WSS on the port instead of plain HTTP; handshakes
+                        for other names than --server-name are refused
+  --tls-cert FILE       ssl_certificate (default: /etc/nginx/tls/server.pem)
+  --tls-key FILE        ssl_certificate_key (default: /etc/nginx/tls/server.key)
+  --tls-dir DIR         Serve TLS if DIR holds server.pem and server.key, for every DNS name
+                        in the certificate unless --server-name is given
+  --template FILE       Template to render (default: nginx/templates/proxy-template.conf)
+  --main FILE           nginx.conf defining the map, zones and upstreams, none to skip
+                        those checks (default: nginx/nginx.conf)
+  --output FILE         Write the config to FILE instead of stdout; nothing is written on violations
+  --lint FILE           Check FILE; repeatable
+  --json                Print violations as JSON
+  --help                Show this help message
+
+Rules: devtools-upgrade, connection-upgrade-map, listen-port, proxy-pass-port,
+error-page-target, error-page-missing, auth-location, undefined-zone,
+undefined-upstream, duplicate-proxy-header, tls-certificate, forwarded-proto,
+unresolved-placeholder, syntax, invalid-variable, unknown-variable.
+
+Exit codes: 0 clean, 1 usage or I/O error, 2 violations found.
+
+Examples:
+  node nginx-config.js --port 48333 --output /etc/nginx/conf.d/chrome-proxy-48333.conf
+  node nginx-config.js --port 48333 --read-timeout 300 --auth off
+  node nginx-config.js --port 48333 --tls --server-name chrome-proxy.internal
+  node nginx-config.js --port 48333 --tls-dir /etc/nginx/tls
+  node nginx-config.js --lint /etc/nginx/conf.d/chrome-proxy-48333.conf --json
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    const report = (results) => {
+        if (json) {
+            console.log(JSON.stringify(results, null, 2));
+        } else {
+            results.forEach(result => result.violations.forEach(v => console.error(formatViolation(v, result.file))));
+        }
+        return results.some(result => result.violations.length > 0) ? 2 : 0;
+    };
+
+    let mainText = null;
+    try {
+        mainText = mainFile ? fs.readFileSync(mainFile, 'utf8') : null;
+    } catch (error) {
+        console.error(`Cannot read ${mainFile}: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (files.length > 0) {
+        const results = [];
+        for (const file of files) {
+            let text;
+            try {
+                text = fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                console.error(`Cannot read ${file}: ${error.message}`);
+                process.exit(1);
+            }
+            results.push({ file, violations: lint(text, { port: options.port, main: mainText }) });
+        }
+        process.exit(report(results));
+    }
+
+    if (options.port === undefined) {
+        console.error('--port is required; see --help');
+        process.exit(1);
+    }
+
+    let text;
+    try {
+        if (tlsDir) {
+            Object.assign(options, tlsOptions(tlsDir, options.serverName));
+        }
+        text = generate(options, { template: fs.readFileSync(template, 'utf8'), main: mainText });
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            process.exit(report([{ file: output, violations: error.violations }]));
+        }
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (output) {
+        fs.writeFileSync(output, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    VARIABLES,
+    ConfigError,
+    render,
+    parse,
+    lint,
+    generate,
+    tlsOptions
+};
@@ -0,0 +1,824 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome Debugger Pool Manager
+ * Keeps a pool of Chrome instances and leases them out over a REST API
+ * Recycles instances after N leases or when they crash, and writes and reloads an nginx server block per port
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { spawn, execFile, execFileSync } = require('child_process');
+const fetch = require('node-fetch');
+const JsonRewriter = require('./json-rewriter');
+const { generate, tlsOptions } = require('./nginx-config');
+
+// Searched in order when no binary is configured, same as start-chrome.sh
+const CHROME_BINARIES = [
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/opt/google/chrome/google-chrome'
+];
+
+// start-chrome.sh's flags, the port and user data directory are added per instance
+const CHROME_ARGS = [
+    '--remote-debugging-address=0.0.0.0',
+    '--headless=new',
+    '--no-sandbox',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--disable-extensions',
+    '--disable-background-timer-throttling',
+    '--disable-renderer-backgrounding',
+    '--disable-backgrounding-occluded-windows',
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--disable-default-apps'
+];
+
+const MAX_BODY = 64 * 1024;
+const MAX_ENDED_LEASES = 1000;
+
+class PoolError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'PoolError';
+        this.status = status;
+    }
+}
+
+class PoolManager {
+    constructor(config = {}) {
+        this.config = {
+            listenHost: '127.0.0.1',
+            listenPort: 9467,
+            chromeBinary: null, // first of CHROME_BINARIES when unset
+            chromeArgs: [], // added after CHROME_ARGS
+            user: null, // run Chrome as this user when the manager runs as root
+            portRange: {
+                start: 48000,
+                end: 49000
+            },
+            minSize: 2, // instances kept running, leased or not
+            maxSize: 10,
+            maxLeases: 1, // leases an instance serves before it is replaced by a fresh one
+            leaseTtl: 300, // seconds, unless the client asks for another ttl
+            maxLeaseTtl: 3600,
+            startTimeout: 30000, // ms for a new instance to answer /json/version
+            stopTimeout: 10000, // ms between SIGTERM and SIGKILL
+            restartDelay: 5000, // ms to wait before refilling the pool after a failed launch
+            sweepInterval: 1000, // ms between lease expiry checks
+            dataDir: '/tmp/chrome-debug-data',
+            pidDir: '/var/run/chrome-debug',
+            logDir: '/var/log/chrome-debug',
+            nginxTemplate: path.join(__dirname, '..', 'nginx', 'templates', 'proxy-template.conf'),
+            nginxConfDir: '/etc/nginx/conf.d', // null leaves nginx alone
+            nginxTest: 'nginx -t',
+            nginxReload: 'systemctl reload nginx-proxy',
+            tlsDir: '/etc/nginx/tls', // ports serve HTTPS/WSS once it holds server.pem and server.key (null = never)
+            serverName: process.env.CHROME_PROXY_SERVER_NAME || null, // default: every DNS name in the certificate
+            publicHost: null, // host clients reach nginx on, used for wsEndpoint instead of Chrome's own address
+            quiet: false,
+            ...config
+        };
+
+        this.instances = new Map(); // instance id -> instance
+        this.leases = new Map(); // lease id -> lease
+        this.endedLeases = new Map(); // lease id -> why it ended, so renew and release can answer 410
+        this.nextId = 1;
+        this.lastLaunchFailure = 0;
+        this.nginxQueue = Promise.resolve();
+        this.sweepTimer = null;
+        this.stopping = false;
+        this.server = null;
+        this.port = null;
+        this.owner = null;
+        this.stats = { launched: 0, launchFailures: 0, crashes: 0, recycled: 0, leases: 0, expired: 0, nginxReloads: 0, nginxErrors: 0 };
+    }
+
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    static findChromeBinary() {
+        const binary = CHROME_BINARIES.find(file => {
+            try {
+                fs.accessSync(file, fs.constants.X_OK);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        });
+        if (!binary) {
+            throw new Error('Chrome binary not found, install Google Chrome or Chromium or pass --chrome');
+        }
+        return binary;
+    }
+
+    static resolveUser(name) {
+        return {
+            uid: parseInt(execFileSync('id', ['-u', name], { encoding: 'utf8' })),
+            gid: parseInt(execFileSync('id', ['-g', name], { encoding: 'utf8' }))
+        };
+    }
+
+    static isPortFree(port) {
+        return new Promise((resolve) => {
+            const probe = net.createServer();
+            probe.once('error', () => resolve(false));
+            probe.listen(port, () => probe.close(() => resolve(true)));
+        });
+    }
+
+    static runCommand(command) {
+        return new Promise((resolve, reject) => {
+            execFile('/bin/sh', ['-c', command], { timeout: 30000 }, (error, stdout, stderr) => {
+                if (error) {
+                    error.message = `${command} failed: ${(stderr || error.message).trim()}`;
+                    reject(error);
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    countByState(state) {
+        return [...this.instances.values()].filter(instance => instance.state === state).length;
+    }
+
+    // Claims the first port in the range that no instance holds and nothing else listens on
+    async claimPort(instance) {
+        const { start, end } = this.config.portRange;
+        const held = port => [...this.instances.values()].some(other => other !== instance && other.port === port);
+
+        for (let port = start; port <= end; port++) {
+            if (held(port)) {
+                continue;
+            }
+            // Hold the port while it is probed so concurrent launches skip it
+            instance.port = port;
+            if (await PoolManager.isPortFree(port)) {
+                return port;
+            }
+        }
+
+        instance.port = null;
+        throw new PoolError(503, `No free ports in ${start}-${end}`);
+    }
+
+    instanceFiles(instance) {
+        return {
+            dataDir: path.join(this.config.dataDir, `chrome-${instance.port}`),
+            pidFile: path.join(this.config.pidDir, `chrome-${instance.port}.pid`),
+            logFile: path.join(this.config.logDir, `chrome-${instance.port}.log`)
+        };
+    }
+
+    // Starts one Chrome instance and resolves once its debugger answers; state is what it becomes then
+    async launch(state = 'idle') {
+        const instance = {
+            id: this.nextId++,
+            port: null,
+            pid: null,
+            process: null,
+            state: 'starting',
+            leaseCount: 0,
+            lease: null,
+            startedAt: Date.now(),
+            browser: null,
+            wsEndpoint: null,
+            exit: null,
+            stopped: null // the stop in progress, shared by everything that stops the instance
+        };
+        this.instances.set(instance.id, instance);
+
+        try {
+            await this.claimPort(instance);
+            this.spawnChrome(instance);
+            await this.waitForDebugger(instance);
+        } catch (error) {
+            this.stats.launchFailures++;
+            this.lastLaunchFailure = Date.now();
+            this.log(`Chrome failed to start on port ${instance.port}: ${error.message}`, 'ERROR');
+            await this.stopInstance(instance);
+            throw error instanceof PoolError ? error : new PoolError(502, `Chrome failed to start: ${error.message}`);
+        }
+
+        this.stats.launched++;
+        instance.state = state;
+        this.log(`Chrome ${instance.browser} ready on port ${instance.port} (PID ${instance.pid})`);
+
+        await this.writeNginxConfig(instance.port);
+        return instance;
+    }
+
+    spawnChrome(instance) {
+        const files = this.instanceFiles(instance);
+        fs.mkdirSync(files.dataDir, { recursive: true });
+        if (this.owner) {
+            fs.chownSync(files.dataDir, this.owner.uid, this.owner.gid);
+        }
+
+        const args = [
+            `--remote-debugging-port=${instance.port}`,
+            `--user-data-dir=${files.dataDir}`,
+            ...CHROME_ARGS,
+            ...this.config.chromeArgs
+        ];
+        const logFd = fs.openSync(files.logFile, 'a');
+
+        let child;
+        try {
+            child = spawn(this.config.chromeBinary, args, {
+                stdio: ['ignore', logFd, logFd],
+                ...(this.owner || {})
+            });
+        } finally {
+            fs.closeSync(logFd);
+        }
+
+        instance.process = child;
+        instance.pid = child.pid;
+        child.on('error', (error) => {
+            instance.exit = { error };
+        });
+        child.on('exit', (code, signal) => {
+            instance.exit = instance.exit || { code, signal };
+            this.handleExit(instance);
+        });
+
+        // PID files let port-discovery, the gateway and the metrics exporter find pool instances
+        if (child.pid) {
+            fs.writeFileSync(files.pidFile, `${child.pid}\n`);
+        }
+    }
+
+    async waitForDebugger(instance) {
+        const deadline = Date.now() + this.config.startTimeout;
+
+        while (Date.now() < deadline) {
+            if (instance.exit) {
+                const { code, signal, error } = instance.exit;
+                throw new Error(error ? error.message : `exited with ${signal || `code ${code}`}`);
+            }
+
+            try {
+                const response = await fetch(`http://127.0.0.1:${instance.port}/json/version`, { timeout: 1000 });
+                if (response.ok) {
+                    const version = await response.json();
+                    instance.browser = version.Browser;
+                    instance.wsEndpoint = this.config.publicHost
+                        ? JsonRewriter.rewriteSocketUrl(version.webSocketDebuggerUrl, { secure: false, host: `${this.config.publicHost}:${instance.port}` })
+                        : version.webSocketDebuggerUrl;
+                    return;
+                }
+            } catch (error) {
+                // Not listening yet
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+
+        throw new Error(`no answer on /json/version within ${this.config.startTimeout}ms`);
+    }
+
+    handleExit(instance) {
+        if (instance.state === 'stopping' || instance.state === 'starting') {
+            return;
+        }
+
+        const { code, signal } = instance.exit;
+        this.stats.crashes++;
+        this.log(`Chrome on port ${instance.port} (PID ${instance.pid}) exited with ${signal || `code ${code}`}, replacing it`, 'WARN');
+
+        // No longer leased, so ending the lease leaves the instance to this stop instead of recycling it
+        instance.state = 'crashed';
+        if (instance.lease) {
+            this.endLease(instance.lease, 'instance crashed');
+        }
+        this.stopInstance(instance).then(() => this.fill());
+    }
+
+    // Stops an instance if it still runs and removes its PID file, data directory and nginx config
+    stopInstance(instance) {
+        if (!instance.stopped) {
+            instance.stopped = this.removeInstance(instance);
+        }
+        return instance.stopped;
+    }
+
+    async removeInstance(instance) {
+        instance.state = 'stopping';
+        const child = instance.process;
+
+        if (child && !instance.exit) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill('SIGTERM');
+
+            const timer = setTimeout(() => {
+                this.log(`Force killing Chrome on port ${instance.port}`, 'WARN');
+                child.kill('SIGKILL');
+            }, this.config.stopTimeout);
+            await exited;
+            clearTimeout(timer);
+        }
+
+        if (instance.port) {
+            const files = this.instanceFiles(instance);
+            fs.rmSync(files.pidFile, { force: true });
+            fs.rmSync(files.dataDir, { recursive: true, force: true });
+            await this.removeNginxConfig(instance.port);
+        }
+
+        this.instances.delete(instance.id);
+    }
+
+    async recycle(instance) {
+        this.stats.recycled++;
+        this.log(`Recycling Chrome on port ${instance.port} after ${instance.leaseCount} leases`);
+        await this.stopInstance(instance);
+        await this.fill();
+    }
+
+    // Launches instances until minSize run; resolves once those launches settle
+    fill() {
+        if (this.stopping || Date.now() - this.lastLaunchFailure < this.config.restartDelay) {
+            return Promise.resolve();
+        }
+
+        const launches = [];
+        while (this.instances.size < Math.min(this.config.minSize, this.config.maxSize)) {
+            launches.push(this.launch().catch(() => {}));
+        }
+        return Promise.all(launches);
+    }
+
+    checkTtl(ttl) {
+        const seconds = ttl === undefined || ttl === null ? this.config.leaseTtl : Number(ttl);
+        if (!Number.isInteger(seconds) || seconds <= 0 || seconds > this.config.maxLeaseTtl) {
+            throw new PoolError(400, `ttl must be a whole number of seconds between 1 and ${this.config.maxLeaseTtl}`);
+        }
+        return seconds;
+    }
+
+    findLease(leaseId) {
+        const lease = this.leases.get(leaseId);
+        if (lease) {
+            return lease;
+        }
+
+        const ended = this.endedLeases.get(leaseId);
+        if (ended) {
+            throw new PoolError(410, `Lease ${leaseId} ended: ${ended}`);
+        }
+        throw new PoolError(404, `Unknown lease ${leaseId}`);
+    }
+
+    describeLease(lease) {
+        return {
+            leaseId: lease.id,
+            port: lease.instance.port,
+            wsEndpoint: lease.instance.wsEndpoint,
+            client: lease.client,
+            createdAt: new Date(lease.createdAt).toISOString(),
+            expiresAt: new Date(lease.expiresAt).toISOString()
+        };
+    }
+
+    describeInstance(instance) {
+        return {
+            id: instance.id,
+            port: instance.port,
+            pid: instance.pid,
+            state: instance.state,
+            browser: instance.browser,
+            leaseCount: instance.leaseCount,
+            leaseId: instance.lease ? instance.lease.id : null,
+            startedAt: new Date(instance.startedAt).toISOString()
+        };
+    }
+
+    async lease(options = {}) {
+        const ttl = this.checkTtl(options.ttl);
+
+        let instance = [...this.instances.values()].find(candidate => candidate.state === 'idle');
+        if (!instance) {
+            if (this.instances.size >= this.config.maxSize) {
+                throw new PoolError(503, `Pool exhausted, all ${this.config.maxSize} instances are leased or starting`);
+            }
+            instance = await this.launch('leased');
+        }
+
+        const now = Date.now();
+        const lease = {
+            id: crypto.randomUUID(),
+            instance,
+            client: options.client ? String(options.client) : null,
+            createdAt: now,
+            expiresAt: now + ttl * 1000
+        };
+
+        instance.state = 'leased';
+        instance.lease = lease;
+        instance.leaseCount++;
+        this.leases.set(lease.id, lease);
+        this.stats.leases++;
+        this.log(`Leased port ${instance.port} to ${lease.client || 'anonymous client'} for ${ttl}s (lease ${lease.id})`);
+
+        // Keep a warm instance for the next lease
+        this.fill();
+        return this.describeLease(lease);
+    }
+
+    renew(leaseId, options = {}) {
+        const lease = this.findLease(leaseId);
+        lease.expiresAt = Date.now() + this.checkTtl(options.ttl) * 1000;
+        return this.describeLease(lease);
+    }
+
+    async release(leaseId) {
+        await this.endLease(this.findLease(leaseId), 'released');
+    }
+
+    // Frees the instance behind a lease; anything but a clean release recycles it
+    async endLease(lease, reason) {
+        const instance = lease.instance;
+        this.leases.delete(lease.id);
+        this.endedLeases.set(lease.id, reason);
+        if (this.endedLeases.size > MAX_ENDED_LEASES) {
+            this.endedLeases.delete(this.endedLeases.keys().next().value);
+        }
+
+        if (instance.lease !== lease) {
+            return;
+        }
+        instance.lease = null;
+        this.log(`Lease ${lease.id} on port ${instance.port} ${reason}`);
+
+        if (instance.state !== 'leased') {
+            return;
+        }
+        if (reason !== 'released' || instance.leaseCount >= this.config.maxLeases) {
+            await this.recycle(instance);
+        } else {
+            instance.state = 'idle';
+        }
+    }
+
+    sweep() {
+        const now = Date.now();
+        this.leases.forEach(lease => {
+            if (lease.expiresAt <= now) {
+                this.stats.expired++;
+                this.endLease(lease, 'expired');
+            }
+        });
+        this.fill();
+    }
+
+    nginxConfigPath(port) {
+        return path.join(this.config.nginxConfDir, `chrome-proxy-${port}.conf`);
+    }
+
+    // Tests and reloads nginx, one run at a time; resolves to false when either command fails
+    reloadNginx() {
+        this.nginxQueue = this.nginxQueue.then(async () => {
+            try {
+                await PoolManager.runCommand(this.config.nginxTest);
+                await PoolManager.runCommand(this.config.nginxReload);
+                this.stats.nginxReloads++;
+                return true;
+            } catch (error) {
+                this.stats.nginxErrors++;
+                this.log(error.message, 'ERROR');
+                return false;
+            }
+        });
+        return this.nginxQueue;
+    }
+
+    async writeNginxConfig(port) {
+        if (!this.config.nginxConfDir) {
+            return;
+        }
+
+        const file = this.nginxConfigPath(port);
+        try {
+            const template = fs.readFileSync(this.config.nginxTemplate, 'utf8');
+            const tls = this.config.tlsDir ? tlsOptions(this.config.tlsDir, this.config.serverName) : {};
+            fs.writeFileSync(file, generate({ port, ...tls }, { template }));
+        } catch (error) {
+            this.stats.nginxErrors++;
+            this.log(`Could not write nginx config for port ${port}: ${error.message}`, 'ERROR');
+            (error.violations || []).forEach(v => this.log(`  line ${v.line}: [${v.rule}] ${v.message}`, 'ERROR'));
+            return;
+        }
+
+        // A config nginx rejects is removed again so the next reload does not fail on it
+        if (!await this.reloadNginx()) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+
+    async removeNginxConfig(port) {
+        if (!this.config.nginxConfDir || !fs.existsSync(this.nginxConfigPath(port))) {
+            return;
+        }
+        fs.rmSync(this.nginxConfigPath(port), { force: true });
+        await this.reloadNginx();
+    }
+
+    // Rewrites every running instance's nginx config, e.g. after the template changed
+    async refreshNginx() {
+        for (const instance of this.instances.values()) {
+            if (instance.state === 'idle' || instance.state === 'leased') {
+                await this.writeNginxConfig(instance.port);
+            }
+        }
+    }
+
+    sendJson(res, status, body) {
+        const payload = JSON.stringify(body, null, 3) + '\n';
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=UTF-8',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY) {
+                    reject(new PoolError(413, 'Request body too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8').trim();
+                try {
+                    resolve(text ? JSON.parse(text) : {});
+                } catch (error) {
+                    reject(new PoolError(400, `Invalid JSON body: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async route(req) {
+        const pathname = req.url.split('?')[0].replace(/\/+$/, '') || '/';
+        const method = req.method;
+        const leaseMatch = pathname.match(/^\/leases\/([^/]+)(\/renew)?$/);
+
+        if (pathname === '/health' && method === 'GET') {
+            return [200, {
+                status: 'ok',
+                size: this.instances.size,
+                idle: this.countByState('idle'),
+                leased: this.countByState('leased'),
+                starting: this.countByState('starting'),
+                ...this.stats
+            }];
+        }
+        if (pathname === '/instances' && method === 'GET') {
+            return [200, [...this.instances.values()].map(instance => this.describeInstance(instance))];
+        }
+        if (pathname === '/leases' && method === 'GET') {
+            return [200, [...this.leases.values()].map(lease => this.describeLease(lease))];
+        }
+        if (pathname === '/leases' && method === 'POST') {
+            return [201, await this.lease(await this.readBody(req))];
+        }
+        if (leaseMatch && leaseMatch[2] && method === 'POST') {
+            return [200, this.renew(leaseMatch[1], await this.readBody(req))];
+        }
+        if (leaseMatch && !leaseMatch[2] && method === 'GET') {
+            return [200, this.describeLease(this.findLease(leaseMatch[1]))];
+        }
+        if (leaseMatch && !leaseMatch[2] && method === 'DELETE') {
+            await this.release(leaseMatch[1]);
+            return [204, null];
+        }
+
+        throw new PoolError(404, `No route for ${method} ${pathname}`);
+    }
+
+    async handleRequest(req, res) {
+        try {
+            const [status, body] = await this.route(req);
+            if (status === 204) {
+                res.writeHead(204);
+                res.end();
+            } else {
+                this.sendJson(res, status, body);
+            }
+        } catch (error) {
+            const status = error instanceof PoolError ? error.status : 500;
+            if (status === 500) {
+                this.log(`${req.method} ${req.url} failed: ${error.stack}`, 'ERROR');
+            }
+            this.sendJson(res, status, { error: error.message, status });
+        }
+    }
+
+    async start() {
+        this.config.chromeBinary = this.config.chromeBinary || PoolManager.findChromeBinary();
+        this.owner = this.config.user ? PoolManager.resolveUser(this.config.user) : null;
+        [this.config.dataDir, this.config.pidDir, this.config.logDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.listenPort, this.config.listenHost, resolve);
+        });
+
+        this.port = this.server.address().port;
+        this.log(`Pool manager listening on ${this.config.listenHost}:${this.port}, ${this.config.minSize}-${this.config.maxSize} instances of ${this.config.chromeBinary}`);
+
+        this.sweepTimer = setInterval(() => this.sweep(), this.config.sweepInterval);
+        this.fill();
+        return this.port;
+    }
+
+    async stop() {
+        this.stopping = true;
+        clearInterval(this.sweepTimer);
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+
+        await Promise.all([...this.instances.values()].map(instance => this.stopInstance(instance)));
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    // Parse command line arguments
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'listen-host':
+                config.listenHost = value;
+                break;
+            case 'listen-port':
+                config.listenPort = parseInt(value);
+                break;
+            case 'chrome':
+                config.chromeBinary = value;
+                break;
+            case 'chrome-arg':
+                config.chromeArgs = [...(config.chromeArgs || []), value];
+                break;
+            case 'user':
+                config.user = value;
+                break;
+            case 'range': {
+                const [start, end] = value.split('-').map(n => parseInt(n));
+                config.portRange = { start, end: end || start };
+                break;
+            }
+            case 'min':
+                config.minSize = parseInt(value);
+                break;
+            case 'max':
+                config.maxSize = parseInt(value);
+                break;
+            case 'max-leases':
+                config.maxLeases = parseInt(value);
+                break;
+            case 'lease-ttl':
+                config.leaseTtl = parseInt(value);
+                break;
+            case 'max-lease-ttl':
+                config.maxLeaseTtl = parseInt(value);
+                break;
+            case 'start-timeout':
+                config.startTimeout = parseFloat(value) * 1000;
+                break;
+            case 'data-dir':
+                config.dataDir = value;
+                break;
+            case 'pid-dir':
+                config.pidDir = value;
+                break;
+            case 'log-dir':
+                config.logDir = value;
+                break;
+            case 'nginx-template':
+                config.nginxTemplate = value;
+                break;
+            case 'nginx-conf-dir':
+                config.nginxConfDir = value === 'none' ? null : value;
+                break;
+            case 'nginx-test':
+                config.nginxTest = value;
+                break;
+            case 'nginx-reload':
+                config.nginxReload = value;
+                break;
+            case 'tls-dir':
+                config.tlsDir = value === 'none' ? null : value;
+                break;
+            case 'server-name':
+                config.serverName = value;
+                break;
+            case 'public-host':
+                config.publicHost = value;
+                break;
+            case 'help':
+                console.log(`
+Usage: node pool-manager.js [options]
+
+Options:
+  --listen-host HOST      Address for the REST API (default: 127.0.0.1)
+  --listen-port N         Port for the REST API (default: 9467)
+  --chrome PATH           Chrome binary (default: first of google-chrome, chromium, ...)
+  --chrome-arg FLAG       Extra Chrome flag, repeat for more
+  --user NAME             Run Chrome as this user (manager running as root)
+  --range START-END       Ports for Chrome instances (default: 48000-49000)
+  --min N                 Instances kept running (default: 2)
+  --max N                 Most instances at once (default: 10)
+  --max-leases N          Leases per instance before it is replaced (default: 1)
+  --lease-ttl N           Default lease lifetime in seconds (default: 300)
+  --max-lease-ttl N       Longest lease or renewal in seconds (default: 3600)
+  --start-timeout N       Seconds for a new instance to come up (default: 30)
+  --data-dir DIR          Parent of the per-instance user data dirs (default: /tmp/chrome-debug-data)
+  --pid-dir DIR           PID files, as read by --pid-dir elsewhere (default: /var/run/chrome-debug)
+  --log-dir DIR           Chrome output per port (default: /var/log/chrome-debug)
+  --nginx-template FILE   Server block template (default: nginx/templates/proxy-template.conf)
+  --nginx-conf-dir DIR    Where chrome-proxy-PORT.conf goes, or none (default: /etc/nginx/conf.d)
+  --nginx-test CMD        Config test command (default: nginx -t)
+  --nginx-reload CMD      Reload command (default: systemctl reload nginx-proxy)
+  --tls-dir DIR           Serve HTTPS/WSS once DIR holds server.pem and server.key, as
+                          start-chrome.sh does, or none (default: /etc/nginx/tls)
+  --server-name NAMES     server_name for TLS ports, space-separated (default:
+                          $CHROME_PROXY_SERVER_NAME, else every DNS name in the certificate)
+  --public-host HOST      Host in the wsEndpoint handed to clients (default: Chrome's own)
+  --help                  Show this help message
+
+REST API:
+  POST   /leases              Lease an instance, body { "ttl": 300, "client": "ci-42" }
+  GET    /leases/ID           Show a lease
+  POST   /leases/ID/renew     Extend a lease, body { "ttl": 300 }
+  DELETE /leases/ID           Release a lease
+  GET    /leases, /instances  List leases or instances
+  GET    /health              Pool size and counters
+
+Sending SIGHUP rewrites every instance's nginx config and reloads nginx.
+
+Examples:
+  node pool-manager.js --user chrome --min 2 --max 20 --public-host proxy.example.com
+  node pool-manager.js --chrome ./fake-chrome.js --nginx-conf-dir none --listen-port 9500
+  curl -s -X POST -d '{"ttl": 120}' http://127.0.0.1:9467/leases
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    const pool = new PoolManager(config);
+
+    try {
+        await pool.start();
+    } catch (error) {
+        console.error('Failed to start pool manager:', error.message);
+        process.exit(1);
+    }
+
+    process.on('SIGHUP', () => pool.refreshNginx());
+
+    const shutdown = async () => {
+        await pool.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = PoolManager;
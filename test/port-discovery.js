@@ -0,0 +1,210 @@
+/**
+ * Chrome Debugger Port Discovery
+ * Finds active Chrome debugger instances with a bounded pool of concurrent probes
+ * Each port gets a fast TCP connect check before the /json/version HTTP probe
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const fetch = require('node-fetch');
+const ProxyAuth = require('./proxy-auth');
+const ProxyTls = require('./proxy-tls');
+
+class PortDiscovery {
+    constructor(config = {}) {
+        this.config = {
+            host: 'localhost',
+            portRange: {
+                start: 48000,
+                end: 49000
+            },
+            concurrency: 50,
+            connectTimeout: 500,
+            timeout: 10000,
+            pidDir: '/var/run/chrome-debug',
+            usePidFiles: false,
+            auth: null, // credentials for a proxy behind the auth sidecar
+            tls: null, // { enabled, ca, servername } for a proxy serving https
+            quiet: false,
+            ...config
+        };
+        // With no probes in flight discovery would quietly find nothing
+        if (!Number.isInteger(this.config.concurrency) || this.config.concurrency < 1) {
+            throw new Error(`Discovery concurrency must be a positive integer, got ${this.config.concurrency}`);
+        }
+        this.auth = new ProxyAuth(this.config.auth || {});
+        this.tls = new ProxyTls(this.config.tls || {});
+        // Ports that answered but refused our credentials (HTTP 401/403 from the auth sidecar)
+        this.refusedPorts = [];
+    }
+
+    // On stderr: discovery runs under CLIs that write JSON reports to stdout
+    log(message, level = 'INFO') {
+        if (this.config.quiet) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        console.error(`[${timestamp}] [${level}] ${message}`);
+    }
+
+    // Ports from the chrome-<port>.pid files written by start-chrome.sh
+    readPidFilePorts() {
+        let files;
+        try {
+            files = fs.readdirSync(this.config.pidDir);
+        } catch (error) {
+            this.log(`Cannot read PID directory ${this.config.pidDir}: ${error.message}`, 'WARN');
+            return [];
+        }
+
+        const ports = [];
+        files.forEach(file => {
+            const match = file.match(/^chrome-(\d+)\.pid$/);
+            if (!match) {
+                return;
+            }
+
+            // Skip stale PID files whose process has exited, and files removed or unreadable since the listing
+            let pid;
+            try {
+                pid = parseInt(fs.readFileSync(path.join(this.config.pidDir, file), 'utf8'));
+            } catch (error) {
+                this.log(`Skipping ${file}: ${error.message}`, 'WARN');
+                return;
+            }
+            if (pid && this.isProcessAlive(pid)) {
+                ports.push(parseInt(match[1]));
+            }
+        });
+
+        return ports.sort((a, b) => a - b);
+    }
+
+    isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM means the process exists but belongs to another user
+            return error.code === 'EPERM';
+        }
+    }
+
+    candidatePorts() {
+        if (this.config.usePidFiles) {
+            const ports = this.readPidFilePorts();
+            if (ports.length > 0) {
+                return ports;
+            }
+            this.log(`No running instances in PID files under ${this.config.pidDir}, scanning ports ${this.config.portRange.start}-${this.config.portRange.end}`, 'WARN');
+        }
+
+        const ports = [];
+        for (let port = this.config.portRange.start; port <= this.config.portRange.end; port++) {
+            ports.push(port);
+        }
+        return ports;
+    }
+
+    tcpCheck(port) {
+        return new Promise((resolve) => {
+            const socket = net.connect({ host: this.config.host, port });
+
+            const finish = (open) => {
+                socket.destroy();
+                resolve(open);
+            };
+
+            socket.setTimeout(this.config.connectTimeout);
+            socket.once('connect', () => finish(true));
+            socket.once('timeout', () => finish(false));
+            socket.once('error', () => finish(false));
+        });
+    }
+
+    async fetchJson(port, endpoint) {
+        const response = await fetch(this.auth.authorizeUrl(this.tls.url(this.config.host, port, endpoint)), {
+            ...this.tls.fetchOptions(),
+            timeout: this.config.timeout,
+            headers: {
+                'User-Agent': 'Chrome-Proxy-Test/1.0',
+                ...this.auth.headers()
+            }
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    // Returns an instance description, or null if nothing answers on the port
+    async probe(port) {
+        if (!(await this.tcpCheck(port))) {
+            return null;
+        }
+
+        let version;
+        try {
+            version = await this.fetchJson(port, '/json/version');
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) {
+                this.refusedPorts.push(port);
+            }
+            return null;
+        }
+
+        let targetCount = null;
+        try {
+            const targets = await this.fetchJson(port, '/json/list');
+            targetCount = Array.isArray(targets) ? targets.length : null;
+        } catch (error) {
+            // The version endpoint answered, so the instance is still reported
+        }
+
+        return {
+            port,
+            browser: version.Browser,
+            protocolVersion: version['Protocol-Version'],
+            userAgent: version['User-Agent'],
+            webSocketDebuggerUrl: version.webSocketDebuggerUrl,
+            targetCount
+        };
+    }
+
+    // Run fn over items with at most `limit` calls in flight
+    async mapWithConcurrency(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index]);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(limit, items.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    async discover() {
+        const ports = this.candidatePorts();
+        const results = await this.mapWithConcurrency(ports, this.config.concurrency, port => this.probe(port));
+
+        return results
+            .filter(instance => instance !== null)
+            .sort((a, b) => a.port - b.port);
+    }
+}
+
+module.exports = PortDiscovery;
@@ -0,0 +1,186 @@
+/**
+ * Prometheus Metrics Registry
+ * Minimal counters, gauges and histograms rendered in the Prometheus text or OpenMetrics format
+ * Kept dependency-free so the exporter runs wherever the test suite does
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const CONTENT_TYPES = {
+    prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+    openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+};
+
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Stable key for a label set, independent of property order
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.series = new Map();
+    }
+
+    entry(labels, create) {
+        const key = labelKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: { ...labels }, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    remove(labels) {
+        this.series.delete(labelKey(labels));
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.entry(labels, () => ({ value: 0 })).value += value;
+    }
+
+    samples() {
+        return [...this.series.values()].map(series => [this.name, series.labels, series.value]);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super('gauge', name, help);
+    }
+
+    set(labels = {}, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    samples() {
+        return [...this.series.values()].map(series => [this.name, series.labels, series.value]);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.entry(labels, () => ({
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    samples() {
+        const samples = [];
+        this.series.forEach(series => {
+            this.buckets.forEach((bound, index) => {
+                samples.push([`${this.name}_bucket`, { ...series.labels, le: formatValue(bound) }, series.counts[index]]);
+            });
+            samples.push([`${this.name}_bucket`, { ...series.labels, le: '+Inf' }, series.count]);
+            samples.push([`${this.name}_sum`, series.labels, series.sum]);
+            samples.push([`${this.name}_count`, series.labels, series.count]);
+        });
+        return samples;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    // Pick the exposition format from a scraper's Accept header
+    static negotiate(accept = '') {
+        return accept.includes('application/openmetrics-text') ? 'openmetrics' : 'prometheus';
+    }
+
+    render(format = 'prometheus') {
+        const lines = [];
+
+        this.metrics.forEach(metric => {
+            // OpenMetrics names the counter family without its _total suffix
+            const family = format === 'openmetrics' && metric.type === 'counter'
+                ? metric.name.replace(/_total$/, '')
+                : metric.name;
+
+            lines.push(`# HELP ${family} ${metric.help}`);
+            lines.push(`# TYPE ${family} ${metric.type}`);
+            metric.samples().forEach(([name, labels, value]) => {
+                lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+            });
+        });
+
+        if (format === 'openmetrics') {
+            lines.push('# EOF');
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+MetricsRegistry.CONTENT_TYPES = CONTENT_TYPES;
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = MetricsRegistry;
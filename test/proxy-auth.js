@@ -0,0 +1,145 @@
+/**
+ * DevTools Proxy Credentials
+ * Bearer tokens and HMAC-signed, short-lived URLs scoped to a port or target id
+ * Shared by the auth sidecar that verifies credentials and the testers that send them
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+
+// Append query parameters without re-encoding the existing query; Chrome reads /json/new?URL raw
+function appendParams(parsed, params) {
+    const extra = new URLSearchParams(params).toString();
+    parsed.search = parsed.search ? `${parsed.search}&${extra}` : `?${extra}`;
+    return parsed.toString();
+}
+
+// Paths that name a single target: WebSocket endpoints and the /json target actions,
+// directly or behind the gateway's /chrome/<port-or-name> prefix
+const TARGET_PATH = /^(?:\/chrome\/[^/]+)?\/(?:devtools\/(?:page|browser)|json\/(?:activate|close))\/([^/?]+)/;
+
+// Chrome port named by a gateway path
+const GATEWAY_PORT_PATH = /^\/chrome\/(\d+)\//;
+
+class ProxyAuth {
+    constructor(config = {}) {
+        this.config = {
+            token: null, // sent as a bearer token
+            secret: null, // HMAC key for signing URLs instead
+            ttl: 300, // seconds a signed URL stays valid
+            scope: 'port', // 'port' or 'target'
+            ...config
+        };
+    }
+
+    // Credentials from CHROME_PROXY_TOKEN / CHROME_PROXY_AUTH_SECRET, overridden by explicit options
+    static fromEnvironment(overrides = {}) {
+        const config = {};
+        if (process.env.CHROME_PROXY_TOKEN) {
+            config.token = process.env.CHROME_PROXY_TOKEN;
+        }
+        if (process.env.CHROME_PROXY_AUTH_SECRET) {
+            config.secret = process.env.CHROME_PROXY_AUTH_SECRET;
+        }
+        return { ...config, ...overrides };
+    }
+
+    static readSecret(file) {
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+
+    static targetIdFromPath(pathname) {
+        const match = pathname.match(TARGET_PATH);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    static sign(secret, scope, expires) {
+        return crypto.createHmac('sha256', secret).update(`${scope}\n${expires}`).digest('base64url');
+    }
+
+    static signUrl(url, secret, options = {}) {
+        const parsed = new URL(url);
+        const ttl = options.ttl || 300;
+        const expires = Math.floor(Date.now() / 1000) + ttl;
+
+        let scope;
+        if (options.scope === 'target') {
+            const targetId = ProxyAuth.targetIdFromPath(parsed.pathname);
+            if (!targetId) {
+                throw new Error(`Cannot scope ${url} to a target: no target id in the path`);
+            }
+            scope = `target:${targetId}`;
+        } else {
+            const secure = parsed.protocol === 'https:' || parsed.protocol === 'wss:';
+            const gatewayPort = parsed.pathname.match(GATEWAY_PORT_PATH);
+            scope = `port:${gatewayPort ? gatewayPort[1] : parsed.port || (secure ? 443 : 80)}`;
+        }
+
+        return appendParams(parsed, {
+            expires: String(expires),
+            scope,
+            signature: ProxyAuth.sign(secret, scope, expires)
+        });
+    }
+
+    // Ask an auth sidecar about a request the way nginx auth_request does; resolves to its HTTP status
+    static check(authUrl, request) {
+        return ProxyAuth.verify(authUrl, request).then(({ status }) => status);
+    }
+
+    // check, also resolving to the X-Auth-Subject the sidecar names an allowed client with
+    static verify(authUrl, { uri, method = 'GET', port, authorization }) {
+        return new Promise((resolve) => {
+            const headers = {
+                'X-Original-URI': uri,
+                'X-Original-Method': method,
+                'X-Original-Port': String(port)
+            };
+            if (authorization) {
+                headers.Authorization = authorization;
+            }
+
+            const req = http.get(authUrl, { headers }, (res) => {
+                res.resume();
+                resolve({ status: res.statusCode, subject: res.headers['x-auth-subject'] || null });
+            });
+            // nginx answers 500 when the sidecar is unreachable
+            req.on('error', () => resolve({ status: 500, subject: null }));
+        });
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    get enabled() {
+        return Boolean(this.config.token || this.config.secret);
+    }
+
+    headers() {
+        return this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {};
+    }
+
+    // Sign a URL when using a secret. Clients that cannot set headers (chrome-remote-interface's
+    // WebSocket, browsers) pass headerless so a bearer token travels as ?access_token= instead
+    authorizeUrl(url, options = {}) {
+        if (this.config.secret) {
+            return ProxyAuth.signUrl(url, this.config.secret, { ttl: this.config.ttl, scope: this.config.scope });
+        }
+
+        if (this.config.token && options.headerless) {
+            return appendParams(new URL(url), { access_token: this.config.token });
+        }
+
+        return url;
+    }
+
+    // authorizeUrl for a bare request path on a port
+    authorizePath(path, port, options = {}) {
+        const parsed = new URL(this.authorizeUrl(`http://localhost:${port}${path}`, options));
+        return parsed.pathname + parsed.search;
+    }
+}
+
+module.exports = ProxyAuth;
@@ -0,0 +1,464 @@
+/**
+ * Direct vs Proxied Comparison
+ * Runs the same CDP script against Chrome's loopback port and through the proxy, side by side
+ * Reports every header, frame and close code the proxy changes, drops or delays, and the latency it adds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { performance } = require('perf_hooks');
+const ChromeProxyClient = require('./chrome-proxy-client');
+const ReportFormatter = require('./report-formatter');
+
+// Harmless on the fresh about:blank target each side gets
+const DEFAULT_SCRIPT = [
+    { method: 'Browser.getVersion' },
+    { method: 'Runtime.enable' },
+    { method: 'Runtime.evaluate', params: { expression: 'navigator.userAgent', returnByValue: true } },
+    { method: 'Page.enable' },
+    { method: 'Page.navigate', params: { url: 'about:blank' } },
+    { method: 'Page.disable' },
+    { method: 'Runtime.disable' }
+];
+
+// /json/list changes under other clients, so only its shape is compared
+const DEFAULT_ENDPOINTS = [
+    { path: '/json/version', compare: 'exact' },
+    { path: '/json/list', compare: 'shape' }
+];
+
+// Headers the proxy changes by design: the template's CORS add_header lines, and the
+// framing nginx and the JSON rewriter choose for the bodies they pass on
+const PROXY_HEADERS = [
+    'server',
+    'connection',
+    'keep-alive',
+    'transfer-encoding',
+    'content-length',
+    'access-control-allow-origin',
+    'access-control-allow-methods',
+    'access-control-allow-headers'
+];
+
+// Different on every response
+const IGNORED_HEADERS = ['date', 'sec-websocket-accept'];
+
+const PERCENTILES = ['p50', 'p95', 'p99'];
+
+const LOOPBACK = /^(localhost|127(\.\d+){3}|::1|\[::1\])$/;
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Differences between the direct and proxied value as { path, change, detail }. shape compares
+// keys and types, with arrays compared by their first item; exact compares values too
+function diffValues(direct, proxied, mode, at = '') {
+    const where = at || '(root)';
+    const directType = typeOf(direct);
+    const proxiedType = typeOf(proxied);
+
+    if (directType !== proxiedType) {
+        return [{ path: where, change: 'changed', detail: `${directType} direct, ${proxiedType} proxied` }];
+    }
+
+    if (directType === 'array') {
+        if (mode === 'exact' && direct.length !== proxied.length) {
+            return [{ path: where, change: 'changed', detail: `${direct.length} items direct, ${proxied.length} proxied` }];
+        }
+        const items = mode === 'exact' ? direct.length : Math.min(1, direct.length, proxied.length);
+        return direct.slice(0, items).flatMap((item, index) => diffValues(item, proxied[index], mode, `${at}[${index}]`));
+    }
+
+    if (directType === 'object') {
+        const keys = new Set([...Object.keys(direct), ...Object.keys(proxied)]);
+        return [...keys].flatMap((key) => {
+            const child = at ? `${at}.${key}` : key;
+            if (!(key in proxied)) {
+                return [{ path: child, change: 'dropped', detail: `${JSON.stringify(direct[key])} direct, missing proxied` }];
+            }
+            if (!(key in direct)) {
+                return [{ path: child, change: 'added', detail: `missing direct, ${JSON.stringify(proxied[key])} proxied` }];
+            }
+            return diffValues(direct[key], proxied[key], mode, child);
+        });
+    }
+
+    if (mode === 'exact' && direct !== proxied) {
+        return [{ path: where, change: 'changed', detail: `${JSON.stringify(direct)} direct, ${JSON.stringify(proxied)} proxied` }];
+    }
+    return [];
+}
+
+class ProxyComparison {
+    constructor(config = {}) {
+        this.config = {
+            host: null, // the proxy; required, as Chrome's own loopback port would be compared with itself
+            port: 48333, // Chrome port behind the proxy
+            gateway: null,
+            auth: null, // credentials for the proxied side; Chrome itself takes none
+            tls: null,
+            directHost: '127.0.0.1',
+            directPort: null, // default: port, as nginx proxies each port to the same one on loopback
+            script: DEFAULT_SCRIPT, // [{ method, params }], run once per iteration on each side
+            iterations: 20, // timed rounds, after one untimed round that warms both sides up
+            endpoints: DEFAULT_ENDPOINTS,
+            expectedHeaders: PROXY_HEADERS,
+            delayThreshold: 50, // ms of p50 overhead on one method or endpoint that counts as delayed
+            settle: 250, // ms to wait for trailing events before the targets are closed
+            timeout: 10000,
+            ...config
+        };
+        const directPort = this.config.directPort || this.config.port;
+        if (!this.config.host) {
+            throw new Error('No proxy host to compare Chrome with');
+        }
+        // nginx listens on the proxy's outside address; on loopback the same port is Chrome itself
+        if (!this.config.gateway && directPort === this.config.port && LOOPBACK.test(this.config.host) && LOOPBACK.test(this.config.directHost)) {
+            throw new Error(`${this.config.host}:${directPort} is Chrome's own port, not the proxy; name the proxy by its outside address`);
+        }
+
+        this.direct = {
+            name: 'direct',
+            port: directPort,
+            address: `${this.config.directHost}:${directPort}`,
+            client: new ChromeProxyClient({ host: this.config.directHost, timeout: this.config.timeout, maxRetries: 0 })
+        };
+        this.proxied = {
+            name: 'proxied',
+            port: this.config.port,
+            address: `${this.config.host}:${this.config.gateway || this.config.port}`,
+            client: new ChromeProxyClient({
+                host: this.config.host,
+                gateway: this.config.gateway,
+                auth: this.config.auth,
+                tls: this.config.tls,
+                timeout: this.config.timeout,
+                maxRetries: 0
+            })
+        };
+    }
+
+    // A JSON/YAML list of { method, params } calls
+    static loadScript(file) {
+        const content = fs.readFileSync(file, 'utf8');
+        const script = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+        if (!Array.isArray(script) || script.length === 0 || !script.every(step => step && typeof step.method === 'string')) {
+            throw new Error(`${file} must contain a list of { method, params } calls`);
+        }
+        return script;
+    }
+
+    // Added, dropped and changed headers; expected ones are those the proxy sets by design
+    static diffHeaders(direct, proxied, expectedHeaders = PROXY_HEADERS) {
+        const names = new Set([...Object.keys(direct), ...Object.keys(proxied)]);
+        return [...names].filter(name => !IGNORED_HEADERS.includes(name)).flatMap((name) => {
+            const expected = expectedHeaders.includes(name);
+            if (!(name in proxied)) {
+                return [{ where: name, change: 'dropped', detail: `${direct[name]} direct, missing proxied`, expected }];
+            }
+            if (!(name in direct)) {
+                return [{ where: name, change: 'added', detail: `${proxied[name]} proxied`, expected }];
+            }
+            if (direct[name] !== proxied[name]) {
+                return [{ where: name, change: 'changed', detail: `${direct[name]} direct, ${proxied[name]} proxied`, expected }];
+            }
+            return [];
+        });
+    }
+
+    // Latency summaries of both sides, and what the proxy adds at each percentile
+    static overhead(direct, proxied) {
+        const summaries = {
+            direct: ReportFormatter.summarizeLatencies(direct),
+            proxied: ReportFormatter.summarizeLatencies(proxied)
+        };
+        const overhead = {};
+        if (summaries.direct.count > 0 && summaries.proxied.count > 0) {
+            PERCENTILES.forEach((percentile) => {
+                overhead[percentile] = summaries.proxied[percentile] - summaries.direct[percentile];
+            });
+        }
+        return { ...summaries, overhead };
+    }
+
+    // The proxy hands out its own address in /json URLs; put Chrome's back so only real changes remain
+    normalize(body) {
+        const prefix = this.config.gateway ? `/chrome/${this.config.port}` : '';
+        return body
+            .split(`${this.proxied.address}${prefix}`).join(this.direct.address)
+            .replace(/\bwss([=:])/g, 'ws$1')
+            .replace(/\bhttps:\/\//g, 'http://');
+    }
+
+    async fetch(side, endpoint) {
+        const start = performance.now();
+        const response = await side.client.request(side.client.instanceUrl(side.port, endpoint), { retries: 0, port: side.port });
+        const body = await response.text();
+        const headers = {};
+        Object.entries(response.headers.raw()).forEach(([name, values]) => {
+            headers[name] = values.join(', ');
+        });
+        return { status: response.status, headers, body, durationMs: performance.now() - start };
+    }
+
+    async compareEndpoint(endpoint, differences) {
+        const timings = { direct: [], proxied: [] };
+        const first = {};
+        for (let i = 0; i <= this.config.iterations; i++) {
+            for (const side of [this.direct, this.proxied]) {
+                const response = await this.fetch(side, endpoint.path);
+                if (i > 0) {
+                    timings[side.name].push(response.durationMs);
+                }
+                first[side.name] = first[side.name] || response;
+            }
+        }
+
+        const { direct, proxied } = first;
+        if (direct.status !== proxied.status) {
+            differences.push({ kind: 'status', where: endpoint.path, change: 'changed', detail: `${direct.status} direct, ${proxied.status} proxied`, expected: false });
+        }
+        ProxyComparison.diffHeaders(direct.headers, proxied.headers, this.config.expectedHeaders).forEach((difference) => {
+            differences.push({ kind: 'header', ...difference, where: `${endpoint.path} ${difference.where}` });
+        });
+
+        let bodies;
+        try {
+            bodies = diffValues(JSON.parse(direct.body), JSON.parse(this.normalize(proxied.body)), endpoint.compare);
+        } catch (error) {
+            bodies = direct.body === this.normalize(proxied.body) ? [] : [{ path: '(root)', change: 'changed', detail: 'bodies differ' }];
+        }
+        bodies.forEach(({ path: at, change, detail }) => {
+            differences.push({ kind: 'body', where: `${endpoint.path} ${at}`, change, detail, expected: false });
+        });
+        return timings;
+    }
+
+    // A fresh about:blank target on one side, with a socket that counts events and keeps its handshake and close
+    async openSession(side) {
+        const target = await side.client.newTarget('about:blank', { port: side.port });
+        const session = { side, target, pending: new Map(), events: {}, handshake: {}, closeCode: null };
+        const ws = side.client.openSocket(target.webSocketDebuggerUrl, { handshakeTimeout: this.config.timeout });
+        session.ws = ws;
+
+        ws.on('upgrade', (res) => {
+            session.handshake = res.headers;
+        });
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return;
+            }
+            if (message.id === undefined) {
+                session.events[message.method] = (session.events[message.method] || 0) + 1;
+            } else if (session.pending.has(message.id)) {
+                session.pending.get(message.id)(message);
+            }
+        });
+        session.closed = new Promise((resolve) => {
+            ws.once('close', (code) => {
+                session.closeCode = code;
+                resolve(code);
+            });
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                ws.once('unexpected-response', (req, res) => {
+                    req.destroy();
+                    reject(new Error(`WebSocket upgrade on the ${side.name} side (${side.address}) rejected with HTTP ${res.statusCode}`));
+                });
+                ws.once('open', resolve);
+                ws.once('error', reject);
+            });
+        } catch (error) {
+            ws.terminate();
+            await side.client.closeTarget(target.id, { port: side.port }).catch(() => {});
+            throw error;
+        }
+        return session;
+    }
+
+    // { reply, durationMs }, with reply null when none arrives in time or the socket has closed
+    send(session, id, step) {
+        if (session.closeCode !== null) {
+            return Promise.resolve({ reply: null, durationMs: 0 });
+        }
+        return new Promise((resolve) => {
+            const start = performance.now();
+            const settle = (reply) => {
+                clearTimeout(timer);
+                session.pending.delete(id);
+                resolve({ reply, durationMs: performance.now() - start });
+            };
+            const timer = setTimeout(() => settle(null), this.config.timeout);
+
+            session.pending.set(id, settle);
+            session.closed.then(() => settle(null));
+            session.ws.send(JSON.stringify({ id, method: step.method, params: step.params || {} }));
+        });
+    }
+
+    // Each step runs on the direct side, then on the proxied one, so drift in Chrome hits both alike
+    async runScript(sessions, differences) {
+        const { script } = this.config;
+        const timings = {};
+        for (let i = 0; i <= this.config.iterations; i++) {
+            for (const [index, step] of script.entries()) {
+                const id = i * script.length + index + 1;
+                const direct = await this.send(sessions.direct, id, step);
+                const proxied = await this.send(sessions.proxied, id, step);
+
+                // A socket that closed mid-script answers nothing more; the rest of the script is moot
+                const closed = [sessions.direct, sessions.proxied].map(session => session.closeCode);
+                if (closed.some(code => code !== null)) {
+                    const [directState, proxiedState] = closed.map(code => (code === null ? 'open' : `closed with ${code}`));
+                    differences.push({ kind: 'close', where: `#${id} ${step.method}`, change: 'changed', detail: `${directState} direct, ${proxiedState} proxied`, expected: false });
+                    return timings;
+                }
+                const method = (timings[step.method] = timings[step.method] || { direct: [], proxied: [] });
+                if (direct.reply && i > 0) {
+                    method.direct.push(direct.durationMs);
+                }
+                if (proxied.reply && i > 0) {
+                    method.proxied.push(proxied.durationMs);
+                }
+
+                const where = `#${id} ${step.method}`;
+                if (direct.reply && !proxied.reply) {
+                    differences.push({ kind: 'frame', where, change: 'dropped', detail: `no proxied reply within ${this.config.timeout}ms`, expected: false });
+                } else if (!direct.reply && proxied.reply) {
+                    differences.push({ kind: 'frame', where, change: 'added', detail: `no direct reply within ${this.config.timeout}ms`, expected: false });
+                } else if (direct.reply && i === 0) {
+                    // Values such as frame and loader ids differ between the two targets, so only the shape is compared
+                    const pick = message => (message.error ? { error: message.error } : { result: message.result });
+                    diffValues(pick(direct.reply), pick(proxied.reply), 'shape').forEach(({ path: at, change, detail }) => {
+                        differences.push({ kind: 'frame', where: `${where} ${at}`, change, detail, expected: false });
+                    });
+                }
+            }
+        }
+        return timings;
+    }
+
+    compareEvents(sessions, differences) {
+        const direct = sessions.direct.events;
+        const proxied = sessions.proxied.events;
+        const methods = new Set([...Object.keys(direct), ...Object.keys(proxied)]);
+        [...methods].sort().forEach((method) => {
+            const sent = direct[method] || 0;
+            const received = proxied[method] || 0;
+            if (sent !== received) {
+                differences.push({
+                    kind: 'event',
+                    where: method,
+                    change: received < sent ? 'dropped' : 'added',
+                    detail: `${sent} direct, ${received} proxied`,
+                    expected: false
+                });
+            }
+        });
+    }
+
+    // Closing the target makes Chrome close its socket; the proxy should pass the same code on
+    async closeSessions(sessions, differences) {
+        const codes = {};
+        for (const session of Object.values(sessions)) {
+            const { side } = session;
+            await side.client.closeTarget(session.target.id, { port: side.port }).catch(() => {});
+            let timer;
+            await Promise.race([
+                session.closed,
+                new Promise((resolve) => {
+                    timer = setTimeout(resolve, this.config.timeout);
+                })
+            ]);
+            clearTimeout(timer);
+            session.ws.terminate();
+            codes[side.name] = session.closeCode;
+        }
+
+        const closedEarly = differences.some(difference => difference.kind === 'close');
+        if (sessions.direct && sessions.proxied && codes.direct !== codes.proxied && !closedEarly) {
+            differences.push({ kind: 'close', where: 'target closed', change: 'changed', detail: `${codes.direct} direct, ${codes.proxied} proxied`, expected: false });
+        }
+        return codes;
+    }
+
+    async run() {
+        const startedAt = new Date();
+        const differences = [];
+        const latency = { http: null, cdp: null, endpoints: {}, methods: {} };
+
+        const http = { direct: [], proxied: [] };
+        for (const endpoint of this.config.endpoints) {
+            const timings = await this.compareEndpoint(endpoint, differences);
+            latency.endpoints[endpoint.path] = ProxyComparison.overhead(timings.direct, timings.proxied);
+            http.direct.push(...timings.direct);
+            http.proxied.push(...timings.proxied);
+        }
+        latency.http = ProxyComparison.overhead(http.direct, http.proxied);
+
+        const sessions = {};
+        let closeCodes;
+        try {
+            sessions.direct = await this.openSession(this.direct);
+            sessions.proxied = await this.openSession(this.proxied);
+            ProxyComparison.diffHeaders(sessions.direct.handshake, sessions.proxied.handshake, this.config.expectedHeaders).forEach((difference) => {
+                differences.push({ kind: 'handshake', ...difference });
+            });
+
+            const timings = await this.runScript(sessions, differences);
+            const cdp = { direct: [], proxied: [] };
+            Object.entries(timings).forEach(([method, { direct, proxied }]) => {
+                latency.methods[method] = ProxyComparison.overhead(direct, proxied);
+                cdp.direct.push(...direct);
+                cdp.proxied.push(...proxied);
+            });
+            latency.cdp = ProxyComparison.overhead(cdp.direct, cdp.proxied);
+
+            await new Promise(resolve => setTimeout(resolve, this.config.settle));
+            this.compareEvents(sessions, differences);
+        } finally {
+            closeCodes = await this.closeSessions(sessions, differences);
+        }
+
+        const delays = [
+            ...Object.entries(latency.endpoints).map(([where, summary]) => ({ kind: 'http', where, summary })),
+            ...Object.entries(latency.methods).map(([where, summary]) => ({ kind: 'frame', where, summary }))
+        ];
+        delays.filter(({ summary }) => summary.overhead.p50 > this.config.delayThreshold).forEach(({ kind, where, summary }) => {
+            differences.push({
+                kind,
+                where,
+                change: 'delayed',
+                detail: `+${summary.overhead.p50.toFixed(1)}ms at p50 (${summary.direct.p50.toFixed(1)}ms direct, ${summary.proxied.p50.toFixed(1)}ms proxied)`,
+                expected: false
+            });
+        });
+
+        return {
+            timestamp: startedAt.toISOString(),
+            durationMs: Date.now() - startedAt.getTime(),
+            success: differences.every(difference => difference.expected),
+            direct: this.direct.address,
+            proxied: this.proxied.address,
+            iterations: this.config.iterations,
+            closeCodes,
+            differences,
+            latency
+        };
+    }
+}
+
+ProxyComparison.DEFAULT_SCRIPT = DEFAULT_SCRIPT;
+ProxyComparison.PROXY_HEADERS = PROXY_HEADERS;
+
+module.exports = ProxyComparison;
@@ -0,0 +1,120 @@
+/**
+ * DevTools Proxy TLS Client Options
+ * https:// and wss:// for the testers, trusting a private CA next to the system roots
+ * Also reads the certificate a TLS listener presents for a given SNI name
+ */
+
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const https = require('https');
+
+class ProxyTls {
+    constructor(config = {}) {
+        this.config = {
+            enabled: false,
+            ca: null, // PEM file of a CA to trust, such as the ca.pem from tls-certs.js
+            servername: null, // SNI and certificate name, when clients connect by address
+            timeout: 10000,
+            ...config
+        };
+        this.ca = this.config.ca ? fs.readFileSync(this.config.ca, 'utf8') : null;
+        this.agent = this.enabled ? new https.Agent(this.connectOptions()) : null;
+    }
+
+    get enabled() {
+        return Boolean(this.config.enabled);
+    }
+
+    // http and ws for a plain proxy, https and wss with TLS
+    scheme(plain = 'http') {
+        return this.enabled ? `${plain}s` : plain;
+    }
+
+    url(host, port, path = '') {
+        return `${this.scheme()}://${host}:${port}${path}`;
+    }
+
+    // Options for tls.connect, which https.Agent and ws pass through
+    connectOptions() {
+        const options = {};
+        if (this.ca) {
+            // A ca option replaces the system roots, so they are passed along with it
+            options.ca = [...tls.rootCertificates, this.ca];
+        }
+        if (this.config.servername) {
+            options.servername = this.config.servername;
+        }
+        return options;
+    }
+
+    // Whether clients that take no TLS options trust the CA anyway: Node reads
+    // NODE_EXTRA_CA_CERTS once at startup, so the file must already contain it
+    trustedByProcess() {
+        const extra = process.env.NODE_EXTRA_CA_CERTS;
+        if (!this.ca) {
+            return true;
+        }
+        try {
+            return Boolean(extra) && fs.readFileSync(extra, 'utf8').includes(this.ca.trim());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // node-fetch options; the agent only applies to https URLs
+    fetchOptions() {
+        return this.agent ? { agent: parsed => (parsed.protocol === 'https:' ? this.agent : undefined) } : {};
+    }
+
+    // ws options; ignored for ws:// URLs
+    socketOptions() {
+        return this.enabled ? this.connectOptions() : {};
+    }
+
+    // The certificate presented for servername and whether a client would accept it:
+    // authorized means it chains to a trusted CA and covers the name (or host, without one)
+    inspect(host, port, servername = this.config.servername) {
+        return new Promise((resolve, reject) => {
+            const options = { host, port, ...this.connectOptions(), rejectUnauthorized: false };
+            // Node refuses addresses as SNI names; the certificate is then checked against host
+            if (servername && !net.isIP(servername)) {
+                options.servername = servername;
+            } else {
+                delete options.servername;
+            }
+
+            const socket = tls.connect(options);
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`TLS handshake with ${host}:${port} timed out after ${this.config.timeout}ms`));
+            }, this.config.timeout);
+
+            socket.once('secureConnect', () => {
+                clearTimeout(timer);
+                const cert = socket.getPeerCertificate();
+                const validTo = new Date(cert.valid_to);
+                resolve({
+                    servername: options.servername || null,
+                    authorized: socket.authorized,
+                    authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+                    protocol: socket.getProtocol(),
+                    subject: cert.subject ? cert.subject.CN : null,
+                    issuer: cert.issuer ? cert.issuer.CN : null,
+                    altNames: cert.subjectaltname || null,
+                    validTo: validTo.toISOString(),
+                    daysLeft: Math.floor((validTo - Date.now()) / 86400000),
+                    fingerprint256: cert.fingerprint256
+                });
+                socket.end();
+            });
+            // Resets after the handshake land here too, once the promise has settled
+            socket.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`TLS handshake with ${host}:${port} failed: ${error.code || error.message}`));
+            });
+        });
+    }
+}
+
+module.exports = ProxyTls;
@@ -0,0 +1,203 @@
+/**
+ * Test Report Formatter
+ * Renders connection and load test results as JSON, JUnit XML or plain text
+ * Used by the --format and --output options of the test scripts
+ */
+
+const fs = require('fs');
+
+const FORMATS = ['text', 'json', 'junit'];
+
+class ReportFormatter {
+    constructor(config = {}) {
+        this.config = {
+            format: 'text',
+            output: null,
+            ...config
+        };
+
+        if (!FORMATS.includes(this.config.format)) {
+            throw new Error(`Unknown report format "${this.config.format}" (expected ${FORMATS.join(', ')})`);
+        }
+    }
+
+    // min/max/avg and percentiles over a list of millisecond values
+    static summarizeLatencies(values) {
+        const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+
+        if (sorted.length === 0) {
+            return { count: 0 };
+        }
+
+        const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            avg: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+            p50: percentile(0.5),
+            p90: percentile(0.9),
+            p95: percentile(0.95),
+            p99: percentile(0.99)
+        };
+    }
+
+    // Collapse { message, error } entries into one entry per distinct error
+    static groupErrors(errors) {
+        const groups = new Map();
+
+        errors.forEach(entry => {
+            const key = entry.error || entry.message;
+            if (!groups.has(key)) {
+                groups.set(key, { error: key, count: 0, messages: [] });
+            }
+
+            const group = groups.get(key);
+            group.count++;
+            if (!group.messages.includes(entry.message)) {
+                group.messages.push(entry.message);
+            }
+        });
+
+        return [...groups.values()].sort((a, b) => b.count - a.count);
+    }
+
+    // Control characters other than tab, newline and carriage return are not allowed in XML 1.0 at all
+    static escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    render(report) {
+        switch (this.config.format) {
+            case 'json':
+                return this.toJson(report);
+            case 'junit':
+                return this.toJUnit(report);
+            default:
+                return this.toText(report);
+        }
+    }
+
+    write(report) {
+        const content = this.render(report);
+
+        if (this.config.output) {
+            fs.writeFileSync(this.config.output, content);
+        } else {
+            process.stdout.write(content);
+        }
+
+        return content;
+    }
+
+    toJson(report) {
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    // One <testsuite> per group and one <testcase> per check. Failure classes go in type=, and
+    // attempts retried before a pass in <flakyFailure>, as Maven Surefire reports reruns
+    toJUnit(report) {
+        const esc = ReportFormatter.escapeXml;
+        const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+        const suites = report.testsuites || [];
+
+        const totals = suites.reduce((acc, suite) => {
+            suite.testcases.forEach(testcase => {
+                acc.tests++;
+                if (testcase.status === 'failed') acc.failures++;
+                if (testcase.status === 'skipped') acc.skipped++;
+            });
+            return acc;
+        }, { tests: 0, failures: 0, skipped: 0 });
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${esc(report.name)}" tests="${totals.tests}" failures="${totals.failures}" skipped="${totals.skipped}" time="${seconds(report.durationMs)}">`
+        ];
+
+        suites.forEach(suite => {
+            const failures = suite.testcases.filter(t => t.status === 'failed').length;
+            const skipped = suite.testcases.filter(t => t.status === 'skipped').length;
+            const time = suite.testcases.reduce((sum, t) => sum + (t.durationMs || 0), 0);
+
+            lines.push(`  <testsuite name="${esc(suite.name)}" tests="${suite.testcases.length}" failures="${failures}" skipped="${skipped}" time="${seconds(time)}" timestamp="${esc(report.timestamp)}">`);
+
+            suite.testcases.forEach(testcase => {
+                const open = `    <testcase classname="${esc(suite.name)}" name="${esc(testcase.name)}" time="${seconds(testcase.durationMs)}"`;
+
+                const type = (failure) => (failure ? ` type="${esc(failure)}"` : '');
+
+                if (testcase.status === 'failed') {
+                    lines.push(`${open}>`);
+                    lines.push(`      <failure message="${esc(testcase.message || 'failed')}"${type(testcase.failure)}>${esc(testcase.details || testcase.message || '')}</failure>`);
+                    lines.push('    </testcase>');
+                } else if (testcase.flaky) {
+                    lines.push(`${open}>`);
+                    testcase.retries.forEach(retry => {
+                        lines.push(`      <flakyFailure message="${esc(retry.message || 'failed')}"${type(retry.failure)}/>`);
+                    });
+                    lines.push('    </testcase>');
+                } else if (testcase.status === 'skipped') {
+                    lines.push(`${open}>`);
+                    lines.push(`      <skipped message="${esc(testcase.message || 'skipped')}"/>`);
+                    lines.push('    </testcase>');
+                } else {
+                    lines.push(`${open}/>`);
+                }
+            });
+
+            lines.push('  </testsuite>');
+        });
+
+        lines.push('</testsuites>');
+        return lines.join('\n') + '\n';
+    }
+
+    toText(report) {
+        const lines = [
+            `${report.name} (${report.timestamp})`,
+            `Result: ${report.success ? 'PASS' : 'FAIL'}`
+        ];
+
+        (report.testsuites || []).forEach(suite => {
+            lines.push('', suite.name);
+            suite.testcases.forEach(testcase => {
+                const mark = { passed: '✓', failed: '✗', skipped: '!' }[testcase.status];
+                const message = testcase.message ? ` - ${testcase.message}` : '';
+                let note = '';
+                if (testcase.flaky) {
+                    note = ` (flaky: passed on attempt ${testcase.attempts} after ${testcase.retries.map(retry => retry.failure).join(', ')})`;
+                } else if (testcase.status === 'failed' && testcase.failure) {
+                    note = ` [${testcase.failure}${testcase.attempts > 1 ? `, ${testcase.attempts} attempts` : ''}]`;
+                }
+                lines.push(`  ${mark} ${testcase.name}${note}${message}`);
+            });
+        });
+
+        Object.entries(report.latency || {}).forEach(([name, stats]) => {
+            if (stats.count > 0) {
+                lines.push('', `Latency ${name}: avg ${stats.avg.toFixed(2)}ms, p50 ${stats.p50.toFixed(2)}ms, p95 ${stats.p95.toFixed(2)}ms, p99 ${stats.p99.toFixed(2)}ms (n=${stats.count})`);
+            }
+        });
+
+        if (report.errors && report.errors.length > 0) {
+            lines.push('', 'Errors:');
+            report.errors.forEach(group => {
+                lines.push(`  ${group.error}: ${group.count} occurrences`);
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+ReportFormatter.FORMATS = FORMATS;
+
+module.exports = ReportFormatter;
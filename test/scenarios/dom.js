@@ -0,0 +1,18 @@
+/**
+ * DOM Snapshot Scenario
+ * Full-depth DOM.getDocument calls, as used by scrapers and accessibility tools
+ */
+
+module.exports = {
+    name: 'dom',
+    description: 'DOM.getDocument of the whole tree',
+    setup: [
+        { method: 'DOM.enable' }
+    ],
+    steps: [
+        {
+            method: 'DOM.getDocument',
+            params: { depth: -1, pierce: true }
+        }
+    ]
+};
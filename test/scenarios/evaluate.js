@@ -0,0 +1,15 @@
+/**
+ * Runtime.evaluate Scenario
+ * Small request/response round trips, the load tester's original workload
+ */
+
+module.exports = {
+    name: 'evaluate',
+    description: 'Runtime.evaluate of a small expression',
+    steps: [
+        {
+            method: 'Runtime.evaluate',
+            params: ({ messageId }) => ({ expression: `Math.random() * ${messageId}` })
+        }
+    ]
+};
@@ -0,0 +1,19 @@
+/**
+ * Page Navigation Scenario
+ * Page.navigate followed by a wait for Page.loadEventFired, like a crawler or test runner
+ */
+
+module.exports = {
+    name: 'navigate',
+    description: 'Page.navigate and wait for Page.loadEventFired',
+    setup: [
+        { method: 'Page.enable' }
+    ],
+    steps: [
+        {
+            method: 'Page.navigate',
+            params: ({ connectionId, iteration }) => ({ url: `https://example.com/load-test/${connectionId}/${iteration}` }),
+            waitFor: 'Page.loadEventFired'
+        }
+    ]
+};
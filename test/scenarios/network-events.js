@@ -0,0 +1,20 @@
+/**
+ * Network Event Flood Scenario
+ * With the Network domain enabled every navigation pushes a burst of events at the client
+ */
+
+module.exports = {
+    name: 'network-events',
+    description: 'Network.enable, then navigations that flood the socket with Network events',
+    setup: [
+        { method: 'Network.enable' },
+        { method: 'Page.enable' }
+    ],
+    steps: [
+        {
+            method: 'Page.navigate',
+            params: ({ connectionId, iteration }) => ({ url: `https://example.com/assets/${connectionId}/${iteration}` }),
+            waitFor: 'Page.loadEventFired'
+        }
+    ]
+};
@@ -0,0 +1,18 @@
+/**
+ * Screenshot Scenario
+ * Page.captureScreenshot responses are large frames, which exercise proxy buffering
+ */
+
+module.exports = {
+    name: 'screenshot',
+    description: 'Page.captureScreenshot with multi-hundred-kilobyte responses',
+    setup: [
+        { method: 'Page.enable' }
+    ],
+    steps: [
+        {
+            method: 'Page.captureScreenshot',
+            params: { format: 'png' }
+        }
+    ]
+};
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Local TLS Certificates
+ * Creates a private CA and a server certificate it signs for the proxy's host names
+ * Lets the TLS server blocks and their tests run offline; clients trust the CA with --ca
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const FILES = {
+    caKey: 'ca.key',
+    ca: 'ca.pem',
+    key: 'server.key',
+    cert: 'server.pem'
+};
+
+const DEFAULT_HOSTS = ['localhost', '127.0.0.1'];
+
+function openssl(args) {
+    try {
+        return execFileSync('openssl', args, { stdio: 'pipe' });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('openssl is not installed');
+        }
+        const stderr = error.stderr ? error.stderr.toString().trim().split('\n').pop() : error.message;
+        throw new Error(`openssl ${args[0]} failed: ${stderr}`);
+    }
+}
+
+// Addresses go in as IP: entries, everything else as DNS: names
+function altNames(hosts) {
+    return hosts.map(host => (net.isIP(host) ? `IP:${host}` : `DNS:${host}`)).join(',');
+}
+
+// Write the CA and server files into dir. An existing CA is kept unless force is set,
+// so clients that already trust it keep working when the server certificate is renewed
+function generate({ dir, hosts = DEFAULT_HOSTS, days = 825, caDays = 3650, force = false } = {}) {
+    if (!dir) {
+        throw new Error('A directory for the certificates is required');
+    }
+    if (hosts.length === 0) {
+        throw new Error('At least one host name is required');
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    const files = {};
+    Object.entries(FILES).forEach(([name, file]) => {
+        files[name] = path.join(dir, file);
+    });
+
+    const createdCa = force || !fs.existsSync(files.ca) || !fs.existsSync(files.caKey);
+    if (createdCa) {
+        openssl([
+            'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+            '-keyout', files.caKey, '-out', files.ca, '-days', String(caDays),
+            '-subj', '/CN=Chrome Debugger Proxy Local CA',
+            '-addext', 'basicConstraints=critical,CA:TRUE',
+            '-addext', 'keyUsage=critical,keyCertSign,cRLSign'
+        ]);
+    }
+
+    const request = path.join(dir, 'server.csr');
+    const extensions = path.join(dir, 'server.ext');
+    fs.writeFileSync(extensions, [
+        `subjectAltName=${altNames(hosts)}`,
+        'basicConstraints=CA:FALSE',
+        'keyUsage=critical,digitalSignature,keyEncipherment',
+        'extendedKeyUsage=serverAuth'
+    ].join('\n') + '\n');
+
+    try {
+        openssl(['req', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-keyout', files.key, '-out', request, '-subj', `/CN=${hosts[0]}`]);
+        openssl([
+            'x509', '-req', '-in', request, '-CA', files.ca, '-CAkey', files.caKey,
+            '-set_serial', `0x${crypto.randomBytes(8).toString('hex')}`,
+            '-days', String(days), '-sha256', '-extfile', extensions, '-out', files.cert
+        ]);
+    } finally {
+        fs.rmSync(request, { force: true });
+        fs.rmSync(extensions, { force: true });
+    }
+
+    fs.chmodSync(files.key, 0o600);
+    fs.chmodSync(files.caKey, 0o600);
+
+    return { ...files, hosts, createdCa };
+}
+
+// DNS names a certificate covers, in the order it lists them; addresses are left out
+function certificateNames(file) {
+    const cert = new crypto.X509Certificate(fs.readFileSync(file));
+    return (cert.subjectAltName || '').split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.startsWith('DNS:'))
+        .map(entry => entry.slice(4));
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const options = { dir: 'tls', hosts: [] };
+
+    // Parse command line arguments; --force takes no value
+    for (let i = 0; i < args.length; i++) {
+        const key = args[i].replace(/^--/, '');
+        const value = args[i + 1];
+
+        switch (key) {
+            case 'dir':
+                options.dir = value;
+                i++;
+                break;
+            case 'host':
+                options.hosts.push(value);
+                i++;
+                break;
+            case 'days':
+                options.days = parseInt(value);
+                i++;
+                break;
+            case 'force':
+                options.force = true;
+                break;
+            case 'help':
+                console.log(`
+Usage: node tls-certs.js [options]
+
+Creates ca.pem/ca.key (a private CA) and server.pem/server.key (signed by it) in DIR.
+Point the proxy's ssl_certificate and ssl_certificate_key at the server files, and
+the testers' --ca at ca.pem.
+
+Options:
+  --dir DIR      Where to write the files (default: ./tls)
+  --host NAME    Host name or address the server certificate covers; repeatable,
+                 the first is also its common name (default: localhost and 127.0.0.1)
+  --days N       Server certificate lifetime in days (default: 825)
+  --force        Replace an existing CA too; clients must trust the new ca.pem
+  --help         Show this help message
+
+Examples:
+  node tls-certs.js --dir /etc/nginx/tls --host chrome-proxy.internal --host 10.0.1.25
+  node tls-certs.js --dir /tmp/proxy-tls
+`);
+                process.exit(0);
+                break;
+        }
+    }
+
+    if (options.hosts.length === 0) {
+        options.hosts = DEFAULT_HOSTS;
+    }
+
+    try {
+        const result = generate(options);
+        console.log(`${result.createdCa ? 'Created' : 'Kept'} CA ${result.ca}`);
+        console.log(`Created ${result.cert} and ${result.key} for ${result.hosts.join(', ')}`);
+    } catch (error) {
+        console.error(`Cannot create certificates: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    FILES,
+    generate,
+    certificateNames
+};
@@ -0,0 +1,101 @@
+/**
+ * Admission Queue Tests
+ * Runs with node --test; no servers needed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AdmissionQueue = require('../admission-queue');
+
+const { AdmissionError } = AdmissionQueue;
+
+// Ticket ids in the order the queue admits them as slots free up one by one
+async function admissionOrder(queue, tickets, lease) {
+    const order = [];
+    tickets.forEach(ticket => ticket.admitted.then((admitted) => {
+        order.push(ticket.id);
+        lease = admitted;
+    }));
+    for (let i = 0; i < tickets.length; i++) {
+        lease.release();
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return order;
+}
+
+test('sessions over capacity wait and are admitted when a slot is released', async () => {
+    const queue = new AdmissionQueue({ capacity: 1 });
+    const lease = queue.tryAcquire([48333]);
+    assert.strictEqual(lease.port, 48333);
+    assert.strictEqual(queue.tryAcquire([48333]), null);
+
+    const ticket = queue.enqueue({ ports: [48333] });
+    assert.strictEqual(ticket.position, 1);
+
+    lease.release();
+    lease.release();
+    const admitted = await ticket.admitted;
+    assert.strictEqual(admitted.port, 48333);
+    assert.ok(admitted.waitedMs >= 0);
+    assert.deepStrictEqual(queue.snapshot().sessions, { 48333: 1 });
+});
+
+test('higher priorities go first, then clients take turns', async () => {
+    const queue = new AdmissionQueue({ capacity: 1 });
+    const lease = queue.tryAcquire([48333]);
+
+    const busy = [1, 2, 3].map(() => queue.enqueue({ client: 'busy', ports: [48333] }));
+    const quiet = queue.enqueue({ client: 'quiet', ports: [48333] });
+    const urgent = queue.enqueue({ client: 'busy', priority: 'high', ports: [48333] });
+    const background = queue.enqueue({ client: 'quiet', priority: 'low', ports: [48333] });
+    assert.strictEqual(quiet.position, 2);
+
+    // The busy client's urgent session counts as its turn
+    const order = await admissionOrder(queue, [...busy, quiet, urgent, background], lease);
+    assert.deepStrictEqual(order, [urgent.id, quiet.id, busy[0].id, busy[1].id, busy[2].id, background.id]);
+});
+
+test('positions are reported as the line moves', async () => {
+    const queue = new AdmissionQueue({ capacity: 1 });
+    const lease = queue.tryAcquire([48333]);
+    const positions = [];
+    const ticket = queue.enqueue({ ports: [48333], onPosition: (position, waiting) => positions.push([position, waiting]) });
+    queue.enqueue({ priority: 'high', ports: [48333] });
+
+    lease.release();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(positions, [[1, 1], [2, 2], [1, 1]]);
+    ticket.cancel();
+    await assert.rejects(ticket.admitted, { reason: 'cancelled' });
+});
+
+test('a session for any instance takes the first one with room', async () => {
+    const queue = new AdmissionQueue({ capacity: 1 });
+    const first = queue.tryAcquire([48333, 48334]);
+    const second = queue.tryAcquire([48333, 48334]);
+    assert.deepStrictEqual([first.port, second.port], [48333, 48334]);
+
+    const pinned = queue.enqueue({ ports: [48333] });
+    const any = queue.enqueue({ ports: [48333, 48334] });
+    second.release();
+    assert.strictEqual((await any.admitted).port, 48334);
+    assert.strictEqual(queue.snapshot().waiting, 1);
+    pinned.cancel();
+    await assert.rejects(pinned.admitted, { reason: 'cancelled' });
+});
+
+test('a full queue refuses, and waiting sessions time out or leave', async () => {
+    const queue = new AdmissionQueue({ capacity: 1, maxQueue: 2, maxWait: 50 });
+    queue.tryAcquire([48333]);
+
+    const slow = queue.enqueue({ ports: [48333] });
+    const leaving = queue.enqueue({ ports: [48333] });
+    assert.throws(() => queue.enqueue({ ports: [48333] }), error => error instanceof AdmissionError && error.reason === 'queue-full');
+
+    leaving.cancel();
+    await assert.rejects(leaving.admitted, { reason: 'cancelled' });
+    await assert.rejects(slow.admitted, { reason: 'timeout', message: 'Not admitted within 50ms' });
+
+    const { waiting, refused, cancelled, timedOut } = queue.snapshot();
+    assert.deepStrictEqual({ waiting, refused, cancelled, timedOut }, { waiting: 0, refused: 1, cancelled: 1, timedOut: 1 });
+});
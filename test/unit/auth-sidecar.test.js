@@ -0,0 +1,148 @@
+/**
+ * Auth Sidecar and Proxy Credential Tests
+ * Runs with node --test; the last tests run the sidecar in front of the mock Chrome server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const AuthSidecar = require('../auth-sidecar');
+const ProxyAuth = require('../proxy-auth');
+const MockChromeServer = require('../mock-chrome-server');
+
+const SECRET = 'test-signing-secret';
+
+let dir;
+let sidecar;
+
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-sidecar-'));
+    const tokensFile = path.join(dir, 'tokens.json');
+    fs.writeFileSync(tokensFile, JSON.stringify({
+        tokens: [
+            { name: 'ci', token: 'ci-token', ports: '48333-48334' },
+            { name: 'ops', sha256: ProxyAuth.hashToken('ops-token') }
+        ]
+    }));
+    sidecar = new AuthSidecar({ listenPort: 0, tokensFile, secret: SECRET, quiet: true });
+});
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A path signed for scope, expiring expiresIn seconds from now
+function signed(pathname, scope, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${pathname}?expires=${expires}&scope=${encodeURIComponent(scope)}&signature=${ProxyAuth.sign(SECRET, scope, expires)}`;
+}
+
+test('bearer tokens and ?access_token= are checked the same way, ports included', () => {
+    assert.deepStrictEqual(sidecar.authorize({ uri: '/json/list', port: 48333, authorization: 'Bearer ci-token' }), { status: 204, subject: 'ci' });
+    assert.deepStrictEqual(sidecar.authorize({ uri: '/json/list?access_token=ci-token', port: 48334 }), { status: 204, subject: 'ci' });
+    assert.deepStrictEqual(sidecar.authorize({ uri: '/json/list', port: 48335, authorization: 'Bearer ci-token' }),
+        { status: 403, reason: 'token ci is not allowed on port 48335' });
+    assert.strictEqual(sidecar.authorize({ uri: '/json/list?access_token=ops-token', port: 48999 }).subject, 'ops');
+
+    assert.deepStrictEqual(sidecar.authorize({ uri: '/json/list', port: 48333, authorization: 'Bearer wrong' }), { status: 401, reason: 'invalid token' });
+    assert.deepStrictEqual(sidecar.authorize({ uri: '/json/list', port: 48333 }), { status: 401, reason: 'missing credentials' });
+    // The header wins over the query string
+    assert.strictEqual(sidecar.authorize({ uri: '/json/list?access_token=ci-token', port: 48333, authorization: 'Bearer wrong' }).status, 401);
+});
+
+test('signed URLs are valid for their scope until they expire', () => {
+    assert.deepStrictEqual(sidecar.authorize({ uri: signed('/json/list', 'port:48333', 60), port: 48333 }), { status: 204, subject: 'port:48333' });
+    assert.deepStrictEqual(sidecar.authorize({ uri: signed('/devtools/page/ABC', 'target:ABC', 60), port: 48400 }), { status: 204, subject: 'target:ABC' });
+
+    assert.strictEqual(sidecar.authorize({ uri: signed('/json/list', 'port:48333', -120), port: 48333 }).reason, 'signed URL expired');
+    // Within the clock skew an expired URL still passes
+    assert.strictEqual(sidecar.authorize({ uri: signed('/json/list', 'port:48333', -10), port: 48333 }).status, 204);
+    assert.strictEqual(sidecar.authorize({ uri: signed('/json/list', 'port:48333', 7200), port: 48333 }).reason, 'signed URL lifetime exceeds the maximum');
+
+    assert.deepStrictEqual(sidecar.authorize({ uri: signed('/json/list', 'port:48333', 60), port: 48334 }),
+        { status: 403, reason: 'signed URL scope port:48333 does not cover /json/list on port 48334' });
+    assert.strictEqual(sidecar.authorize({ uri: signed('/devtools/page/XYZ', 'target:ABC', 60), port: 48333 }).status, 403);
+});
+
+test('a signature does not survive a changed scope, expiry or secret', () => {
+    const uri = signed('/json/list', 'port:48333', 60);
+    assert.strictEqual(sidecar.authorize({ uri: uri.replace('port%3A48333', 'port%3A48334'), port: 48334 }).reason, 'invalid signature');
+    assert.strictEqual(sidecar.authorize({ uri: uri.replace(/expires=(\d+)/, (_, expires) => `expires=${Number(expires) + 60}`), port: 48333 }).reason, 'invalid signature');
+
+    const forged = ProxyAuth.signUrl('http://proxy:48333/json/list', 'another-secret');
+    assert.strictEqual(sidecar.authorize({ uri: forged.replace('http://proxy:48333', ''), port: 48333 }).reason, 'invalid signature');
+
+    const unsigned = new AuthSidecar({ secret: null, quiet: true });
+    assert.strictEqual(unsigned.authorize({ uri: uri, port: 48333 }).reason, 'signed URLs are not enabled');
+});
+
+test('clients send tokens as headers, or in the URL when they cannot', () => {
+    const auth = new ProxyAuth({ token: 'ci-token' });
+    assert.deepStrictEqual(auth.headers(), { Authorization: 'Bearer ci-token' });
+    assert.strictEqual(auth.authorizeUrl('ws://proxy:48333/devtools/page/ABC'), 'ws://proxy:48333/devtools/page/ABC');
+    assert.strictEqual(auth.authorizeUrl('ws://proxy:48333/devtools/page/ABC', { headerless: true }), 'ws://proxy:48333/devtools/page/ABC?access_token=ci-token');
+
+    // Signed URLs name the gateway's Chrome port, and append after /json/new's raw page URL
+    const signer = new ProxyAuth({ secret: SECRET });
+    assert.deepStrictEqual(signer.headers(), {});
+    const url = new URL(signer.authorizeUrl('http://proxy:9470/chrome/48333/json/version'));
+    assert.strictEqual(url.searchParams.get('scope'), 'port:48333');
+    assert.strictEqual(sidecar.authorize({ uri: url.pathname + url.search, port: 48333 }).status, 204);
+    assert.match(signer.authorizePath('/json/new?https://example.com/?a=1', 48333), /^\/json\/new\?https:\/\/example\.com\/\?a=1&expires=\d+&scope=port%3A48333&signature=/);
+    assert.throws(() => ProxyAuth.signUrl('http://proxy:48333/json/list', SECRET, { scope: 'target' }), /no target id/);
+});
+
+test('the shipped nginx config keeps ?access_token= from Chrome and the access logs', () => {
+    const main = fs.readFileSync(path.join(__dirname, '..', '..', 'nginx', 'nginx.conf'), 'utf8');
+    // nginx's map regexes and values, applied the way nginx does
+    const map = (name, uri) => {
+        const [, pattern, value] = main.match(new RegExp(`map \\$request_uri \\$${name} \\{\\s*"~(.*)" "(.*)";`));
+        const match = uri.match(new RegExp(pattern));
+        return match ? value.replace(/\$\{?(\w+)\}?/g, (_, group) => match.groups[group]) : uri;
+    };
+
+    assert.strictEqual(map('chrome_proxy_uri', '/devtools/browser/B?access_token=ci-token'), '/devtools/browser/B?');
+    assert.strictEqual(map('chrome_proxy_uri', '/json/new?https://example.com/?q=1&access_token=ci-token&x=2'), '/json/new?https://example.com/?q=1&x=2');
+    assert.strictEqual(map('chrome_proxy_uri', '/devtools/browser/B?my_access_token=1'), '/devtools/browser/B?my_access_token=1');
+    assert.strictEqual(map('chrome_log_uri', '/json/list?a=1&access_token=ci-token'), '/json/list?a=1&access_token=[REDACTED]');
+    assert.match(main, /log_format main [^;]*"\$request_method \$chrome_log_uri \$server_protocol"/);
+    assert.doesNotMatch(main.match(/log_format main[^;]*;/)[0], /\$request[" ]/);
+});
+
+test('the mock refuses requests and upgrades the sidecar denies', async () => {
+    await sidecar.start();
+    const mock = new MockChromeServer({ port: 0, targets: 1, authUrl: `http://127.0.0.1:${sidecar.port}/auth`, quiet: true });
+    await mock.start();
+
+    try {
+        const base = `http://127.0.0.1:${mock.port}`;
+        assert.strictEqual((await fetch(`${base}/json/version`)).status, 401);
+        assert.strictEqual((await fetch(`${base}/json/version`, { headers: { Authorization: 'Bearer ops-token' } })).status, 200);
+        assert.strictEqual((await fetch(`${base}/json/version?access_token=ops-token`)).status, 200);
+
+        const scoped = signed('/json/list', `port:${mock.port}`, 60);
+        assert.strictEqual((await fetch(`${base}${scoped}`)).status, 200);
+        assert.strictEqual((await fetch(`${base}${scoped.replace('signature=', 'signature=x')}`)).status, 401);
+
+        const upgrade = query => new Promise((resolve) => {
+            const [id] = mock.targets.keys();
+            const ws = new WebSocket(`ws://127.0.0.1:${mock.port}/devtools/page/${id}${query}`);
+            ws.on('open', () => {
+                ws.close();
+                resolve(101);
+            });
+            ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+            ws.on('error', () => {});
+        });
+        assert.strictEqual(await upgrade(''), 401);
+        assert.strictEqual(await upgrade('?access_token=ops-token'), 101);
+        assert.strictEqual(mock.stats.authDenied, 3);
+    } finally {
+        await mock.stop();
+        await sidecar.stop();
+    }
+});
@@ -0,0 +1,69 @@
+/**
+ * CDP Correlator Tests
+ * Runs with node --test; short timeouts stand in for slow replies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CdpCorrelator = require('../cdp-correlator');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a reply to a tracked request is a response with its method and latency', () => {
+    const correlator = new CdpCorrelator();
+    correlator.track(1, 'Runtime.evaluate');
+    assert.strictEqual(correlator.pending, 1);
+
+    const reply = correlator.handle({ id: 1, result: { result: { value: 2 } } });
+    assert.strictEqual(reply.type, 'response');
+    assert.strictEqual(reply.method, 'Runtime.evaluate');
+    assert.deepStrictEqual(reply.result, { result: { value: 2 } });
+    assert.ok(reply.latency >= 0);
+    assert.strictEqual(correlator.pending, 0);
+});
+
+test('an error reply carries the CDP error', () => {
+    const correlator = new CdpCorrelator();
+    correlator.track(2, 'Page.missing');
+
+    const reply = correlator.handle({ id: 2, error: { code: -32601, message: "'Page.missing' wasn't found" } });
+    assert.strictEqual(reply.type, 'error');
+    assert.strictEqual(reply.method, 'Page.missing');
+    assert.strictEqual(reply.error.code, -32601);
+    assert.strictEqual(correlator.pending, 0);
+});
+
+test('events and replies to unknown ids are told apart', () => {
+    const correlator = new CdpCorrelator();
+    assert.deepStrictEqual(correlator.handle({ method: 'Page.loadEventFired', params: {} }), { type: 'event', method: 'Page.loadEventFired' });
+    assert.deepStrictEqual(correlator.handle({ id: 99, result: {} }), { type: 'unmatched', id: 99 });
+});
+
+test('a request with no reply times out, and a reply after that is late', async () => {
+    const timedOut = [];
+    const correlator = new CdpCorrelator({ timeout: 20, onTimeout: entry => timedOut.push(entry.method) });
+    correlator.track(3, 'Page.navigate');
+
+    await sleep(50);
+    assert.deepStrictEqual(timedOut, ['Page.navigate']);
+    assert.strictEqual(correlator.pending, 0);
+
+    const late = correlator.handle({ id: 3, result: {} });
+    assert.strictEqual(late.type, 'late');
+    assert.strictEqual(late.method, 'Page.navigate');
+    assert.ok(late.latency >= 20);
+    // Only the first late reply is matched to the expired request
+    assert.strictEqual(correlator.handle({ id: 3, result: {} }).type, 'unmatched');
+});
+
+test('clear returns the requests still pending and stops their timers', async () => {
+    const timedOut = [];
+    const correlator = new CdpCorrelator({ timeout: 20, onTimeout: entry => timedOut.push(entry.id) });
+    correlator.track(4, 'DOM.getDocument');
+    correlator.track(5, 'Network.enable');
+
+    assert.deepStrictEqual(correlator.clear().map(entry => entry.id), [4, 5]);
+    await sleep(50);
+    assert.deepStrictEqual(timedOut, []);
+    assert.strictEqual(correlator.pending, 0);
+});
@@ -0,0 +1,144 @@
+/**
+ * CDP Multiplexer Tests
+ * Runs with node --test against the mock Chrome server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const CdpMultiplexer = require('../cdp-multiplexer');
+const MockChromeServer = require('../mock-chrome-server');
+
+let mock;
+let multiplexer;
+
+// A DevTools client that keeps every message it gets and can wait for a response by id
+async function connect(path) {
+    const ws = new WebSocket(`ws://127.0.0.1:${multiplexer.port}${path}`);
+    ws.messages = [];
+    ws.on('message', data => ws.messages.push(JSON.parse(data)));
+    ws.call = (id, method, params = {}) => new Promise((resolve) => {
+        const onMessage = (data) => {
+            const message = JSON.parse(data);
+            if (message.id === id) {
+                ws.off('message', onMessage);
+                resolve(message);
+            }
+        };
+        ws.on('message', onMessage);
+        ws.send(JSON.stringify({ id, method, params }));
+    });
+    ws.events = () => ws.messages.filter(message => message.method);
+    await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+    return ws;
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+async function closeAll(...clients) {
+    await Promise.all(clients.map(ws => new Promise((resolve) => {
+        ws.once('close', resolve);
+        ws.close();
+    })));
+    await settle();
+}
+
+test.before(async () => {
+    mock = new MockChromeServer({ port: 0, targets: 1, subresources: 0, quiet: true });
+    await mock.start();
+    multiplexer = new CdpMultiplexer({ listenPort: 0, upstreamPort: mock.port, quiet: true });
+    await multiplexer.start();
+});
+
+test.after(async () => {
+    await multiplexer.stop();
+    await mock.stop();
+});
+
+async function pagePath() {
+    const [page] = await (await fetch(`http://127.0.0.1:${multiplexer.port}/json/list`)).json();
+    assert.ok(page.webSocketDebuggerUrl.startsWith(`ws://127.0.0.1:${multiplexer.port}/devtools/page/`));
+    return new URL(page.webSocketDebuggerUrl).pathname;
+}
+
+test('clients of one page share a socket and keep their own request ids', async () => {
+    const path = await pagePath();
+    const before = mock.stats.wsConnections;
+    const first = await connect(path);
+    const second = await connect(path);
+
+    const [one, two] = await Promise.all([
+        first.call(1, 'Runtime.evaluate', { expression: '1 + 1', returnByValue: true }),
+        second.call(1, 'Runtime.evaluate', { expression: '2 + 2', returnByValue: true })
+    ]);
+    assert.strictEqual(one.result.result.value, 2);
+    assert.strictEqual(two.result.result.value, 4);
+    assert.strictEqual(mock.stats.wsConnections - before, 1);
+    assert.strictEqual(multiplexer.channels.get(path).clients.size, 2);
+
+    await closeAll(first, second);
+    assert.strictEqual(multiplexer.channels.size, 0);
+});
+
+test('events go only to the clients that enabled their domain', async () => {
+    const path = await pagePath();
+    const watcher = await connect(path);
+    const driver = await connect(path);
+
+    await watcher.call(1, 'Network.enable');
+    await driver.call(1, 'Page.enable');
+    await driver.call(2, 'Page.navigate', { url: 'https://example.com/' });
+    await settle();
+
+    const watched = watcher.events().map(event => event.method);
+    const driven = driver.events().map(event => event.method);
+    assert.ok(watched.includes('Network.requestWillBeSent'));
+    assert.ok(watched.every(method => method.startsWith('Network.')));
+    assert.ok(driven.includes('Page.loadEventFired'));
+    assert.ok(driven.every(method => method.startsWith('Page.')));
+
+    await closeAll(watcher, driver);
+});
+
+test('a domain stays enabled in Chrome until its last client disables it or leaves', async () => {
+    const path = await pagePath();
+    const first = await connect(path);
+    const second = await connect(path);
+    await first.call(1, 'Network.enable');
+    await second.call(1, 'Network.enable');
+
+    // Answered by the multiplexer, Chrome keeps sending Network events for the second client
+    assert.deepStrictEqual(await first.call(2, 'Network.disable'), { id: 2, result: {} });
+    const channel = multiplexer.channels.get(path);
+    assert.deepStrictEqual([...channel.domains.get('Network')], [...channel.clients].slice(1));
+
+    // The second client leaving disables Network for the rest
+    await first.call(3, 'Page.enable');
+    await closeAll(second);
+    assert.strictEqual(channel.domains.has('Network'), false);
+    await first.call(4, 'Page.navigate', { url: 'https://example.com/' });
+    await settle();
+    assert.ok(!first.events().some(event => event.method.startsWith('Network.')));
+
+    await closeAll(first);
+});
+
+test('malformed commands are answered with CDP errors', async () => {
+    const client = await connect(await pagePath());
+    client.send('not json');
+    client.send(JSON.stringify({ id: 'one', method: 'Runtime.evaluate' }));
+    client.send('null');
+    client.send('[1]');
+    await settle();
+
+    assert.deepStrictEqual(client.messages.map(message => message.error.code), [-32700, -32600, -32600, -32600]);
+    // The shared socket outlives them
+    assert.strictEqual((await client.call(1, 'Runtime.evaluate', { expression: '1 + 1', returnByValue: true })).result.result.value, 2);
+    await closeAll(client);
+});
+
+test('an unknown target is refused with Chrome\'s status', async () => {
+    await assert.rejects(connect('/devtools/page/missing'), /Unexpected server response: (400|404)/);
+    assert.strictEqual(multiplexer.channels.size, 0);
+});
@@ -0,0 +1,226 @@
+/**
+ * CDP Policy Tests
+ * Runs with node --test; the filter test runs against the mock Chrome server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const CdpPolicy = require('../cdp-policy');
+const CdpFilter = require('../cdp-filter');
+const MockChromeServer = require('../mock-chrome-server');
+const ChromeProxyTester = require('../connection-test');
+
+const { PolicyError } = CdpPolicy;
+
+test('deny wins over allow, and patterns name domains or single methods', () => {
+    const policy = new CdpPolicy({
+        default: { allow: ['Page', 'Runtime.*', 'Browser.getVersion'], deny: ['Page.navigate'] }
+    });
+
+    assert.deepStrictEqual(policy.check(null, 'Page.reload'), { allowed: true });
+    assert.deepStrictEqual(policy.check(null, 'Runtime.evaluate'), { allowed: true });
+    assert.deepStrictEqual(policy.check(null, 'Browser.getVersion'), { allowed: true });
+    assert.deepStrictEqual(policy.check(null, 'Page.navigate'), {
+        allowed: false, rule: 'deny Page.navigate', reason: 'Page.navigate is denied for anonymous clients'
+    });
+    assert.deepStrictEqual(policy.check(null, 'Browser.close'), {
+        allowed: false, rule: 'allow', reason: 'Browser.close is not allowed for anonymous clients'
+    });
+    // A domain pattern does not match a domain that merely starts with it
+    assert.strictEqual(policy.check(null, 'PageExtra.run').allowed, false);
+});
+
+test('a client entry replaces the default', () => {
+    const policy = new CdpPolicy({
+        default: { deny: ['Browser'] },
+        clients: { ops: { allow: ['*'] }, viewer: { allow: ['Page.captureScreenshot'] } }
+    });
+
+    assert.strictEqual(policy.check(null, 'Browser.close').allowed, false);
+    assert.strictEqual(policy.check('unknown', 'Browser.close').allowed, false);
+    assert.strictEqual(policy.check('ops', 'Browser.close').allowed, true);
+    assert.strictEqual(policy.check('viewer', 'Page.captureScreenshot').allowed, true);
+    assert.strictEqual(policy.check('viewer', 'Runtime.evaluate').reason, 'Runtime.evaluate is not allowed for viewer');
+});
+
+test('parameter rules block risky calls of allowed methods', () => {
+    const policy = new CdpPolicy({
+        default: {
+            params: {
+                'Runtime.evaluate': { expression: { maxLength: 20, deny: ['fetch\\('] } },
+                'Page.navigate': { url: { required: true, match: '^https://' } },
+                'Emulation.setDeviceMetricsOverride': { 'screenOrientation.type': { oneOf: ['portraitPrimary'] } }
+            }
+        }
+    });
+
+    assert.strictEqual(policy.check(null, 'Runtime.evaluate', { expression: '1 + 1' }).allowed, true);
+    assert.deepStrictEqual(policy.check(null, 'Runtime.evaluate', { expression: 'fetch("/admin")' }), {
+        allowed: false, rule: 'params expression', reason: 'Runtime.evaluate: expression matches fetch\\('
+    });
+    assert.strictEqual(policy.check(null, 'Runtime.evaluate', { expression: 'x'.repeat(21) }).reason,
+        'Runtime.evaluate: expression is longer than 20 characters');
+
+    assert.strictEqual(policy.check(null, 'Page.navigate', { url: 'https://example.com/' }).allowed, true);
+    assert.strictEqual(policy.check(null, 'Page.navigate', { url: 'file:///etc/passwd' }).reason,
+        'Page.navigate: url does not match ^https://');
+    assert.strictEqual(policy.check(null, 'Page.navigate').reason, 'Page.navigate: url is required');
+
+    // Dot paths reach into nested parameters; a missing optional one passes
+    assert.strictEqual(policy.check(null, 'Emulation.setDeviceMetricsOverride', { width: 800 }).allowed, true);
+    assert.strictEqual(policy.check(null, 'Emulation.setDeviceMetricsOverride', { screenOrientation: { type: 'landscapePrimary' } }).rule,
+        'params screenOrientation.type');
+});
+
+test('commands wrapped in Target.sendMessageToTarget are judged like direct ones', () => {
+    const policy = new CdpPolicy({ default: { deny: ['Browser.close'] } });
+    const wrapped = (command) => ({ targetId: 'T1', message: JSON.stringify({ id: 1, ...command }) });
+
+    assert.strictEqual(policy.check(null, 'Target.sendMessageToTarget', wrapped({ method: 'Runtime.evaluate', params: { expression: '1' } })).allowed, true);
+    assert.deepStrictEqual(policy.check(null, 'Target.sendMessageToTarget', wrapped({ method: 'Browser.close' })), {
+        allowed: false,
+        rule: 'message deny Browser.close',
+        reason: 'Target.sendMessageToTarget: Browser.close is denied for anonymous clients'
+    });
+
+    // Wrapped twice, and wrapped so the method cannot be read
+    const twice = { targetId: 'T1', message: JSON.stringify({ id: 2, method: 'Target.sendMessageToTarget', params: wrapped({ method: 'Browser.close' }) }) };
+    assert.strictEqual(policy.check(null, 'Target.sendMessageToTarget', twice).allowed, false);
+    assert.strictEqual(policy.check(null, 'Target.sendMessageToTarget', { message: '{"method":' }).reason,
+        'Target.sendMessageToTarget: message is not a CDP command');
+    assert.strictEqual(policy.check(null, 'Target.sendMessageToTarget').allowed, false);
+});
+
+test('broken policies are refused with a PolicyError', () => {
+    assert.throws(() => new CdpPolicy({ default: { allow: 'Page' } }), /default\.allow must be a list/);
+    assert.throws(() => new CdpPolicy({ clients: { ops: { params: { 'Page.navigate': { url: { prefix: 'https' } } } } } }),
+        error => error instanceof PolicyError && /unknown condition "prefix"/.test(error.message));
+    assert.throws(() => new CdpPolicy({ default: { params: { 'Runtime.evaluate': { expression: { match: '(' } } } } }), PolicyError);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdp-policy-'));
+    const file = path.join(dir, 'policy.yaml');
+    fs.writeFileSync(file, 'default:\n  deny: [Browser.close]\nclients:\n  ops: {}\n');
+    const policy = CdpPolicy.load(file);
+    assert.strictEqual(policy.check(null, 'Browser.close').allowed, false);
+    assert.strictEqual(policy.check('ops', 'Browser.close').allowed, true);
+
+    fs.writeFileSync(file, 'default: [unclosed\n');
+    assert.throws(() => CdpPolicy.load(file), /^PolicyError: Invalid CDP policy: cannot parse/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the filter applies the policy of the client its header names', async () => {
+    const mock = new MockChromeServer({ port: 0, targets: 1, subresources: 0, quiet: true });
+    await mock.start();
+    const filter = new CdpFilter({
+        listenPort: 0,
+        upstreamPort: mock.port,
+        policy: { default: { deny: ['Runtime.evaluate'] }, clients: { ops: {} } },
+        auditLog: null,
+        quiet: true
+    });
+    await filter.start();
+
+    const evaluate = async (headers) => {
+        const [id] = mock.targets.keys();
+        const ws = new WebSocket(`ws://127.0.0.1:${filter.port}/devtools/page/${id}`, { headers });
+        await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+        const response = await new Promise((resolve) => {
+            ws.once('message', data => resolve(JSON.parse(data)));
+            ws.send(JSON.stringify({ id: 7, method: 'Runtime.evaluate', params: { expression: '1 + 1', returnByValue: true } }));
+        });
+        ws.close();
+        return response;
+    };
+
+    try {
+        // A message that parses to something other than an object is refused, not fatal
+        const [id] = mock.targets.keys();
+        const ws = new WebSocket(`ws://127.0.0.1:${filter.port}/devtools/page/${id}`);
+        await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+        const refused = await new Promise((resolve) => {
+            ws.once('message', data => resolve(JSON.parse(data)));
+            ws.send('null');
+        });
+        ws.close();
+        assert.strictEqual(refused.error.code, -32600);
+
+        const blocked = await evaluate({});
+        assert.strictEqual(blocked.id, 7);
+        assert.ok(CdpFilter.isBlocked(blocked.error));
+        assert.strictEqual(blocked.error.message, 'Blocked by proxy policy: Runtime.evaluate is denied for anonymous clients');
+
+        const allowed = await evaluate({ 'X-Auth-Subject': 'ops' });
+        assert.strictEqual(allowed.result.result.value, 2);
+        assert.deepStrictEqual({ allowed: filter.stats.allowed, blocked: filter.stats.blocked }, { allowed: 1, blocked: 1 });
+    } finally {
+        await filter.stop();
+        await mock.stop();
+    }
+});
+
+test('the client header counts only from a trusted proxy', async () => {
+    const mock = new MockChromeServer({ port: 0, targets: 1, subresources: 0, quiet: true });
+    await mock.start();
+    const filter = new CdpFilter({
+        listenPort: 0,
+        upstreamPort: mock.port,
+        policy: { default: { deny: ['Runtime.evaluate', 'Target.closeTarget'] }, clients: { ops: {} } },
+        trustedProxies: ['10.0.0.1'],
+        auditLog: null,
+        quiet: true
+    });
+    await filter.start();
+
+    try {
+        const [id] = mock.targets.keys();
+        const ws = new WebSocket(`ws://127.0.0.1:${filter.port}/devtools/page/${id}`, { headers: { 'X-Auth-Subject': 'ops' } });
+        await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+        const response = await new Promise((resolve) => {
+            ws.once('message', data => resolve(JSON.parse(data)));
+            ws.send(JSON.stringify({ id: 1, method: 'Runtime.evaluate', params: { expression: '1 + 1' } }));
+        });
+        ws.close();
+        assert.strictEqual(response.error.message, 'Blocked by proxy policy: Runtime.evaluate is denied for anonymous clients');
+
+        // The same goes for the /json endpoints judged as Target commands
+        const closed = await fetch(`http://127.0.0.1:${filter.port}/json/close/${id}`, { headers: { 'X-Auth-Subject': 'ops' } });
+        assert.strictEqual(closed.status, 403);
+        assert.ok(mock.targets.has(id));
+    } finally {
+        await filter.stop();
+        await mock.stop();
+    }
+});
+
+test('/json endpoints that act on targets map to Target commands', () => {
+    assert.deepStrictEqual(CdpFilter.httpCommand('/json/new?https://example.com/?a=1'), { method: 'Target.createTarget', params: { url: 'https://example.com/?a=1' } });
+    assert.deepStrictEqual(CdpFilter.httpCommand('/json/new'), { method: 'Target.createTarget', params: { url: 'about:blank' } });
+    assert.deepStrictEqual(CdpFilter.httpCommand('/json/close/ABC'), { method: 'Target.closeTarget', params: { targetId: 'ABC' } });
+    assert.deepStrictEqual(CdpFilter.httpCommand('/json/activate/ABC'), { method: 'Target.activateTarget', params: { targetId: 'ABC' } });
+    assert.strictEqual(CdpFilter.httpCommand('/json/list'), null);
+    assert.strictEqual(CdpFilter.httpCommand('/json/version'), null);
+});
+
+test('an unreadable reply fails the policy check instead of throwing', async () => {
+    const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => server.once('listening', resolve));
+    server.on('connection', ws => ws.on('message', () => ws.send('not json')));
+    const tester = new ChromeProxyTester({ host: '127.0.0.1', timeout: 2000, quiet: true });
+
+    try {
+        const [result] = await tester.testPolicy(`ws://127.0.0.1:${server.address().port}/devtools/page/1`, [
+            { method: 'Runtime.evaluate', params: { expression: '1' }, expect: 'allowed' }
+        ]);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.failure, 'unexpected');
+        assert.match(result.error, /^Unreadable message while waiting for Runtime.evaluate/);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
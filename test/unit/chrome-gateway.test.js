@@ -0,0 +1,196 @@
+/**
+ * Chrome Gateway Tests
+ * Runs with node --test against the mock Chrome server and the auth sidecar
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const ChromeGateway = require('../chrome-gateway');
+const AuthSidecar = require('../auth-sidecar');
+const MockChromeServer = require('../mock-chrome-server');
+
+let mock;
+
+test.before(async () => {
+    mock = new MockChromeServer({ port: 0, targets: 1, quiet: true });
+    await mock.start();
+});
+
+test.after(async () => {
+    await mock.stop();
+});
+
+async function startGateway(config = {}) {
+    const gateway = new ChromeGateway({
+        listenHost: '127.0.0.1',
+        listenPort: 0,
+        portRange: { start: mock.port, end: mock.port },
+        quiet: true,
+        ...config
+    });
+    await gateway.start();
+    return gateway;
+}
+
+// Status of a WebSocket upgrade the gateway refuses
+function upgradeStatus(url) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url);
+        ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+        ws.on('open', () => {
+            ws.close();
+            reject(new Error(`${url} was upgraded`));
+        });
+        ws.on('error', () => {});
+    });
+}
+
+test('a malformed instance name is a 400 and leaves the gateway up', async () => {
+    const gateway = await startGateway();
+    try {
+        const response = await fetch(`http://127.0.0.1:${gateway.port}/chrome/%E0/json`);
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(await upgradeStatus(`ws://127.0.0.1:${gateway.port}/chrome/%E0/devtools/browser`), 400);
+
+        const health = await fetch(`http://127.0.0.1:${gateway.port}/chrome/${mock.port}/health`);
+        assert.strictEqual(health.status, 200);
+    } finally {
+        await gateway.stop();
+    }
+});
+
+test('/instances refuses missing credentials before running discovery', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-gateway-'));
+    const tokensFile = path.join(dir, 'tokens.json');
+    fs.writeFileSync(tokensFile, JSON.stringify({ tokens: [{ name: 'ops', token: 'ops-token' }] }));
+    const sidecar = new AuthSidecar({ listenPort: 0, tokensFile, quiet: true });
+    await sidecar.start();
+    const gateway = await startGateway({ authUrl: `http://127.0.0.1:${sidecar.port}/auth` });
+
+    let discoveries = 0;
+    const discover = gateway.discover.bind(gateway);
+    gateway.discover = () => {
+        discoveries++;
+        return discover();
+    };
+
+    try {
+        const anonymous = await fetch(`http://127.0.0.1:${gateway.port}/instances`);
+        assert.strictEqual(anonymous.status, 401);
+        assert.strictEqual(discoveries, 0);
+
+        const authorized = await fetch(`http://127.0.0.1:${gateway.port}/instances`, { headers: { Authorization: 'Bearer ops-token' } });
+        assert.deepStrictEqual((await authorized.json()).map(instance => instance.port), [mock.port]);
+        assert.strictEqual(discoveries, 1);
+    } finally {
+        await gateway.stop();
+        await sidecar.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Opens a session on url and resolves once it is open
+function open(url, options) {
+    const ws = new WebSocket(url, options);
+    return new Promise((resolve, reject) => ws.once('open', () => resolve(ws)).once('error', reject));
+}
+
+// Opens a session that queues and resolves with it once the gateway reports its place in line
+function queued(url, options) {
+    const ws = new WebSocket(url, options);
+    return new Promise((resolve, reject) => {
+        ws.on('message', (data) => {
+            if (JSON.parse(data).method === 'Admission.queued') {
+                resolve(ws);
+            }
+        });
+        ws.once('error', reject);
+    });
+}
+
+test('X-Forwarded-For names the queued client only when a trusted proxy sent it', async () => {
+    const url = gateway => `ws://127.0.0.1:${gateway.port}/chrome/any/devtools/browser`;
+    const headers = { 'X-Forwarded-For': '203.0.113.9, 10.0.0.1', 'X-Real-IP': '203.0.113.10' };
+
+    for (const [trustedProxies, client] of [[[], '127.0.0.1'], [['127.0.0.1'], '203.0.113.9']]) {
+        const gateway = await startGateway({ maxSessions: 1, trustedProxies });
+        const holder = await open(url(gateway));
+        const waiter = await queued(url(gateway), { headers });
+        try {
+            assert.deepStrictEqual(gateway.admission.waiting.map(entry => entry.client), [client]);
+        } finally {
+            waiter.terminate();
+            holder.terminate();
+            await gateway.stop();
+        }
+    }
+});
+
+test('queue priority is capped at what the auth subject or address is allowed', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-gateway-'));
+    const tokensFile = path.join(dir, 'tokens.json');
+    fs.writeFileSync(tokensFile, JSON.stringify({ tokens: [{ name: 'ops', token: 'ops-token' }, { name: 'ci', token: 'ci-token' }] }));
+    const sidecar = new AuthSidecar({ listenPort: 0, tokensFile, quiet: true });
+    await sidecar.start();
+    const gateway = await startGateway({ maxSessions: 1, authUrl: `http://127.0.0.1:${sidecar.port}/auth`, priorities: { ops: 'high' } });
+    const url = query => `ws://127.0.0.1:${gateway.port}/chrome/any/devtools/browser${query}`;
+    const as = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    const sessions = [];
+    try {
+        sessions.push(await open(url(''), as('ops-token')));
+        sessions.push(await queued(url('?priority=high'), as('ci-token')));
+        sessions.push(await queued(url('?priority=low'), as('ops-token')));
+        sessions.push(await queued(url('?priority=high'), as('ops-token')));
+        assert.deepStrictEqual(gateway.admission.waiting.map(entry => entry.priority), ['normal', 'low', 'high']);
+
+        assert.throws(() => ChromeGateway.loadPriorities(path.join(dir, 'tokens.json')), /Invalid entry "tokens"/);
+    } finally {
+        sessions.forEach(ws => ws.terminate());
+        await gateway.stop();
+        await sidecar.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an admitted session passes its credentials on to an authenticating Chrome', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-gateway-'));
+    const tokensFile = path.join(dir, 'tokens.json');
+    fs.writeFileSync(tokensFile, JSON.stringify({ tokens: [{ name: 'ops', token: 'ops-token' }] }));
+    const sidecar = new AuthSidecar({ listenPort: 0, tokensFile, quiet: true });
+    await sidecar.start();
+    const secured = new MockChromeServer({ port: 0, targets: 1, authUrl: `http://127.0.0.1:${sidecar.port}/auth`, quiet: true });
+    await secured.start();
+    const gateway = await startGateway({ maxSessions: 1, portRange: { start: secured.port, end: secured.port } });
+    const [id] = secured.targets.keys();
+    const url = `ws://127.0.0.1:${gateway.port}/chrome/${secured.port}/devtools/page/${id}`;
+    const options = { headers: { Authorization: 'Bearer ops-token' } };
+
+    try {
+        const holder = await open(url, options);
+        const waiter = await queued(url, options);
+        const admitted = new Promise((resolve) => {
+            waiter.on('message', (data) => {
+                const { method } = JSON.parse(data);
+                if (method === 'Admission.admitted') {
+                    resolve(method);
+                }
+            });
+            waiter.on('close', code => resolve(code));
+        });
+        holder.close();
+        assert.strictEqual(await admitted, 'Admission.admitted');
+        assert.strictEqual(secured.stats.authDenied, 0);
+        waiter.close();
+    } finally {
+        await gateway.stop();
+        await secured.stop();
+        await sidecar.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,158 @@
+/**
+ * Chrome Proxy Client Tests
+ * Runs with node --test against the mock Chrome server, the gateway and small failing servers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const ChromeProxyClient = require('../chrome-proxy-client');
+const ChromeGateway = require('../chrome-gateway');
+const MockChromeServer = require('../mock-chrome-server');
+
+const { AuthError, ConnectionError, NotFoundError, TimeoutError, UnavailableError } = ChromeProxyClient;
+
+let mock;
+let gateway;
+
+// An HTTP server answering with the statuses in order, then 200 with an empty target list
+async function scriptedServer(statuses) {
+    const server = http.createServer((req, res) => {
+        server.requests.push(req.method);
+        const status = statuses.shift() || 200;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(status === 200 ? '[]' : JSON.stringify({ status }));
+    });
+    server.requests = [];
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+}
+
+test.before(async () => {
+    mock = new MockChromeServer({ port: 0, targets: 2, quiet: true });
+    await mock.start();
+    gateway = new ChromeGateway({
+        listenHost: '127.0.0.1',
+        listenPort: 0,
+        portRange: { start: mock.port, end: mock.port },
+        names: { checkout: mock.port },
+        quiet: true
+    });
+    await gateway.start();
+});
+
+test.after(async () => {
+    await gateway.stop();
+    await mock.stop();
+});
+
+test('discoverInstances scans the port range', async () => {
+    const client = new ChromeProxyClient({ host: '127.0.0.1', portRange: { start: mock.port, end: mock.port } });
+    const instances = await client.discoverInstances();
+    assert.deepStrictEqual(instances.map(instance => instance.port), [mock.port]);
+    assert.strictEqual(instances[0].targetCount, 2);
+});
+
+test('newTarget and closeTarget go through /json/new and /json/close', async () => {
+    const client = new ChromeProxyClient({ host: '127.0.0.1', port: mock.port });
+    const target = await client.newTarget('https://example.com/');
+    assert.strictEqual(target.url, 'https://example.com/');
+    assert.ok((await client.listTargets()).some(listed => listed.id === target.id));
+
+    await client.closeTarget(target.id);
+    assert.ok(!(await client.listTargets()).some(listed => listed.id === target.id));
+    await assert.rejects(client.closeTarget(target.id), NotFoundError);
+});
+
+test('connect by name resolves the instance through the gateway', async () => {
+    const client = new ChromeProxyClient({ host: '127.0.0.1', gateway: gateway.port });
+    const instances = await client.discoverInstances();
+    assert.strictEqual(instances[0].name, 'checkout');
+
+    const cdp = await client.connect({ name: 'checkout' });
+    try {
+        const { result } = await cdp.Runtime.evaluate({ expression: 'navigator.userAgent' });
+        assert.strictEqual(result.type, 'string');
+    } finally {
+        await cdp.close();
+    }
+
+    await assert.rejects(client.connect({ name: 'missing' }), NotFoundError);
+    await assert.rejects(new ChromeProxyClient({ port: mock.port }).connect({ name: 'checkout' }), /names are served by the gateway/);
+});
+
+test('backoff doubles up to the cap, with up to half of each delay as jitter', () => {
+    const delays = { retryDelay: 100, maxRetryDelay: 300 };
+    for (let i = 0; i < 20; i++) {
+        const [first, second, capped] = [0, 1, 5].map(retry => ChromeProxyClient.backoff(retry, delays));
+        assert.ok(first >= 50 && first <= 100);
+        assert.ok(second >= 100 && second <= 200);
+        assert.ok(capped >= 150 && capped <= 300);
+    }
+});
+
+test('shed and unavailable responses are retried with backoff', async () => {
+    const server = await scriptedServer([503, 429]);
+    try {
+        const client = new ChromeProxyClient({ host: '127.0.0.1', port: server.address().port, retryDelay: 10 });
+        assert.deepStrictEqual(await client.listTargets(), []);
+        assert.strictEqual(server.requests.length, 3);
+    } finally {
+        server.close();
+    }
+});
+
+test('the last error carries its type, status and attempts once retries run out', async () => {
+    const server = await scriptedServer([502, 502, 502, 401]);
+    try {
+        const client = new ChromeProxyClient({ host: '127.0.0.1', port: server.address().port, maxRetries: 2, retryDelay: 10 });
+        const error = await client.listTargets().catch(caught => caught);
+        assert.ok(error instanceof UnavailableError);
+        assert.strictEqual(error.status, 502);
+        assert.strictEqual(error.attempts, 3);
+
+        // Refused credentials are final
+        await assert.rejects(client.listTargets(), error => error instanceof AuthError && error.attempts === 1);
+        assert.strictEqual(server.requests.length, 4);
+    } finally {
+        server.close();
+    }
+});
+
+test('refused connections are retried, timed-out PUTs are not', async () => {
+    const closed = await scriptedServer([]);
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const refused = await new ChromeProxyClient({ host: '127.0.0.1', port, maxRetries: 1, retryDelay: 10 }).listTargets().catch(error => error);
+    assert.ok(refused instanceof ConnectionError);
+    assert.strictEqual(refused.code, 'ECONNREFUSED');
+    assert.strictEqual(refused.attempts, 2);
+
+    const silent = http.createServer(() => {});
+    silent.requests = 0;
+    silent.on('request', () => silent.requests++);
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    try {
+        const client = new ChromeProxyClient({ host: '127.0.0.1', port: silent.address().port, timeout: 200, retryDelay: 10 });
+        const error = await client.newTarget().catch(caught => caught);
+        assert.ok(error instanceof TimeoutError);
+        assert.strictEqual(error.attempts, 1);
+        assert.strictEqual(silent.requests, 1);
+    } finally {
+        silent.closeAllConnections();
+        silent.close();
+    }
+});
+
+test('retries: 0 returns shed responses to the caller', async () => {
+    const server = await scriptedServer([503]);
+    try {
+        const client = new ChromeProxyClient({ host: '127.0.0.1' });
+        const response = await client.request(client.instanceUrl(server.address().port, '/json/version'), { retries: 0 });
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(server.requests.length, 1);
+    } finally {
+        server.close();
+    }
+});
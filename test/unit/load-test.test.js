@@ -0,0 +1,130 @@
+/**
+ * Load Tester Tests
+ * Runs with node --test against the mock Chrome server; the profile test reads test/profiles
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const WebSocket = require('ws');
+const ChromeProxyLoadTester = require('../load-test');
+const { compileProfile, loadProfileFile } = require('../load-profiles');
+const MockChromeServer = require('../mock-chrome-server');
+
+test('a failed request stops the wait for its event instead of counting it missing', async () => {
+    const mock = new MockChromeServer({ port: 0, targets: 1, quiet: true });
+    await mock.start();
+
+    try {
+        const tester = new ChromeProxyLoadTester({
+            host: '127.0.0.1',
+            port: mock.port,
+            concurrentConnections: 1,
+            messagesPerConnection: 1,
+            testDuration: 10000,
+            rampUpTime: 0,
+            requestTimeout: 5000,
+            logToStderr: true,
+            scenarios: [{ name: 'failing', setup: [], steps: [{ method: 'Page.missing', waitFor: 'Page.loadEventFired' }] }]
+        });
+        const started = performance.now();
+        await tester.runLoadTest();
+
+        assert.strictEqual(tester.stats.messagesErrored, 1);
+        assert.strictEqual(tester.stats.eventTimeouts, 0);
+        assert.ok(!tester.stats.errors.some(({ message }) => message.includes('Timed out waiting')));
+        // The connection closes once the error is in, not a request timeout later
+        assert.ok(performance.now() - started < 5000);
+    } finally {
+        await mock.stop();
+    }
+});
+
+test('a target that cannot be created is recorded and the port keeps the rest', async () => {
+    const mock = new MockChromeServer({ port: 0, targets: 1, quiet: true });
+    await mock.start();
+
+    const tester = new ChromeProxyLoadTester({ host: '127.0.0.1', port: mock.port, newTargets: 3, logToStderr: true });
+    const newTarget = tester.client.newTarget.bind(tester.client);
+    let calls = 0;
+    tester.client.newTarget = (...args) => (++calls === 2 ? Promise.reject(new Error('HTTP 500')) : newTarget(...args));
+
+    try {
+        const targets = await tester.discoverTargets();
+        assert.strictEqual(targets.length, 3);
+        assert.strictEqual(tester.createdTargets.length, 2);
+        assert.deepStrictEqual(tester.stats.errors.map(({ message, error }) => [message, error]), [[`Port ${mock.port}: failed to create target 2 of 3`, 'HTTP 500']]);
+    } finally {
+        await tester.closeCreatedTargets();
+        await mock.stop();
+    }
+});
+
+test('a session that times out in the admission queue fails the run and its report alike', async () => {
+    // Stands in for a gateway that queues the session and gives up on it
+    const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => server.once('listening', resolve));
+    server.on('headers', headers => headers.push('X-Admission-Queue-Position: 1'));
+    server.on('connection', ws => ws.close(1013, 'Queue timeout'));
+    const wsUrl = `ws://127.0.0.1:${server.address().port}/devtools/page/queued`;
+
+    const tester = new ChromeProxyLoadTester({ concurrentConnections: 1, rampUpTime: 0, testDuration: 5000, logToStderr: true });
+    tester.discoverTargets = async () => [{ port: server.address().port, id: 'queued', wsUrl }];
+
+    try {
+        const success = await tester.runLoadTest();
+        assert.strictEqual(tester.stats.queueTimeouts, 1);
+        assert.strictEqual(tester.stats.connectionsFailed, 0);
+        assert.strictEqual(success, false);
+        assert.strictEqual(tester.buildReport().success, false);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('a frame that is not a JSON object counts as failed instead of throwing', async () => {
+    const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => server.once('listening', resolve));
+    server.on('connection', (ws) => {
+        ws.send('null');
+        ws.send('42');
+        ws.close(1000);
+    });
+    const wsUrl = `ws://127.0.0.1:${server.address().port}/devtools/page/odd`;
+
+    const tester = new ChromeProxyLoadTester({ concurrentConnections: 1, rampUpTime: 0, testDuration: 5000, logToStderr: true });
+    tester.discoverTargets = async () => [{ port: server.address().port, id: 'odd', wsUrl }];
+
+    try {
+        await tester.runLoadTest();
+        const refused = tester.stats.errors.filter(({ message }) => message === 'Connection 1: Message is not a CDP frame');
+        assert.deepStrictEqual(refused.map(({ error }) => error), ['Got null', 'Got 42']);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('a closed-model phase whose connections fail to open moves on and counts them failed', async () => {
+    const tester = new ChromeProxyLoadTester({
+        profile: compileProfile({ type: 'constant', duration: 0.2, connections: 3, rate: 1 }),
+        logToStderr: true
+    });
+    tester.discoverTargets = async () => [{ port: 1, id: 'page', wsUrl: 'ws://127.0.0.1:1/devtools/page/page' }];
+    tester.client.openSocket = () => {
+        throw new Error('Unable to sign the URL');
+    };
+
+    const success = await tester.runLoadTest();
+    assert.strictEqual(success, false);
+    assert.strictEqual(tester.stats.connectionsAttempted, 3);
+    assert.strictEqual(tester.stats.connectionsFailed, 3);
+});
+
+test('the profile file the help points at compiles to a soak run', () => {
+    const profile = loadProfileFile(path.join(__dirname, '..', 'profiles', 'nightly-soak.yaml'));
+    assert.strictEqual(profile.type, 'soak');
+    assert.strictEqual(profile.phases.length, 24);
+    assert.strictEqual(profile.duration, 4 * 60 * 60 * 1000);
+    assert.ok(profile.phases.every(phase => phase.connections === 20 && phase.rate === 5 && !phase.arrivalRate));
+});
@@ -0,0 +1,111 @@
+/**
+ * Metrics Registry and Exporter Tests
+ * Runs with node --test; the exporter test scrapes /metrics after a check run against the mock Chrome server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fetch = require('node-fetch');
+const MetricsRegistry = require('../prometheus-metrics');
+const MetricsExporter = require('../metrics-exporter');
+const MockChromeServer = require('../mock-chrome-server');
+
+test('counters and gauges render with HELP, TYPE and escaped labels', () => {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter('proxy_requests_total', 'Requests served');
+    const up = registry.gauge('proxy_up', 'Whether the proxy is up');
+
+    requests.inc({ port: 48333, path: '/json "list"\\\n' });
+    requests.inc({ path: '/json "list"\\\n', port: '48333' }, 2);
+    up.set({}, 1);
+
+    assert.strictEqual(registry.render(), [
+        '# HELP proxy_requests_total Requests served',
+        '# TYPE proxy_requests_total counter',
+        'proxy_requests_total{port="48333",path="/json \\"list\\"\\\\\\n"} 3',
+        '# HELP proxy_up Whether the proxy is up',
+        '# TYPE proxy_up gauge',
+        'proxy_up 1',
+        ''
+    ].join('\n'));
+
+    up.remove({});
+    assert.doesNotMatch(registry.render(), /^proxy_up /m);
+    assert.throws(() => registry.gauge('proxy_up', 'Again'), /already registered/);
+});
+
+test('histograms have cumulative buckets ending in +Inf, a sum and a count', () => {
+    const registry = new MetricsRegistry();
+    const duration = registry.histogram('check_duration_seconds', 'Check duration', [1, 0.1]);
+    [0.05, 0.5, 0.1, 3].forEach(value => duration.observe({ check: 'cdp' }, value));
+
+    assert.deepStrictEqual(registry.render().split('\n').slice(2, -1), [
+        'check_duration_seconds_bucket{check="cdp",le="0.1"} 2',
+        'check_duration_seconds_bucket{check="cdp",le="1"} 3',
+        'check_duration_seconds_bucket{check="cdp",le="+Inf"} 4',
+        'check_duration_seconds_sum{check="cdp"} 3.65',
+        'check_duration_seconds_count{check="cdp"} 4'
+    ]);
+    assert.deepStrictEqual(registry.histogram('default_seconds', 'Default buckets').buckets, MetricsRegistry.DEFAULT_BUCKETS);
+});
+
+test('OpenMetrics is chosen by Accept, names counter families without _total and ends in # EOF', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('runs_total', 'Runs').inc();
+
+    assert.strictEqual(MetricsRegistry.negotiate('application/openmetrics-text; version=1.0.0,text/plain;q=0.5'), 'openmetrics');
+    assert.strictEqual(MetricsRegistry.negotiate('text/plain'), 'prometheus');
+    assert.strictEqual(MetricsRegistry.negotiate(), 'prometheus');
+    assert.strictEqual(registry.render('openmetrics'), '# HELP runs Runs\n# TYPE runs counter\nruns_total 1\n# EOF\n');
+});
+
+test('the exporter serves each port\'s checks on /metrics and marks a vanished port down', async () => {
+    const mock = new MockChromeServer({ port: 0, targets: 1, quiet: true });
+    await mock.start();
+    const exporter = new MetricsExporter({
+        host: '127.0.0.1',
+        portRange: { start: mock.port, end: mock.port },
+        interval: 60000,
+        timeout: 3000,
+        listenHost: '127.0.0.1',
+        listenPort: 0,
+        quiet: true
+    });
+    await exporter.start();
+    const port = `port="${mock.port}"`;
+    const scrape = async (accept) => {
+        const response = await fetch(`http://127.0.0.1:${exporter.port}/metrics`, { headers: accept ? { Accept: accept } : {} });
+        return { type: response.headers.get('content-type'), body: await response.text() };
+    };
+
+    try {
+        // Joins the run start() began
+        await exporter.run();
+        const { type, body } = await scrape();
+        assert.strictEqual(type, MetricsRegistry.CONTENT_TYPES.prometheus);
+        assert.match(body, new RegExp(`^chrome_proxy_up\\{${port}\\} 1$`, 'm'));
+        assert.match(body, /^chrome_proxy_instances 1$/m);
+        assert.match(body, new RegExp(`^chrome_proxy_check_success\\{${port},check="cdp"\\} 1$`, 'm'));
+        assert.match(body, new RegExp(`^chrome_proxy_check_duration_seconds_count\\{${port},check="version"\\} 1$`, 'm'));
+        assert.match(body, new RegExp(`^chrome_proxy_instance_info\\{${port},browser="HeadlessChrome/[^"]+",protocol_version="[^"]+"\\} 1$`, 'm'));
+        assert.match(body, /^chrome_proxy_exporter_runs_total 1$/m);
+
+        const openMetrics = await scrape('application/openmetrics-text');
+        assert.strictEqual(openMetrics.type, MetricsRegistry.CONTENT_TYPES.openmetrics);
+        assert.match(openMetrics.body, /^# TYPE chrome_proxy_exporter_runs counter$/m);
+        assert.ok(openMetrics.body.endsWith('# EOF\n'));
+
+        assert.strictEqual((await fetch(`http://127.0.0.1:${exporter.port}/other`)).status, 404);
+        assert.strictEqual((await fetch(`http://127.0.0.1:${exporter.port}/metrics`, { method: 'POST' })).status, 405);
+
+        await mock.stop();
+        await exporter.run();
+        const down = (await scrape()).body;
+        assert.match(down, new RegExp(`^chrome_proxy_up\\{${port}\\} 0$`, 'm'));
+        assert.match(down, /^chrome_proxy_instances 0$/m);
+        assert.doesNotMatch(down, /^chrome_proxy_check_success\{/m);
+    } finally {
+        await exporter.stop();
+        await mock.stop();
+    }
+});
@@ -0,0 +1,228 @@
+/**
+ * nginx Config Generator and Linter Tests
+ * Runs with node --test; no nginx binary needed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, render, parse, lint, generate, tlsOptions } = require('../nginx-config');
+const tlsCerts = require('../tls-certs');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MAIN = fs.readFileSync(path.join(ROOT, 'nginx', 'nginx.conf'), 'utf8');
+
+// A rendered template with one edit applied, linted against the shipped nginx.conf
+function lintEdited(search, replacement, main = MAIN) {
+    const text = render({ port: 48333 });
+    assert.ok(text.includes(search), `template contains ${search}`);
+    return lint(text.replace(search, replacement), { port: 48333, main });
+}
+
+function rules(violations) {
+    return violations.map(v => v.rule);
+}
+
+test('the shipped template renders and lints clean', () => {
+    const text = generate({ port: 48333 });
+    assert.match(text, /listen 48333;/);
+    assert.doesNotMatch(text, /\{\{\w+\}\}/);
+});
+
+test('the shipped conf.d config lints clean', () => {
+    const text = fs.readFileSync(path.join(ROOT, 'nginx', 'conf.d', 'chrome-proxy.conf'), 'utf8');
+    assert.deepStrictEqual(lint(text, { port: 48333, main: MAIN }), []);
+});
+
+test('typed variables render in nginx spelling', () => {
+    const text = render({ port: 48400, readTimeout: 300, connectTimeout: '2s', rateBurst: 0, connLimit: 4, auth: false });
+    assert.match(text, /proxy_read_timeout 300s;/);
+    assert.match(text, /proxy_connect_timeout 2s;/);
+    assert.match(text, /burst=0 nodelay;/);
+    assert.match(text, /limit_conn chrome_conn 4;/);
+    assert.match(text, /^ {4}auth_request off;$/m);
+    assert.match(text, /proxy_pass http:\/\/127\.0\.0\.1:48400\/devtools\/page\/\$1;/);
+});
+
+test('invalid and unknown variables are reported together', () => {
+    assert.throws(() => render({ port: 70000, readTimeout: '-1', connLimit: 0, auth: 'yes', retries: 3 }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.violations.map(v => [v.rule, v.context]), [
+            ['unknown-variable', 'retries'],
+            ['invalid-variable', 'port'],
+            ['invalid-variable', 'readTimeout'],
+            ['invalid-variable', 'connLimit'],
+            ['invalid-variable', 'auth']
+        ]);
+        return true;
+    });
+});
+
+test('the port is required', () => {
+    assert.throws(() => render({}), error => error.violations[0].message === '"port" is required');
+});
+
+test('devtools locations must set the upgrade headers', () => {
+    const violations = lintEdited(
+        'proxy_pass http://127.0.0.1:48333/devtools/page/$1;\n        proxy_http_version 1.1;\n        proxy_set_header Upgrade $http_upgrade;',
+        'proxy_pass http://127.0.0.1:48333/devtools/page/$1;'
+    );
+    assert.deepStrictEqual(violations.map(v => ({ rule: v.rule, message: v.message, context: v.context })), [
+        { rule: 'devtools-upgrade', message: 'WebSocket upgrades need proxy_http_version 1.1', context: 'server 48333 > location ~ ^/devtools/page/(.*)$' },
+        { rule: 'devtools-upgrade', message: 'Missing proxy_set_header Upgrade $http_upgrade', context: 'server 48333 > location ~ ^/devtools/page/(.*)$' }
+    ]);
+    assert.ok(violations[0].line > 0);
+});
+
+test('proxy_pass to loopback must use the listen port', () => {
+    const violations = lintEdited('proxy_pass http://127.0.0.1:48333$chrome_proxy_uri;', 'proxy_pass http://127.0.0.1:48334$chrome_proxy_uri;');
+    assert.deepStrictEqual(rules(violations), ['proxy-pass-port']);
+    assert.strictEqual(violations[0].context, 'server 48333 > location /');
+});
+
+test('listen must match the port the config was rendered for', () => {
+    const violations = lint(render({ port: 48333 }), { port: 48334 });
+    assert.deepStrictEqual(rules(violations), ['listen-port']);
+});
+
+test('$connection_upgrade needs the map in nginx.conf', () => {
+    const withoutMap = MAIN.replace(/map \$http_upgrade \$connection_upgrade \{[^}]*\}/, '');
+    assert.deepStrictEqual(rules(lint(render({ port: 48333 }), { port: 48333, main: withoutMap })), ['connection-upgrade-map']);
+
+    const wrongDefault = MAIN.replace('default upgrade;', 'default close;');
+    assert.deepStrictEqual(rules(lint(render({ port: 48333 }), { port: 48333, main: wrongDefault })), ['connection-upgrade-map']);
+});
+
+test('error pages need a location and the catch-all needs them all', () => {
+    assert.deepStrictEqual(
+        rules(lintEdited('location = /chrome_error_48333.html {', 'location = /chrome_error.html {')),
+        ['error-page-target']
+    );
+    assert.deepStrictEqual(
+        rules(lintEdited('error_page 502 503 504 /chrome_error_48333.html;', 'error_page 502 /chrome_error_48333.html;')),
+        ['error-page-missing']
+    );
+    assert.deepStrictEqual(
+        rules(lintEdited('location @chrome_unavailable_48333 {', 'location @chrome_down {')),
+        ['error-page-target']
+    );
+});
+
+test('auth_request needs its subrequest location', () => {
+    assert.deepStrictEqual(rules(lintEdited('location = /_auth {', 'location = /auth {')), ['auth-location']);
+});
+
+test('zones and upstreams must be defined in nginx.conf', () => {
+    const violations = lint(render({ port: 48333 }), {
+        port: 48333,
+        main: MAIN.replace('zone=chrome_conn:10m', 'zone=conn:10m').replace('upstream chrome_json_rewriter', 'upstream json_rewriter')
+    });
+    assert.deepStrictEqual(rules(violations), ['undefined-zone', 'undefined-upstream', 'undefined-upstream', 'undefined-upstream', 'undefined-upstream']);
+});
+
+test('a header set twice in one block is reported', () => {
+    const violations = lintEdited('proxy_set_header X-Forwarded-Proto $scheme;\n', 'proxy_set_header X-Forwarded-Proto $scheme;\n        proxy_set_header Connection "upgrade";\n');
+    assert.deepStrictEqual(rules(violations), ['duplicate-proxy-header']);
+    assert.match(violations[0].message, /^Connection is set on lines \d+ and \d+$/);
+});
+
+test('tls renders an ssl server for the name and refuses handshakes for others', () => {
+    const text = generate({ port: 48333, tls: true, serverName: 'chrome-proxy.internal', tlsCert: '/etc/ssl/proxy.pem', tlsKey: '/etc/ssl/proxy.key' });
+    assert.match(text, /listen 48333 ssl default_server;\n\s+ssl_reject_handshake on;/);
+    assert.match(text, /listen 48333 ssl;\n\s+server_name chrome-proxy\.internal;/);
+    assert.match(text, /ssl_certificate \/etc\/ssl\/proxy\.pem;\n\s+ssl_certificate_key \/etc\/ssl\/proxy\.key;/);
+    assert.doesNotMatch(text, /listen 48333;/);
+    assert.strictEqual(parse(text).filter(directive => directive.name === 'server').length, 2);
+
+    const plain = render({ port: 48333 });
+    assert.doesNotMatch(plain, /^\s*(listen .*ssl|ssl_)/m);
+});
+
+test('a certificate directory turns TLS on for every DNS name in the certificate', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nginx-config-tls-'));
+    try {
+        assert.deepStrictEqual(tlsOptions(dir), {});
+        assert.deepStrictEqual(tlsOptions(dir, 'chrome-proxy.internal'), { serverName: 'chrome-proxy.internal' });
+
+        tlsCerts.generate({ dir, hosts: ['localhost', '127.0.0.1', 'chrome-proxy.internal'] });
+        const options = tlsOptions(dir);
+        assert.deepStrictEqual(options, {
+            tls: true,
+            tlsCert: path.join(dir, 'server.pem'),
+            tlsKey: path.join(dir, 'server.key'),
+            serverName: 'localhost chrome-proxy.internal'
+        });
+        assert.match(generate({ port: 48333, ...options }), /listen 48333 ssl;\n\s+server_name localhost chrome-proxy\.internal;/);
+        assert.strictEqual(tlsOptions(dir, 'chrome-proxy.internal').serverName, 'chrome-proxy.internal');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    assert.strictEqual(render({ port: 48333, serverName: ['a.internal', 'b.internal'] }).match(/server_name (.*);/)[1], 'a.internal b.internal');
+    assert.throws(() => render({ port: 48333, serverName: 'a.internal b;c' }), ConfigError);
+});
+
+test('sections keep or drop lines by a boolean variable', () => {
+    const template = 'server {\n{{#TLS}}\n    listen {{PORT}} ssl;\n{{/TLS}}\n{{^TLS}}\n    listen {{PORT}};\n{{/TLS}}\n}\n';
+    assert.strictEqual(render({ port: 48333 }, template), 'server {\n    listen 48333;\n}\n');
+    assert.strictEqual(render({ port: 48333, tls: true }, template), 'server {\n    listen 48333 ssl;\n}\n');
+
+    assert.throws(() => render({ port: 48333 }, 'server {\n{{#TLS}}\n}\n'), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.violations.map(v => [v.rule, v.line]), [['syntax', 2]]);
+        return true;
+    });
+    assert.throws(() => render({ port: 48333 }, '{{#PORT}}\n{{/PORT}}\n'), /does not name a boolean variable/);
+    assert.throws(() => render({ port: 48333 }, '{{/TLS}}\n'), /does not close an open section/);
+});
+
+test('an ssl listener needs a certificate and key', () => {
+    const text = render({ port: 48333, tls: true }).replace(/\n\s+ssl_certificate_key [^;]+;/, '');
+    const violations = lint(text, { port: 48333, main: MAIN });
+    assert.deepStrictEqual(rules(violations), ['tls-certificate']);
+    assert.strictEqual(violations[0].message, 'listen ... ssl without ssl_certificate_key');
+});
+
+test('X-Forwarded-Proto must follow the scheme for the JSON rewriter', () => {
+    const fixed = lintEdited('X-Forwarded-Proto $scheme;\n        proxy_set_header X-Forwarded-Port', 'X-Forwarded-Proto http;\n        proxy_set_header X-Forwarded-Port');
+    assert.deepStrictEqual(rules(fixed), ['forwarded-proto']);
+    assert.match(fixed[0].message, /fixed to http/);
+
+    const missing = lintEdited('        proxy_set_header X-Forwarded-Proto $scheme;\n        proxy_set_header X-Forwarded-Port', '        proxy_set_header X-Forwarded-Port');
+    assert.deepStrictEqual(rules(missing), ['forwarded-proto']);
+    assert.strictEqual(missing[0].context, 'server 48333 > location /json');
+});
+
+test('unrendered placeholders are reported with their line', () => {
+    const text = render({ port: 48333 }, 'server {\n    listen {{PORT}};\n    server_name {{HOST}};\n}\n');
+    const violations = lint(text);
+    assert.deepStrictEqual(violations[0], { rule: 'unresolved-placeholder', message: 'Placeholder {{HOST}} was not rendered', line: 3, context: null });
+    // nginx would stop at the braces too
+    assert.deepStrictEqual(rules(violations), ['unresolved-placeholder', 'syntax']);
+});
+
+test('syntax errors come back as violations', () => {
+    assert.deepStrictEqual(rules(lint('server {\n    listen 48333;\n')), ['syntax']);
+    assert.deepStrictEqual(rules(lint('server {\n    listen 48333\n}\n')), ['syntax']);
+    assert.deepStrictEqual(rules(lint('server {\n    return 502 \'<html>\n')), ['syntax']);
+});
+
+test('the parser keeps quoted strings, regex locations and line numbers', () => {
+    const [server] = parse('server {\n    location ~ ^/devtools/page/(.*)$ {\n        return 503 \'{"a": 1}\';\n    }\n}\n');
+    const [location] = server.block;
+    assert.deepStrictEqual(location.args, ['~', '^/devtools/page/(.*)$']);
+    assert.strictEqual(location.line, 2);
+    assert.deepStrictEqual(location.block[0], { name: 'return', args: ['503', '{"a": 1}'], line: 3, block: null });
+});
+
+test('generate throws with the violations instead of returning a broken config', () => {
+    const template = fs.readFileSync(path.join(ROOT, 'nginx', 'templates', 'proxy-template.conf'), 'utf8')
+        .replace('proxy_set_header Connection $connection_upgrade;', 'proxy_set_header Connection "";');
+    assert.throws(() => generate({ port: 48333 }, { template }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(rules(error.violations), ['devtools-upgrade']);
+        return true;
+    });
+});
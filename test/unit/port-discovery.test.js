@@ -0,0 +1,58 @@
+/**
+ * Port Discovery Tests
+ * Runs with node --test against PID directories in a temporary directory; no servers needed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PortDiscovery = require('../port-discovery');
+
+// A discovery over pidDir whose log lines are collected instead of printed
+function discoveryFor(pidDir) {
+    const discovery = new PortDiscovery({ pidDir, usePidFiles: true, portRange: { start: 48000, end: 48002 } });
+    discovery.logged = [];
+    discovery.log = (message, level) => discovery.logged.push(`${level} ${message}`);
+    return discovery;
+}
+
+test('an unreadable PID file is skipped instead of failing discovery', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-discovery-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'chrome-48333.pid'), `${process.pid}\n`);
+        fs.mkdirSync(path.join(dir, 'chrome-48334.pid'));
+        fs.writeFileSync(path.join(dir, 'chrome-48335.pid'), 'not a pid\n');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored\n');
+
+        const discovery = discoveryFor(dir);
+        assert.deepStrictEqual(discovery.candidatePorts(), [48333]);
+        assert.deepStrictEqual(discovery.logged.map(line => line.split(':')[0]), ['WARN Skipping chrome-48334.pid']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an empty or missing PID directory falls back to the range scan, with a warning', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-discovery-'));
+    try {
+        const empty = discoveryFor(dir);
+        assert.deepStrictEqual(empty.candidatePorts(), [48000, 48001, 48002]);
+        assert.deepStrictEqual(empty.logged, [`WARN No running instances in PID files under ${dir}, scanning ports 48000-48002`]);
+
+        const missing = discoveryFor(path.join(dir, 'missing'));
+        assert.deepStrictEqual(missing.candidatePorts(), [48000, 48001, 48002]);
+        assert.match(missing.logged[0], /^WARN Cannot read PID directory .*missing: ENOENT/);
+        assert.strictEqual(missing.logged.length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a concurrency that would start no probes is refused', () => {
+    [0, -1, NaN, 2.5].forEach((concurrency) => {
+        assert.throws(() => new PortDiscovery({ concurrency }), /^Error: Discovery concurrency must be a positive integer/);
+    });
+    assert.strictEqual(new PortDiscovery({ concurrency: 1 }).config.concurrency, 1);
+});
@@ -0,0 +1,96 @@
+/**
+ * Proxy Comparison Tests
+ * Runs with node --test; the run test compares two mock Chrome servers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ProxyComparison = require('../proxy-comparison');
+const MockChromeServer = require('../mock-chrome-server');
+
+test('headers the proxy adds, drops or changes are reported, by design or not', () => {
+    const direct = { 'content-type': 'application/json', 'content-length': '120', 'x-frame-options': 'DENY', date: 'Mon' };
+    const proxied = { 'content-type': 'text/html', 'transfer-encoding': 'chunked', server: 'nginx', date: 'Tue' };
+
+    assert.deepStrictEqual(ProxyComparison.diffHeaders(direct, proxied), [
+        { where: 'content-type', change: 'changed', detail: 'application/json direct, text/html proxied', expected: false },
+        { where: 'content-length', change: 'dropped', detail: '120 direct, missing proxied', expected: true },
+        { where: 'x-frame-options', change: 'dropped', detail: 'DENY direct, missing proxied', expected: false },
+        { where: 'transfer-encoding', change: 'added', detail: 'chunked proxied', expected: true },
+        { where: 'server', change: 'added', detail: 'nginx proxied', expected: true }
+    ]);
+});
+
+test('overhead is the proxied percentile minus the direct one', () => {
+    const direct = Array.from({ length: 100 }, (_, i) => i + 1);
+    const proxied = direct.map(value => value + 5);
+
+    const { overhead } = ProxyComparison.overhead(direct, proxied);
+    assert.deepStrictEqual(overhead, { p50: 5, p95: 5, p99: 5 });
+    assert.deepStrictEqual(ProxyComparison.overhead(direct, []).overhead, {});
+});
+
+test('a slower side with another browser shows delayed frames and a changed /json/version', async () => {
+    const direct = new MockChromeServer({ quiet: true });
+    const proxied = new MockChromeServer({ browser: 'HeadlessChrome/121.0.6167.85', latency: 80, quiet: true });
+    await direct.start();
+    await proxied.start();
+
+    try {
+        const result = await new ProxyComparison({
+            host: '127.0.0.1',
+            port: proxied.port,
+            directPort: direct.port,
+            script: [{ method: 'Runtime.evaluate', params: { expression: '1 + 1' } }],
+            endpoints: [{ path: '/json/version', compare: 'exact' }],
+            iterations: 3,
+            settle: 0
+        }).run();
+
+        assert.strictEqual(result.success, false);
+        assert.deepStrictEqual(result.closeCodes, { direct: 1000, proxied: 1000 });
+        const found = (kind, where) => result.differences.find(difference => difference.kind === kind && difference.where === where);
+        assert.strictEqual(found('body', '/json/version Browser').detail, '"HeadlessChrome/120.0.6099.109" direct, "HeadlessChrome/121.0.6167.85" proxied');
+        assert.strictEqual(found('frame', 'Runtime.evaluate').change, 'delayed');
+        assert.ok(result.latency.cdp.overhead.p50 >= 50);
+        assert.strictEqual(result.latency.methods['Runtime.evaluate'].proxied.count, 3);
+    } finally {
+        await direct.stop();
+        await proxied.stop();
+    }
+});
+
+test('a side that closes mid-script ends the run at once with a close difference', async () => {
+    const direct = new MockChromeServer({ quiet: true });
+    const proxied = new MockChromeServer({ closeAfter: 2, quiet: true });
+    await direct.start();
+    await proxied.start();
+
+    try {
+        const result = await new ProxyComparison({
+            host: '127.0.0.1',
+            port: proxied.port,
+            directPort: direct.port,
+            script: [{ method: 'Runtime.evaluate', params: { expression: '1 + 1' } }],
+            endpoints: [],
+            iterations: 5,
+            settle: 0,
+            timeout: 5000
+        }).run();
+
+        assert.ok(result.durationMs < 5000);
+        const closes = result.differences.filter(difference => difference.kind === 'close');
+        assert.strictEqual(closes.length, 1);
+        assert.match(closes[0].detail, /^open direct, closed with \d+ proxied$/);
+    } finally {
+        await direct.stop();
+        await proxied.stop();
+    }
+});
+
+test('the proxy must be named, and not as Chrome\'s own loopback port', () => {
+    assert.throws(() => new ProxyComparison({ port: 48333 }), /No proxy host/);
+    assert.throws(() => new ProxyComparison({ host: 'localhost', port: 48333 }), /localhost:48333 is Chrome's own port/);
+    assert.doesNotThrow(() => new ProxyComparison({ host: 'proxy.internal', port: 48333 }));
+    assert.doesNotThrow(() => new ProxyComparison({ host: 'localhost', port: 48333, gateway: 9470 }));
+});
@@ -0,0 +1,131 @@
+/**
+ * Local Certificate and TLS Client Option Tests
+ * Runs with node --test; needs the openssl command line tool
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const tls = require('tls');
+const path = require('path');
+const https = require('https');
+const { X509Certificate } = require('crypto');
+const fetch = require('node-fetch');
+const ProxyTls = require('../proxy-tls');
+const ChromeProxyTester = require('../connection-test');
+const { generate } = require('../tls-certs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-tls-test-'));
+let files;
+let server;
+let port;
+
+test.before(async () => {
+    files = generate({ dir, hosts: ['chrome-proxy.test', '127.0.0.1'] });
+
+    // Refuses other SNI names with an alert, the way ssl_reject_handshake does
+    const context = tls.createSecureContext({ cert: fs.readFileSync(files.cert), key: fs.readFileSync(files.key) });
+    const reject = tls.createSecureContext({});
+    server = https.createServer({
+        SNICallback: (name, callback) => callback(null, name === 'chrome-proxy.test' ? context : reject)
+    }, (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ proto: 'https' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('generate writes a CA and a server certificate for every host', () => {
+    const cert = new X509Certificate(fs.readFileSync(files.cert));
+    const ca = new X509Certificate(fs.readFileSync(files.ca));
+    assert.strictEqual(cert.subjectAltName, 'DNS:chrome-proxy.test, IP Address:127.0.0.1');
+    assert.ok(cert.verify(ca.publicKey));
+    assert.strictEqual(fs.statSync(files.key).mode & 0o777, 0o600);
+
+    // A second run renews the server certificate under the same CA
+    const again = generate({ dir, hosts: ['chrome-proxy.test', '127.0.0.1'] });
+    assert.strictEqual(again.createdCa, false);
+    assert.strictEqual(new X509Certificate(fs.readFileSync(files.ca)).fingerprint256, ca.fingerprint256);
+});
+
+test('a certificate from the trusted CA is authorized for its name', async () => {
+    const result = await new ProxyTls({ enabled: true, ca: files.ca, servername: 'chrome-proxy.test' }).inspect('127.0.0.1', port);
+    assert.strictEqual(result.authorized, true);
+    assert.strictEqual(result.authorizationError, null);
+    assert.strictEqual(result.subject, 'chrome-proxy.test');
+    assert.strictEqual(result.issuer, 'Chrome Debugger Proxy Local CA');
+    assert.ok(result.daysLeft > 800);
+});
+
+test('without the CA the certificate is not trusted', async () => {
+    const result = await new ProxyTls({ enabled: true, servername: 'chrome-proxy.test' }).inspect('127.0.0.1', port);
+    assert.strictEqual(result.authorized, false);
+    assert.match(result.authorizationError, /UNABLE_TO_VERIFY_LEAF_SIGNATURE|UNABLE_TO_GET_ISSUER_CERT_LOCALLY/);
+});
+
+test('a handshake for another name is refused', async () => {
+    const proxyTls = new ProxyTls({ enabled: true, ca: files.ca });
+    await assert.rejects(proxyTls.inspect('127.0.0.1', port, 'other.test'), /TLS handshake with 127\.0\.0\.1:\d+ failed/);
+});
+
+test('the SNI check passes on a handshake alert and fails on a closed port', async () => {
+    const tester = new ChromeProxyTester({ host: '127.0.0.1', timeout: 2000, tls: { enabled: true, ca: files.ca }, quiet: true });
+    const rejected = await tester.testSni(port);
+    assert.strictEqual(rejected.success, true);
+    assert.strictEqual(rejected.data.refused, true);
+
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const unreachable = await tester.testSni(closedPort);
+    assert.strictEqual(unreachable.success, false);
+    assert.strictEqual(unreachable.failure, 'refused');
+    assert.match(unreachable.error, /ECONNREFUSED/);
+});
+
+test('fetch goes through https with the CA and SNI name', async () => {
+    const proxyTls = new ProxyTls({ enabled: true, ca: files.ca, servername: 'chrome-proxy.test' });
+    assert.strictEqual(proxyTls.url('127.0.0.1', port, '/json'), `https://127.0.0.1:${port}/json`);
+    assert.strictEqual(proxyTls.scheme('ws'), 'wss');
+
+    const response = await fetch(proxyTls.url('127.0.0.1', port, '/json'), proxyTls.fetchOptions());
+    assert.deepStrictEqual(await response.json(), { proto: 'https' });
+
+    await assert.rejects(fetch(proxyTls.url('127.0.0.1', port, '/json'), new ProxyTls({ enabled: true, servername: 'chrome-proxy.test' }).fetchOptions()));
+});
+
+test('plain mode keeps http and ws', () => {
+    const proxyTls = new ProxyTls();
+    assert.strictEqual(proxyTls.url('localhost', 48333, '/json'), 'http://localhost:48333/json');
+    assert.strictEqual(proxyTls.scheme('ws'), 'ws');
+    assert.deepStrictEqual(proxyTls.fetchOptions(), {});
+    assert.deepStrictEqual(proxyTls.socketOptions(), {});
+});
+
+test('the process trusts the CA only when NODE_EXTRA_CA_CERTS contains it', () => {
+    const saved = process.env.NODE_EXTRA_CA_CERTS;
+    const proxyTls = new ProxyTls({ enabled: true, ca: files.ca });
+    try {
+        delete process.env.NODE_EXTRA_CA_CERTS;
+        assert.strictEqual(proxyTls.trustedByProcess(), false);
+        process.env.NODE_EXTRA_CA_CERTS = files.ca;
+        assert.strictEqual(proxyTls.trustedByProcess(), true);
+        assert.strictEqual(new ProxyTls({ enabled: true }).trustedByProcess(), true);
+    } finally {
+        if (saved === undefined) {
+            delete process.env.NODE_EXTRA_CA_CERTS;
+        } else {
+            process.env.NODE_EXTRA_CA_CERTS = saved;
+        }
+    }
+});
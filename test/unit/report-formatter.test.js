@@ -0,0 +1,81 @@
+/**
+ * Report Formatter Tests
+ * Runs with node --test over a hand-built report with passed, failed, flaky and skipped checks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ReportFormatter = require('../report-formatter');
+
+const report = {
+    name: 'chrome-proxy-connection',
+    timestamp: '2026-10-19T12:00:00.000Z',
+    durationMs: 2500,
+    success: false,
+    testsuites: [{
+        name: 'port 48333',
+        testcases: [
+            { name: 'http', status: 'passed', durationMs: 12 },
+            { name: 'websocket', status: 'failed', failure: 'timeout', attempts: 3, message: 'No answer within 5000ms', durationMs: 5000 },
+            {
+                name: 'cdp', status: 'passed', flaky: true, attempts: 2, durationMs: 40,
+                retries: [{ failure: 'refused', message: 'ECONNREFUSED 127.0.0.1:48333' }]
+            },
+            { name: 'tls', status: 'skipped', message: 'plain mode', durationMs: 0 }
+        ]
+    }],
+    latency: { http: { count: 1, avg: 12, p50: 12, p95: 12, p99: 12 } },
+    errors: [{ error: 'No answer within 5000ms', count: 3, messages: ['Port 48333: websocket'] }]
+};
+
+test('JUnit output counts the checks and emits failures and flaky reruns', () => {
+    const xml = new ReportFormatter({ format: 'junit' }).render(report);
+
+    assert.match(xml, /<testsuites name="chrome-proxy-connection" tests="4" failures="1" skipped="1" time="2.500">/);
+    assert.match(xml, /<testsuite name="port 48333" tests="4" failures="1" skipped="1" time="5.052" timestamp="2026-10-19T12:00:00.000Z">/);
+    assert.match(xml, /<testcase classname="port 48333" name="http" time="0.012"\/>/);
+    assert.match(xml, /<failure message="No answer within 5000ms" type="timeout">No answer within 5000ms<\/failure>/);
+    assert.match(xml, /<testcase classname="port 48333" name="cdp" time="0.040">\n {6}<flakyFailure message="ECONNREFUSED 127.0.0.1:48333" type="refused"\/>/);
+    assert.match(xml, /<skipped message="plain mode"\/>/);
+    assert.strictEqual((xml.match(/<testcase /g) || []).length, 4);
+});
+
+test('XML escaping drops control characters XML cannot carry', () => {
+    assert.strictEqual(ReportFormatter.escapeXml('a\u0000b\u0008c\u000Bd\u000Ce\u001Ff'), 'abcdef');
+    assert.strictEqual(ReportFormatter.escapeXml('tab\there\nnew\rline'), 'tab\there\nnew\rline');
+    assert.strictEqual(ReportFormatter.escapeXml('<a href="x">&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+
+    const xml = new ReportFormatter({ format: 'junit' }).render({
+        ...report,
+        testsuites: [{ name: 'port 1', testcases: [{ name: 'cdp', status: 'failed', message: 'bad frame \u001b[31m' }] }]
+    });
+    assert.match(xml, /<failure message="bad frame \[31m">/);
+});
+
+test('JSON output is the report as it is', () => {
+    const json = new ReportFormatter({ format: 'json' }).render(report);
+    assert.deepStrictEqual(JSON.parse(json), report);
+    assert.ok(json.endsWith('\n'));
+});
+
+test('text output marks each check and notes retries and failure classes', () => {
+    const text = new ReportFormatter().render(report);
+    const lines = text.trimEnd().split('\n');
+
+    assert.deepStrictEqual(lines.slice(0, 8), [
+        'chrome-proxy-connection (2026-10-19T12:00:00.000Z)',
+        'Result: FAIL',
+        '',
+        'port 48333',
+        '  ✓ http',
+        '  ✗ websocket [timeout, 3 attempts] - No answer within 5000ms',
+        '  ✓ cdp (flaky: passed on attempt 2 after refused)',
+        '  ! tls - plain mode'
+    ]);
+    assert.ok(lines.includes('Latency http: avg 12.00ms, p50 12.00ms, p95 12.00ms, p99 12.00ms (n=1)'));
+    assert.deepStrictEqual(lines.slice(-2), ['Errors:', '  No answer within 5000ms: 3 occurrences']);
+});
+
+test('an unknown format is refused', () => {
+    assert.throws(() => new ReportFormatter({ format: 'html' }), /Unknown report format "html"/);
+});